@@ -1,11 +1,100 @@
 /**
  * AI Quote Generator
- * Generates creative, engaging banner quotes optimized for:
+ * Generates creative, engaging banner copy optimized for:
  * - Brand tone (neutral, bold, playful, premium)
  * - Marketing objectives (awareness, conversion, sales)
  * - Platform context
+ * - Product metadata (title, description, tags, category; see productMetadata.js)
+ *
+ * Copy is structured (see generateCopy): a headline from the quote banks
+ * below, a supporting subline, a call-to-action label and a legal line.
+ *
+ * Templates may contain slots filled from the product metadata:
+ *   {product}  title
+ *   {category} category
+ *   {price}    selling price, formatted for its currency and locale
+ *   {discount} percentage off, e.g. "20%"
+ *   {endDate}  last day of the promotion, e.g. "31 Oct"
+ * A template is only used when every slot it contains has a value, and when
+ * the copy lint (copyLint.js) finds nothing in the filled line for the tone
+ * and product: sale, savings and deadline lines need a price, discount or
+ * end date to back them. Lines no product data can back (superlatives,
+ * guarantees, stock claims) don't belong in the banks.
+ *
+ * When an LLM copy provider is configured (copyProvider.js), generateQuotes()
+ * asks it first and falls back to / tops up from these templates.
+ *
+ * The banks below are English; pass a `locale` (e.g. "hi", "es-MX", "ar")
+ * to use the translated banks in copyLocales.js instead.
  */
 
+import { metadataSearchText, DEFAULT_CURRENCY } from './productMetadata.js';
+import { buildCopyPrompt, parseCopyResponse, validateCopy, getCopyProvider } from './copyProvider.js';
+import { resolveLocale, TRANSLATED_COPY } from './copyLocales.js';
+import { lintCopy } from './copyLint.js';
+
+// Locale used to format a currency when the caller doesn't pass one
+const CURRENCY_LOCALES = {
+  INR: 'en-IN',
+  GBP: 'en-GB',
+  EUR: 'en-IE',
+  USD: 'en-US',
+  AED: 'en-AE'
+};
+const DEFAULT_LOCALE = 'en-IN';
+
+const SLOT_PATTERN = /\{(\w+)\}/g;
+
+// Supporting line under the headline, by objective
+const SUBLINE_TEMPLATES = {
+  awareness: [
+    "Meet {product}",
+    "Discover Our {category} Range",
+    "Designed to Make Every Day Better",
+    "Now in Store and Online"
+  ],
+  conversion: [
+    "{product} from {price}",
+    "Find {product} in Store and Online",
+    "Order Online or In Store",
+    "Delivered to Your Door"
+  ],
+  sales: [
+    "Now Just {price}",
+    "{discount} Off {product}",
+    "At a Price You'll Love",
+    "While Stocks Last"
+  ]
+};
+
+// Call-to-action button labels by tone and objective; awareness creatives have no button
+const CTA_LABELS = {
+  neutral: {
+    conversion: ["Shop Now", "Get Started", "Order Now"],
+    sales: ["Shop the Sale", "Buy Now", "Get the Deal", "See the Offer"]
+  },
+  bold: {
+    conversion: ["SHOP NOW", "GET IT NOW", "ORDER TODAY"],
+    sales: ["GRAB THE DEAL", "SHOP THE SALE", "BUY NOW", "SEE THE OFFER"]
+  },
+  playful: {
+    conversion: ["Let's Go!", "Shop Now", "Treat Yourself"],
+    sales: ["Grab It!", "Snap It Up", "Shop the Fun"]
+  },
+  premium: {
+    conversion: ["Discover More", "Explore", "Shop the Collection"],
+    sales: ["Shop Now", "Discover the Offer", "View Collection"]
+  }
+};
+
+// Small print for promotional creatives
+const LEGAL_TEMPLATES = {
+  sales: [
+    "Offer ends {endDate}. Subject to availability.",
+    "Subject to availability. T&Cs apply."
+  ]
+};
+
 // Quote templates organized by tone and objective
 const QUOTE_TEMPLATES = {
   neutral: {
@@ -17,27 +106,33 @@ const QUOTE_TEMPLATES = {
       "Your Journey Starts Here",
       "Quality Meets Design",
       "Elevate Your Style",
-      "Where Innovation Lives"
+      "Where Innovation Lives",
+      "Meet the New {product}"
     ],
     conversion: [
       "Shop Now →",
       "Get Started Today",
-      "Join Thousands of Happy Customers",
+      "Join the Community",
       "Start Your Journey",
       "Make It Yours",
       "Order Now & Save",
-      "Try It Risk-Free",
-      "Claim Your Offer →"
+      "Try It Today",
+      "Claim Your Offer →",
+      "Get {product} for {price} →"
     ],
     sales: [
       "Limited Time Offer",
       "Special Price Today",
-      "Save Up to 50%",
-      "Best Deal of the Season",
+      "Save {discount} Today",
+      "Picked for the Season",
       "Exclusive Discount Inside",
       "Don't Miss Out",
-      "Limited Stock Available",
-      "Today Only: Special Pricing"
+      "Available Now",
+      "Pick Up Yours Today",
+      "Today Only: Special Pricing",
+      "{product} Now {price}",
+      "{discount} Off {product}",
+      "Offer Ends {endDate}"
     ]
   },
   bold: {
@@ -59,17 +154,22 @@ const QUOTE_TEMPLATES = {
       "TAKE ACTION TODAY",
       "GET IT NOW →",
       "DON'T WAIT",
-      "START YOUR TRANSFORMATION"
+      "START YOUR TRANSFORMATION",
+      "GRAB {product} NOW →"
     ],
     sales: [
-      "FLASH SALE: 50% OFF",
+      "FLASH SALE: {discount} OFF",
       "LIMITED TIME: ACT FAST",
       "MASSIVE SAVINGS NOW",
       "EXCLUSIVE DEAL INSIDE",
       "DON'T MISS THIS DEAL",
       "HUGE DISCOUNTS TODAY",
       "LAST CHANCE TO SAVE",
-      "URGENT: LIMITED STOCK"
+      "GET YOURS TODAY",
+      "STOCK UP TODAY",
+      "TREAT YOURSELF NOW",
+      "{product}: ONLY {price}",
+      "{discount} OFF. ENDS {endDate}"
     ]
   },
   playful: {
@@ -91,7 +191,8 @@ const QUOTE_TEMPLATES = {
       "Make It Happen Today",
       "Say Yes to Awesome",
       "Ready? Set. Shop!",
-      "Let's Make Magic Together"
+      "Let's Make Magic Together",
+      "{product} Is Calling! →"
     ],
     sales: [
       "Surprise! Big Savings 🎁",
@@ -101,7 +202,9 @@ const QUOTE_TEMPLATES = {
       "Your Lucky Day!",
       "Special Price Just for You",
       "Deals That Make You Smile",
-      "Happy Shopping! 💰"
+      "Happy Shopping! 💰",
+      "{product} for Just {price}! 🎁",
+      "Psst… {discount} Off Till {endDate}!"
     ]
   },
   premium: {
@@ -111,7 +214,7 @@ const QUOTE_TEMPLATES = {
       "Elevate Your Experience",
       "Timeless Elegance",
       "Sophistication Redefined",
-      "Premium Quality, Unmatched",
+      "Quality Without Compromise",
       "Excellence in Every Detail",
       "The Art of Refinement"
     ],
@@ -123,7 +226,8 @@ const QUOTE_TEMPLATES = {
       "Discover Luxury",
       "Unlock Premium Access",
       "Invest in Excellence",
-      "Choose Refinement"
+      "Choose Refinement",
+      "Discover {product} →"
     ],
     sales: [
       "Exclusive Premium Offer",
@@ -133,7 +237,9 @@ const QUOTE_TEMPLATES = {
       "Luxury Within Reach",
       "Exclusive Savings",
       "Premium Collection Sale",
-      "Elegant Savings Await"
+      "Elegant Savings Await",
+      "{product}, Now {price}",
+      "An Exclusive {discount} Off {product}"
     ]
   }
 };
@@ -162,14 +268,15 @@ const AI_THEMED_QUOTES = {
       "Smart. Fast. Intelligent."
     ],
     sales: [
-      "AI Technology at Best Price",
+      "AI Technology, Within Reach",
       "Limited: AI Premium Access",
       "Special AI Bundle Offer",
       "AI Solutions on Sale",
       "Exclusive AI Pricing",
       "AI Tools: Special Deal",
       "Smart Savings on AI",
-      "AI Innovation Discount"
+      "AI Innovation Discount",
+      "{product}: Smart Tech for {price}"
     ]
   },
   bold: {
@@ -201,7 +308,10 @@ const AI_THEMED_QUOTES = {
       "AI BUNDLE: SPECIAL PRICE",
       "DON'T MISS AI DEAL",
       "AI ACCESS: TODAY ONLY",
-      "URGENT: AI SALE ENDS SOON"
+      "URGENT: AI SALE ENDS SOON",
+      "AI POWER, YOURS TODAY",
+      "UPGRADE YOUR TOOLS NOW",
+      "{product}: {discount} OFF NOW"
     ]
   },
   playful: {
@@ -233,7 +343,9 @@ const AI_THEMED_QUOTES = {
       "Smart Savings on AI",
       "AI Bundle: Special Price",
       "Limited AI Offer",
-      "AI Magic at Best Price"
+      "AI Magic for Everyone",
+      "Your New AI Sidekick 🤖",
+      "Smart {product}, Just {price}! 🤖"
     ]
   },
   premium: {
@@ -261,15 +373,118 @@ const AI_THEMED_QUOTES = {
       "Premium AI: Special Offer",
       "Exclusive AI Pricing",
       "VIP AI Access Discount",
-      "Premium AI at Best Price",
+      "Premium AI, Within Reach",
       "Limited: Premium AI Deal",
       "Elite AI: Special Savings",
       "Premium AI Bundle Sale",
-      "Exclusive AI Premium Deal"
+      "Exclusive AI Premium Deal",
+      "{product}: Intelligence at {price}"
     ]
   }
 };
 
+/**
+ * Format a price for display, e.g. 1299 INR → "₹1,299", 9.5 GBP → "£9.50".
+ * Whole amounts are shown without decimals.
+ */
+export function formatPrice(amount, currency = DEFAULT_CURRENCY, locale = CURRENCY_LOCALES[currency] || DEFAULT_LOCALE) {
+  const fractionDigits = Number.isInteger(amount) ? 0 : 2;
+  try {
+    return new Intl.NumberFormat(locale, {
+      style: 'currency',
+      currency,
+      minimumFractionDigits: fractionDigits,
+      maximumFractionDigits: fractionDigits
+    }).format(amount);
+  } catch (err) {
+    // Unknown currency code or locale
+    return `${currency} ${amount.toFixed(fractionDigits)}`;
+  }
+}
+
+/**
+ * Slot values available for a product; slots without data are left out
+ */
+export function buildTemplateSlots(metadata = {}, { locale } = {}) {
+  const slots = {};
+  const currency = metadata.currency || DEFAULT_CURRENCY;
+  // English formats by the currency's home locale; other languages by their own
+  const formatLocale = resolveLocale(locale)?.locale || undefined;
+  const dateLocale = formatLocale || CURRENCY_LOCALES[currency] || DEFAULT_LOCALE;
+
+  if (metadata.title) {
+    slots.product = metadata.title;
+  }
+  if (metadata.category) {
+    slots.category = metadata.category;
+  }
+  if (typeof metadata.price === 'number') {
+    slots.price = formatPrice(metadata.price, currency, formatLocale);
+  }
+  if (typeof metadata.discount === 'number' && metadata.discount > 0) {
+    slots.discount = `${metadata.discount}%`;
+  }
+  if (metadata.endDate) {
+    slots.endDate = new Intl.DateTimeFormat(dateLocale, { day: 'numeric', month: 'short', timeZone: 'UTC' })
+      .format(new Date(`${metadata.endDate}T00:00:00Z`));
+  }
+  return slots;
+}
+
+/**
+ * Slots used by a template, e.g. "{discount} Off {product}" → ['discount', 'product']
+ */
+export function templateSlots(template) {
+  return [...template.matchAll(SLOT_PATTERN)].map(match => match[1]);
+}
+
+/**
+ * Fill a template's slots; null when any of them has no value.
+ * All-caps templates keep the filled values in capitals too.
+ */
+export function fillTemplate(template, slots) {
+  if (templateSlots(template).some(slot => !slots[slot])) {
+    return null;
+  }
+  const literal = template.replace(SLOT_PATTERN, '');
+  const uppercase = /[A-Z]/.test(literal) && literal === literal.toUpperCase();
+  return template.replace(SLOT_PATTERN, (_, slot) => (uppercase ? slots[slot].toUpperCase() : slots[slot]));
+}
+
+/**
+ * Fill a list of templates and pick one by variation (0-1).
+ * Templates whose slots can't be filled, or whose claims the product data
+ * doesn't back (`lint`: { tone, metadata }), are skipped; the filled ones
+ * come first so product-specific copy wins over generic lines.
+ */
+function pickTemplate(templates, slots, variation, lint) {
+  const filled = templates.filter(t => templateSlots(t).length > 0)
+    .map(t => fillTemplate(t, slots))
+    .filter(Boolean);
+  const plain = templates.filter(t => templateSlots(t).length === 0);
+  const candidates = [...filled, ...plain].filter(text => lintCopy(text, lint).length === 0);
+  if (candidates.length === 0) return null;
+
+  // Select with variation for diversity
+  const index = Math.floor((variation * candidates.length) % candidates.length);
+  return candidates[index] || candidates[0];
+}
+
+/**
+ * Template banks for a locale: the translated ones for supported languages,
+ * the English ones (AI-themed headlines for tech products) otherwise
+ */
+function copyBank(locale, isAIThemed = false) {
+  const translated = TRANSLATED_COPY[resolveLocale(locale)?.language];
+  if (translated) return translated;
+  return {
+    quotes: isAIThemed ? AI_THEMED_QUOTES : QUOTE_TEMPLATES,
+    sublines: SUBLINE_TEMPLATES,
+    ctas: CTA_LABELS,
+    legal: LEGAL_TEMPLATES
+  };
+}
+
 /**
  * Generate a creative banner quote based on tone, objective, and context
  */
@@ -277,24 +492,72 @@ export function generateQuote({
   tone = 'neutral',
   objective = 'awareness',
   isAIThemed = false,
-  variation = 0
+  variation = 0,
+  metadata = {},
+  locale
 }) {
-  const quoteBank = isAIThemed ? AI_THEMED_QUOTES : QUOTE_TEMPLATES;
+  const quoteBank = copyBank(locale, isAIThemed).quotes;
   const toneQuotes = quoteBank[tone] || quoteBank.neutral;
-  const objectiveQuotes = toneQuotes[objective] || toneQuotes.awareness;
-  
-  // Select quote with variation for diversity
-  const index = Math.floor((variation * objectiveQuotes.length) % objectiveQuotes.length);
-  return objectiveQuotes[index] || objectiveQuotes[0];
+  const objectiveTemplates = toneQuotes[objective] || toneQuotes.awareness;
+
+  return pickTemplate(objectiveTemplates, buildTemplateSlots(metadata, { locale }), variation, { tone, metadata });
+}
+
+/**
+ * Structured copy for one creative:
+ * - headline: the banner quote (pass one in to use LLM or edited copy)
+ * - subline:  supporting line; skips facts the headline already states
+ * - cta:      button label, or null for awareness creatives
+ * - legal:    small print for promotions, or null
+ *
+ * @returns {{headline: string, subline: string|null, cta: string|null, legal: string|null}}
+ */
+export function generateCopy({
+  tone = 'neutral',
+  objective = 'awareness',
+  assets = [],
+  metadata = {},
+  variation = 0,
+  locale,
+  headline = generateContextualQuote({ tone, objective, assets, metadata, variation, locale })
+}) {
+  const bank = copyBank(locale);
+  const slots = buildTemplateSlots(metadata, { locale });
+  const ctaLabels = (bank.ctas[tone] || bank.ctas.neutral)[objective];
+  const lint = { tone, metadata };
+  const cta = ctaLabels ? pickTemplate(ctaLabels, slots, variation, lint) : null;
+
+  // Don't repeat the price or discount the headline already shows
+  const upperHeadline = headline.toUpperCase();
+  const sublineSlots = Object.fromEntries(
+    Object.entries(slots).filter(([, value]) => !upperHeadline.includes(value.toUpperCase()))
+  );
+  const subline = pickTemplate(bank.sublines[objective] || bank.sublines.awareness, sublineSlots, variation, lint);
+
+  const legalTemplates = bank.legal[objective];
+  const legal = legalTemplates ? pickTemplate(legalTemplates, slots, 0, lint) : null;
+
+  return {
+    // The button carries the call to action, so drop the headline's arrow
+    headline: cta ? headline.replace(/\s*[→←]$/, '') : headline,
+    subline,
+    cta,
+    legal
+  };
 }
 
 /**
- * Generate multiple quote variations
+ * Generate multiple quote variations.
+ * The AI-themed bank is picked from the assets and product metadata unless
+ * `isAIThemed` is given explicitly.
  */
 export function generateQuoteVariations({
   tone = 'neutral',
   objective = 'awareness',
-  isAIThemed = false,
+  assets = [],
+  metadata = {},
+  isAIThemed = detectAITheme(assets, metadata),
+  locale,
   count = 3
 }) {
   const quotes = [];
@@ -303,27 +566,27 @@ export function generateQuoteVariations({
       tone,
       objective,
       isAIThemed,
-      variation: i / count
+      variation: i / count,
+      metadata,
+      locale
     }));
   }
   return quotes;
 }
 
 /**
- * Detect if content is AI-related based on keywords
+ * Detect if content is AI-related based on keywords in asset names and product metadata
  */
 export function detectAITheme(assets = [], metadata = {}) {
-  // Check for AI-related keywords in asset names or metadata
   const aiKeywords = ['ai', 'artificial', 'intelligence', 'machine learning', 'ml', 'neural', 'algorithm', 'smart', 'automation', 'tech'];
   
   const searchText = [
     ...assets.map(a => a.name || ''),
-    metadata.description || '',
-    metadata.title || '',
-    metadata.tags || ''
+    metadataSearchText(metadata)
   ].join(' ').toLowerCase();
   
-  return aiKeywords.some(keyword => searchText.includes(keyword));
+  // Whole words only: product copy is full of words like "chair" and "maintain"
+  return aiKeywords.some(keyword => new RegExp(`(^|[^a-z])${keyword}([^a-z]|$)`).test(searchText));
 }
 
 /**
@@ -334,26 +597,91 @@ export function generateContextualQuote({
   objective = 'awareness',
   assets = [],
   metadata = {},
-  variation = 0
+  variation = 0,
+  locale
 }) {
   const isAIThemed = detectAITheme(assets, metadata);
   return generateQuote({
     tone,
     objective,
     isAIThemed,
-    variation
+    variation,
+    metadata,
+    locale
   });
 }
 
 /**
- * Enhance quote with emojis and formatting based on tone
+ * Generate copy through the configured copy provider, falling back to the
+ * template bank when there is none, it fails, or none of its lines pass
+ * validation and the copy lint. Short batches are topped up from the templates.
+ *
+ * @returns {Promise<{quotes: string[], source: string, rejected: object[]}>}
+ *   source is the provider name, or 'templates'
+ */
+export async function generateQuotes({
+  tone = 'neutral',
+  objective = 'awareness',
+  assets = [],
+  metadata = {},
+  locale,
+  count = 3,
+  seed,
+  provider = getCopyProvider()
+}) {
+  const isAIThemed = detectAITheme(assets, metadata);
+  const templateQuotes = generateQuoteVariations({ tone, objective, metadata, isAIThemed, locale, count });
+  if (!provider) {
+    return { quotes: templateQuotes, source: 'templates', rejected: [] };
+  }
+
+  const slots = buildTemplateSlots(metadata, { locale });
+  let content;
+  try {
+    content = await provider.generate(
+      buildCopyPrompt({ tone, objective, metadata, slots, isAIThemed, count, language: resolveLocale(locale)?.name }),
+      { seed }
+    );
+  } catch (err) {
+    console.warn(`⚠️  Copy provider ${provider.name} failed, using templates:`, err.message);
+    return { quotes: templateQuotes, source: 'templates', rejected: [] };
+  }
+
+  const accepted = [];
+  const rejected = [];
+  for (const candidate of parseCopyResponse(content)) {
+    const result = validateCopy(candidate, { tone, slots });
+    // Claims the product data can't back up are rejected too; milder lint
+    // findings are left for the compliance panel
+    const claims = lintCopy(result.text, { tone, metadata }).filter(finding => finding.severity === 'high');
+    if (!result.valid || claims.length) {
+      rejected.push({ text: result.text, errors: [...result.errors, ...claims.map(finding => finding.message)] });
+    } else if (!accepted.includes(result.text)) {
+      accepted.push(result.text);
+    }
+  }
+  if (rejected.length) {
+    console.warn(`⚠️  Rejected ${rejected.length} generated line(s):`, rejected.map(r => `"${r.text}" (${r.errors.join('; ')})`).join(', '));
+  }
+
+  const quotes = [...accepted, ...templateQuotes.filter(q => !accepted.includes(q))].slice(0, count);
+  return {
+    quotes,
+    source: accepted.length ? provider.name : 'templates',
+    rejected
+  };
+}
+
+/**
+ * Enhance quote with emojis and formatting based on tone.
+ * Pass a seeded `random` to make the result reproducible.
  */
-export function enhanceQuote(quote, tone) {
+export function enhanceQuote(quote, tone, random = Math.random) {
   if (tone === 'playful' && !quote.includes('🎉') && !quote.includes('✨')) {
     // Add playful emojis occasionally
     const emojis = ['✨', '🎉', '🚀', '💫', '🎁'];
-    if (Math.random() > 0.5) {
-      return quote + ' ' + emojis[Math.floor(Math.random() * emojis.length)];
+    if (random() > 0.5) {
+      return quote + ' ' + emojis[Math.floor(random() * emojis.length)];
     }
   }
   return quote;
@@ -0,0 +1,142 @@
+/**
+ * Animation
+ * Timeline model for animated banners, stored on the layout as
+ * `generativeLayout.timeline`:
+ *
+ *   {
+ *     duration: 3500,        // ms, the last frame is held until the end
+ *     loops: 1,              // plays (1-3; ad networks stop animation after 3 loops / 30s)
+ *     layers: {
+ *       mainAsset: { effect: 'scale', delay: 0, duration: 600 },
+ *       textOverlay: { effect: 'slide-up', delay: 400, duration: 600 },
+ *       ...
+ *     }
+ *   }
+ *
+ * Every effect is an entrance: the layer starts from the effect's `from` state
+ * and eases into its laid-out position. Layers without an entry (background,
+ * gradient, safe-zone guide) are static. Frame renders (GIF, video) and the
+ * CSS of HTML5 banners are both derived from ANIMATION_EFFECTS.
+ */
+
+const SLIDE_DISTANCE = 0.15; // of the canvas width/height
+
+// Start state of each entrance effect; dx/dy are fractions of the canvas size
+export const ANIMATION_EFFECTS = {
+  none: null,
+  fade: { opacity: 0 },
+  'slide-up': { opacity: 0, dy: SLIDE_DISTANCE },
+  'slide-down': { opacity: 0, dy: -SLIDE_DISTANCE },
+  'slide-left': { opacity: 0, dx: SLIDE_DISTANCE },
+  'slide-right': { opacity: 0, dx: -SLIDE_DISTANCE },
+  scale: { opacity: 0, scale: 0.6 }
+};
+
+// Layers that can be animated, in stacking order
+export const ANIMATED_LAYERS = ['mainAsset', 'textOverlay', 'subline', 'cta', 'legal', 'logo'];
+
+// Product first, then the copy stack one element after another
+const DEFAULT_SEQUENCE = {
+  mainAsset: { effect: 'scale', delay: 0, duration: 600 },
+  logo: { effect: 'fade', delay: 0, duration: 600 },
+  textOverlay: { effect: 'slide-up', delay: 400, duration: 600 },
+  subline: { effect: 'fade', delay: 800, duration: 500 },
+  cta: { effect: 'scale', delay: 1100, duration: 400 },
+  legal: { effect: 'fade', delay: 1300, duration: 400 }
+};
+
+const HOLD_MS = 2000;          // the finished creative stays on screen this long
+const MIN_DURATION_MS = 500;
+const MAX_DURATION_MS = 30000; // Google Display: animation must stop within 30 seconds
+const MAX_LOOPS = 3;
+
+// CSS equivalent: cubic-bezier(0.33, 1, 0.68, 1)
+export const EASING_CSS = 'cubic-bezier(0.33, 1, 0.68, 1)';
+function easeOutCubic(t) {
+  return 1 - Math.pow(1 - t, 3);
+}
+
+function clampNumber(value, min, max, fallback) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return fallback;
+  return Math.round(Math.max(min, Math.min(max, number)));
+}
+
+// End of the last entrance
+function lastEntranceEnd(layers) {
+  return Object.values(layers).reduce((end, entry) => Math.max(end, entry.delay + entry.duration), 0);
+}
+
+export function defaultTimeline() {
+  const layers = Object.fromEntries(Object.entries(DEFAULT_SEQUENCE).map(([id, entry]) => [id, { ...entry }]));
+  return { duration: lastEntranceEnd(layers) + HOLD_MS, loops: 1, layers };
+}
+
+/**
+ * Validate and normalise a client-supplied timeline (null: the default one).
+ * Unknown layers are dropped, unknown effects become 'none', times are clamped,
+ * and the duration is stretched to fit the last entrance.
+ */
+export function normalizeTimeline(input) {
+  if (!input || typeof input !== 'object') return defaultTimeline();
+
+  const layers = {};
+  for (const id of ANIMATED_LAYERS) {
+    const entry = input.layers?.[id];
+    if (!entry) continue;
+    layers[id] = {
+      effect: Object.prototype.hasOwnProperty.call(ANIMATION_EFFECTS, entry.effect) ? entry.effect : 'none',
+      delay: clampNumber(entry.delay, 0, MAX_DURATION_MS, 0),
+      duration: clampNumber(entry.duration, 0, MAX_DURATION_MS, 0)
+    };
+  }
+
+  const duration = clampNumber(input.duration, MIN_DURATION_MS, MAX_DURATION_MS, lastEntranceEnd(layers) + HOLD_MS);
+  return {
+    duration: Math.min(MAX_DURATION_MS, Math.max(duration, lastEntranceEnd(layers))),
+    loops: clampNumber(input.loops, 1, MAX_LOOPS, 1),
+    layers
+  };
+}
+
+/**
+ * Opacity, offset (px) and scale of a layer at `time` ms into the timeline
+ */
+export function layerStateAt(entry, time, { width, height }) {
+  const from = entry && ANIMATION_EFFECTS[entry.effect];
+  if (!from) return { opacity: 1, dx: 0, dy: 0, scale: 1 };
+
+  const progress = entry.duration > 0 ? Math.max(0, Math.min(1, (time - entry.delay) / entry.duration)) : (time >= entry.delay ? 1 : 0);
+  const eased = easeOutCubic(progress);
+  const remaining = 1 - eased;
+  return {
+    opacity: (from.opacity ?? 1) + (1 - (from.opacity ?? 1)) * eased,
+    dx: (from.dx ?? 0) * width * remaining,
+    dy: (from.dy ?? 0) * height * remaining,
+    scale: (from.scale ?? 1) + (1 - (from.scale ?? 1)) * eased
+  };
+}
+
+/**
+ * The scene at `time` ms: animated layers get a `transform`
+ * ({opacity, dx, dy, scale}, applied around the layer's centre by the renderers)
+ */
+export function sceneAtTime(scene, timeline, time) {
+  return {
+    ...scene,
+    layers: scene.layers.map(layer => {
+      const entry = timeline.layers[layer.id];
+      if (!entry || !ANIMATION_EFFECTS[entry.effect]) return layer;
+      return { ...layer, transform: layerStateAt(entry, time, scene) };
+    })
+  };
+}
+
+/**
+ * Frame timestamps (ms) for one play of the timeline at `fps`; the last frame
+ * is the finished creative
+ */
+export function frameTimes(timeline, fps) {
+  const count = Math.max(1, Math.round((timeline.duration / 1000) * fps));
+  return Array.from({ length: count + 1 }, (_, i) => Math.min(timeline.duration, (i * 1000) / fps));
+}
@@ -0,0 +1,238 @@
+/**
+ * Animation Export
+ * Turns a scene and its timeline (see animation.js) into animated banners:
+ * - gif:        frames rendered one by one, quantised and encoded with gifenc
+ * - mp4, webm:  frames rendered to PNG and piped to ffmpeg (ffmpeg-static)
+ * - html5:      a zip with an index.html, one PNG per animated layer and CSS
+ *               keyframes, with the clickTag variable Google Ads expects
+ *
+ * Rendering is passed in (`render(scene)` → PNG buffer) so the active
+ * renderer (Canvas or Sharp/SVG) draws the frames, as for still exports.
+ * Each frame is encoded as soon as it is drawn, and the frame count is capped
+ * by MAX_FRAME_PIXELS: long or large banners get a lower frame rate.
+ */
+
+import sharp from 'sharp';
+import JSZip from 'jszip';
+import gifenc from 'gifenc';
+import { spawn } from 'child_process';
+import { mkdtemp, readFile, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { ANIMATION_EFFECTS, EASING_CSS, sceneAtTime, frameTimes } from './animation.js';
+import { escapeXml } from './sceneRenderer.js';
+import { renderLayerImage } from './layeredExport.js';
+
+const { GIFEncoder, quantize, applyPalette } = gifenc; // CommonJS package
+
+export const ANIMATED_FORMATS = ['gif', 'mp4', 'webm', 'html5'];
+
+const DEFAULT_FPS = { gif: 15, mp4: 30, webm: 30 };
+const MAX_FPS = 30;
+// Frames × pixels rendered for one export (GIF frames are quantised in JS, so it gets less)
+const MAX_FRAME_PIXELS = { gif: 80 * 1080 * 1920, mp4: 300 * 1080 * 1920, webm: 300 * 1080 * 1920 };
+const GIF_COLORS = 256;
+
+const VIDEO_CODECS = {
+  mp4: ['-c:v', 'libx264', '-pix_fmt', 'yuv420p', '-movflags', '+faststart'],
+  webm: ['-c:v', 'libvpx-vp9', '-b:v', '0', '-crf', '32', '-pix_fmt', 'yuv420p']
+};
+
+// ffmpeg-static ships a platform binary; like canvas, it is loaded on first use
+let ffmpegPath;
+async function loadFfmpeg() {
+  if (ffmpegPath) return ffmpegPath;
+  try {
+    ffmpegPath = (await import('ffmpeg-static')).default;
+  } catch (err) {
+    throw new Error(`Video export needs ffmpeg-static (npm install ffmpeg-static): ${err.message}`);
+  }
+  if (!ffmpegPath) {
+    throw new Error('ffmpeg-static has no binary for this platform');
+  }
+  return ffmpegPath;
+}
+
+// Start ffmpeg reading frames from stdin: write() waits while its input is full, end() waits for it to finish
+function startFfmpeg(args) {
+  const child = spawn(ffmpegPath, args, { stdio: ['pipe', 'ignore', 'pipe'] });
+  let stderr = '';
+  child.stderr.on('data', chunk => { stderr = (stderr + chunk).slice(-2000); });
+  const done = new Promise((resolve, reject) => {
+    child.on('error', reject);
+    child.on('close', code => (code === 0 ? resolve() : reject(new Error(`ffmpeg exited with code ${code}: ${stderr}`))));
+  });
+  done.catch(() => {}); // reported by the next write() or end()
+  child.stdin.on('error', () => {}); // EPIPE when ffmpeg quits early; `done` has the reason
+
+  return {
+    write: chunk => (child.stdin.write(chunk)
+      ? Promise.resolve()
+      : Promise.race([new Promise(resolve => child.stdin.once('drain', resolve)), done])),
+    end: () => {
+      child.stdin.end();
+      return done;
+    },
+    kill: () => child.kill() // no-op once ffmpeg has exited
+  };
+}
+
+/**
+ * Frame rate for a gif/mp4/webm export: the requested one (or the format's
+ * default) within 1..MAX_FPS, lowered until the frames fit MAX_FRAME_PIXELS.
+ * Throws when even one frame per second doesn't fit.
+ */
+export function resolveFps(format, fps, scene, timeline) {
+  const requested = Math.max(1, Math.min(MAX_FPS, Math.round(Number(fps) || DEFAULT_FPS[format])));
+  const maxFrames = Math.floor(MAX_FRAME_PIXELS[format] / (scene.width * scene.height));
+  // frameTimes renders round(seconds × fps) + 1 frames
+  const fitting = Math.floor(((maxFrames - 1) * 1000) / timeline.duration);
+  if (fitting < 1) {
+    throw new Error(`A ${Math.round(timeline.duration / 1000)}s ${format} at ${scene.width}x${scene.height} is over the frame budget; shorten the timeline or export html5`);
+  }
+  return Math.min(requested, fitting);
+}
+
+async function encodeGif(scene, timeline, render, fps) {
+  const gif = GIFEncoder();
+  const times = frameTimes(timeline, fps);
+  const frameDelay = Math.round(1000 / fps);
+
+  // Only the current frame's pixels are held; the encoder keeps the compressed GIF
+  for (let i = 0; i < times.length; i++) {
+    const png = await render(sceneAtTime(scene, timeline, times[i]));
+    const data = await sharp(png).ensureAlpha().raw().toBuffer();
+    const palette = quantize(data, GIF_COLORS);
+    const index = applyPalette(data, palette);
+    const last = i === times.length - 1;
+    gif.writeFrame(index, scene.width, scene.height, {
+      palette,
+      // The finished creative is held for the rest of the timeline
+      delay: last ? Math.max(frameDelay, timeline.duration - times[i]) : frameDelay,
+      // gifenc: -1 plays once, n repeats n more times
+      ...(i === 0 ? { repeat: timeline.loops > 1 ? timeline.loops - 1 : -1 } : {})
+    });
+  }
+  gif.finish();
+  return { buffer: Buffer.from(gif.bytes()), frames: times.length };
+}
+
+async function encodeVideo(scene, timeline, render, fps, format) {
+  await loadFfmpeg();
+  const times = frameTimes(timeline, fps);
+  // The output goes to a file: MP4's faststart rewrites it once encoding is done
+  const dir = await mkdtemp(join(tmpdir(), 'banner-video-'));
+  const output = join(dir, `banner.${format}`);
+  const ffmpeg = startFfmpeg([
+    '-y',
+    '-f', 'image2pipe',
+    '-framerate', String(fps),
+    '-c:v', 'png',
+    '-i', 'pipe:0',
+    // yuv420p needs even dimensions
+    '-vf', 'pad=ceil(iw/2)*2:ceil(ih/2)*2',
+    ...VIDEO_CODECS[format],
+    output
+  ]);
+  try {
+    for (const time of times) {
+      await ffmpeg.write(await render(sceneAtTime(scene, timeline, time)));
+    }
+    await ffmpeg.end();
+    return { buffer: await readFile(output), frames: times.length };
+  } finally {
+    ffmpeg.kill();
+    await rm(dir, { recursive: true, force: true });
+  }
+}
+
+// CSS keyframes for one layer's entrance, as percentages of the whole timeline so loops replay it
+function layerKeyframes(id, entry, timeline, scene) {
+  const from = ANIMATION_EFFECTS[entry.effect];
+  const percent = (ms) => `${((ms / timeline.duration) * 100).toFixed(2)}%`;
+  const transform = [
+    from.dx ? `translateX(${Math.round(from.dx * scene.width)}px)` : '',
+    from.dy ? `translateY(${Math.round(from.dy * scene.height)}px)` : '',
+    from.scale != null ? `scale(${from.scale})` : ''
+  ].filter(Boolean).join(' ') || 'none';
+  const start = `opacity:${from.opacity ?? 1};transform:${transform}`;
+  return `@keyframes ${id}{` +
+    `0%,${percent(entry.delay)}{${start};animation-timing-function:${EASING_CSS}}` +
+    `${percent(Math.min(timeline.duration, entry.delay + entry.duration))},100%{opacity:1;transform:none}}` +
+    `#${id}{animation:${id} ${timeline.duration}ms linear ${timeline.loops} both}`;
+}
+
+async function buildHtml5Zip(scene, timeline, render, { clickTag, title }) {
+  const zip = new JSZip();
+  const animated = scene.layers.filter(layer => ANIMATION_EFFECTS[timeline.layers[layer.id]?.effect]);
+  const animatedIds = new Set(animated.map(layer => layer.id));
+
+  // Everything that doesn't move is flattened into one base image
+  const base = await render({ ...scene, layers: scene.layers.filter(layer => !animatedIds.has(layer.id)) });
+  zip.file('base.png', await sharp(base).png({ compressionLevel: 9, palette: true }).toBuffer());
+
+  const images = [`<img id="base" src="base.png" alt="" style="left:0;top:0;width:${scene.width}px;height:${scene.height}px">`];
+  const styles = [];
+  for (const layer of animated) {
+    const image = await renderLayerImage(scene, layer, render, { compressionLevel: 9, palette: true });
+    if (!image) continue;
+    const bounds = image.bounds;
+    zip.file(`${layer.id}.png`, image.buffer);
+    images.push(`<img id="${layer.id}" src="${layer.id}.png" alt="" style="left:${bounds.x}px;top:${bounds.y}px;width:${bounds.width}px;height:${bounds.height}px">`);
+    styles.push(layerKeyframes(layer.id, timeline.layers[layer.id], timeline, scene));
+  }
+
+  const html = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<meta name="ad.size" content="width=${scene.width},height=${scene.height}">
+<title>${escapeXml(title)}</title>
+<script type="text/javascript">var clickTag = ${JSON.stringify(clickTag).replace(/</g, '\\u003c')};</script>
+<style>
+html,body{margin:0;padding:0}
+#ad{position:relative;display:block;width:${scene.width}px;height:${scene.height}px;overflow:hidden;cursor:pointer}
+#ad img{position:absolute;display:block;border:0}
+${styles.join('\n')}
+</style>
+</head>
+<body>
+<a id="ad" href="javascript:window.open(window.clickTag)">
+${images.join('\n')}
+</a>
+</body>
+</html>
+`;
+  zip.file('index.html', html);
+
+  const buffer = await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE', compressionOptions: { level: 9 } });
+  return { buffer, frames: null };
+}
+
+/**
+ * Export an animated banner.
+ *
+ * @param {object} params
+ * @param {object} params.scene - Scene of the finished creative (see sceneGraph.js)
+ * @param {object} params.timeline - Normalised timeline (see normalizeTimeline)
+ * @param {function} params.render - async (scene) => PNG buffer
+ * @param {string} params.format - One of ANIMATED_FORMATS
+ * @param {number} [params.fps] - Frame rate for gif/mp4/webm (lowered to fit MAX_FRAME_PIXELS)
+ * @param {string} [params.clickTag] - Landing page for html5 banners
+ * @param {string} [params.title] - Document title for html5 banners
+ * @returns {Promise<{buffer: Buffer, extension: string, frames: number|null, fps: number|null}>}
+ */
+export async function exportAnimation({ scene, timeline, render, format, fps, clickTag = '', title = 'Banner' }) {
+  if (format === 'html5') {
+    const result = await buildHtml5Zip(scene, timeline, render, { clickTag, title });
+    return { ...result, extension: 'zip', fps: null };
+  }
+  if (format !== 'gif' && !VIDEO_CODECS[format]) {
+    throw new Error(`Unsupported animation format: ${format} (expected one of ${ANIMATED_FORMATS.join(', ')})`);
+  }
+  const frameRate = resolveFps(format, fps, scene, timeline);
+  if (format === 'gif') {
+    return { ...(await encodeGif(scene, timeline, render, frameRate)), extension: 'gif', fps: frameRate };
+  }
+  return { ...(await encodeVideo(scene, timeline, render, frameRate, format)), extension: format, fps: frameRate };
+}
@@ -0,0 +1,331 @@
+/**
+ * Auto-Fix Engine
+ * Repairs compliance violations by editing a variant's generativeLayout rather
+ * than the flattened PNG, so fixes survive re-renders and platform exports:
+ * - low-contrast:   darken or lighten the copy backdrop (or CTA button) until WCAG AA passes
+ * - logo-safe-zone: move (and if needed shrink) the logo inside the safe zone
+ * - text-coverage:  shrink the headline until all copy is under the format's coverage limit
+ * - text-overflow:  grow the offending copy box inside the safe area until it fits
+ * - small-text:     raise a copy element to its readable minimum when there is room
+ *
+ * Copy boxes are restacked after any resize (see stackCopyElements).
+ * Every edit is reported as { type, path, from, to } so the client can show a diff.
+ */
+
+import { getPlatformOptimizations, stackCopyElements } from './generativeDesignEngine.js';
+import { isLargeText, MIN_TEXT_SIZES } from './complianceEngine.js';
+import { parseColor, colorContrast, compositeOver, formatRgba } from './colorUtils.js';
+import { getSceneDimensions, resolveLayout, getLayer, getTextLayers } from './sceneGraph.js';
+import { layoutText } from './textLayout.js';
+
+const MIN_CONTRAST_RATIO = 4.5;
+const MIN_CONTRAST_RATIO_LARGE = 3.0;
+const CONTRAST_MARGIN = 0.2;  // Aim slightly above the threshold to absorb anti-aliasing
+const CONTRAST_STEP = 0.05;   // Blend step towards black/white per iteration
+const MIN_FONT_SIZE = 16;
+const FONT_STEP = 2;
+const COVERAGE_MARGIN = 0.95; // Target 95% of the coverage limit
+
+// Copy elements drawn on one shared backdrop colour
+const SHARED_BACKDROP = ['textOverlay', 'subline', 'legal'];
+
+const ELEMENT_NAMES = {
+  textOverlay: 'text',
+  subline: 'subline',
+  cta: 'button',
+  legal: 'legal text'
+};
+
+/**
+ * The layout to edit: a copy of the generative layout, or for legacy template
+ * variants the geometry the scene graph falls back to
+ */
+function editableLayout(variant, tone, format) {
+  const base = variant.generativeLayout ? structuredClone(variant.generativeLayout) : {};
+  const dimensions = getSceneDimensions(variant.generativeLayout, format);
+  const resolved = resolveLayout(variant, tone, dimensions.width, dimensions.height);
+
+  return {
+    ...base,
+    dimensions,
+    background: base.background || resolved.background,
+    mainAsset: base.mainAsset || resolved.mainAsset,
+    logo: base.logo || resolved.logo,
+    textOverlay: base.textOverlay || resolved.textOverlay,
+    subline: base.subline || null,
+    cta: base.cta || null,
+    legal: base.legal || null,
+    compliance: { ...(base.compliance || {}), safeZone: resolved.safeZone }
+  };
+}
+
+/**
+ * Overlay background that keeps the text readable whatever is underneath it.
+ * The worst case is a backdrop the same colour as the text, so the overlay is
+ * blended towards black (light text) or white (dark text) until the composite
+ * over that colour meets the ratio.
+ */
+export function readableOverlayColor(backgroundColor, textColor, requiredRatio) {
+  const text = parseColor(textColor);
+  const overlay = parseColor(backgroundColor);
+  const black = { r: 0, g: 0, b: 0 };
+  const white = { r: 255, g: 255, b: 255 };
+  const target = colorContrast(text, black) >= colorContrast(text, white) ? black : white;
+
+  for (let t = 0; t <= 1 + 1e-9; t += CONTRAST_STEP) {
+    const candidate = {
+      r: overlay.r + (target.r - overlay.r) * t,
+      g: overlay.g + (target.g - overlay.g) * t,
+      b: overlay.b + (target.b - overlay.b) * t,
+      a: overlay.a + (1 - overlay.a) * t
+    };
+    if (colorContrast(text, compositeOver(candidate, text)) >= requiredRatio) {
+      return { color: formatRgba(candidate), direction: target === black ? 'darken' : 'lighten' };
+    }
+  }
+
+  // Solid black/white is the best an overlay can do; the text colour itself is the problem
+  return null;
+}
+
+function requiredContrast(textLayer) {
+  return (isLargeText(textLayer.layout.fontSize, textLayer.layout.fontWeight)
+    ? MIN_CONTRAST_RATIO_LARGE
+    : MIN_CONTRAST_RATIO) + CONTRAST_MARGIN;
+}
+
+/**
+ * Recolour the backdrop of one or more copy layers that share it, so the
+ * strictest of them meets its contrast requirement
+ */
+function fixContrast(layout, textLayers, changes) {
+  const first = textLayers[0];
+  const box = layout[first.id];
+  const required = Math.max(...textLayers.map(requiredContrast));
+  const from = box.backgroundColor || first.background;
+  const fix = readableOverlayColor(from, box.textColor || first.color, required);
+  if (!fix || fix.color === formatRgba(parseColor(from))) return false;
+
+  for (const textLayer of textLayers) {
+    layout[textLayer.id].backgroundColor = fix.color;
+    changes.push({
+      type: 'low-contrast',
+      path: `${textLayer.id}.backgroundColor`,
+      from,
+      to: fix.color,
+      description: `${fix.direction === 'darken' ? 'Darkened' : 'Lightened'} the ${textLayer.id === 'cta' ? 'button' : `${ELEMENT_NAMES[textLayer.id]} background`} to meet WCAG AA`
+    });
+  }
+  return true;
+}
+
+function fixLogoSafeZone(layout, safeZone, changes) {
+  const logo = layout.logo;
+  const { width, height } = layout.dimensions;
+  const from = { x: logo.x, y: logo.y, width: logo.width, height: logo.height };
+
+  // Shrink first if the logo box is bigger than the safe area
+  const scale = Math.min(1, (width - safeZone * 2) / logo.width, (height - safeZone * 2) / logo.height);
+  logo.width = Math.floor(logo.width * scale);
+  logo.height = Math.floor(logo.height * scale);
+  logo.x = Math.round(Math.min(Math.max(logo.x, safeZone), width - safeZone - logo.width));
+  logo.y = Math.round(Math.min(Math.max(logo.y, safeZone), height - safeZone - logo.height));
+
+  const to = { x: logo.x, y: logo.y, width: logo.width, height: logo.height };
+  if (Object.keys(from).every(key => from[key] === to[key])) return false;
+
+  changes.push({
+    type: 'logo-safe-zone',
+    path: 'logo',
+    from,
+    to,
+    description: `Moved the logo inside the ${safeZone}px safe zone`
+  });
+  return true;
+}
+
+function layoutBox(text, box, measure, options = {}) {
+  return layoutText(text, box, {
+    measure,
+    ...(box.fontFamily ? { fontFamily: box.fontFamily } : {}),
+    ...(box.minFontSize ? { minFontSize: box.minFontSize } : {}),
+    ...options
+  });
+}
+
+/**
+ * Share of the canvas covered by the other copy layers' text
+ */
+function otherTextCoverage(scene, textLayer, canvasArea) {
+  return getTextLayers(scene)
+    .filter(layer => layer.id !== textLayer.id)
+    .reduce((sum, layer) => sum + layer.layout.bounds.width * layer.layout.bounds.height, 0) / canvasArea;
+}
+
+function coverageAt(text, box, fontSize, canvasArea, measure) {
+  const laidOut = layoutBox(text, { ...box, fontSize }, measure);
+  return { laidOut, coverage: (laidOut.bounds.width * laidOut.bounds.height) / canvasArea };
+}
+
+function fixTextCoverage(layout, scene, textLayer, maxCoverage, measure, changes) {
+  const overlay = layout.textOverlay;
+  const { width, height } = layout.dimensions;
+  const canvasArea = width * height;
+  // The headline gives up the space; the rest of the copy stays as it is
+  const target = maxCoverage * COVERAGE_MARGIN - otherTextCoverage(scene, textLayer, canvasArea);
+  const from = textLayer.layout.fontSize;
+
+  let fontSize = from;
+  while (fontSize > MIN_FONT_SIZE) {
+    fontSize = Math.max(MIN_FONT_SIZE, fontSize - FONT_STEP);
+    if (coverageAt(textLayer.text, overlay, fontSize, canvasArea, measure).coverage <= target) break;
+  }
+  if (fontSize === from) return false;
+
+  overlay.fontSize = fontSize;
+  changes.push({
+    type: 'text-coverage',
+    path: 'textOverlay.fontSize',
+    from,
+    to: fontSize,
+    description: `Reduced the text to ${fontSize}px to stay under ${Math.round(maxCoverage * 100)}% coverage`
+  });
+  return true;
+}
+
+function fixTextOverflow(layout, textLayer, safeZone, measure, changes) {
+  const overlay = layout[textLayer.id];
+  const { width, height } = layout.dimensions;
+  const from = { x: overlay.x, y: overlay.y, width: overlay.width, height: overlay.height };
+  const box = { ...overlay };
+  // Buttons keep their pill height and grow sideways
+  const widenFirst = textLayer.type === 'button';
+
+  // Grow taller first (keeps the composition), then wider, never past the safe area
+  for (let i = 0; i < 20; i++) {
+    const laidOut = layoutBox(textLayer.text, box, measure, { minFontSize: MIN_FONT_SIZE });
+    if (!laidOut.overflow) break;
+
+    const maxHeight = height - safeZone * 2;
+    const maxWidth = width - safeZone * 2;
+    if (box.height < maxHeight && !(widenFirst && box.width < maxWidth)) {
+      const grow = Math.min(maxHeight - box.height, Math.ceil(box.height * 0.15));
+      box.height += grow;
+      box.y = Math.max(safeZone, Math.min(box.y - grow / 2, height - safeZone - box.height));
+    } else if (box.width < maxWidth) {
+      const grow = Math.min(maxWidth - box.width, Math.ceil(box.width * 0.15));
+      box.width += grow;
+      box.x = Math.max(safeZone, Math.min(box.x - grow / 2, width - safeZone - box.width));
+    } else {
+      break;
+    }
+  }
+
+  const to = {
+    x: Math.round(box.x),
+    y: Math.round(box.y),
+    width: Math.round(box.width),
+    height: Math.round(box.height)
+  };
+  if (Object.keys(from).every(key => from[key] === to[key])) return false;
+
+  Object.assign(overlay, to);
+  if (textLayer.type === 'button') {
+    overlay.radius = Math.round(overlay.height / 2);
+  }
+  changes.push({
+    type: 'text-overflow',
+    path: textLayer.id,
+    from,
+    to,
+    description: `Enlarged the ${ELEMENT_NAMES[textLayer.id] || 'text'} box so the copy fits`
+  });
+  return true;
+}
+
+function fixSmallText(layout, scene, textLayer, maxCoverage, measure, changes) {
+  const box = layout[textLayer.id];
+  const minSize = MIN_TEXT_SIZES[textLayer.id] ?? MIN_TEXT_SIZES.textOverlay;
+  const { width, height } = layout.dimensions;
+  const canvasArea = width * height;
+  const from = textLayer.layout.fontSize;
+  const { laidOut, coverage } = coverageAt(textLayer.text, box, minSize, canvasArea, measure);
+
+  // Only when the larger size actually fits and doesn't trade one violation for another
+  if (laidOut.overflow || laidOut.fontSize < minSize ||
+      coverage + otherTextCoverage(scene, textLayer, canvasArea) > maxCoverage) return false;
+
+  box.fontSize = minSize;
+  changes.push({
+    type: 'small-text',
+    path: `${textLayer.id}.fontSize`,
+    from,
+    to: minSize,
+    description: `Raised the ${ELEMENT_NAMES[textLayer.id] || 'text'} to ${minSize}px for readability`
+  });
+  return true;
+}
+
+/**
+ * Apply layout fixes for a set of violations.
+ *
+ * @param {object} params
+ * @param {object} params.variant - Variant that was rendered
+ * @param {object} params.scene - Scene it was rendered from (see sceneGraph.js)
+ * @param {object[]} params.violations - Violations reported for that render
+ * @param {string} [params.tone]
+ * @param {string} [params.format]
+ * @param {object} [params.placement] - Export placement whose limits replace the format's (see platformRegistry.js)
+ * @param {function} [params.measure] - Text measurer matching the renderer (see textLayout.js)
+ * @returns {{variant: object, changes: object[]}}
+ */
+export function autoFixLayout({ variant, scene, violations, tone, format, placement = null, measure }) {
+  const layoutFormat = variant.generativeLayout?.format || format || 'square';
+  const rules = placement
+    ? { safeZone: placement.safeZone, textMaxCoverage: placement.textMaxCoverage ?? 1 }
+    : getPlatformOptimizations(layoutFormat);
+  const layout = editableLayout(variant, tone, layoutFormat);
+  const headlineLayer = getLayer(scene, 'textOverlay');
+  const types = new Set(violations.map(v => v.type));
+  const changes = [];
+
+  // Text layers (with an editable box) that have a violation of the given type
+  const flagged = (type) => {
+    const ids = new Set(violations.filter(v => v.type === type).map(v => v.layer));
+    return getTextLayers(scene).filter(layer => ids.has(layer.id) && layout[layer.id]);
+  };
+
+  // Geometry first, then size, then colour (contrast depends on the final font size)
+  if (types.has('logo-safe-zone')) {
+    fixLogoSafeZone(layout, rules.safeZone, changes);
+  }
+  for (const textLayer of flagged('text-overflow')) {
+    fixTextOverflow(layout, textLayer, rules.safeZone, measure, changes);
+  }
+  if (types.has('text-coverage') && headlineLayer) {
+    fixTextCoverage(layout, scene, headlineLayer, rules.textMaxCoverage, measure, changes);
+  } else {
+    for (const textLayer of flagged('small-text')) {
+      fixSmallText(layout, scene, textLayer, rules.textMaxCoverage, measure, changes);
+    }
+  }
+  stackCopyElements(layout);
+
+  // Headline, subline and legal text share a backdrop and are recoloured together
+  const lowContrast = flagged('low-contrast');
+  if (lowContrast.some(layer => SHARED_BACKDROP.includes(layer.id))) {
+    const shared = getTextLayers(scene).filter(layer => SHARED_BACKDROP.includes(layer.id) && layout[layer.id]);
+    fixContrast(layout, shared, changes);
+  }
+  const button = lowContrast.find(layer => layer.id === 'cta');
+  if (button) {
+    fixContrast(layout, [button], changes);
+  }
+
+  // Anything else (e.g. Amazon product coverage) needs a different asset, not a layout tweak
+  return {
+    variant: { ...variant, generativeLayout: layout },
+    changes
+  };
+}
+
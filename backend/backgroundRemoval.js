@@ -0,0 +1,235 @@
+/**
+ * Background Removal
+ * Offline, CPU-only segmentation used when the remove.bg API is not configured.
+ * - Estimates the background colours from the image border (colours found
+ *   on one or two sides only belong to a subject touching the edge)
+ * - Flood-fills the background inwards, stopping at strong edges
+ * - Soft-mattes the boundary so the cut-out has anti-aliased edges
+ * - Keeps the source's own transparency on top of the computed mask
+ */
+
+import sharp from 'sharp';
+
+// Longest side the mask is computed at; the mask is upscaled afterwards
+const WORKING_SIZE = 1024;
+
+const DEFAULT_OPTIONS = {
+  tolerance: 38,       // RGB distance (0-441) still considered background
+  edgeThreshold: 90,   // Sobel magnitude that stops the flood fill
+  featherSigma: 0.8,   // Blur applied to the final alpha mask
+  maxClusters: 4,      // Background colours sampled from the border
+  minBorderSides: 3    // Sides of the border a background colour must appear on
+};
+
+function colorDistance(r1, g1, b1, r2, g2, b2) {
+  const dr = r1 - r2;
+  const dg = g1 - g2;
+  const db = b1 - b2;
+  return Math.sqrt(dr * dr + dg * dg + db * db);
+}
+
+/**
+ * Find the dominant colours along the image border
+ */
+function sampleBorderColors(data, width, height, maxClusters, minBorderSides) {
+  const buckets = new Map();
+  let total = 0;
+
+  // `side` is a bit per border side (top, bottom, left, right)
+  const add = (x, y, side) => {
+    const i = (y * width + x) * 4;
+    if (data[i + 3] < 16) return; // Already transparent
+    const key = ((data[i] >> 4) << 8) | ((data[i + 1] >> 4) << 4) | (data[i + 2] >> 4);
+    const bucket = buckets.get(key) || { r: 0, g: 0, b: 0, count: 0, sides: 0 };
+    bucket.r += data[i];
+    bucket.g += data[i + 1];
+    bucket.b += data[i + 2];
+    bucket.count++;
+    bucket.sides |= side;
+    buckets.set(key, bucket);
+    total++;
+  };
+
+  for (let x = 0; x < width; x++) {
+    add(x, 0, 1);
+    add(x, height - 1, 2);
+  }
+  for (let y = 0; y < height; y++) {
+    add(0, y, 4);
+    add(width - 1, y, 8);
+  }
+
+  const sideCount = sides => (sides & 1) + ((sides >> 1) & 1) + ((sides >> 2) & 1) + ((sides >> 3) & 1);
+  return [...buckets.values()]
+    .filter(b => b.count >= total * 0.05 && sideCount(b.sides) >= minBorderSides)
+    .sort((a, b) => b.count - a.count)
+    .slice(0, maxClusters)
+    .map(b => ({
+      r: b.r / b.count,
+      g: b.g / b.count,
+      b: b.b / b.count,
+      share: b.count / total
+    }));
+}
+
+/**
+ * Sobel gradient magnitude on luminance
+ */
+function edgeMagnitude(data, width, height) {
+  const lum = new Float32Array(width * height);
+  for (let p = 0; p < width * height; p++) {
+    lum[p] = 0.299 * data[p * 4] + 0.587 * data[p * 4 + 1] + 0.114 * data[p * 4 + 2];
+  }
+
+  const magnitude = new Float32Array(width * height);
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const p = y * width + x;
+      const gx = -lum[p - width - 1] - 2 * lum[p - 1] - lum[p + width - 1]
+        + lum[p - width + 1] + 2 * lum[p + 1] + lum[p + width + 1];
+      const gy = -lum[p - width - 1] - 2 * lum[p - width] - lum[p - width + 1]
+        + lum[p + width - 1] + 2 * lum[p + width] + lum[p + width + 1];
+      magnitude[p] = Math.sqrt(gx * gx + gy * gy) / 4;
+    }
+  }
+  return magnitude;
+}
+
+/**
+ * Compute an alpha mask (0 = background, 255 = foreground) for raw RGBA pixels
+ */
+export function computeForegroundMask(data, width, height, options = {}) {
+  const { tolerance, edgeThreshold, maxClusters, minBorderSides } = { ...DEFAULT_OPTIONS, ...options };
+  const pixelCount = width * height;
+  const bgColors = sampleBorderColors(data, width, height, maxClusters, minBorderSides);
+  const edges = edgeMagnitude(data, width, height);
+
+  // Distance of every pixel to its nearest background colour
+  const distance = new Float32Array(pixelCount);
+  for (let p = 0; p < pixelCount; p++) {
+    const i = p * 4;
+    let best = Infinity;
+    for (const c of bgColors) {
+      best = Math.min(best, colorDistance(data[i], data[i + 1], data[i + 2], c.r, c.g, c.b));
+    }
+    distance[p] = data[i + 3] < 16 ? 0 : best;
+  }
+
+  // Flood fill the background from every border pixel
+  const background = new Uint8Array(pixelCount);
+  const queue = new Int32Array(pixelCount);
+  let head = 0;
+  let tail = 0;
+  const isBackground = (p) => distance[p] <= tolerance && edges[p] <= edgeThreshold;
+  const seed = (p) => {
+    if (!background[p] && isBackground(p)) {
+      background[p] = 1;
+      queue[tail++] = p;
+    }
+  };
+
+  for (let x = 0; x < width; x++) {
+    seed(x);
+    seed((height - 1) * width + x);
+  }
+  for (let y = 0; y < height; y++) {
+    seed(y * width);
+    seed(y * width + width - 1);
+  }
+
+  while (head < tail) {
+    const p = queue[head++];
+    const x = p % width;
+    if (x > 0) seed(p - 1);
+    if (x < width - 1) seed(p + 1);
+    if (p >= width) seed(p - width);
+    if (p < pixelCount - width) seed(p + width);
+  }
+
+  // Hard mask with a soft matte on the boundary: foreground pixels touching the
+  // background get partial alpha proportional to how far they are from it
+  const mask = new Uint8Array(pixelCount);
+  let foreground = 0;
+  for (let p = 0; p < pixelCount; p++) {
+    if (background[p]) continue;
+    const x = p % width;
+    const onBoundary = (x > 0 && background[p - 1]) || (x < width - 1 && background[p + 1]) ||
+      (p >= width && background[p - width]) || (p < pixelCount - width && background[p + width]);
+    const alpha = onBoundary
+      ? Math.min(1, Math.max(0, (distance[p] - tolerance * 0.5) / tolerance))
+      : 1;
+    mask[p] = Math.round(alpha * 255);
+    foreground++;
+  }
+
+  return {
+    mask,
+    foregroundRatio: foreground / pixelCount,
+    backgroundColors: bgColors
+  };
+}
+
+/**
+ * Final alpha of a cut-out: the mask scaled by the source's own alpha, so
+ * areas that were already transparent stay transparent
+ */
+export function combineAlpha(pixels, mask) {
+  const alpha = Buffer.alloc(mask.length);
+  for (let p = 0; p < mask.length; p++) {
+    alpha[p] = Math.round((pixels[p * 4 + 3] * mask[p]) / 255);
+  }
+  return alpha;
+}
+
+/**
+ * Remove the background from an image file or buffer.
+ * Resolves to a PNG buffer with a real alpha channel.
+ */
+export async function removeBackgroundLocally(input, options = {}) {
+  const { featherSigma } = { ...DEFAULT_OPTIONS, ...options };
+
+  // rotate() applies EXIF orientation so the mask lines up with what is displayed
+  const { data: pixels, info } = await sharp(input)
+    .rotate()
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const { width, height } = info;
+  const raw = { width, height, channels: 4 };
+
+  const scale = Math.min(1, WORKING_SIZE / Math.max(width, height));
+  const workWidth = Math.max(1, Math.round(width * scale));
+  const workHeight = Math.max(1, Math.round(height * scale));
+
+  const data = scale < 1
+    ? await sharp(pixels, { raw }).resize(workWidth, workHeight, { fit: 'fill' }).raw().toBuffer()
+    : pixels;
+
+  const { mask, foregroundRatio, backgroundColors } = computeForegroundMask(data, workWidth, workHeight, options);
+
+  // Nothing or everything was background: the subject fills the frame or the
+  // border is too busy to key out. Keep the image opaque rather than destroy it.
+  const confident = foregroundRatio > 0.01 && foregroundRatio < 0.99;
+  const workAlpha = confident ? Buffer.from(mask) : Buffer.alloc(workWidth * workHeight, 255);
+
+  let alphaImage = sharp(workAlpha, { raw: { width: workWidth, height: workHeight, channels: 1 } })
+    .resize(width, height, { fit: 'fill' });
+  if (featherSigma > 0.3) {
+    alphaImage = alphaImage.blur(featherSigma);
+  }
+  const alpha = combineAlpha(pixels, await alphaImage.raw().toBuffer());
+
+  const buffer = await sharp(pixels, { raw })
+    .removeAlpha()
+    .joinChannel(alpha, { raw: { width, height, channels: 1 } })
+    .png()
+    .toBuffer();
+
+  return {
+    buffer,
+    method: 'local-segmentation',
+    confident,
+    foregroundRatio,
+    backgroundColors
+  };
+}
@@ -0,0 +1,150 @@
+/**
+ * Brand Store
+ * Brand kits persisted as JSON files next to the projects. A kit holds the
+ * brand's colour palette, uploaded typefaces, primary and secondary logo
+ * lockups and preferred tones; the design engine uses it in place of the
+ * tone defaults.
+ *
+ * Font files live in <dataDir>/brands/fonts; logos are regular uploads.
+ */
+
+import { randomUUID } from 'crypto';
+import { join } from 'path';
+import fs from 'fs/promises';
+import { createJsonFileStore } from './jsonFileStore.js';
+
+export const PALETTE_ROLES = ['background', 'accent', 'text'];
+export const LOGO_SLOTS = ['primary', 'secondary'];
+export const FONT_ROLES = ['heading', 'body'];
+export const BRAND_TONES = ['neutral', 'bold', 'playful', 'premium'];
+
+const MAX_COLORS_PER_ROLE = 5;
+const HEX_COLOR = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+const store = createJsonFileStore('Brand');
+let fontsDir = null;
+
+/**
+ * Point the store at a data directory and make sure it exists
+ */
+export async function initBrandStore(dataDir) {
+  await store.init(join(dataDir, 'brands'));
+  fontsDir = join(dataDir, 'brands', 'fonts');
+  await fs.mkdir(fontsDir, { recursive: true });
+}
+
+export function getBrandFontsDir() {
+  if (!fontsDir) {
+    throw new Error('Brand store not initialised');
+  }
+  return fontsDir;
+}
+
+/**
+ * Keep only valid hex colours, per palette role
+ */
+export function normalizePalette(palette = {}) {
+  const normalized = {};
+  for (const role of PALETTE_ROLES) {
+    const colors = Array.isArray(palette[role]) ? palette[role] : [];
+    normalized[role] = colors
+      .filter(color => HEX_COLOR.test(String(color)))
+      .map(color => color.toLowerCase())
+      .slice(0, MAX_COLORS_PER_ROLE);
+  }
+  return normalized;
+}
+
+function normalizeTones(tones = []) {
+  return Array.isArray(tones) ? tones.filter(tone => BRAND_TONES.includes(tone)) : [];
+}
+
+/**
+ * All brand kits, alphabetically
+ */
+export async function listBrands() {
+  const brands = await store.readAll();
+  return brands.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+export function getBrand(id) {
+  return store.read(id);
+}
+
+export async function createBrand({ name, palette, tones } = {}) {
+  const now = new Date().toISOString();
+  const brand = {
+    id: randomUUID(),
+    name: name || 'Untitled brand',
+    palette: normalizePalette(palette),
+    fonts: [],
+    logos: { primary: null, secondary: null },
+    tones: normalizeTones(tones),
+    createdAt: now,
+    updatedAt: now
+  };
+  await store.write(brand);
+  return brand;
+}
+
+/**
+ * Update name, palette and preferred tones; fonts and logos have their own calls
+ */
+export function updateBrand(id, patch = {}) {
+  return store.mutate(id, (brand) => {
+    if (patch.name !== undefined) brand.name = patch.name || brand.name;
+    if (patch.palette !== undefined) brand.palette = normalizePalette({ ...brand.palette, ...patch.palette });
+    if (patch.tones !== undefined) brand.tones = normalizeTones(patch.tones);
+  });
+}
+
+/**
+ * Delete a kit; resolves to the deleted kit so its files can be cleaned up
+ */
+export async function deleteBrand(id) {
+  const brand = await store.read(id);
+  if (!brand) return null;
+  await store.remove(id);
+  return brand;
+}
+
+/**
+ * Record an uploaded font file ({ family, weight, style, role, file, originalName })
+ */
+export function addBrandFont(id, font) {
+  return store.mutate(id, (brand) => {
+    brand.fonts.push({
+      id: randomUUID(),
+      family: font.family,
+      weight: font.weight || 'normal',
+      style: font.style || 'normal',
+      role: FONT_ROLES.includes(font.role) ? font.role : 'heading',
+      file: font.file,
+      originalName: font.originalName
+    });
+  });
+}
+
+/**
+ * Remove a font; resolves to { brand, font } (font is null when not found)
+ */
+export async function removeBrandFont(id, fontId) {
+  let removed = null;
+  const brand = await store.mutate(id, (doc) => {
+    removed = doc.fonts.find(font => font.id === fontId) || null;
+    doc.fonts = doc.fonts.filter(font => font.id !== fontId);
+  });
+  return { brand, font: removed };
+}
+
+/**
+ * Set or clear a logo slot; resolves to { brand, previous }
+ */
+export async function setBrandLogo(id, slot, logo) {
+  let previous = null;
+  const brand = await store.mutate(id, (doc) => {
+    previous = doc.logos[slot] || null;
+    doc.logos[slot] = logo;
+  });
+  return { brand, previous };
+}
@@ -0,0 +1,68 @@
+/**
+ * Colour Utilities
+ * WCAG luminance/contrast maths and colour parsing shared by the design
+ * engine, compliance checks and auto-fix.
+ */
+
+export function luminance(r, g, b) {
+  const [rs, gs, bs] = [r, g, b].map(v => {
+    v /= 255;
+    return v <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * rs + 0.7152 * gs + 0.0722 * bs;
+}
+
+export function contrastRatio(l1, l2) {
+  const L1 = Math.max(l1, l2);
+  const L2 = Math.min(l1, l2);
+  return (L1 + 0.05) / (L2 + 0.05);
+}
+
+/**
+ * Parse '#rgb', '#rrggbb', 'rgb()' or 'rgba()' into {r, g, b, a}
+ */
+export function parseColor(color) {
+  const value = String(color || '').trim();
+  let match = value.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+  if (match) {
+    const hex = match[1].length === 3
+      ? match[1].split('').map(c => c + c).join('')
+      : match[1];
+    return {
+      r: parseInt(hex.slice(0, 2), 16),
+      g: parseInt(hex.slice(2, 4), 16),
+      b: parseInt(hex.slice(4, 6), 16),
+      a: 1
+    };
+  }
+
+  match = value.match(/^rgba?\(([^)]+)\)$/i);
+  if (match) {
+    const [r, g, b, a = 1] = match[1].split(',').map(part => parseFloat(part));
+    return { r, g, b, a };
+  }
+
+  return { r: 255, g: 255, b: 255, a: 1 };
+}
+
+/**
+ * Contrast ratio between two {r, g, b} colours
+ */
+export function colorContrast(c1, c2) {
+  return contrastRatio(luminance(c1.r, c1.g, c1.b), luminance(c2.r, c2.g, c2.b));
+}
+
+/**
+ * Alpha-composite {r, g, b, a} over an opaque {r, g, b}
+ */
+export function compositeOver(top, bottom) {
+  return {
+    r: top.r * top.a + bottom.r * (1 - top.a),
+    g: top.g * top.a + bottom.g * (1 - top.a),
+    b: top.b * top.a + bottom.b * (1 - top.a)
+  };
+}
+
+export function formatRgba({ r, g, b, a = 1 }) {
+  return `rgba(${Math.round(r)},${Math.round(g)},${Math.round(b)},${Math.round(a * 100) / 100})`;
+}
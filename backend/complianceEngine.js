@@ -0,0 +1,361 @@
+/**
+ * Compliance Engine
+ * Checks a rendered creative against brand and platform rules using the
+ * geometry of the scene that produced it and the pixels actually rendered:
+ * - Per-glyph WCAG contrast against the pixels under each character, for every
+ *   text layer (headline, subline, CTA button, legal line)
+ * - Text coverage against the format's limit (all copy combined)
+ * - Logo distance from the canvas edge (safe zone)
+ * - Product coverage, for placements that set a minimum (Amazon main images: 85%)
+ * - Minimum readable text size
+ * - Copy claims (superlatives, urgency, unbacked prices, ...; see copyLint.js)
+ *   when the brief's tone and product metadata are given
+ *
+ * An export placement (see platformRegistry.js) replaces the format's safe
+ * zone and text coverage limit with its own.
+ *
+ * Every violation carries a `bbox` ({x, y, width, height} in canvas pixels)
+ * so the UI can highlight the offending area.
+ *
+ * Checks run on raw RGBA buffers decoded with sharp, so they behave the same
+ * whichever renderer (Canvas or Sharp/SVG) produced the PNG.
+ */
+
+import sharp from 'sharp';
+import { getPlatformOptimizations } from './generativeDesignEngine.js';
+import { luminance, contrastRatio, parseColor } from './colorUtils.js';
+import { estimateTextWidth } from './textLayout.js';
+import { getLayer, getTextLayers } from './sceneGraph.js';
+import { lintCopy } from './copyLint.js';
+
+const MIN_CONTRAST_RATIO = 4.5;       // WCAG AA, normal text
+const MIN_CONTRAST_RATIO_LARGE = 3.0; // WCAG AA, large text
+const MIN_TEXT_SIZE = 24;             // Minimum readable headline size (px)
+
+// Minimum readable size per copy element; secondary copy is allowed to be smaller
+export const MIN_TEXT_SIZES = {
+  textOverlay: MIN_TEXT_SIZE,
+  subline: 18,
+  cta: 18,
+  legal: 12
+};
+
+// How each copy layer is named in messages
+const TEXT_LAYER_LABELS = {
+  textOverlay: 'Text',
+  subline: 'Subline',
+  cta: 'Button label',
+  legal: 'Legal text'
+};
+
+function textLabel(textLayer) {
+  return TEXT_LAYER_LABELS[textLayer.id] || 'Text';
+}
+
+// Pixels this close to the text colour are treated as glyph, not background
+const GLYPH_COLOR_DISTANCE = 60;
+
+export function isLargeText(fontSize, fontWeight) {
+  return fontSize >= 24 || (fontSize >= 18.66 && fontWeight >= 700);
+}
+
+function clampRect(rect, width, height) {
+  const x = Math.max(0, Math.floor(rect.x));
+  const y = Math.max(0, Math.floor(rect.y));
+  return {
+    x,
+    y,
+    width: Math.max(0, Math.min(width, Math.ceil(rect.x + rect.width)) - x),
+    height: Math.max(0, Math.min(height, Math.ceil(rect.y + rect.height)) - y)
+  };
+}
+
+function unionRects(rects) {
+  const x = Math.min(...rects.map(r => r.x));
+  const y = Math.min(...rects.map(r => r.y));
+  return {
+    x,
+    y,
+    width: Math.max(...rects.map(r => r.x + r.width)) - x,
+    height: Math.max(...rects.map(r => r.y + r.height)) - y
+  };
+}
+
+function roundRect(rect) {
+  return {
+    x: Math.round(rect.x),
+    y: Math.round(rect.y),
+    width: Math.round(rect.width),
+    height: Math.round(rect.height)
+  };
+}
+
+/**
+ * Character boxes for every laid-out line of a text layer.
+ * Advances are estimated per character and scaled to the measured line width.
+ */
+export function getGlyphBoxes(textLayer) {
+  const { layout } = textLayer;
+  const boxes = [];
+
+  for (const line of layout.lines) {
+    const chars = [...line.text];
+    const advances = chars.map(char => estimateTextWidth(char, layout.fontSize, layout.fontWeight));
+    const estimated = advances.reduce((sum, w) => sum + w, 0) || 1;
+    const scale = line.width / estimated;
+    let cursor = line.left;
+
+    chars.forEach((char, i) => {
+      const advance = advances[i] * scale;
+      if (char.trim()) {
+        boxes.push({
+          char,
+          x: cursor,
+          y: line.y - layout.fontSize / 2,
+          width: advance,
+          height: layout.fontSize
+        });
+      }
+      cursor += advance;
+    });
+  }
+
+  return boxes;
+}
+
+/**
+ * Average background colour under a glyph box.
+ * With a backdrop render (same scene, glyphs skipped) every pixel counts;
+ * otherwise pixels that look like the glyph itself are excluded.
+ */
+function sampleBackground(pixels, backdropPixels, width, rect, textColor) {
+  const source = backdropPixels || pixels;
+  let r = 0, g = 0, b = 0, count = 0;
+
+  for (let y = rect.y; y < rect.y + rect.height; y++) {
+    for (let x = rect.x; x < rect.x + rect.width; x++) {
+      const i = (y * width + x) * 4;
+      if (!backdropPixels) {
+        const dr = source[i] - textColor.r;
+        const dg = source[i + 1] - textColor.g;
+        const db = source[i + 2] - textColor.b;
+        if (Math.sqrt(dr * dr + dg * dg + db * db) < GLYPH_COLOR_DISTANCE) continue;
+      }
+      r += source[i];
+      g += source[i + 1];
+      b += source[i + 2];
+      count++;
+    }
+  }
+
+  if (count === 0) return null;
+  return { r: r / count, g: g / count, b: b / count };
+}
+
+function checkTextContrast({ pixels, backdropPixels, width, height, textLayer }) {
+  const { layout } = textLayer;
+  const textColor = parseColor(textLayer.color);
+  const textLum = luminance(textColor.r, textColor.g, textColor.b);
+  const minRatio = isLargeText(layout.fontSize, layout.fontWeight)
+    ? MIN_CONTRAST_RATIO_LARGE
+    : MIN_CONTRAST_RATIO;
+
+  const glyphs = getGlyphBoxes(textLayer);
+  const failing = [];
+  let worstRatio = Infinity;
+
+  for (const glyph of glyphs) {
+    const rect = clampRect(glyph, width, height);
+    if (rect.width === 0 || rect.height === 0) continue;
+    const bg = sampleBackground(pixels, backdropPixels, width, rect, textColor);
+    if (!bg) continue;
+
+    const ratio = contrastRatio(luminance(bg.r, bg.g, bg.b), textLum);
+    worstRatio = Math.min(worstRatio, ratio);
+    if (ratio < minRatio) {
+      failing.push(rect);
+    }
+  }
+
+  const violations = [];
+  if (failing.length > 0) {
+    violations.push({
+      type: 'low-contrast',
+      severity: 'high',
+      message: `${textLabel(textLayer)} contrast too low on ${failing.length} of ${glyphs.length} characters (worst ratio ${worstRatio.toFixed(1)}, minimum ${minRatio} required)`,
+      standard: 'WCAG AA',
+      fixable: true,
+      layer: textLayer.id,
+      ratio: Number(worstRatio.toFixed(2)),
+      required: minRatio,
+      bbox: roundRect(unionRects(failing))
+    });
+  }
+
+  return {
+    violations,
+    minContrast: Number.isFinite(worstRatio) ? Number(worstRatio.toFixed(2)) : null
+  };
+}
+
+/**
+ * Run all compliance checks for a rendered scene.
+ *
+ * @param {object} params
+ * @param {Uint8Array|Buffer} params.pixels - RGBA pixels of the final render
+ * @param {Uint8Array|Buffer} [params.backdropPixels] - RGBA pixels of the same scene rendered without glyphs
+ * @param {object} params.scene - Scene the pixels were rendered from (see sceneGraph.js)
+ * @param {string} [params.format] - Layout format for coverage/safe-zone rules
+ * @param {object} [params.placement] - Export placement from the platform registry
+ * @param {object} [params.copy] - { tone, metadata } to lint the copy against
+ * @returns {{violations: object[], metrics: object}}
+ */
+export function runComplianceChecks({ pixels, backdropPixels = null, scene, format = 'square', placement = null, copy = null }) {
+  const { width, height } = scene;
+  const canvasArea = width * height;
+  const rules = placement
+    ? { safeZone: placement.safeZone, textMaxCoverage: placement.textMaxCoverage, minProductCoverage: placement.minProductCoverage }
+    : getPlatformOptimizations(format);
+  const target = placement ? `${placement.networkName} ${placement.name}` : format;
+  const violations = [];
+  const metrics = {};
+
+  const textLayers = getTextLayers(scene).filter(layer => layer.layout.lines.length > 0);
+  if (textLayers.length > 0) {
+    // 1. Contrast (WCAG AA), per glyph of every text layer
+    const contrasts = textLayers.map(textLayer => {
+      const contrast = checkTextContrast({ pixels, backdropPixels, width, height, textLayer });
+      violations.push(...contrast.violations);
+      return contrast.minContrast;
+    }).filter(ratio => ratio !== null);
+    metrics.minContrast = contrasts.length ? Math.min(...contrasts) : null;
+
+    // 2. Text coverage: area actually occupied by the laid-out copy
+    const allBounds = textLayers.map(layer => layer.layout.bounds);
+    const textArea = allBounds.reduce((sum, b) => sum + b.width * b.height, 0);
+    metrics.textCoverage = Number((textArea / canvasArea).toFixed(3));
+    if (rules.textMaxCoverage != null && metrics.textCoverage > rules.textMaxCoverage) {
+      violations.push({
+        type: 'text-coverage',
+        severity: 'high',
+        message: `Text covers ${(metrics.textCoverage * 100).toFixed(1)}% of the creative (maximum ${(rules.textMaxCoverage * 100).toFixed(0)}% for ${target})`,
+        fixable: true,
+        layer: textLayers[0].id,
+        bbox: roundRect(unionRects(allBounds))
+      });
+    }
+
+    // 3. Readable text size, per element
+    for (const textLayer of textLayers) {
+      const minSize = MIN_TEXT_SIZES[textLayer.id] ?? MIN_TEXT_SIZE;
+      if (textLayer.layout.fontSize < minSize) {
+        violations.push({
+          type: 'small-text',
+          severity: 'low',
+          message: `${textLabel(textLayer)} is ${textLayer.layout.fontSize}px; at least ${minSize}px is recommended for readability`,
+          fixable: true,
+          layer: textLayer.id,
+          bbox: textLayer.layout.bounds
+        });
+      }
+    }
+
+    // 4. Copy claims; the wording has to change, so these aren't auto-fixable
+    if (copy) {
+      for (const textLayer of textLayers) {
+        for (const finding of lintCopy(textLayer.text, copy)) {
+          violations.push({
+            ...finding,
+            message: `${textLabel(textLayer)}: ${finding.message}`,
+            fixable: false,
+            layer: textLayer.id,
+            bbox: textLayer.layout.bounds
+          });
+        }
+      }
+    }
+  }
+
+  // 5. Logo safe zone: distance from the nearest canvas edge
+  const logoLayer = getLayer(scene, 'logo');
+  if (logoLayer) {
+    const logoRect = logoLayer.placed || logoLayer;
+    const distance = Math.min(
+      logoRect.x,
+      logoRect.y,
+      width - (logoRect.x + logoRect.width),
+      height - (logoRect.y + logoRect.height)
+    );
+    metrics.logoSafeDistance = Math.round(distance);
+    if (distance < rules.safeZone) {
+      violations.push({
+        type: 'logo-safe-zone',
+        severity: 'medium',
+        message: `Logo is ${Math.max(0, Math.round(distance))}px from the edge. Minimum ${rules.safeZone}px safe zone required.`,
+        fixable: true,
+        layer: logoLayer.id,
+        bbox: roundRect(logoRect)
+      });
+    }
+  }
+
+  // 6. Product coverage, where the placement sets a minimum (Amazon main images);
+  // a cut-out counts only the area its visible pixels cover, not its transparent margins
+  const productLayer = getLayer(scene, 'mainAsset');
+  if (productLayer) {
+    const productRect = clampRect(productLayer.content || productLayer.placed || productLayer, width, height);
+    metrics.productCoverage = Number(((productRect.width * productRect.height) / canvasArea).toFixed(3));
+    if (rules.minProductCoverage && metrics.productCoverage < rules.minProductCoverage) {
+      violations.push({
+        type: 'platform-compliance',
+        severity: 'high',
+        platform: placement.networkName,
+        message: `Product covers ${(metrics.productCoverage * 100).toFixed(0)}% of the creative; ${placement.networkName} requires at least ${rules.minProductCoverage * 100}% for ${placement.name}`,
+        fixable: false,
+        layer: productLayer.id,
+        bbox: productRect
+      });
+    }
+  }
+
+  return { violations, metrics };
+}
+
+/**
+ * Decode an encoded image (PNG, JPEG, ...) to raw RGBA pixels
+ */
+export async function decodeRgba(image) {
+  const { data, info } = await sharp(image)
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return { pixels: data, width: info.width, height: info.height };
+}
+
+/**
+ * Run compliance checks on rendered image buffers.
+ *
+ * @param {object} params
+ * @param {Buffer} params.image - Final render (any format sharp can read)
+ * @param {Buffer} [params.backdropImage] - Same scene rendered without glyphs
+ * @param {object} params.scene
+ * @param {string} [params.format]
+ * @param {object} [params.placement]
+ * @param {object} [params.copy] - { tone, metadata } for copy linting
+ */
+export async function checkRenderedImage({ image, backdropImage = null, scene, format, placement, copy }) {
+  const decoded = await decodeRgba(image);
+  if (decoded.width !== scene.width || decoded.height !== scene.height) {
+    throw new Error(`Rendered image is ${decoded.width}x${decoded.height} but the scene is ${scene.width}x${scene.height}`);
+  }
+  const backdrop = backdropImage ? await decodeRgba(backdropImage) : null;
+
+  return runComplianceChecks({
+    pixels: decoded.pixels,
+    backdropPixels: backdrop ? backdrop.pixels : null,
+    scene,
+    format,
+    placement,
+    copy
+  });
+}
@@ -0,0 +1,132 @@
+/**
+ * Copy Lint
+ * Flags banner copy that retail legal teams push back on. Runs on every
+ * rendered text layer (see runComplianceChecks) and on generated copy:
+ * - superlative:       "best", "cheapest", "#1", ... (needs substantiation)
+ * - unsupported-claim: guarantees, "risk-free", customer counts, "proven"
+ * - urgency:           deadlines without an end date, scarcity claims
+ * - price-claim:       savings or sale wording without a price or discount,
+ *                      percentages that don't match the product's discount
+ * - caps:              mostly capitals outside the bold tone
+ * - emoji:             emoji in premium-tone copy
+ *
+ * Phrase rules are English; the caps, emoji and percentage checks apply to
+ * every language.
+ */
+
+export const COPY_LINT_RULES = {
+  superlative: {
+    severity: 'medium',
+    patterns: [
+      /\b(best|cheapest|lowest|greatest|finest|fastest|biggest)\b/i,
+      /#1\b|\bno\.?\s?1\b|\bnumber one\b/i,
+      /\b(unbeatable|unmatched|unrivall?ed|world'?s)\b/i
+    ],
+    message: (match) => `"${match}" is a superlative claim that has to be substantiated`
+  },
+  'unsupported-claim': {
+    severity: 'high',
+    patterns: [
+      /\brisk[- ]free\b|\bno risk\b/i,
+      /\bguarantee(d|s)?\b/i,
+      /\b(clinically )?proven\b/i,
+      /\b(thousands|millions) of\b[^.!?]*\bcustomers\b|\bhappy customers\b/i,
+      /\btrusted by\b|\baward[- ]winning\b/i
+    ],
+    message: (match) => `"${match}" is a claim the product data can't back up`
+  },
+  urgency: {
+    severity: 'medium',
+    patterns: [
+      /\b(limited time|today only|last chance|act (fast|now)|hurry|ends soon|ending soon|now or never|flash sale)\b/i,
+      /\bdon'?t (miss|wait)\b/i
+    ],
+    // Deadlines are fine when the promotion has an end date
+    substantiatedBy: (metadata) => !!metadata.endDate,
+    message: (match) => `"${match}" implies a deadline, but the product has no promotion end date`
+  },
+  scarcity: {
+    severity: 'medium',
+    patterns: [
+      /\b(limited stock|low stock|selling fast|almost gone|(only )?a few left)\b/i
+    ],
+    message: (match) => `"${match}" is a stock claim the product data can't back up`
+  },
+  'price-claim': {
+    severity: 'high',
+    patterns: [
+      /\b(save|savings|discounts?|sale|deals?|bargains?|clearance|half price|price drop)\b/i,
+      /\bspecial pric(e|ing)\b|\blow prices?\b/i
+    ],
+    substantiatedBy: (metadata) => typeof metadata.price === 'number' || metadata.discount > 0,
+    message: (match) => `"${match}" is a price claim, but the product has no price or discount`
+  }
+};
+
+// Share of capital letters above which copy counts as shouting
+const MAX_CAPS_RATIO = 0.6;
+const MIN_CAPS_LETTERS = 8;
+
+const EMOJI_PATTERN = /\p{Extended_Pictographic}/gu;
+const PERCENT_PATTERN = /(\d+(?:[.,]\d+)?)\s?%/g;
+
+/**
+ * Lint one piece of copy.
+ *
+ * @param {string} text
+ * @param {object} options
+ * @param {string} options.tone - Brand tone; decides the caps and emoji rules
+ * @param {object} options.metadata - Normalised product metadata (see productMetadata.js)
+ * @returns {{type: string, rule: string, severity: string, message: string, match: string}[]}
+ */
+export function lintCopy(text, { tone = 'neutral', metadata = {} } = {}) {
+  const copy = String(text || '');
+  const findings = [];
+  const flag = (rule, severity, message, match) => {
+    findings.push({ type: `copy-${rule}`, rule, severity, message, match });
+  };
+
+  for (const [rule, { severity, patterns, substantiatedBy, message }] of Object.entries(COPY_LINT_RULES)) {
+    if (substantiatedBy && substantiatedBy(metadata)) continue;
+    for (const pattern of patterns) {
+      const match = copy.match(pattern);
+      if (match) {
+        flag(rule, severity, message(match[0]), match[0]);
+        break; // One finding per rule is enough
+      }
+    }
+  }
+
+  // Percentages must be the product's own discount
+  const discount = metadata.discount > 0 ? String(metadata.discount) : null;
+  for (const [match, value] of copy.matchAll(PERCENT_PATTERN)) {
+    if (value.replace(',', '.') !== discount) {
+      flag('price-claim', 'high', discount
+        ? `"${match}" doesn't match the product's ${discount}% discount`
+        : `"${match}" is a discount the product data doesn't have`, match);
+    }
+  }
+
+  const letters = copy.match(/\p{L}/gu) || [];
+  const capitals = copy.match(/\p{Lu}/gu) || [];
+  if (tone !== 'bold' && capitals.length >= MIN_CAPS_LETTERS && capitals.length / letters.length > MAX_CAPS_RATIO) {
+    flag('caps', 'low', 'Mostly capital letters; only the bold tone uses all caps', copy);
+  }
+
+  const emoji = copy.match(EMOJI_PATTERN);
+  if (tone === 'premium' && emoji) {
+    flag('emoji', 'low', `Emoji (${emoji.join(' ')}) don't suit the premium tone`, emoji.join(''));
+  }
+
+  return findings;
+}
+
+/**
+ * Lint structured copy ({headline, subline, cta, legal}); each finding names
+ * the element it came from
+ */
+export function lintCopyElements(copy, options) {
+  return Object.entries(copy)
+    .filter(([, text]) => typeof text === 'string' && text)
+    .flatMap(([element, text]) => lintCopy(text, options).map(finding => ({ ...finding, element })));
+}
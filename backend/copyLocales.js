@@ -0,0 +1,471 @@
+/**
+ * Copy Locales
+ * Supported copy languages and their translated template banks. English copy
+ * lives in aiQuoteGenerator.js; the banks here mirror its structure:
+ * - quotes:   headlines by tone and objective
+ * - sublines: supporting lines by objective
+ * - ctas:     button labels by tone, for conversion and sales
+ * - legal:    small print by objective
+ *
+ * Templates use the same slots as the English ones ({product}, {price}, ...).
+ * There is no translated AI-themed bank; tech products get the standard lines.
+ *
+ * A locale is a BCP 47 tag: the language picks the bank and the text
+ * direction, the full tag (e.g. "es-MX") formats prices and dates. A bare
+ * language ("hi") formats with its default region.
+ */
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// locale: default formatting locale; null formats by the product's currency
+export const COPY_LANGUAGES = {
+  en: { name: 'English', direction: 'ltr', locale: null },
+  hi: { name: 'Hindi', direction: 'ltr', locale: 'hi-IN' },
+  es: { name: 'Spanish', direction: 'ltr', locale: 'es-ES' },
+  ar: { name: 'Arabic', direction: 'rtl', locale: 'ar-AE' }
+};
+
+export const TRANSLATED_COPY = {
+  hi: {
+    quotes: {
+      neutral: {
+        awareness: [
+          "नया क्या है, देखिए",
+          "हमारा नया कलेक्शन देखें",
+          "क्वालिटी और डिज़ाइन एक साथ",
+          "फ़र्क़ महसूस कीजिए",
+          "पेश है नया {product}"
+        ],
+        conversion: [
+          "अभी ख़रीदें →",
+          "आज ही शुरू करें",
+          "हमारे साथ जुड़ें",
+          "इसे अपना बनाएँ",
+          "{product} सिर्फ़ {price} में →"
+        ],
+        sales: [
+          "सीमित समय का ऑफ़र",
+          "आज ख़ास दाम",
+          "आज {discount} की बचत",
+          "मौक़ा न चूकें",
+          "{product} अब {price} में",
+          "{product} पर {discount} छूट",
+          "ऑफ़र {endDate} तक"
+        ]
+      },
+      bold: {
+        awareness: [
+          "कुछ अलग कर दिखाओ",
+          "नियम तोड़ो",
+          "भविष्य अभी है",
+          "खेल बदल दो"
+        ],
+        conversion: [
+          "अभी लपकें →",
+          "आज ही कदम उठाएँ",
+          "इंतज़ार मत करो",
+          "{product} अभी पाएँ →"
+        ],
+        sales: [
+          "फ़्लैश सेल: {discount} छूट",
+          "भारी बचत, अभी",
+          "आख़िरी मौक़ा",
+          "{product}: सिर्फ़ {price}",
+          "{discount} छूट, {endDate} तक"
+        ]
+      },
+      playful: {
+        awareness: [
+          "चलो, थोड़ी मस्ती हो जाए! 🎉",
+          "ख़ुशियाँ बाँटो ✨",
+          "सिर्फ़ अच्छी वाइब्स",
+          "हर दिन को ख़ास बनाओ"
+        ],
+        conversion: [
+          "चलो शुरू करें! →",
+          "मज़े में शामिल हों",
+          "तैयार? चलो शॉपिंग!",
+          "{product} बुला रहा है! →"
+        ],
+        sales: [
+          "सरप्राइज़! बड़ी बचत 🎁",
+          "आज ख़ुद को ट्रीट करें",
+          "डील अलर्ट! 🚨",
+          "{product} सिर्फ़ {price} में! 🎁",
+          "{endDate} तक {discount} छूट!"
+        ]
+      },
+      premium: {
+        awareness: [
+          "उत्कृष्टता के लिए निर्मित",
+          "सदाबहार शान",
+          "हर बारीकी में उत्कृष्टता",
+          "परिष्कार की कला"
+        ],
+        conversion: [
+          "उत्कृष्टता का अनुभव करें →",
+          "प्रीमियम क्वालिटी अपनाएँ",
+          "लक्ज़री खोजें",
+          "{product} खोजें →"
+        ],
+        sales: [
+          "एक्सक्लूसिव प्रीमियम ऑफ़र",
+          "ख़ास दाम पर प्रीमियम",
+          "लक्ज़री अब पहुँच में",
+          "{product}, अब {price} में",
+          "{product} पर एक्सक्लूसिव {discount} छूट"
+        ]
+      }
+    },
+    sublines: {
+      awareness: [
+        "पेश है {product}",
+        "हमारी {category} रेंज देखें",
+        "हर दिन को बेहतर बनाने के लिए",
+        "स्टोर और ऑनलाइन उपलब्ध"
+      ],
+      conversion: [
+        "{product} {price} से",
+        "स्टोर या ऑनलाइन ऑर्डर करें",
+        "आपके दरवाज़े तक डिलीवरी"
+      ],
+      sales: [
+        "अब सिर्फ़ {price}",
+        "{product} पर {discount} छूट",
+        "ऐसा दाम, जो आपको पसंद आए",
+        "स्टॉक रहने तक"
+      ]
+    },
+    ctas: {
+      neutral: {
+        conversion: ["अभी ख़रीदें", "शुरू करें", "ऑर्डर करें"],
+        sales: ["सेल देखें", "अभी ख़रीदें", "डील पाएँ"]
+      },
+      bold: {
+        conversion: ["अभी पाएँ", "आज ही ऑर्डर करें"],
+        sales: ["डील लपकें", "अभी ख़रीदें"]
+      },
+      playful: {
+        conversion: ["चलो!", "ख़ुद को ट्रीट करें"],
+        sales: ["लपक लो!", "अभी पाओ"]
+      },
+      premium: {
+        conversion: ["और जानें", "कलेक्शन देखें"],
+        sales: ["अभी ख़रीदें", "ऑफ़र देखें"]
+      }
+    },
+    legal: {
+      sales: [
+        "ऑफ़र {endDate} तक। स्टॉक रहने तक।",
+        "स्टॉक रहने तक। नियम व शर्तें लागू।"
+      ]
+    }
+  },
+
+  es: {
+    quotes: {
+      neutral: {
+        awareness: [
+          "Descubre lo nuevo",
+          "Explora nuestra colección",
+          "Calidad y diseño",
+          "Vive la diferencia",
+          "Conoce el nuevo {product}"
+        ],
+        conversion: [
+          "Compra ahora →",
+          "Empieza hoy",
+          "Únete a nosotros",
+          "Hazlo tuyo",
+          "{product} por {price} →"
+        ],
+        sales: [
+          "Oferta por tiempo limitado",
+          "Precio especial hoy",
+          "Ahorra un {discount} hoy",
+          "No te lo pierdas",
+          "{product}, ahora {price}",
+          "{discount} de descuento en {product}",
+          "La oferta termina el {endDate}"
+        ]
+      },
+      bold: {
+        awareness: [
+          "ROMPE EL MOLDE",
+          "ATRÉVETE A SER DIFERENTE",
+          "EL FUTURO ES AHORA",
+          "CAMBIA LAS REGLAS"
+        ],
+        conversion: [
+          "ACTÚA YA →",
+          "HAZ TU JUGADA",
+          "NO ESPERES",
+          "CONSIGUE {product} YA →"
+        ],
+        sales: [
+          "OFERTA FLASH: {discount} DE DESCUENTO",
+          "AHORRO MASIVO YA",
+          "ÚLTIMA OPORTUNIDAD",
+          "{product}: SOLO {price}",
+          "{discount} MENOS HASTA EL {endDate}"
+        ]
+      },
+      playful: {
+        awareness: [
+          "¡A divertirse! 🎉",
+          "Comparte la alegría ✨",
+          "Solo buenas vibras",
+          "Haz especial cada día"
+        ],
+        conversion: [
+          "¡Vamos allá! →",
+          "Únete a la fiesta",
+          "¿Listo? ¡A comprar!",
+          "¡{product} te espera! →"
+        ],
+        sales: [
+          "¡Sorpresa! Grandes ahorros 🎁",
+          "Date un capricho hoy",
+          "¡Alerta de oferta! 🚨",
+          "¡{product} por solo {price}! 🎁",
+          "¡{discount} menos hasta el {endDate}!"
+        ]
+      },
+      premium: {
+        awareness: [
+          "Creado para la excelencia",
+          "Elegancia atemporal",
+          "Excelencia en cada detalle",
+          "El arte del refinamiento"
+        ],
+        conversion: [
+          "Vive la excelencia →",
+          "Descubre el lujo",
+          "Eleva tu estilo de vida",
+          "Descubre {product} →"
+        ],
+        sales: [
+          "Oferta premium exclusiva",
+          "El lujo a tu alcance",
+          "Ahorro exclusivo",
+          "{product}, ahora {price}",
+          "Un {discount} exclusivo en {product}"
+        ]
+      }
+    },
+    sublines: {
+      awareness: [
+        "Conoce {product}",
+        "Descubre nuestra gama de {category}",
+        "Pensado para tu día a día",
+        "En tienda y online"
+      ],
+      conversion: [
+        "{product} desde {price}",
+        "Pide online o en tienda",
+        "Envío a domicilio"
+      ],
+      sales: [
+        "Ahora solo {price}",
+        "{discount} de descuento en {product}",
+        "Un precio que te encantará",
+        "Hasta agotar existencias"
+      ]
+    },
+    ctas: {
+      neutral: {
+        conversion: ["Comprar ahora", "Empezar", "Pedir ahora"],
+        sales: ["Ver ofertas", "Comprar ahora", "Aprovechar"]
+      },
+      bold: {
+        conversion: ["CÓMPRALO YA", "PÍDELO HOY"],
+        sales: ["APROVECHA YA", "COMPRAR AHORA"]
+      },
+      playful: {
+        conversion: ["¡Vamos!", "Date un capricho"],
+        sales: ["¡Lo quiero!", "¡Corre!"]
+      },
+      premium: {
+        conversion: ["Descubrir más", "Ver la colección"],
+        sales: ["Comprar ahora", "Ver la oferta"]
+      }
+    },
+    legal: {
+      sales: [
+        "Oferta válida hasta el {endDate}. Hasta agotar existencias.",
+        "Hasta agotar existencias. Aplican condiciones."
+      ]
+    }
+  },
+
+  // Arrows point left: the reading direction
+  ar: {
+    quotes: {
+      neutral: {
+        awareness: [
+          "اكتشف الجديد",
+          "استكشف مجموعتنا",
+          "الجودة تلتقي بالتصميم",
+          "جرّب الفرق",
+          "تعرّف على {product} الجديد"
+        ],
+        conversion: [
+          "تسوّق الآن ←",
+          "ابدأ اليوم",
+          "انضم إلينا",
+          "اجعله لك",
+          "{product} بسعر {price} ←"
+        ],
+        sales: [
+          "عرض لفترة محدودة",
+          "سعر خاص اليوم",
+          "وفّر {discount} اليوم",
+          "لا تفوّت الفرصة",
+          "{product} الآن بسعر {price}",
+          "خصم {discount} على {product}",
+          "العرض ينتهي {endDate}"
+        ]
+      },
+      bold: {
+        awareness: [
+          "اكسر القالب",
+          "تجرّأ على التميّز",
+          "المستقبل الآن",
+          "غيّر قواعد اللعبة"
+        ],
+        conversion: [
+          "تحرّك الآن ←",
+          "لا تنتظر",
+          "اتخذ الخطوة اليوم",
+          "احصل على {product} الآن ←"
+        ],
+        sales: [
+          "تخفيضات خاطفة: خصم {discount}",
+          "توفير هائل الآن",
+          "الفرصة الأخيرة",
+          "{product}: فقط {price}",
+          "خصم {discount} حتى {endDate}"
+        ]
+      },
+      playful: {
+        awareness: [
+          "هيا نستمتع! 🎉",
+          "انشر الفرح ✨",
+          "أجواء إيجابية فقط",
+          "اجعل كل يوم مميزًا"
+        ],
+        conversion: [
+          "هيا بنا! ←",
+          "انضم إلى المرح",
+          "جاهز؟ هيا نتسوّق!",
+          "{product} بانتظارك! ←"
+        ],
+        sales: [
+          "مفاجأة! توفير كبير 🎁",
+          "دلّل نفسك اليوم",
+          "تنبيه عرض! 🚨",
+          "{product} فقط بـ {price}! 🎁",
+          "خصم {discount} حتى {endDate}!"
+        ]
+      },
+      premium: {
+        awareness: [
+          "صُنع للتميّز",
+          "أناقة خالدة",
+          "التميّز في كل التفاصيل",
+          "فن الرقي"
+        ],
+        conversion: [
+          "عِش التميّز ←",
+          "اكتشف الفخامة",
+          "ارتقِ بأسلوب حياتك",
+          "اكتشف {product} ←"
+        ],
+        sales: [
+          "عرض حصري فاخر",
+          "الفخامة في متناولك",
+          "توفير حصري",
+          "{product}، الآن بسعر {price}",
+          "خصم حصري {discount} على {product}"
+        ]
+      }
+    },
+    sublines: {
+      awareness: [
+        "تعرّف على {product}",
+        "اكتشف تشكيلة {category}",
+        "صُمّم ليجعل يومك أفضل",
+        "متوفر في المتاجر وعبر الإنترنت"
+      ],
+      conversion: [
+        "{product} ابتداءً من {price}",
+        "اطلب عبر الإنترنت أو من المتجر",
+        "توصيل حتى باب منزلك"
+      ],
+      sales: [
+        "الآن فقط {price}",
+        "خصم {discount} على {product}",
+        "سعر ستحبه",
+        "حتى نفاد الكمية"
+      ]
+    },
+    ctas: {
+      neutral: {
+        conversion: ["تسوّق الآن", "ابدأ الآن", "اطلب الآن"],
+        sales: ["تسوّق العروض", "اشترِ الآن", "احصل على العرض"]
+      },
+      bold: {
+        conversion: ["احصل عليه الآن", "اطلب اليوم"],
+        sales: ["اغتنم العرض", "اشترِ الآن"]
+      },
+      playful: {
+        conversion: ["هيا بنا!", "دلّل نفسك"],
+        sales: ["اغتنمها!", "احصل عليه"]
+      },
+      premium: {
+        conversion: ["اكتشف المزيد", "تصفّح المجموعة"],
+        sales: ["تسوّق الآن", "اكتشف العرض"]
+      }
+    },
+    legal: {
+      sales: [
+        "العرض ساري حتى {endDate}. حتى نفاد الكمية.",
+        "حتى نفاد الكمية. تطبق الشروط والأحكام."
+      ]
+    }
+  }
+};
+
+/**
+ * Language, formatting locale and text direction for a locale tag;
+ * English when none is given, null when the language isn't supported.
+ *
+ * @returns {{language: string, locale: string|null, direction: 'ltr'|'rtl', name: string}|null}
+ */
+export function resolveLocale(locale) {
+  if (!locale) {
+    return { language: DEFAULT_LANGUAGE, ...COPY_LANGUAGES[DEFAULT_LANGUAGE] };
+  }
+
+  let tag;
+  try {
+    [tag] = Intl.getCanonicalLocales(String(locale).replace(/_/g, '-'));
+  } catch (err) {
+    return null; // Not a well-formed tag
+  }
+
+  const language = tag.split('-')[0];
+  const info = COPY_LANGUAGES[language];
+  if (!info) return null;
+
+  return {
+    language,
+    name: info.name,
+    direction: info.direction,
+    locale: tag.includes('-') ? tag : info.locale
+  };
+}
+
+export function isSupportedLocale(locale) {
+  return resolveLocale(locale) !== null;
+}
@@ -0,0 +1,248 @@
+/**
+ * Copy Provider
+ * Optional LLM backend for banner copy. Any OpenAI-compatible chat completions
+ * endpoint works (OpenAI, Azure, a local Ollama/vLLM, or scripts/mockLlmServer.js):
+ * - buildCopyPrompt: tone, objective, product facts and length limits → chat messages
+ * - parseCopyResponse: pulls the candidate lines out of the model's reply
+ * - validateCopy: length, banned words, emoji policy and unsupported price claims
+ *
+ * Configured through .env (see ENV_SETUP.md); without COPY_LLM_BASE_URL the
+ * copy comes from the template bank in aiQuoteGenerator.js.
+ */
+
+import axios from 'axios';
+
+export const COPY_LIMITS = {
+  minLength: 3,
+  maxLength: 40,
+  maxWords: 7
+};
+
+// Claims retail ads can't make without substantiation
+export const BANNED_WORDS = [
+  'guarantee',
+  'guaranteed',
+  'cure',
+  'cures',
+  'miracle',
+  'cheapest',
+  'best in the world',
+  'no risk',
+  'lowest price ever'
+];
+
+// Emoji allowed per tone
+export const EMOJI_POLICY = {
+  neutral: 0,
+  bold: 0,
+  playful: 1,
+  premium: 0
+};
+
+const TONE_GUIDANCE = {
+  neutral: 'clear and friendly, title case',
+  bold: 'punchy and energetic, ALL CAPS',
+  playful: 'fun and upbeat, title case',
+  premium: 'refined and understated, title case'
+};
+
+const OBJECTIVE_GUIDANCE = {
+  awareness: 'introduce the product and make it memorable',
+  conversion: 'invite the shopper to act; a short call to action is welcome',
+  sales: 'lead with the offer: the price, discount or deadline when given'
+};
+
+const DEFAULT_MODEL = 'gpt-4o-mini';
+const DEFAULT_TIMEOUT_MS = 8000;
+
+const EMOJI_PATTERN = /\p{Extended_Pictographic}/gu;
+const NUMBER_PATTERN = /\d+(?:[.,]\d+)*/g;
+
+/**
+ * Chat messages asking for `count` candidate lines.
+ *
+ * @param {object} options
+ * @param {object} options.metadata - Normalised product metadata
+ * @param {object} options.slots - Formatted slot values (see buildTemplateSlots)
+ * @param {string} [options.language] - Language to write in, e.g. "Hindi"
+ */
+export function buildCopyPrompt({
+  tone = 'neutral',
+  objective = 'awareness',
+  metadata = {},
+  slots = {},
+  isAIThemed = false,
+  count = 6,
+  language = 'English',
+  limits = COPY_LIMITS
+}) {
+  const facts = [
+    slots.product && `Product: ${slots.product}`,
+    metadata.description && `Description: ${metadata.description}`,
+    metadata.category && `Category: ${metadata.category}`,
+    metadata.tags?.length && `Keywords: ${metadata.tags.join(', ')}`,
+    slots.price && `Price: ${slots.price}`,
+    slots.discount && `Discount: ${slots.discount} off`,
+    slots.endDate && `Offer ends: ${slots.endDate}`,
+    isAIThemed && 'The product is AI/tech themed'
+  ].filter(Boolean);
+
+  const maxEmoji = EMOJI_POLICY[tone] ?? 0;
+  const rules = [
+    `Write in ${language}`,
+    `Each line at most ${limits.maxLength} characters and ${limits.maxWords} words`,
+    `Tone: ${TONE_GUIDANCE[tone] || TONE_GUIDANCE.neutral}`,
+    `Goal: ${OBJECTIVE_GUIDANCE[objective] || OBJECTIVE_GUIDANCE.awareness}`,
+    'Only mention prices, discounts or dates that appear in the product facts, written exactly as given',
+    `Never use: ${BANNED_WORDS.join(', ')}`,
+    maxEmoji ? `At most ${maxEmoji} emoji per line` : 'No emoji',
+    'No hashtags, no quotation marks'
+  ];
+
+  return [
+    {
+      role: 'system',
+      content: 'You write short headline copy for retail ad banners. Reply with JSON only: {"quotes": ["...", "..."]}'
+    },
+    {
+      role: 'user',
+      content: [
+        `Write ${count} different banner headlines.`,
+        '',
+        'Product facts:',
+        ...(facts.length ? facts.map(fact => `- ${fact}`) : ['- (none given; keep it generic)']),
+        '',
+        'Rules:',
+        ...rules.map(rule => `- ${rule}`)
+      ].join('\n')
+    }
+  ];
+}
+
+/**
+ * Candidate lines from a model reply: JSON ({"quotes": [...]} or an array)
+ * when it parses, otherwise one candidate per line
+ */
+export function parseCopyResponse(content = '') {
+  const json = content.match(/\{[\s\S]*\}|\[[\s\S]*\]/);
+  if (json) {
+    try {
+      const parsed = JSON.parse(json[0]);
+      const list = Array.isArray(parsed) ? parsed : parsed.quotes;
+      if (Array.isArray(list)) {
+        return list.filter(item => typeof item === 'string');
+      }
+    } catch (err) {
+      // Not JSON after all; fall through to plain lines
+    }
+  }
+  return content
+    .split('\n')
+    .map(line => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, ''))
+    .filter(line => line.trim());
+}
+
+/**
+ * Check one candidate line.
+ *
+ * @param {string} text
+ * @param {object} options
+ * @param {string} options.tone - Selects the emoji policy
+ * @param {object} options.slots - Formatted slot values; any number in the
+ *   copy must come from one of them
+ * @returns {{valid: boolean, text: string, errors: string[]}}
+ */
+export function validateCopy(text, { tone = 'neutral', slots = {}, limits = COPY_LIMITS } = {}) {
+  const cleaned = String(text || '')
+    .trim()
+    .replace(/^["'“‘]+|["'”’]+$/g, '')
+    .trim();
+  const errors = [];
+  const lower = cleaned.toLowerCase();
+
+  if (cleaned.length < limits.minLength) {
+    errors.push('too short');
+  }
+  if (cleaned.length > limits.maxLength) {
+    errors.push(`longer than ${limits.maxLength} characters`);
+  }
+  if (cleaned.split(/\s+/).length > limits.maxWords) {
+    errors.push(`more than ${limits.maxWords} words`);
+  }
+  if (/[\n#]/.test(cleaned)) {
+    errors.push('line breaks or hashtags');
+  }
+
+  const banned = BANNED_WORDS.filter(word => new RegExp(`(^|[^a-z])${word}([^a-z]|$)`).test(lower));
+  if (banned.length) {
+    errors.push(`banned words: ${banned.join(', ')}`);
+  }
+
+  const emoji = cleaned.match(EMOJI_PATTERN) || [];
+  const maxEmoji = EMOJI_POLICY[tone] ?? 0;
+  if (emoji.length > maxEmoji) {
+    errors.push(maxEmoji ? `more than ${maxEmoji} emoji` : 'emoji not allowed for this tone');
+  }
+
+  // Prices, percentages and dates must come from the product metadata
+  const allowedNumbers = new Set(
+    Object.values(slots).flatMap(value => String(value).match(NUMBER_PATTERN) || [])
+  );
+  const unsupported = (cleaned.match(NUMBER_PATTERN) || []).filter(n => !allowedNumbers.has(n));
+  if (unsupported.length) {
+    errors.push(`numbers not in the product data: ${unsupported.join(', ')}`);
+  }
+
+  return { valid: errors.length === 0, text: cleaned, errors };
+}
+
+/**
+ * Provider for an OpenAI-compatible chat completions endpoint.
+ * `generate(messages, { seed })` resolves to the reply text.
+ */
+export function createChatCompletionsProvider({
+  baseUrl,
+  apiKey,
+  model = DEFAULT_MODEL,
+  timeout = DEFAULT_TIMEOUT_MS
+}) {
+  const url = `${baseUrl.replace(/\/+$/, '')}/chat/completions`;
+
+  return {
+    name: `llm:${model}`,
+
+    async generate(messages, { seed } = {}) {
+      const response = await axios.post(url, {
+        model,
+        messages,
+        temperature: 0.8,
+        // Best effort: endpoints that support it return the same copy for the same seed
+        ...(seed !== undefined ? { seed } : {})
+      }, {
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+        timeout
+      });
+
+      const content = response.data?.choices?.[0]?.message?.content;
+      if (typeof content !== 'string') {
+        throw new Error('Copy provider returned no message content');
+      }
+      return content;
+    }
+  };
+}
+
+/**
+ * The provider configured in the environment, or null to use the template bank
+ */
+export function getCopyProvider(env = process.env) {
+  if (!env.COPY_LLM_BASE_URL) {
+    return null;
+  }
+  return createChatCompletionsProvider({
+    baseUrl: env.COPY_LLM_BASE_URL,
+    apiKey: env.COPY_LLM_API_KEY,
+    model: env.COPY_LLM_MODEL || DEFAULT_MODEL,
+    timeout: parseInt(env.COPY_LLM_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS
+  });
+}
@@ -4,12 +4,54 @@
  * - Brand tone (neutral, bold, playful, premium)
  * - Marketing objectives (awareness, conversion, sales)
  * - Platform formats (square, story, banner, etc.)
+ * - Brand kits (palette, typefaces, logo lockups) when a brand is given
+ * - Product colours (Palette Sync) when a palette extracted from the main asset is given
+ *
+ * Copy is laid out as a stack: the headline box (textOverlay), a subline and a
+ * legal line sharing its backdrop, and a rounded CTA button in the accent colour.
+ *
+ * Copy is written in the requested locale (see copyLocales.js); layouts for
+ * right-to-left languages are mirrored.
+ *
+ * Every layout carries a default animation timeline (animation.js) that
+ * animated banner exports play; it can be edited like the rest of the layout.
+ *
+ * Layouts can also be generated for any canvas size (platform exports): the
+ * rules of the format with the closest aspect ratio are scaled to the canvas,
+ * and very wide canvases get a single-row composition.
  */
 
 import {
   generateContextualQuote,
+  generateCopy,
   enhanceQuote
 } from './aiQuoteGenerator.js';
+import { createRandom, deriveSeed, normalizeSeed } from './seededRandom.js';
+import { parseColor, colorContrast, compositeOver, formatRgba, luminance } from './colorUtils.js';
+import { estimateTextWidth } from './textLayout.js';
+import { resolveLocale } from './copyLocales.js';
+import { getLayoutFormats } from './platformRegistry.js';
+import { defaultTimeline } from './animation.js';
+
+const DEFAULT_FONT_FAMILY = 'Arial, sans-serif';
+const MIN_TEXT_CONTRAST = 4.5; // WCAG AA
+
+// Copy element sizes, relative to the headline font size where noted
+const COPY_STYLES = {
+  subline: { scale: 0.6, minFontSize: 18, fontWeight: 'normal', lines: 2 },
+  cta: { scale: 0.7, minFontSize: 20, fontWeight: 'bold', heightRatio: 2.2, sideRatio: 1.2 },
+  legal: { fontSize: 14, minFontSize: 12, fontWeight: 'normal', lines: 2, padding: 6 }
+};
+const COPY_LINE_HEIGHT = 1.2;
+const MIN_HEADLINE_FONT_SIZE = 24; // compliance minimum (MIN_TEXT_SIZES in complianceEngine.js)
+
+// Canvas sizes other than the formats' own (see resolvePlatformOpts)
+const STRIP_ASPECT_RATIO = 3; // this wide or wider: one row (e.g. 728×90 leaderboard)
+const COMPACT_SIZE = 400;     // short side below this: no subline, full-width headline
+const THUMBNAIL_SIZE = 150;   // both sides below this: headline only
+const MIN_SAFE_ZONE = 4;
+const MIN_LOGO_SCALE = 0.4;
+const LOGO_SIZE = { width: 140, height: 50 };
 
 // Design principles and rules
 const DESIGN_PRINCIPLES = {
@@ -97,33 +139,90 @@ const OBJECTIVE_STRATEGIES = {
   }
 };
 
-// Platform-specific optimizations
-const PLATFORM_OPTIMIZATIONS = {
-  square: {
-    dimensions: { width: 1080, height: 1080 },
-    safeZone: 40,
-    textMaxCoverage: 0.2,
-    compositionRules: ['center-focused', 'symmetrical'],
-    optimalImageRatio: 1.0
-  },
-  story: {
-    dimensions: { width: 1080, height: 1920 },
-    safeZone: 60,
-    textMaxCoverage: 0.15,
-    compositionRules: ['vertical-flow', 'top-heavy'],
-    optimalImageRatio: 0.5625
-  },
-  banner: {
-    dimensions: { width: 1200, height: 628 },
-    safeZone: 30,
-    textMaxCoverage: 0.25,
-    compositionRules: ['horizontal-flow', 'left-to-right'],
-    optimalImageRatio: 1.91
+// Platform-specific optimizations, from the platform registry (platforms/formats.json)
+const PLATFORM_OPTIMIZATIONS = getLayoutFormats();
+
+/**
+ * Platform rules for a format, or for a custom canvas size: the format with
+ * the closest aspect ratio, with its safe zone and type scaled to the canvas.
+ * `safeZone` replaces the scaled safe zone (a placement's own, see platformRegistry.js).
+ */
+function resolvePlatformOpts(format, dimensions, safeZone = null) {
+  if (!dimensions) {
+    return { ...(PLATFORM_OPTIMIZATIONS[format] || PLATFORM_OPTIMIZATIONS.square), format, scale: 1 };
   }
-};
+
+  const { width, height } = dimensions;
+  const aspectDistance = (key) => {
+    const base = PLATFORM_OPTIMIZATIONS[key].dimensions;
+    return Math.abs(Math.log(base.width / base.height) - Math.log(width / height));
+  };
+  const closest = Object.keys(PLATFORM_OPTIMIZATIONS)
+    .reduce((best, key) => (aspectDistance(key) < aspectDistance(best) ? key : best));
+  const base = PLATFORM_OPTIMIZATIONS[closest];
+  const scale = Math.min(width / base.dimensions.width, height / base.dimensions.height);
+
+  return {
+    ...base,
+    format: closest,
+    dimensions: { width, height },
+    safeZone: Math.max(MIN_SAFE_ZONE, safeZone ?? Math.round(base.safeZone * scale)),
+    scale,
+    strip: width / height >= STRIP_ASPECT_RATIO,
+    compact: Math.min(width, height) < COMPACT_SIZE,
+    thumbnail: Math.max(width, height) < THUMBNAIL_SIZE
+  };
+}
+
+/**
+ * Repeat the last colour so a short palette fills every slot the engine indexes
+ */
+function fillColors(colors, fallback, length = 3) {
+  if (!colors || colors.length === 0) return fallback;
+  return Array.from({ length }, (_, i) => colors[Math.min(i, colors.length - 1)]);
+}
+
+function withColors(toneParams, { background, accent, text }) {
+  return {
+    ...toneParams,
+    colors: {
+      background: fillColors(background, toneParams.colors.background),
+      accent: fillColors(accent, toneParams.colors.accent),
+      text: text && text.length ? text : toneParams.colors.text
+    }
+  };
+}
 
 /**
- * Generate a dynamic, AI-optimized layout configuration
+ * Tone parameters with custom colours in place of the tone defaults:
+ * the brand kit's palette, then product colours from Palette Sync on top
+ */
+function resolveToneParams(tone, brand, palette) {
+  let toneParams = TONE_PARAMETERS[tone] || TONE_PARAMETERS.neutral;
+  if (brand && brand.palette) toneParams = withColors(toneParams, brand.palette);
+  if (palette) toneParams = withColors(toneParams, palette);
+  return toneParams;
+}
+
+/**
+ * CSS font-family for a brand font role, with fallbacks for renderers that don't have it
+ */
+function brandFontFamily(brand, role) {
+  const fonts = brand?.fonts || [];
+  const font = fonts.find(f => f.role === role) || fonts[0];
+  return font ? `"${font.family}", ${DEFAULT_FONT_FAMILY}` : DEFAULT_FONT_FAMILY;
+}
+
+/**
+ * Generate a dynamic, AI-optimized layout configuration.
+ * The same seed and inputs always produce the same layout and quote.
+ * Pass a brand kit (see brandStore.js) to use its colours, fonts and logos, and
+ * a synced palette (see paletteToLayoutColors in paletteExtractor.js) to tint
+ * the layout with the product's colours. `locale` picks the copy language;
+ * right-to-left locales get a mirrored layout. `dimensions` generates for a
+ * custom canvas size instead of the format's (`safeZone` overrides its
+ * scaled safe zone), and `copy` ({headline, subline,
+ * cta, legal}, e.g. from layoutCopy) reuses existing copy as is.
  */
 export function generateLayout({
   tone = 'neutral',
@@ -133,22 +232,60 @@ export function generateLayout({
   hasLogo = false,
   assets = [],
   metadata = {},
-  variation = 0
+  variation = 0,
+  brand = null,
+  palette = null,
+  quote = null,
+  copy: providedCopy = null,
+  locale = null,
+  dimensions = null,
+  safeZone = null,
+  seed
 }) {
-  const toneParams = TONE_PARAMETERS[tone] || TONE_PARAMETERS.neutral;
+  const layoutSeed = normalizeSeed(seed);
+  const random = createRandom(layoutSeed);
+  const { direction } = resolveLocale(locale) || resolveLocale();
+  const toneParams = resolveToneParams(tone, brand, palette);
+  const customColors = !!(palette || brand?.palette);
   const objectiveStrategy = OBJECTIVE_STRATEGIES[objective] || OBJECTIVE_STRATEGIES.awareness;
-  const platformOpts = PLATFORM_OPTIMIZATIONS[format] || PLATFORM_OPTIMIZATIONS.square;
+  const platformOpts = resolvePlatformOpts(format, dimensions, safeZone);
   
   const { width, height } = platformOpts.dimensions;
   const dynamism = toneParams.composition.dynamism;
   const balance = toneParams.composition.balance;
+
+  // Headline box and the structured copy (headline, subline, CTA, legal)
+  const { overlay: textOverlay, copy } = generateTextOverlay({
+    width,
+    height,
+    objectiveStrategy,
+    toneParams,
+    platformOpts,
+    tone,
+    objective,
+    assets,
+    metadata,
+    variation,
+    quote,
+    copy: providedCopy,
+    locale,
+    direction,
+    accentColor: palette?.accent?.[0] || brand?.palette?.accent?.[0] || null,
+    fontFamily: brandFontFamily(brand, 'heading'),
+    random
+  });
   
   // Generate intelligent positioning using design principles
   const layout = {
-    id: `gen-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-    format,
+    id: `gen-${layoutSeed.toString(36)}`,
+    seed: layoutSeed,
+    format: platformOpts.format,
     tone,
     objective,
+    locale,
+    direction,
+    brandId: brand ? brand.id : null,
+    paletteSync: palette ? { dominant: palette.dominant, complementary: palette.complementary } : null,
     dimensions: { width, height },
     
     // Main asset positioning (AI-optimized)
@@ -158,7 +295,8 @@ export function generateLayout({
       objectiveStrategy,
       platformOpts,
       dynamism,
-      balance
+      balance,
+      random
     }),
     
     // Logo positioning
@@ -166,28 +304,29 @@ export function generateLayout({
       width,
       height,
       toneParams,
-      platformOpts
+      platformOpts,
+      random
     }) : null,
     
-    // Text overlay positioning with AI-generated quote
-    textOverlay: generateTextOverlay({
-      width,
-      height,
-      objectiveStrategy,
+    // Headline box with the AI-generated quote
+    textOverlay,
+
+    // Supporting copy, stacked under the headline; small canvases drop some of it
+    ...generateCopyElements({
+      copy: platformOpts.thumbnail
+        ? { headline: copy.headline, subline: null, cta: null, legal: null }
+        : platformOpts.compact ? { ...copy, subline: null } : copy,
+      headline: textOverlay,
       toneParams,
-      platformOpts,
-      tone,
-      objective,
-      assets,
-      metadata,
-      variation
+      fontFamily: brandFontFamily(brand, 'body')
     }),
     
-    // Background configuration
+    // Background configuration, for the format matching the canvas size
+    // (a custom size takes the closest one, so a tall placement gets the story gradient)
     background: generateBackgroundConfig({
       toneParams,
       objectiveStrategy,
-      format
+      format: platformOpts.format
     }),
     
     // Visual effects
@@ -202,16 +341,39 @@ export function generateLayout({
       safeZone: platformOpts.safeZone,
       textCoverage: calculateTextCoverage(objectiveStrategy),
       contrastLevel: 'high'
-    }
+    },
+
+    // Entrance animations for animated banner exports (see animation.js)
+    timeline: defaultTimeline()
   };
   
+  // Add diversity to all but the first variant of a batch
+  if (variation > 0) {
+    layout.mainAsset.x += (random() - 0.5) * 50;
+    layout.mainAsset.y += (random() - 0.5) * 50;
+  }
+
+  if (platformOpts.strip) {
+    composeStrip(layout);
+  }
+
+  if (direction === 'rtl') {
+    mirrorLayout(layout);
+  }
+
+  stackCopyElements(layout);
+
+  if (customColors) {
+    applyCustomColors(layout, toneParams, brand);
+  }
+  
   return layout;
 }
 
 /**
  * Generate intelligent main asset positioning
  */
-function generateMainAssetPosition({ width, height, objectiveStrategy, platformOpts, dynamism, balance }) {
+function generateMainAssetPosition({ width, height, objectiveStrategy, platformOpts, dynamism, balance, random }) {
   const imageSize = objectiveStrategy.imageSize;
   const composition = objectiveStrategy.composition;
   
@@ -247,8 +409,8 @@ function generateMainAssetPosition({ width, height, objectiveStrategy, platformO
       
     default:
       // Dynamic positioning based on dynamism factor
-      const offsetX = (Math.random() - 0.5) * dynamism * width * 0.3;
-      const offsetY = (Math.random() - 0.5) * dynamism * height * 0.3;
+      const offsetX = (random() - 0.5) * dynamism * width * 0.3;
+      const offsetY = (random() - 0.5) * dynamism * height * 0.3;
       assetWidth = width * imageSize;
       assetHeight = height * imageSize;
       x = (width - assetWidth) / 2 + offsetX;
@@ -272,47 +434,57 @@ function generateMainAssetPosition({ width, height, objectiveStrategy, platformO
 /**
  * Generate logo positioning optimized for brand visibility
  */
-function generateLogoPosition({ width, height, toneParams, platformOpts }) {
+function generateLogoPosition({ width, height, toneParams, platformOpts, random }) {
   const safeZone = platformOpts.safeZone;
   const spacing = toneParams.spacing.normal;
+  const logoScale = Math.max(platformOpts.scale, MIN_LOGO_SCALE);
+  const logoWidth = Math.round(LOGO_SIZE.width * logoScale);
   
   // Logo typically goes top-left or top-right
   const positions = [
     { x: safeZone, y: safeZone, anchor: 'top-left' },
-    { x: width - 140 - safeZone, y: safeZone, anchor: 'top-right' }
+    { x: width - logoWidth - safeZone, y: safeZone, anchor: 'top-right' }
   ];
   
   // Select position based on composition balance
-  const position = positions[Math.floor(Math.random() * positions.length)];
+  const position = positions[Math.floor(random() * positions.length)];
   
   return {
     x: position.x,
     y: position.y,
-    width: 140,
-    height: 50,
+    width: logoWidth,
+    height: Math.round(LOGO_SIZE.height * logoScale),
     anchor: position.anchor,
     opacity: 0.95
   };
 }
 
 /**
- * Generate text overlay with intelligent positioning and AI-generated quotes
+ * Generate text overlay with intelligent positioning and AI-generated quotes.
+ * Returns the headline box and the structured copy for the whole creative.
  */
-function generateTextOverlay({ width, height, objectiveStrategy, toneParams, platformOpts, tone, objective, assets, metadata, variation }) {
+function generateTextOverlay({ width, height, objectiveStrategy, toneParams, platformOpts, tone, objective, assets, metadata, variation, quote: providedQuote, copy: providedCopy, locale, direction, accentColor, fontFamily, random }) {
   const textSize = objectiveStrategy.textSize;
   const ctaStyle = objectiveStrategy.ctaStyle;
   
-  // Generate AI-powered creative quote
-  let quote = generateContextualQuote({
-    tone,
-    objective,
-    assets: assets || [],
-    metadata: metadata || {},
-    variation
-  });
-  
-  // Enhance quote with emojis/formatting based on tone
-  quote = enhanceQuote(quote, tone);
+  // Copy from a copy provider (or an existing layout) is already validated
+  // and used as is; otherwise pick from the template bank
+  let quote = providedCopy?.headline || providedQuote;
+  if (!quote) {
+    quote = generateContextualQuote({
+      tone,
+      objective,
+      assets: assets || [],
+      metadata: metadata || {},
+      variation,
+      locale
+    });
+    
+    // Enhance quote with emojis/formatting based on tone
+    quote = enhanceQuote(quote, tone, random);
+  }
+
+  const copy = providedCopy || generateCopy({ tone, objective, assets, metadata, variation, locale, headline: quote });
   
   // Determine text position based on objective
   let textX, textY, textWidth, textHeight;
@@ -330,7 +502,7 @@ function generateTextOverlay({ width, height, objectiveStrategy, toneParams, pla
   } else {
     // Dynamic positioning
     textX = width * 0.1;
-    textY = height * (0.7 + Math.random() * 0.2);
+    textY = height * (0.7 + random() * 0.2);
     textWidth = width * 0.8;
     textHeight = height * 0.15;
   }
@@ -357,9 +529,29 @@ function generateTextOverlay({ width, height, objectiveStrategy, toneParams, pla
     }
   };
   
-  const style = styles[ctaStyle] || styles.prominent;
+  const style = { ...(styles[ctaStyle] || styles.prominent) };
+
+  // Small canvases can't fit a readable headline in a partial-width box
+  if (platformOpts.compact) {
+    textX = platformOpts.safeZone;
+    textWidth = width - platformOpts.safeZone * 2;
+  }
+
+  // Scaled canvases scale the type too, down to the readable minimum, and keep
+  // room for a line (two on small canvases, where the headline wraps sooner)
+  if (platformOpts.scale !== 1) {
+    const lines = platformOpts.compact ? 2 : 1;
+    style.fontSize = Math.max(MIN_HEADLINE_FONT_SIZE, Math.round(style.fontSize * platformOpts.scale));
+    style.padding = Math.max(4, Math.round(style.padding * platformOpts.scale));
+    textHeight = Math.max(textHeight, Math.ceil(style.fontSize * COPY_LINE_HEIGHT * lines + style.padding * 2));
+  }
+
+  // Brand and product palettes replace the stock red urgency band with their accent colour
+  if (accentColor && ctaStyle === 'urgent') {
+    style.backgroundColor = formatRgba({ ...parseColor(accentColor), a: 0.9 });
+  }
   
-  return {
+  const overlay = {
     x: Math.floor(textX),
     y: Math.floor(textY),
     width: Math.floor(textWidth),
@@ -369,12 +561,236 @@ function generateTextOverlay({ width, height, objectiveStrategy, toneParams, pla
     backgroundColor: style.backgroundColor,
     padding: style.padding,
     textColor: toneParams.colors.text[0],
+    fontFamily,
     alignment: 'center',
-    quote: quote, // Include the generated quote
-    text: quote // For backward compatibility
+    direction,
+    quote: copy.headline, // Include the generated quote
+    text: copy.headline // For backward compatibility
+  };
+  return { overlay, copy };
+}
+
+/**
+ * Black or white, whichever reads better on a solid colour
+ */
+function readableTextOn(color) {
+  const background = parseColor(color);
+  return colorContrast(parseColor('#000000'), background) >= colorContrast(parseColor('#ffffff'), background)
+    ? '#000000'
+    : '#ffffff';
+}
+
+/**
+ * Boxes for the subline, CTA button and legal line (null when the copy has
+ * none). Subline and legal share the headline's backdrop and text colour; the
+ * button is filled with the accent colour. Positions are set by stackCopyElements.
+ */
+function generateCopyElements({ copy, headline, toneParams, fontFamily }) {
+  const elements = { subline: null, cta: null, legal: null };
+
+  if (copy.subline) {
+    const style = COPY_STYLES.subline;
+    const fontSize = Math.max(style.minFontSize, Math.round(headline.fontSize * style.scale));
+    const padding = Math.round(headline.padding / 2);
+    elements.subline = {
+      x: headline.x,
+      y: headline.y + headline.height,
+      width: headline.width,
+      height: Math.ceil(fontSize * COPY_LINE_HEIGHT * style.lines + padding * 2),
+      fontSize,
+      fontWeight: style.fontWeight,
+      backgroundColor: headline.backgroundColor,
+      padding,
+      textColor: headline.textColor,
+      fontFamily,
+      alignment: headline.alignment,
+      direction: headline.direction,
+      text: copy.subline
+    };
+  }
+
+  if (copy.cta) {
+    const style = COPY_STYLES.cta;
+    const fontSize = Math.max(style.minFontSize, Math.round(headline.fontSize * style.scale));
+    const button = ctaButtonSize(copy.cta, fontSize);
+    const accent = toneParams.colors.accent[0];
+    elements.cta = {
+      x: headline.x,
+      y: headline.y + headline.height,
+      ...button,
+      width: Math.min(headline.width, button.width),
+      fontSize,
+      fontWeight: style.fontWeight,
+      backgroundColor: accent,
+      textColor: readableTextOn(accent),
+      fontFamily: headline.fontFamily,
+      alignment: 'center',
+      direction: headline.direction,
+      text: copy.cta
+    };
+  }
+
+  if (copy.legal) {
+    const style = COPY_STYLES.legal;
+    elements.legal = {
+      x: headline.x,
+      y: headline.y + headline.height,
+      width: headline.width,
+      height: Math.ceil(style.fontSize * COPY_LINE_HEIGHT * style.lines + style.padding * 2),
+      fontSize: style.fontSize,
+      minFontSize: style.minFontSize,
+      fontWeight: style.fontWeight,
+      backgroundColor: headline.backgroundColor,
+      padding: style.padding,
+      textColor: headline.textColor,
+      fontFamily,
+      alignment: headline.alignment,
+      direction: headline.direction,
+      text: copy.legal
+    };
+  }
+
+  return elements;
+}
+
+/**
+ * Pill button sized to its label: vertical padding centres one line, the
+ * sides get extra room on top of it
+ */
+function ctaButtonSize(label, fontSize, maxHeight = Infinity) {
+  const style = COPY_STYLES.cta;
+  const height = Math.min(maxHeight, Math.round(fontSize * style.heightRatio));
+  const labelWidth = estimateTextWidth(label, fontSize, style.fontWeight) * 1.1;
+  return {
+    width: Math.ceil(labelWidth + fontSize * style.sideRatio * 2),
+    height,
+    padding: Math.max(0, Math.floor((height - fontSize * COPY_LINE_HEIGHT) / 2)),
+    radius: Math.round(height / 2)
   };
 }
 
+/**
+ * Single-row composition for very wide canvases (e.g. a 728×90 leaderboard):
+ * product on the left, headline in the middle, CTA button and logo on the
+ * right. There is no room for the subline or legal line.
+ */
+function composeStrip(layout) {
+  const { width, height } = layout.dimensions;
+  const safeZone = layout.compliance.safeZone;
+  const inner = height - safeZone * 2;
+  const gap = Math.max(safeZone, Math.round(inner * 0.2));
+  const centreY = (boxHeight) => Math.round(safeZone + (inner - boxHeight) / 2);
+  let right = width - safeZone;
+
+  if (layout.logo) {
+    const logoHeight = Math.min(inner, LOGO_SIZE.height);
+    const logoWidth = Math.round(logoHeight * LOGO_SIZE.width / LOGO_SIZE.height);
+    Object.assign(layout.logo, { x: right - logoWidth, y: centreY(logoHeight), width: logoWidth, height: logoHeight, anchor: 'top-right' });
+    right -= logoWidth + gap;
+  }
+
+  const headline = layout.textOverlay;
+  const fontSize = Math.max(MIN_HEADLINE_FONT_SIZE, Math.min(headline.fontSize, Math.round(inner * 0.32)));
+
+  if (layout.cta) {
+    const ctaFontSize = Math.max(COPY_STYLES.cta.minFontSize, Math.round(fontSize * COPY_STYLES.cta.scale));
+    const button = ctaButtonSize(layout.cta.text, ctaFontSize, inner);
+    Object.assign(layout.cta, { ...button, fontSize: ctaFontSize, x: right - button.width, y: centreY(button.height) });
+    right -= button.width + gap;
+  }
+
+  const assetWidth = Math.min(Math.round(inner * 1.25), Math.round(width * 0.25));
+  Object.assign(layout.mainAsset, { x: safeZone, y: safeZone, width: assetWidth, height: inner, anchor: 'center' });
+
+  const textX = safeZone + assetWidth + gap;
+  Object.assign(headline, {
+    x: textX,
+    y: safeZone,
+    width: Math.max(0, right - textX),
+    height: inner,
+    fontSize,
+    padding: Math.max(4, Math.floor((inner - fontSize * COPY_LINE_HEIGHT * 2) / 2)),
+    alignment: 'left'
+  });
+
+  layout.subline = null;
+  layout.legal = null;
+  layout.copyFlow = 'row';
+  return layout;
+}
+
+/**
+ * Stack the copy under the headline: subline directly beneath it (one
+ * backdrop), then the CTA button and the legal line. The stack starts at the
+ * headline and moves up as a whole if it would cross the bottom safe zone.
+ * Single-row layouts (copyFlow 'row') keep the button beside the headline.
+ * Call again after moving or resizing any copy box.
+ */
+export function stackCopyElements(layout) {
+  const headline = layout.textOverlay;
+  if (!headline) return layout;
+
+  if (layout.copyFlow === 'row') {
+    if (layout.cta) layout.cta.y = Math.round(headline.y + (headline.height - layout.cta.height) / 2);
+    return layout;
+  }
+
+  const { height } = layout.dimensions;
+  const safeZone = layout.compliance?.safeZone ?? 0;
+  const gap = Math.round(headline.fontSize * 0.4);
+  const stack = [
+    { box: headline, gapBefore: 0 },
+    { box: layout.subline, gapBefore: 0 },
+    { box: layout.cta, gapBefore: gap },
+    { box: layout.legal, gapBefore: layout.cta ? Math.round(gap / 2) : 0 }
+  ].filter(item => item.box);
+
+  const total = stack.reduce((sum, item) => sum + item.gapBefore + item.box.height, 0);
+  let y = Math.max(safeZone, Math.min(headline.y, height - safeZone - total));
+
+  for (const { box, gapBefore } of stack) {
+    y += gapBefore;
+    box.y = Math.round(y);
+    y += box.height;
+
+    if (box === headline) continue;
+    if (box === layout.cta) {
+      box.width = Math.min(box.width, headline.width);
+      if (headline.alignment === 'left') box.x = headline.x;
+      else if (headline.alignment === 'right') box.x = headline.x + headline.width - box.width;
+      else box.x = Math.round(headline.x + (headline.width - box.width) / 2);
+    } else {
+      box.x = headline.x;
+      box.width = headline.width;
+    }
+  }
+  return layout;
+}
+
+/**
+ * Mirror a layout horizontally for right-to-left copy: every box is reflected
+ * across the vertical centre line, left/right anchors and text alignment swap,
+ * and horizontal gradients run the other way.
+ */
+export function mirrorLayout(layout) {
+  const { width } = layout.dimensions;
+  const swapSide = (value) => value && value.replace(/left|right/, side => (side === 'left' ? 'right' : 'left'));
+
+  for (const key of ['mainAsset', 'logo', 'textOverlay', 'subline', 'cta', 'legal']) {
+    const box = layout[key];
+    if (!box) continue;
+    box.x = Math.round(width - box.x - box.width);
+    if (box.anchor) box.anchor = swapSide(box.anchor);
+    if (box.alignment) box.alignment = swapSide(box.alignment);
+  }
+
+  const gradient = layout.background?.gradient;
+  if (gradient && gradient.direction === 'horizontal') {
+    gradient.colors = [...gradient.colors].reverse();
+  }
+  return layout;
+}
+
 /**
  * Generate background configuration
  */
@@ -398,6 +814,35 @@ function generateBackgroundConfig({ toneParams, objectiveStrategy, format }) {
   };
 }
 
+/**
+ * Finishing for brand and product palettes once the layout exists:
+ * - text colour: the palette text colour that reads best on the overlay,
+ *   or black/white when none of them reaches WCAG AA
+ * - logo lockup: the secondary logo on dark backgrounds when the kit has one
+ */
+function applyCustomColors(layout, toneParams, brand) {
+  const background = parseColor(layout.background.color);
+  const overlay = layout.textOverlay;
+  const backdrop = compositeOver(parseColor(overlay.backgroundColor), background);
+  const contrastOn = (color) => colorContrast(parseColor(color), backdrop);
+
+  let textColor = toneParams.colors.text.reduce((best, color) => (
+    contrastOn(color) > contrastOn(best) ? color : best
+  ));
+  if (contrastOn(textColor) < MIN_TEXT_CONTRAST) {
+    textColor = contrastOn('#000000') > contrastOn('#ffffff') ? '#000000' : '#ffffff';
+  }
+  overlay.textColor = textColor;
+  // Subline and legal line sit on the same backdrop
+  if (layout.subline) layout.subline.textColor = textColor;
+  if (layout.legal) layout.legal.textColor = textColor;
+
+  if (brand && layout.logo) {
+    const isDark = luminance(background.r, background.g, background.b) < 0.18;
+    layout.logo.lockup = isDark && brand.logos?.secondary ? 'secondary' : 'primary';
+  }
+}
+
 /**
  * Generate gradient based on tone
  */
@@ -436,7 +881,9 @@ function calculateTextCoverage(objectiveStrategy) {
 }
 
 /**
- * Generate multiple layout variants with diversity
+ * Generate multiple layout variants with diversity.
+ * Each variant gets its own seed derived from the batch seed.
+ * `quotes` (one per variant, e.g. from generateQuotes) replaces the template copy.
  */
 export function generateLayoutVariants({
   tone = 'neutral',
@@ -446,8 +893,14 @@ export function generateLayoutVariants({
   hasLogo = false,
   count = 6,
   assets = [],
-  metadata = {}
+  metadata = {},
+  brand = null,
+  palette = null,
+  quotes = null,
+  locale = null,
+  seed
 }) {
+  const batchSeed = normalizeSeed(seed);
   const variants = [];
   
   for (let i = 0; i < count; i++) {
@@ -460,16 +913,16 @@ export function generateLayoutVariants({
       hasLogo,
       assets,
       metadata,
-      variation: i / count // Pass variation for quote diversity
+      brand,
+      palette,
+      variation: i / count, // Pass variation for quote diversity
+      quote: quotes?.[i] || null,
+      locale,
+      seed: deriveSeed(batchSeed, i)
     };
     
     const layout = generateLayout(variation);
-    
-    // Add diversity to layouts
-    if (i > 0) {
-      layout.mainAsset.x += (Math.random() - 0.5) * 50;
-      layout.mainAsset.y += (Math.random() - 0.5) * 50;
-    }
+    layout.batchSeed = batchSeed;
     
     variants.push(layout);
   }
@@ -478,33 +931,96 @@ export function generateLayoutVariants({
 }
 
 /**
- * Optimize layout for specific platform requirements
+ * Optimize layout for specific platform requirements. `overrides` replaces
+ * the format's rules, e.g. the text coverage limit of an export target.
  */
-export function optimizeForPlatform(layout, platform) {
-  const platformRules = PLATFORM_OPTIMIZATIONS[platform] || PLATFORM_OPTIMIZATIONS.square;
+export function optimizeForPlatform(layout, platform, overrides = {}) {
+  const platformRules = { ...(PLATFORM_OPTIMIZATIONS[platform] || PLATFORM_OPTIMIZATIONS.square), ...overrides };
+  // Layouts for a custom canvas size carry their own (scaled) safe zone
+  const safeZone = layout.compliance?.safeZone ?? platformRules.safeZone;
   
   // Adjust layout to meet platform requirements
   if (layout.textOverlay) {
     const textCoverage = (layout.textOverlay.width * layout.textOverlay.height) / 
                         (layout.dimensions.width * layout.dimensions.height);
     
-    if (textCoverage > platformRules.textMaxCoverage) {
+    // A single row (copyFlow 'row') is sized to fit its copy already; null means no limit
+    if (platformRules.textMaxCoverage != null && textCoverage > platformRules.textMaxCoverage && layout.copyFlow !== 'row') {
       // Reduce text size to meet requirements
       const scale = platformRules.textMaxCoverage / textCoverage;
       layout.textOverlay.width *= scale;
       layout.textOverlay.height *= scale;
+      stackCopyElements(layout);
     }
   }
   
   // Ensure safe zones
   if (layout.mainAsset) {
-    layout.mainAsset.x = Math.max(platformRules.safeZone, layout.mainAsset.x);
-    layout.mainAsset.y = Math.max(platformRules.safeZone, layout.mainAsset.y);
+    layout.mainAsset.x = Math.max(safeZone, layout.mainAsset.x);
+    layout.mainAsset.y = Math.max(safeZone, layout.mainAsset.y);
   }
   
   return layout;
 }
 
+// Boxes the layer editor moves and resizes; the rest of the copy follows the headline
+const EDITABLE_BOXES = ['mainAsset', 'logo', 'textOverlay'];
+
+/**
+ * Re-apply the changes made to a layout by hand (`edited`, compared with the
+ * `pristine` layout it was generated as) to the same creative generated for
+ * another size (`target`, changed in place). A move is carried over as a share
+ * of the canvas and a resize as a ratio; boxes stay on the canvas.
+ */
+export function transferLayerEdits(target, edited, pristine) {
+  const from = edited.dimensions;
+  const to = target.dimensions;
+  let changed = false;
+
+  for (const key of EDITABLE_BOXES) {
+    const box = target[key];
+    const before = pristine[key];
+    const after = edited[key];
+    if (!box || !before || !after) continue;
+    if (['x', 'y', 'width', 'height'].every(field => Math.abs(after[field] - before[field]) < 1)) continue;
+
+    const width = Math.min(to.width, Math.round(box.width * (after.width / (before.width || 1))));
+    const height = Math.min(to.height, Math.round(box.height * (after.height / (before.height || 1))));
+    const centreX = box.x + box.width / 2 +
+      ((after.x + after.width / 2 - before.x - before.width / 2) / from.width) * to.width;
+    const centreY = box.y + box.height / 2 +
+      ((after.y + after.height / 2 - before.y - before.height / 2) / from.height) * to.height;
+    box.width = width;
+    box.height = height;
+    box.x = Math.round(Math.max(0, Math.min(to.width - width, centreX - width / 2)));
+    box.y = Math.round(Math.max(0, Math.min(to.height - height, centreY - height / 2)));
+    changed = true;
+  }
+
+  if (changed) stackCopyElements(target);
+  return target;
+}
+
+/**
+ * The copy of a layout as {headline, subline, cta, legal}, for generating
+ * the same creative again (e.g. at another size); cleared elements are null
+ */
+export function layoutCopy(layout) {
+  return {
+    headline: layout.textOverlay?.quote || layout.textOverlay?.text || null,
+    subline: layout.subline?.text || null,
+    cta: layout.cta?.text || null,
+    legal: layout.legal?.text || null
+  };
+}
+
+/**
+ * Platform rules (safe zone, text coverage limit, ...) for a format
+ */
+export function getPlatformOptimizations(format) {
+  return PLATFORM_OPTIMIZATIONS[format] || PLATFORM_OPTIMIZATIONS.square;
+}
+
 /**
  * Get layout description with AI-generated insights
  */
@@ -0,0 +1,132 @@
+/**
+ * Image Encoder
+ * Encodes a rendered creative (PNG buffer) to an export format, optionally
+ * within a byte budget (e.g. Google Display's 150KB):
+ * - jpg, webp, avif: binary search for the highest quality that fits
+ * - png: lossless first, then palette quantisation at decreasing quality
+ *
+ * When even the lowest quality is over budget, the smallest encoding is
+ * returned with `withinBudget: false` so the caller can report it.
+ */
+
+import sharp from 'sharp';
+
+const DEFAULT_QUALITY = 90;
+const MIN_QUALITY = 40;  // below this, artefacts make the creative unusable
+const MAX_QUALITY = 95;
+const JPEG_BACKGROUND = '#ffffff'; // JPEG has no alpha channel
+
+// Export formats, keyed by the names used in the platform registry's `fileFormats`
+const ENCODERS = {
+  jpg: {
+    extension: 'jpg',
+    mimeType: 'image/jpeg',
+    lossy: true,
+    encode: (image, quality) => image.flatten({ background: JPEG_BACKGROUND }).jpeg({ quality, mozjpeg: true })
+  },
+  webp: {
+    extension: 'webp',
+    mimeType: 'image/webp',
+    lossy: true,
+    encode: (image, quality) => image.webp({ quality, effort: 5 })
+  },
+  avif: {
+    extension: 'avif',
+    mimeType: 'image/avif',
+    lossy: true,
+    encode: (image, quality) => image.avif({ quality, effort: 4 })
+  },
+  png: {
+    extension: 'png',
+    mimeType: 'image/png',
+    lossy: false,
+    // quality null: lossless; otherwise palette quantisation at that quality
+    encode: (image, quality) => (quality == null
+      ? image.png({ compressionLevel: 9 })
+      : image.png({ compressionLevel: 9, palette: true, quality }))
+  }
+};
+
+export const EXPORT_FORMATS = Object.keys(ENCODERS);
+
+export function isExportFormat(format) {
+  return Object.prototype.hasOwnProperty.call(ENCODERS, format);
+}
+
+/**
+ * Preferred export format for a placement: the first of its file formats we
+ * can encode (the registry lists them in order of preference), else PNG
+ */
+export function preferredFormat(fileFormats) {
+  return (fileFormats || []).find(isExportFormat) || 'png';
+}
+
+async function encodeAt(input, encoder, quality) {
+  const buffer = await encoder.encode(sharp(input).toColorspace('srgb'), quality).toBuffer();
+  return { buffer, quality };
+}
+
+/**
+ * Highest quality in [MIN_QUALITY, MAX_QUALITY] whose encoding fits `maxBytes`,
+ * or the smallest encoding (`withinBudget: false`) when none does.
+ * `encode(quality)` resolves to { buffer, quality }.
+ */
+export async function searchQuality(encode, maxBytes) {
+  let low = MIN_QUALITY;
+  let high = MAX_QUALITY;
+  let best = null;
+  let smallest = null;
+
+  while (low <= high) {
+    const quality = Math.floor((low + high) / 2);
+    const attempt = await encode(quality);
+    if (!smallest || attempt.buffer.length < smallest.buffer.length) smallest = attempt;
+    if (attempt.buffer.length <= maxBytes) {
+      best = attempt;
+      low = quality + 1;
+    } else {
+      high = quality - 1;
+    }
+  }
+  return best ? { ...best, withinBudget: true } : { ...smallest, withinBudget: false };
+}
+
+/**
+ * Encode an image to `format`, within `maxBytes` when given.
+ *
+ * @param {Buffer} input - Rendered image (any format sharp can read)
+ * @param {object} options
+ * @param {string} [options.format] - One of EXPORT_FORMATS (default png)
+ * @param {number} [options.maxBytes] - Byte budget; null for none
+ * @returns {Promise<{buffer: Buffer, format: string, extension: string, mimeType: string,
+ *   quality: number|null, size: number, withinBudget: boolean}>}
+ */
+export async function encodeImage(input, { format = 'png', maxBytes = null } = {}) {
+  const encoder = ENCODERS[format];
+  if (!encoder) {
+    throw new Error(`Unsupported export format: ${format} (expected one of ${EXPORT_FORMATS.join(', ')})`);
+  }
+
+  let result;
+  if (encoder.lossy) {
+    result = maxBytes
+      ? await searchQuality(quality => encodeAt(input, encoder, quality), maxBytes)
+      : { ...(await encodeAt(input, encoder, DEFAULT_QUALITY)), withinBudget: true };
+  } else {
+    // Lossless PNG when it fits (or there is no budget), otherwise a quantised palette
+    const lossless = await encodeAt(input, encoder, null);
+    result = !maxBytes || lossless.buffer.length <= maxBytes
+      ? { ...lossless, withinBudget: true }
+      : await searchQuality(quality => encodeAt(input, encoder, quality), maxBytes);
+  }
+
+  return {
+    buffer: result.buffer,
+    format,
+    extension: encoder.extension,
+    mimeType: encoder.mimeType,
+    quality: result.quality,
+    size: result.buffer.length,
+    withinBudget: result.withinBudget
+  };
+}
@@ -0,0 +1,113 @@
+/**
+ * JSON File Store
+ * Minimal document store shared by the project and brand stores: one JSON
+ * file per document in a directory, atomic writes (tmp file + rename) and a
+ * per-document write queue so concurrent updates don't clobber each other.
+ */
+
+import { join } from 'path';
+import fs from 'fs/promises';
+
+/**
+ * Create a store for one kind of document.
+ *
+ * @param {string} kind - Used in error messages, e.g. 'Project'
+ */
+export function createJsonFileStore(kind) {
+  let dir = null;
+  const writeQueues = new Map();
+
+  function pathFor(id) {
+    if (!dir) {
+      throw new Error(`${kind} store not initialised`);
+    }
+    // Ids are generated by us; reject anything that could escape the directory
+    if (!/^[a-zA-Z0-9-]+$/.test(String(id))) {
+      return null;
+    }
+    return join(dir, `${id}.json`);
+  }
+
+  async function read(id) {
+    const path = pathFor(id);
+    if (!path) return null;
+    try {
+      return JSON.parse(await fs.readFile(path, 'utf8'));
+    } catch (err) {
+      if (err.code === 'ENOENT') return null;
+      throw err;
+    }
+  }
+
+  async function write(doc) {
+    const path = pathFor(doc.id);
+    const tmpPath = `${path}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, JSON.stringify(doc, null, 2));
+    await fs.rename(tmpPath, path);
+  }
+
+  return {
+    /**
+     * Point the store at its directory and make sure it exists
+     */
+    async init(storeDir) {
+      dir = storeDir;
+      await fs.mkdir(dir, { recursive: true });
+    },
+
+    read,
+    write,
+
+    /**
+     * Run a read-modify-write on one document, serialised per id.
+     * Resolves to the updated document, or null when it doesn't exist.
+     */
+    mutate(id, mutateDoc) {
+      const previous = writeQueues.get(id) || Promise.resolve();
+      const next = previous.catch(() => {}).then(async () => {
+        const doc = await read(id);
+        if (!doc) return null;
+        await mutateDoc(doc);
+        doc.updatedAt = new Date().toISOString();
+        await write(doc);
+        return doc;
+      });
+      writeQueues.set(id, next);
+      next.finally(() => {
+        if (writeQueues.get(id) === next) writeQueues.delete(id);
+      }).catch(() => {});
+      return next;
+    },
+
+    /**
+     * Every readable document in the store
+     */
+    async readAll() {
+      if (!dir) {
+        throw new Error(`${kind} store not initialised`);
+      }
+      const files = (await fs.readdir(dir)).filter(f => f.endsWith('.json'));
+      const docs = [];
+      for (const file of files) {
+        try {
+          docs.push(JSON.parse(await fs.readFile(join(dir, file), 'utf8')));
+        } catch (err) {
+          console.warn(`Skipping unreadable ${kind.toLowerCase()} file ${file}:`, err.message);
+        }
+      }
+      return docs;
+    },
+
+    async remove(id) {
+      const path = pathFor(id);
+      if (!path) return false;
+      try {
+        await fs.unlink(path);
+        return true;
+      } catch (err) {
+        if (err.code === 'ENOENT') return false;
+        throw err;
+      }
+    }
+  };
+}
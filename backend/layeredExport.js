@@ -0,0 +1,151 @@
+/**
+ * Layered Export
+ * Editable exports for designers who finish a variant by hand:
+ * - svg: the scene as SVG with embedded images and live text (sceneToSvg)
+ * - ora: an OpenRaster file (opens in GIMP, Krita and Photopea), i.e. a zip
+ *        with one PNG per scene layer at its position, stack.xml, the merged
+ *        image, a thumbnail and a manifest.json describing every layer
+ *        (name, box, opacity, and for copy the text, font and colour)
+ *
+ * The safe-zone guide is left out of the SVG and kept as a hidden ORA layer.
+ */
+
+import sharp from 'sharp';
+import JSZip from 'jszip';
+import { sceneToSvg, escapeXml } from './sceneRenderer.js';
+import { withoutGuides } from './sceneGraph.js';
+
+export const LAYERED_FORMATS = ['svg', 'ora'];
+
+const ORA_MIMETYPE = 'image/openraster';
+const THUMBNAIL_SIZE = 256; // OpenRaster: at most 256px on the long side
+const MANIFEST_VERSION = 1;
+
+// Layer names shown in the editor's layer panel
+const LAYER_NAMES = {
+  background: 'Background',
+  gradient: 'Gradient',
+  mainAsset: 'Product',
+  textOverlay: 'Headline',
+  subline: 'Subline',
+  cta: 'Button',
+  legal: 'Legal',
+  logo: 'Logo',
+  safeZone: 'Safe zone'
+};
+
+// Pixel box of a layer, clamped to the canvas
+function layerBounds(layer, scene) {
+  const x = Math.max(0, Math.floor(layer.x));
+  const y = Math.max(0, Math.floor(layer.y));
+  const right = Math.min(scene.width, Math.ceil(layer.x + layer.width));
+  const bottom = Math.min(scene.height, Math.ceil(layer.y + layer.height));
+  return { x, y, width: right - x, height: bottom - y };
+}
+
+/**
+ * One layer rendered on its own (transparent elsewhere) and cropped to its box
+ * as a PNG; null when the box lies outside the canvas
+ */
+export async function renderLayerImage(scene, layer, render, pngOptions = { compressionLevel: 9 }) {
+  const bounds = layerBounds(layer, scene);
+  if (bounds.width <= 0 || bounds.height <= 0) return null;
+  const full = await render({ ...scene, layers: [layer] });
+  const buffer = await sharp(full)
+    .extract({ left: bounds.x, top: bounds.y, width: bounds.width, height: bounds.height })
+    .png(pngOptions)
+    .toBuffer();
+  return { buffer, bounds };
+}
+
+function manifestLayer(layer, file, bounds) {
+  const entry = {
+    id: layer.id,
+    name: LAYER_NAMES[layer.id] || layer.id,
+    type: layer.type,
+    file,
+    ...bounds,
+    opacity: layer.opacity ?? 1,
+    visible: layer.type !== 'guide'
+  };
+  if (layer.type === 'text' || layer.type === 'button') {
+    entry.box = { x: layer.x, y: layer.y, width: layer.width, height: layer.height, radius: layer.radius || 0 };
+    entry.background = layer.background;
+    entry.text = {
+      content: layer.text,
+      fontFamily: layer.layout.fontFamily,
+      fontSize: layer.layout.fontSize,
+      fontWeight: layer.layout.fontWeight,
+      color: layer.color,
+      align: layer.layout.textAlign,
+      direction: layer.layout.direction,
+      lines: layer.layout.lines.map(line => ({ text: line.text, x: line.x, y: line.y }))
+    };
+  }
+  return entry;
+}
+
+async function buildOra(scene, render, meta) {
+  const zip = new JSZip();
+  // OpenRaster: "mimetype" comes first and is stored uncompressed
+  zip.file('mimetype', ORA_MIMETYPE, { compression: 'STORE' });
+
+  const layers = [];
+  for (const layer of scene.layers) {
+    const image = await renderLayerImage(scene, layer, render);
+    if (!image) continue;
+    const file = `data/${layer.id}.png`;
+    zip.file(file, image.buffer);
+    layers.push(manifestLayer(layer, file, image.bounds));
+  }
+
+  // stack.xml lists layers top first
+  const stack = [...layers].reverse().map(layer =>
+    `<layer name="${escapeXml(layer.name)}" src="${layer.file}" x="${layer.x}" y="${layer.y}" opacity="${layer.opacity}" visibility="${layer.visible ? 'visible' : 'hidden'}"/>`
+  ).join('\n    ');
+  zip.file('stack.xml', `<?xml version="1.0" encoding="UTF-8"?>
+<image version="0.0.3" w="${scene.width}" h="${scene.height}">
+  <stack>
+    ${stack}
+  </stack>
+</image>
+`);
+
+  const merged = await render(withoutGuides(scene));
+  zip.file('mergedimage.png', merged);
+  zip.file('Thumbnails/thumbnail.png', await sharp(merged)
+    .resize({ width: THUMBNAIL_SIZE, height: THUMBNAIL_SIZE, fit: 'inside' })
+    .png()
+    .toBuffer());
+
+  zip.file('manifest.json', JSON.stringify({
+    version: MANIFEST_VERSION,
+    width: scene.width,
+    height: scene.height,
+    ...meta,
+    layers
+  }, null, 2));
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE', compressionOptions: { level: 9 } });
+}
+
+/**
+ * Export a scene with its layers kept.
+ *
+ * @param {object} params
+ * @param {object} params.scene - Scene of the variant (see sceneGraph.js)
+ * @param {function} params.render - async (scene) => PNG buffer
+ * @param {string} params.format - One of LAYERED_FORMATS
+ * @param {object} [params.meta] - Extra manifest fields (variant id, layout format, tone, ...)
+ * @returns {Promise<{buffer: Buffer, extension: string, mimeType: string}>}
+ */
+export async function exportLayered({ scene, render, format, meta = {} }) {
+  if (format === 'svg') {
+    const svg = await sceneToSvg(withoutGuides(scene));
+    return { buffer: Buffer.from(svg), extension: 'svg', mimeType: 'image/svg+xml' };
+  }
+  if (format === 'ora') {
+    return { buffer: await buildOra(scene, render, meta), extension: 'ora', mimeType: ORA_MIMETYPE };
+  }
+  throw new Error(`Unsupported layered format: ${format} (expected one of ${LAYERED_FORMATS.join(', ')})`);
+}
@@ -0,0 +1,235 @@
+/**
+ * Palette Extractor
+ * Pulls the main colours out of a product image so layouts can be tinted to
+ * match it (Palette Sync):
+ * - k-means (k-means++ seeding) on a downsampled RGBA buffer from Sharp
+ * - Transparent pixels are ignored, so cut-outs give the product's colours only
+ * - The dominant colour prefers a chromatic cluster over white/black backdrops
+ * - The complementary colour is the dominant hue rotated by 180°
+ */
+
+import sharp from 'sharp';
+import { createRandom } from './seededRandom.js';
+
+const SAMPLE_SIZE = 64;         // Longest side of the downsampled image
+const DEFAULT_CLUSTERS = 5;
+const MAX_ITERATIONS = 12;
+const MIN_ALPHA = 128;          // Pixels more transparent than this are skipped
+const MIN_CHROMATIC_SHARE = 0.05;
+const MIN_SATURATION = 0.2;
+
+// Fixed seed: the same image always yields the same palette
+const PALETTE_SEED = 0x9e3779b9;
+
+function toHex({ r, g, b }) {
+  return '#' + [r, g, b].map(v => Math.round(v).toString(16).padStart(2, '0')).join('');
+}
+
+function distanceSq(a, b) {
+  const dr = a.r - b.r;
+  const dg = a.g - b.g;
+  const db = a.b - b.b;
+  return dr * dr + dg * dg + db * db;
+}
+
+export function rgbToHsl({ r, g, b }) {
+  r /= 255;
+  g /= 255;
+  b /= 255;
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const l = (max + min) / 2;
+  if (max === min) return { h: 0, s: 0, l };
+
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  let h;
+  if (max === r) h = (g - b) / d + (g < b ? 6 : 0);
+  else if (max === g) h = (b - r) / d + 2;
+  else h = (r - g) / d + 4;
+  return { h: h * 60, s, l };
+}
+
+export function hslToRgb({ h, s, l }) {
+  const hue = (((h % 360) + 360) % 360) / 360;
+  if (s === 0) return { r: l * 255, g: l * 255, b: l * 255 };
+
+  const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+  const p = 2 * l - q;
+  const channel = (t) => {
+    if (t < 0) t += 1;
+    if (t > 1) t -= 1;
+    if (t < 1 / 6) return p + (q - p) * 6 * t;
+    if (t < 1 / 2) return q;
+    if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+    return p;
+  };
+  return {
+    r: channel(hue + 1 / 3) * 255,
+    g: channel(hue) * 255,
+    b: channel(hue - 1 / 3) * 255
+  };
+}
+
+/**
+ * Same hue and saturation at a different lightness
+ */
+export function withLightness(hex, lightness) {
+  const rgb = {
+    r: parseInt(hex.slice(1, 3), 16),
+    g: parseInt(hex.slice(3, 5), 16),
+    b: parseInt(hex.slice(5, 7), 16)
+  };
+  return toHex(hslToRgb({ ...rgbToHsl(rgb), l: lightness }));
+}
+
+/**
+ * Opaque pixels of an RGBA buffer as {r, g, b}
+ */
+function collectPixels(data, channels) {
+  const pixels = [];
+  for (let i = 0; i < data.length; i += channels) {
+    if (channels === 4 && data[i + 3] < MIN_ALPHA) continue;
+    pixels.push({ r: data[i], g: data[i + 1], b: data[i + 2] });
+  }
+  return pixels;
+}
+
+/**
+ * k-means++: spread the initial centroids out proportionally to distance
+ */
+function seedCentroids(pixels, k, random) {
+  const centroids = [{ ...pixels[Math.floor(random() * pixels.length)] }];
+  const distances = new Float64Array(pixels.length).fill(Infinity);
+
+  while (centroids.length < k) {
+    const last = centroids[centroids.length - 1];
+    let total = 0;
+    for (let i = 0; i < pixels.length; i++) {
+      distances[i] = Math.min(distances[i], distanceSq(pixels[i], last));
+      total += distances[i];
+    }
+    if (total === 0) break; // Fewer distinct colours than clusters
+
+    let target = random() * total;
+    let index = 0;
+    while (index < pixels.length - 1 && target > distances[index]) {
+      target -= distances[index];
+      index++;
+    }
+    centroids.push({ ...pixels[index] });
+  }
+  return centroids;
+}
+
+/**
+ * Cluster raw pixels into a palette.
+ *
+ * @param {Uint8Array|Buffer} data - Raw pixel data
+ * @param {number} channels - 3 (RGB) or 4 (RGBA)
+ * @param {object} [options]
+ * @param {number} [options.k] - Number of clusters
+ * @returns {{color: string, rgb: object, share: number}[]} Most common first
+ */
+export function kMeansPalette(data, channels, { k = DEFAULT_CLUSTERS } = {}) {
+  const pixels = collectPixels(data, channels);
+  if (pixels.length === 0) return [];
+
+  const random = createRandom(PALETTE_SEED);
+  let centroids = seedCentroids(pixels, Math.min(k, pixels.length), random);
+  const assignments = new Int32Array(pixels.length);
+
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    let moved = false;
+    for (let i = 0; i < pixels.length; i++) {
+      let best = 0;
+      let bestDistance = Infinity;
+      centroids.forEach((centroid, c) => {
+        const d = distanceSq(pixels[i], centroid);
+        if (d < bestDistance) {
+          bestDistance = d;
+          best = c;
+        }
+      });
+      if (assignments[i] !== best) moved = true;
+      assignments[i] = best;
+    }
+
+    const sums = centroids.map(() => ({ r: 0, g: 0, b: 0, count: 0 }));
+    pixels.forEach((pixel, i) => {
+      const sum = sums[assignments[i]];
+      sum.r += pixel.r;
+      sum.g += pixel.g;
+      sum.b += pixel.b;
+      sum.count++;
+    });
+    centroids = centroids.map((centroid, c) => (sums[c].count
+      ? { r: sums[c].r / sums[c].count, g: sums[c].g / sums[c].count, b: sums[c].b / sums[c].count, count: sums[c].count }
+      : { ...centroid, count: 0 }));
+
+    if (!moved && iteration > 0) break;
+  }
+
+  return centroids
+    .filter(centroid => centroid.count > 0)
+    .sort((a, b) => b.count - a.count)
+    .map(centroid => {
+      const rgb = { r: Math.round(centroid.r), g: Math.round(centroid.g), b: Math.round(centroid.b) };
+      return { color: toHex(rgb), rgb, share: Number((centroid.count / pixels.length).toFixed(3)) };
+    });
+}
+
+/**
+ * Dominant and complementary colours for a clustered palette
+ */
+export function summarizePalette(colors) {
+  if (colors.length === 0) return null;
+
+  // Product shots are often on white or black; prefer the largest chromatic cluster
+  const chromatic = colors.find(c => c.share >= MIN_CHROMATIC_SHARE && rgbToHsl(c.rgb).s >= MIN_SATURATION);
+  const dominant = chromatic || colors[0];
+  const hsl = rgbToHsl(dominant.rgb);
+  const complementary = toHex(hslToRgb({ h: hsl.h + 180, s: hsl.s, l: hsl.l }));
+
+  return {
+    colors,
+    dominant: dominant.color,
+    complementary
+  };
+}
+
+/**
+ * Extract the palette of an image file or buffer.
+ *
+ * @param {string|Buffer} input
+ * @param {object} [options]
+ * @param {number} [options.k]
+ * @returns {Promise<{colors, dominant, complementary}|null>}
+ */
+export async function extractPalette(input, options = {}) {
+  const { data, info } = await sharp(input)
+    .resize(SAMPLE_SIZE, SAMPLE_SIZE, { fit: 'inside', withoutEnlargement: true })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return summarizePalette(kMeansPalette(data, info.channels, options));
+}
+
+/**
+ * Layout colours derived from an extracted palette, in the shape of the
+ * design engine's tone colours: background (light → dark), accent and text
+ * candidates. The engine picks whichever text candidate meets contrast.
+ */
+export function paletteToLayoutColors(palette) {
+  const { dominant, complementary } = palette;
+  return {
+    background: [
+      withLightness(dominant, 0.94),
+      withLightness(dominant, 0.82),
+      withLightness(dominant, 0.22)
+    ],
+    accent: [withLightness(complementary, 0.5), withLightness(dominant, 0.45)],
+    text: [withLightness(dominant, 0.12), withLightness(complementary, 0.96)]
+  };
+}
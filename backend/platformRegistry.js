@@ -0,0 +1,116 @@
+/**
+ * Platform Registry
+ * Versioned, declarative spec of every ad network and placement the builder
+ * exports to, loaded from the JSON files in ./platforms:
+ * - index.json: registry version, the layout formats file and the network files
+ * - formats.json: the engine's layout formats (square, story, banner)
+ * - one file per network: defaults plus a list of placements (sizes)
+ *
+ * A placement inherits its network's defaults (file formats, file size cap,
+ * colour profile, text coverage limit, safe zone ratio) and may override any
+ * of them. `null` means the network doesn't publish a limit.
+ */
+
+import { readFileSync } from 'fs';
+
+const REGISTRY_DIR = new URL('./platforms/', import.meta.url);
+const PLACEMENT_FIELDS = ['safeZoneRatio', 'textMaxCoverage', 'maxFileSizeKB', 'fileFormats', 'colorProfile', 'minProductCoverage'];
+
+function readSpecFile(name) {
+  try {
+    return JSON.parse(readFileSync(new URL(name, REGISTRY_DIR), 'utf8'));
+  } catch (error) {
+    throw new Error(`Platform registry: cannot read ${name}: ${error.message}`);
+  }
+}
+
+function validateNetwork(network, file) {
+  if (!network.id || !network.name) {
+    throw new Error(`Platform registry: ${file} needs an id and a name`);
+  }
+  if (!Array.isArray(network.placements) || network.placements.length === 0) {
+    throw new Error(`Platform registry: ${file} has no placements`);
+  }
+  const seen = new Set();
+  for (const placement of network.placements) {
+    if (!placement.id || !(placement.width > 0) || !(placement.height > 0)) {
+      throw new Error(`Platform registry: ${file} has a placement without an id, width and height`);
+    }
+    if (seen.has(placement.id)) {
+      throw new Error(`Platform registry: ${file} lists placement "${placement.id}" twice`);
+    }
+    seen.add(placement.id);
+  }
+}
+
+function loadRegistry() {
+  const index = readSpecFile('index.json');
+  const networks = new Map();
+  for (const file of index.networks) {
+    const network = readSpecFile(file);
+    validateNetwork(network, file);
+    if (networks.has(network.id)) {
+      throw new Error(`Platform registry: network "${network.id}" is defined twice`);
+    }
+    networks.set(network.id, network);
+  }
+  return { version: index.version, formats: readSpecFile(index.formats), networks };
+}
+
+const REGISTRY = loadRegistry();
+
+/**
+ * Placement with its network defaults applied and a resolved safe zone in pixels
+ */
+function resolvePlacement(network, placement) {
+  const spec = { network: network.id, networkName: network.name, ...placement };
+  for (const field of PLACEMENT_FIELDS) {
+    spec[field] = placement[field] !== undefined ? placement[field] : (network.defaults?.[field] ?? null);
+  }
+  spec.safeZone = placement.safeZone ?? Math.round(Math.min(placement.width, placement.height) * (spec.safeZoneRatio ?? 0));
+  spec.ref = `${network.id}/${placement.id}`;
+  return spec;
+}
+
+export function getRegistryVersion() {
+  return REGISTRY.version;
+}
+
+/**
+ * The engine's layout formats, keyed by format name
+ */
+export function getLayoutFormats() {
+  return REGISTRY.formats;
+}
+
+/**
+ * Every network with its resolved placements
+ */
+export function listNetworks() {
+  return [...REGISTRY.networks.keys()].map(getNetwork);
+}
+
+export function getNetwork(networkId) {
+  const network = REGISTRY.networks.get(networkId);
+  if (!network) return null;
+  return {
+    id: network.id,
+    name: network.name,
+    placements: network.placements.map(placement => resolvePlacement(network, placement))
+  };
+}
+
+export function getPlacement(networkId, placementId) {
+  const network = REGISTRY.networks.get(networkId);
+  const placement = network?.placements.find(p => p.id === placementId);
+  return placement ? resolvePlacement(network, placement) : null;
+}
+
+/**
+ * Placement from a "network/placement" reference (e.g. "google/leaderboard")
+ */
+export function resolvePlacementRef(ref) {
+  if (typeof ref !== 'string') return null;
+  const [networkId, placementId] = ref.split('/');
+  return getPlacement(networkId, placementId);
+}
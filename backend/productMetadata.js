@@ -0,0 +1,98 @@
+/**
+ * Product Metadata
+ * The product facts behind a creative, attached to uploaded assets and used
+ * for copy generation:
+ * - title, description, category, sku: free text
+ * - price (number): what the customer pays, after any discount
+ * - currency (ISO 4217 code)
+ * - discount: percentage off, 0-100
+ * - endDate: last day of the promotion, YYYY-MM-DD
+ * - tags: list of keywords
+ */
+
+export const DEFAULT_CURRENCY = 'INR';
+
+const MAX_TEXT_LENGTH = {
+  title: 120,
+  description: 500,
+  category: 60,
+  sku: 64
+};
+const MAX_TAGS = 20;
+
+function cleanText(value, maxLength) {
+  if (value === undefined || value === null) return '';
+  return String(value).trim().slice(0, maxLength);
+}
+
+function cleanNumber(value, { min = 0, max = Infinity } = {}) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = typeof value === 'number' ? value : parseFloat(String(value).replace(/[^0-9.-]/g, ''));
+  if (!Number.isFinite(number) || number < min || number > max) return null;
+  return number;
+}
+
+function cleanDate(value) {
+  const date = cleanText(value, 10);
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) return null;
+  // Round-trip to reject dates like 2026-02-31
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().startsWith(date) ? date : null;
+}
+
+function cleanTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  const seen = new Set();
+  return list
+    .map(tag => String(tag).trim().toLowerCase())
+    .filter(tag => tag && !seen.has(tag) && seen.add(tag))
+    .slice(0, MAX_TAGS);
+}
+
+/**
+ * Validate and normalise client-supplied metadata. Unknown fields are dropped,
+ * invalid numbers become null.
+ */
+export function normalizeProductMetadata(input = {}) {
+  const metadata = input || {};
+  const currency = cleanText(metadata.currency, 3).toUpperCase();
+  return {
+    title: cleanText(metadata.title, MAX_TEXT_LENGTH.title),
+    description: cleanText(metadata.description, MAX_TEXT_LENGTH.description),
+    price: cleanNumber(metadata.price),
+    currency: /^[A-Z]{3}$/.test(currency) ? currency : DEFAULT_CURRENCY,
+    discount: cleanNumber(metadata.discount, { min: 0, max: 100 }),
+    endDate: cleanDate(metadata.endDate),
+    tags: cleanTags(metadata.tags),
+    category: cleanText(metadata.category, MAX_TEXT_LENGTH.category),
+    sku: cleanText(metadata.sku, MAX_TEXT_LENGTH.sku)
+  };
+}
+
+/**
+ * Metadata for a generation request: the main asset's metadata, overridden by
+ * any non-empty fields sent with the request
+ */
+export function resolveProductMetadata(assets = [], requestMetadata = {}) {
+  const fromAsset = normalizeProductMetadata(assets[0]?.metadata);
+  const fromRequest = normalizeProductMetadata(requestMetadata);
+  const merged = { ...fromAsset };
+
+  for (const [key, value] of Object.entries(fromRequest)) {
+    const empty = value === '' || value === null || (Array.isArray(value) && value.length === 0);
+    if (!empty && !(key === 'currency' && !requestMetadata?.currency)) {
+      merged[key] = value;
+    }
+  }
+  return merged;
+}
+
+/**
+ * Searchable text for keyword detection
+ */
+export function metadataSearchText(metadata = {}) {
+  const tags = Array.isArray(metadata.tags) ? metadata.tags.join(' ') : (metadata.tags || '');
+  return [metadata.title, metadata.description, metadata.category, tags]
+    .filter(Boolean)
+    .join(' ');
+}
@@ -0,0 +1,149 @@
+/**
+ * Project Store
+ * Local embedded store that persists projects (campaigns) as JSON files.
+ * A project owns its uploaded assets, the creative brief (tone, objective,
+ * format, copy locale, seed, brand kit), the generated variants, the render history and the
+ * undo/redo history, so a session can be reopened exactly where it was left off.
+ */
+
+import { randomUUID } from 'crypto';
+import { join } from 'path';
+import { createJsonFileStore } from './jsonFileStore.js';
+
+const MAX_RENDER_HISTORY = 50;
+const MAX_UNDO_HISTORY = 100; // commands kept on each of the undo and redo stacks
+
+const DEFAULT_BRIEF = {
+  tone: 'neutral',
+  objective: 'awareness',
+  format: 'square',
+  locale: null,
+  seed: null,
+  brandId: null,
+  paletteSync: true
+};
+
+// Fields a client may overwrite through updateProject()
+const UPDATABLE_FIELDS = ['name', 'brief', 'assets', 'variants', 'state', 'history'];
+
+const store = createJsonFileStore('Project');
+
+/**
+ * Point the store at a data directory and make sure it exists
+ */
+export function initProjectStore(dataDir) {
+  return store.init(join(dataDir, 'projects'));
+}
+
+/**
+ * List all projects as lightweight summaries, most recently updated first
+ */
+export async function listProjects() {
+  const projects = (await store.readAll()).map(project => ({
+    id: project.id,
+    name: project.name,
+    brief: project.brief,
+    assetCount: project.assets.length,
+    variantCount: project.variants.length,
+    renderCount: project.renders.length,
+    createdAt: project.createdAt,
+    updatedAt: project.updatedAt
+  }));
+  return projects.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+export function getProject(id) {
+  return store.read(id);
+}
+
+export async function createProject({ name, brief = {} } = {}) {
+  const now = new Date().toISOString();
+  const project = {
+    id: randomUUID(),
+    name: name || 'Untitled project',
+    brief: { ...DEFAULT_BRIEF, ...brief },
+    assets: [],
+    variants: [],
+    renders: [],
+    state: {},
+    history: { past: [], future: [] },
+    createdAt: now,
+    updatedAt: now
+  };
+  await store.write(project);
+  return project;
+}
+
+/**
+ * Shallow-update whitelisted fields; `brief` and `state` are merged
+ */
+export function updateProject(id, patch = {}) {
+  return store.mutate(id, (project) => {
+    for (const field of UPDATABLE_FIELDS) {
+      if (patch[field] === undefined) continue;
+      if (field === 'brief' || field === 'state') {
+        project[field] = { ...project[field], ...patch[field] };
+      } else if (field === 'history') {
+        // null clears the history
+        project.history = {
+          past: (patch.history?.past || []).slice(-MAX_UNDO_HISTORY),
+          future: (patch.history?.future || []).slice(-MAX_UNDO_HISTORY)
+        };
+      } else {
+        project[field] = patch[field];
+      }
+    }
+  });
+}
+
+export function deleteProject(id) {
+  return store.remove(id);
+}
+
+export function addAssets(id, assets) {
+  return store.mutate(id, (project) => {
+    project.assets = [...assets, ...project.assets];
+  });
+}
+
+export function removeAsset(id, predicate) {
+  return store.mutate(id, (project) => {
+    project.assets = project.assets.filter(asset => !predicate(asset));
+  });
+}
+
+/**
+ * Shallow-update one asset (e.g. its product metadata)
+ */
+export function updateAsset(id, assetId, patch) {
+  return store.mutate(id, (project) => {
+    project.assets = project.assets.map(asset => (
+      String(asset.id) === String(assetId) ? { ...asset, ...patch } : asset
+    ));
+  });
+}
+
+/**
+ * Append a render to the project's history (bounded)
+ */
+export function addRender(id, render) {
+  return store.mutate(id, (project) => {
+    project.renders.push({
+      id: randomUUID(),
+      createdAt: new Date().toISOString(),
+      ...render
+    });
+    project.renders = project.renders.slice(-MAX_RENDER_HISTORY);
+  });
+}
+
+/**
+ * Find an asset by id across all projects
+ */
+export async function findAsset(assetId) {
+  for (const project of await store.readAll()) {
+    const asset = project.assets.find(a => String(a.id) === String(assetId));
+    if (asset) return asset;
+  }
+  return null;
+}
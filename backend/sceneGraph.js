@@ -0,0 +1,261 @@
+/**
+ * Scene Graph
+ * Renderer-independent description of a creative, built from a variant's
+ * generativeLayout. Every backend (Canvas, Sharp/SVG) draws the same scene,
+ * so a variant looks the same whichever renderer is available.
+ *
+ * Layers are drawn in order:
+ * - background  (rect)      solid tone/brand colour
+ * - gradient    (gradient)  optional overlay gradient
+ * - mainAsset   (image)     product shot or its cut-out
+ * - textOverlay (text)      headline: backdrop box plus laid-out lines
+ * - subline     (text)      optional supporting line under the headline
+ * - cta         (button)    optional call-to-action, a rounded button
+ * - legal       (text)      optional small print
+ * - logo        (image)     optional brand logo
+ * - safeZone    (guide)     safe-area outline, left out of exported files
+ */
+
+import { layoutText } from './textLayout.js';
+
+const DEFAULT_DIMENSIONS = {
+  square: { width: 800, height: 800 },
+  story: { width: 1080, height: 1920 },
+  banner: { width: 1200, height: 628 }
+};
+
+const TEXT_BOX_RADIUS = 4;
+
+// Copy elements drawn after the headline, in stacking order
+const COPY_ELEMENTS = [
+  { id: 'subline', type: 'text' },
+  { id: 'cta', type: 'button' },
+  { id: 'legal', type: 'text' }
+];
+
+/**
+ * Overlay copy for a variant: AI quote when available, objective-based fallback otherwise
+ */
+export function getOverlayText(genLayout, objective) {
+  if (genLayout && genLayout.textOverlay) {
+    const text = genLayout.textOverlay.quote || genLayout.textOverlay.text;
+    if (text) return text;
+  }
+  if (objective === 'conversion') return 'Shop Now →';
+  if (objective === 'sales') return 'Limited Time Offer';
+  return 'New Arrival';
+}
+
+/**
+ * Canvas size for a variant
+ */
+export function getSceneDimensions(genLayout, format) {
+  if (genLayout && genLayout.dimensions) {
+    return { ...genLayout.dimensions };
+  }
+  return { ...(DEFAULT_DIMENSIONS[format] || DEFAULT_DIMENSIONS.banner) };
+}
+
+/**
+ * Fill in the parts of a layout that legacy (non-generative) variants don't have,
+ * matching the positions the template renderer used to hard-code
+ */
+export function resolveLayout(variant, tone, width, height) {
+  const genLayout = variant.generativeLayout || {};
+  const legacyOffset = variant.layout || 0;
+  const fallbackBg = tone === 'bold' ? '#0f172a' : tone === 'premium' ? '#111827' : '#ffffff';
+
+  return {
+    background: genLayout.background || { color: fallbackBg, gradient: null },
+    mainAsset: genLayout.mainAsset || {
+      x: width * 0.1 + legacyOffset * 20,
+      y: height * 0.1 + legacyOffset * 30,
+      width: width * 0.8,
+      height: height * 0.8,
+      anchor: 'top-left'
+    },
+    logo: genLayout.logo || { x: 30, y: 30, width: 140, height: 140, anchor: 'top-left', opacity: 1 },
+    textOverlay: genLayout.textOverlay || {
+      x: width - 420,
+      y: height - 200,
+      width: 380,
+      height: 120,
+      fontSize: 42,
+      fontWeight: 'bold',
+      backgroundColor: 'rgba(0,0,0,0.6)',
+      padding: 18,
+      textColor: '#ffffff',
+      alignment: 'center'
+    },
+    subline: genLayout.subline || null,
+    cta: genLayout.cta || null,
+    legal: genLayout.legal || null,
+    safeZone: genLayout.compliance?.safeZone || 40
+  };
+}
+
+/**
+ * A text or button layer for a copy box, with its lines laid out
+ */
+function copyLayer(id, type, box, text, measure) {
+  return {
+    id,
+    type,
+    x: box.x,
+    y: box.y,
+    width: box.width,
+    height: box.height,
+    background: box.backgroundColor || 'rgba(0,0,0,0.6)',
+    radius: box.radius ?? TEXT_BOX_RADIUS,
+    color: box.textColor || '#ffffff',
+    text,
+    layout: layoutText(text, box, {
+      ...(measure ? { measure } : {}),
+      ...(box.fontFamily ? { fontFamily: box.fontFamily } : {}),
+      // Small print may go below the usual auto-fit minimum
+      ...(box.minFontSize ? { minFontSize: box.minFontSize } : {})
+    })
+  };
+}
+
+/**
+ * Build the scene for a variant.
+ *
+ * @param {object} params
+ * @param {object} params.variant - Variant with optional generativeLayout
+ * @param {object} params.sources - Resolved file paths: { mainAsset, logo }
+ * @param {function} [params.measure] - Text measurer (see textLayout.js)
+ */
+export function buildScene({ variant, sources = {}, tone, objective, format, measure }) {
+  const { width, height } = getSceneDimensions(variant.generativeLayout, format);
+  const layout = resolveLayout(variant, tone, width, height);
+  const layers = [];
+
+  layers.push({
+    id: 'background',
+    type: 'rect',
+    x: 0,
+    y: 0,
+    width,
+    height,
+    fill: layout.background.color
+  });
+
+  const gradient = layout.background.gradient;
+  if (gradient && gradient.type === 'linear') {
+    layers.push({
+      id: 'gradient',
+      type: 'gradient',
+      x: 0,
+      y: 0,
+      width,
+      height,
+      direction: gradient.direction || 'vertical',
+      stops: gradient.colors.map((color, i) => ({
+        offset: gradient.colors.length > 1 ? i / (gradient.colors.length - 1) : 0,
+        color
+      })),
+      opacity: gradient.opacity ?? 1
+    });
+  }
+
+  if (sources.mainAsset) {
+    layers.push({
+      id: 'mainAsset',
+      type: 'image',
+      src: sources.mainAsset,
+      x: layout.mainAsset.x,
+      y: layout.mainAsset.y,
+      width: layout.mainAsset.width,
+      height: layout.mainAsset.height,
+      fit: 'contain',
+      anchor: layout.mainAsset.anchor || 'center',
+      opacity: 1
+    });
+  }
+
+  const text = getOverlayText(variant.generativeLayout, objective);
+  layers.push(copyLayer('textOverlay', 'text', layout.textOverlay, text, measure));
+
+  for (const { id, type } of COPY_ELEMENTS) {
+    const box = layout[id];
+    if (box && box.text) {
+      layers.push(copyLayer(id, type, box, box.text, measure));
+    }
+  }
+
+  if (sources.logo) {
+    layers.push({
+      id: 'logo',
+      type: 'image',
+      src: sources.logo,
+      x: layout.logo.x,
+      y: layout.logo.y,
+      width: layout.logo.width,
+      height: layout.logo.height,
+      fit: 'contain',
+      anchor: layout.logo.anchor || 'top-left',
+      opacity: layout.logo.opacity ?? 1,
+      optional: true // A broken logo shouldn't fail the whole render
+    });
+  }
+
+  layers.push({
+    id: 'safeZone',
+    type: 'guide',
+    x: layout.safeZone,
+    y: layout.safeZone,
+    width: width - layout.safeZone * 2,
+    height: height - layout.safeZone * 2,
+    stroke: 'rgba(255,255,255,0.2)',
+    lineWidth: 2
+  });
+
+  return { width, height, layers };
+}
+
+/**
+ * Where an image of the given natural size lands inside its layer box.
+ * 'contain' keeps the aspect ratio; the anchor decides which side it hugs.
+ */
+export function placeImage(layer, naturalWidth, naturalHeight) {
+  if (layer.fit !== 'contain' || !naturalWidth || !naturalHeight) {
+    return { x: layer.x, y: layer.y, width: layer.width, height: layer.height };
+  }
+
+  const scale = Math.min(layer.width / naturalWidth, layer.height / naturalHeight);
+  const width = naturalWidth * scale;
+  const height = naturalHeight * scale;
+  const anchor = layer.anchor || 'center';
+
+  let x = layer.x;
+  if (anchor === 'center') x = layer.x + (layer.width - width) / 2;
+  else if (anchor.endsWith('right')) x = layer.x + layer.width - width;
+
+  let y = layer.y;
+  if (anchor === 'center') y = layer.y + (layer.height - height) / 2;
+  else if (anchor.startsWith('bottom')) y = layer.y + layer.height - height;
+
+  return { x, y, width, height };
+}
+
+/**
+ * Find a layer by id
+ */
+export function getLayer(scene, id) {
+  return scene.layers.find(layer => layer.id === id) || null;
+}
+
+/**
+ * Layers that carry laid-out copy (text boxes and buttons), headline first
+ */
+export function getTextLayers(scene) {
+  return scene.layers.filter(layer => layer.type === 'text' || layer.type === 'button');
+}
+
+/**
+ * The scene without its guides (the safe-zone outline), as drawn in exported files
+ */
+export function withoutGuides(scene) {
+  return { ...scene, layers: scene.layers.filter(layer => layer.type !== 'guide') };
+}
@@ -0,0 +1,359 @@
+/**
+ * Scene Renderer
+ * Draws a scene from sceneGraph.js with one of two backends:
+ * - Canvas: node-canvas, used when the native module is available
+ * - SVG:    the scene serialised to SVG and rasterised by Sharp (librsvg)
+ *
+ * Both backends share layout math (placeImage, textLayout) so their output
+ * only differs in anti-aliasing and font rasterisation. Right-to-left lines
+ * are drawn with the text direction set so the backend runs bidi shaping.
+ *
+ * Image layers get `placed` (the drawn rect) and `content` (the part of it
+ * covered by visible pixels, smaller than `placed` for a padded cut-out);
+ * compliance checks measure from these.
+ *
+ * A layer may carry a `transform` ({opacity, dx, dy, scale}, see animation.js),
+ * applied around the centre of its box; animated banners render their frames this way.
+ */
+
+import sharp from 'sharp';
+import { extname } from 'path';
+import fs from 'fs/promises';
+import { placeImage } from './sceneGraph.js';
+
+const IMAGE_MIME_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.svg': 'image/svg+xml'
+};
+
+export function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * A finite number for an SVG attribute (layouts come from the client)
+ */
+function num(value, fallback = 0) {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : fallback;
+}
+
+/**
+ * Layer id for an SVG id attribute: word characters and dashes only
+ */
+function svgId(id) {
+  return String(id ?? '').replace(/[^\w-]/g, '-') || 'layer';
+}
+
+const ALPHA_THRESHOLD = 16; // alpha below this counts as transparent
+const FULL_BOUNDS = { left: 0, top: 0, right: 1, bottom: 1 };
+
+/**
+ * Bounds of the visible pixels of raw pixels, as fractions of the image
+ * ({left, top, right, bottom}); null when every pixel is transparent
+ */
+export function alphaBounds(pixels, width, height, channels = 4) {
+  let left = width;
+  let top = height;
+  let right = -1;
+  let bottom = -1;
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (pixels[(y * width + x) * channels + channels - 1] < ALPHA_THRESHOLD) continue;
+      left = Math.min(left, x);
+      right = Math.max(right, x);
+      top = Math.min(top, y);
+      bottom = Math.max(bottom, y);
+    }
+  }
+  if (right < 0) return null;
+  return { left: left / width, top: top / height, right: (right + 1) / width, bottom: (bottom + 1) / height };
+}
+
+// Visible bounds of image files by path (uploads and cut-outs are never rewritten in place)
+const contentBoundsCache = new Map();
+const CONTENT_BOUNDS_CACHE_SIZE = 200;
+
+async function imageContentBounds(src) {
+  if (contentBoundsCache.has(src)) return contentBoundsCache.get(src);
+  let bounds = FULL_BOUNDS;
+  try {
+    const image = sharp(src);
+    if ((await image.metadata()).hasAlpha) {
+      const { data, info } = await image.ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+      bounds = alphaBounds(data, info.width, info.height);
+    }
+  } catch (err) {
+    console.warn(`Could not measure ${src}:`, err.message);
+  }
+  if (contentBoundsCache.size >= CONTENT_BOUNDS_CACHE_SIZE) {
+    contentBoundsCache.delete(contentBoundsCache.keys().next().value);
+  }
+  contentBoundsCache.set(src, bounds);
+  return bounds;
+}
+
+// The part of a placed image its visible pixels cover (empty when there are none)
+function contentRect(placed, bounds) {
+  if (!bounds) return { x: placed.x, y: placed.y, width: 0, height: 0 };
+  return {
+    x: placed.x + bounds.left * placed.width,
+    y: placed.y + bounds.top * placed.height,
+    width: (bounds.right - bounds.left) * placed.width,
+    height: (bounds.bottom - bounds.top) * placed.height
+  };
+}
+
+function roundedRectPath(ctx, x, y, width, height, radius) {
+  const r = Math.max(0, Math.min(radius, width / 2, height / 2));
+  ctx.beginPath();
+  ctx.moveTo(x + r, y);
+  ctx.lineTo(x + width - r, y);
+  ctx.arcTo(x + width, y, x + width, y + r, r);
+  ctx.lineTo(x + width, y + height - r);
+  ctx.arcTo(x + width, y + height, x + width - r, y + height, r);
+  ctx.lineTo(x + r, y + height);
+  ctx.arcTo(x, y + height, x, y + height - r, r);
+  ctx.lineTo(x, y + r);
+  ctx.arcTo(x, y, x + r, y, r);
+  ctx.closePath();
+}
+
+// Centre of a layer's box, the origin its transform scales around
+function transformOrigin(layer) {
+  return { x: layer.x + layer.width / 2, y: layer.y + layer.height / 2 };
+}
+
+function applyCanvasTransform(ctx, layer) {
+  const { opacity = 1, dx = 0, dy = 0, scale = 1 } = layer.transform;
+  const origin = transformOrigin(layer);
+  ctx.globalAlpha = opacity;
+  ctx.translate(origin.x + dx, origin.y + dy);
+  ctx.scale(scale, scale);
+  ctx.translate(-origin.x, -origin.y);
+}
+
+function svgTransformGroup(layer, content) {
+  const { opacity, dx, dy, scale } = layer.transform;
+  const origin = transformOrigin(layer);
+  const x = num(origin.x);
+  const y = num(origin.y);
+  return `<g opacity="${num(opacity, 1)}" transform="translate(${x + num(dx)} ${y + num(dy)}) scale(${num(scale, 1)}) translate(${-x} ${-y})">${content}</g>`;
+}
+
+function gradientVector(layer) {
+  if (layer.direction === 'horizontal') {
+    return [layer.x, layer.y, layer.x + layer.width, layer.y];
+  }
+  return [layer.x, layer.y, layer.x, layer.y + layer.height];
+}
+
+/**
+ * Render a scene with node-canvas.
+ *
+ * @param {object} scene
+ * @param {object} options
+ * @param {function} options.createCanvas
+ * @param {function} options.loadImage
+ * @param {boolean} [options.skipText] - Draw text backdrops but not the glyphs
+ * @param {number} [options.scale] - Output size relative to the scene (e.g. 0.3 for previews)
+ * @returns {Promise<{buffer: Buffer, canvas: object}>}
+ */
+export async function renderSceneWithCanvas(scene, { createCanvas, loadImage, skipText = false, scale = 1 }) {
+  const canvas = createCanvas(Math.round(scene.width * scale), Math.round(scene.height * scale));
+  const ctx = canvas.getContext('2d');
+  ctx.scale(scale, scale);
+
+  for (const layer of scene.layers) {
+    ctx.save();
+    if (layer.transform) applyCanvasTransform(ctx, layer);
+
+    switch (layer.type) {
+      case 'rect':
+        ctx.fillStyle = layer.fill;
+        ctx.fillRect(layer.x, layer.y, layer.width, layer.height);
+        break;
+
+      case 'gradient': {
+        const gradient = ctx.createLinearGradient(...gradientVector(layer));
+        layer.stops.forEach(stop => gradient.addColorStop(stop.offset, stop.color));
+        ctx.globalAlpha *= layer.opacity;
+        ctx.fillStyle = gradient;
+        ctx.fillRect(layer.x, layer.y, layer.width, layer.height);
+        break;
+      }
+
+      case 'image': {
+        let image;
+        try {
+          image = await loadImage(layer.src);
+        } catch (err) {
+          if (!layer.optional) throw err;
+          console.error(`Error loading ${layer.id}:`, err);
+          break;
+        }
+        const placed = placeImage(layer, image.width, image.height);
+        layer.placed = placed; // Actual drawn rect, used by compliance checks
+        layer.content = contentRect(placed, await imageContentBounds(layer.src));
+        ctx.globalAlpha *= layer.opacity ?? 1;
+        ctx.drawImage(image, placed.x, placed.y, placed.width, placed.height);
+        break;
+      }
+
+      // Buttons are text layers with a pill-shaped backdrop (radius = half the height)
+      case 'text':
+      case 'button': {
+        ctx.fillStyle = layer.background;
+        roundedRectPath(ctx, layer.x, layer.y, layer.width, layer.height, layer.radius || 0);
+        ctx.fill();
+
+        if (!skipText) {
+          ctx.font = layer.layout.font;
+          ctx.fillStyle = layer.color;
+          ctx.direction = layer.layout.direction || 'ltr';
+          ctx.textAlign = layer.layout.textAlign;
+          ctx.textBaseline = 'middle';
+          layer.layout.lines.forEach(line => ctx.fillText(line.text, line.x, line.y));
+        }
+        break;
+      }
+
+      case 'guide':
+        ctx.strokeStyle = layer.stroke;
+        ctx.lineWidth = layer.lineWidth;
+        ctx.strokeRect(layer.x, layer.y, layer.width, layer.height);
+        break;
+
+      default:
+        console.warn(`Unknown scene layer type: ${layer.type}`);
+    }
+    ctx.restore();
+  }
+
+  return { buffer: canvas.toBuffer('image/png'), canvas };
+}
+
+/**
+ * Read an image layer as a data URI plus its natural size. Below full scale
+ * (previews) the image is resampled to the size it is drawn at.
+ */
+async function embedImage(src, layer, scale) {
+  const mime = IMAGE_MIME_TYPES[extname(src).toLowerCase()];
+  const { width, height } = await sharp(src).metadata();
+  let data;
+  if (scale < 1) {
+    const placed = placeImage(layer, width, height);
+    data = await sharp(src)
+      .resize(Math.max(1, Math.round(placed.width * scale)), Math.max(1, Math.round(placed.height * scale)), { fit: 'fill' })
+      .png()
+      .toBuffer();
+  } else {
+    // librsvg only decodes PNG/JPEG/GIF/SVG reliably; convert anything else
+    data = mime ? await fs.readFile(src) : await sharp(src).png().toBuffer();
+  }
+  return {
+    href: `data:${scale < 1 || !mime ? 'image/png' : mime};base64,${data.toString('base64')}`,
+    width,
+    height
+  };
+}
+
+/**
+ * Serialise a scene to a standalone SVG document with embedded images and live text.
+ * Colours and text come from the request, so every string attribute is escaped.
+ * `scale` sets the document size relative to the scene; the viewBox keeps scene coordinates.
+ */
+export async function sceneToSvg(scene, { skipText = false, scale = 1 } = {}) {
+  const defs = [];
+  const body = [];
+
+  for (const layer of scene.layers) {
+    const start = body.length;
+    const id = svgId(layer.id);
+    const box = `x="${num(layer.x)}" y="${num(layer.y)}" width="${num(layer.width)}" height="${num(layer.height)}"`;
+    switch (layer.type) {
+      case 'rect':
+        body.push(`<rect id="${id}" ${box} fill="${escapeXml(layer.fill)}"/>`);
+        break;
+
+      case 'gradient': {
+        const [x1, y1, x2, y2] = gradientVector(layer);
+        const stops = layer.stops
+          .map(stop => `<stop offset="${num(stop.offset)}" stop-color="${escapeXml(stop.color)}"/>`)
+          .join('');
+        defs.push(`<linearGradient id="${id}-fill" gradientUnits="userSpaceOnUse" x1="${num(x1)}" y1="${num(y1)}" x2="${num(x2)}" y2="${num(y2)}">${stops}</linearGradient>`);
+        body.push(`<rect id="${id}" ${box} fill="url(#${id}-fill)" opacity="${num(layer.opacity, 1)}"/>`);
+        break;
+      }
+
+      case 'image': {
+        let image;
+        try {
+          image = await embedImage(layer.src, layer, scale);
+        } catch (err) {
+          if (!layer.optional) throw err;
+          console.error(`Error loading ${layer.id}:`, err);
+          break;
+        }
+        const placed = placeImage(layer, image.width, image.height);
+        layer.placed = placed;
+        layer.content = contentRect(placed, await imageContentBounds(layer.src));
+        body.push(`<image id="${id}" x="${num(placed.x)}" y="${num(placed.y)}" width="${num(placed.width)}" height="${num(placed.height)}" opacity="${num(layer.opacity, 1)}" preserveAspectRatio="none" xlink:href="${image.href}"/>`);
+        break;
+      }
+
+      case 'text':
+      case 'button': {
+        const { layout } = layer;
+        const rtl = layout.direction === 'rtl';
+        // text-anchor is logical: "start" is the right edge of RTL text
+        const anchor = rtl
+          ? { left: 'end', center: 'middle', right: 'start' }[layout.textAlign] || 'end'
+          : { left: 'start', center: 'middle', right: 'end' }[layout.textAlign] || 'start';
+        const direction = rtl ? ' direction="rtl"' : '';
+        const lines = skipText ? '' : layout.lines.map(line =>
+          `<text x="${num(line.x)}" y="${num(line.y)}" text-anchor="${anchor}"${direction} dominant-baseline="central">${escapeXml(line.text)}</text>`
+        ).join('');
+        body.push(
+          `<g id="${id}">` +
+          `<rect ${box} rx="${num(layer.radius)}" fill="${escapeXml(layer.background)}"/>` +
+          `<g font-family="${escapeXml(layout.fontFamily)}" font-size="${num(layout.fontSize, 16)}" font-weight="${escapeXml(layout.fontWeight)}" fill="${escapeXml(layer.color)}">${lines}</g>` +
+          `</g>`
+        );
+        break;
+      }
+
+      case 'guide':
+        body.push(`<rect id="${id}" ${box} fill="none" stroke="${escapeXml(layer.stroke)}" stroke-width="${num(layer.lineWidth, 1)}"/>`);
+        break;
+
+      default:
+        console.warn(`Unknown scene layer type: ${layer.type}`);
+    }
+    if (layer.transform && body.length > start) {
+      body.splice(start, body.length - start, svgTransformGroup(layer, body.slice(start).join('')));
+    }
+  }
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" xmlns:xlink="http://www.w3.org/1999/xlink" width="${Math.round(num(scene.width) * num(scale, 1))}" height="${Math.round(num(scene.height) * num(scale, 1))}" viewBox="0 0 ${num(scene.width)} ${num(scene.height)}">` +
+    (defs.length ? `<defs>${defs.join('')}</defs>` : '') +
+    body.join('') +
+    `</svg>`;
+}
+
+/**
+ * Render a scene with Sharp by rasterising its SVG form
+ */
+export async function renderSceneWithSharp(scene, options = {}) {
+  const svg = await sceneToSvg(scene, options);
+  const buffer = await sharp(Buffer.from(svg)).png().toBuffer();
+  return { buffer, canvas: null };
+}
@@ -0,0 +1,84 @@
+/**
+ * Mock LLM server
+ * A tiny OpenAI-compatible chat completions endpoint for testing the copy
+ * provider path offline. Replies are built from the product facts in the
+ * prompt, always include one line that fails validation, and are the same
+ * for the same prompt.
+ *
+ * Usage: npm run mock:llm
+ *   then set COPY_LLM_BASE_URL=http://localhost:11435/v1 in .env
+ *
+ * MOCK_LLM_PORT changes the port; MOCK_LLM_FAIL=1 answers every request with
+ * a 500 to exercise the template fallback. test/copyProvider.test.js runs the
+ * same app (createMockLlmApp) on a free port.
+ */
+
+import express from 'express';
+import { pathToFileURL } from 'url';
+
+const PORT = parseInt(process.env.MOCK_LLM_PORT, 10) || 11435;
+
+// The line every reply includes and the validator must reject (banned word, made-up discount)
+export const MOCK_REJECTED_LINE = 'Guaranteed 90% Off Everything';
+
+// "- Price: ₹1,299" → { price: '₹1,299' }
+function readFacts(prompt) {
+  const fact = (label) => prompt.match(new RegExp(`^- ${label}: (.+)$`, 'm'))?.[1] || null;
+  return {
+    product: fact('Product'),
+    price: fact('Price'),
+    discount: fact('Discount')?.replace(/ off$/, ''),
+    endDate: fact('Offer ends'),
+    count: parseInt(prompt.match(/Write (\d+)/)?.[1], 10) || 3,
+    bold: /ALL CAPS/.test(prompt)
+  };
+}
+
+export function mockQuotes({ product, price, discount, endDate, count, bold }) {
+  const name = product || 'Our Range';
+  const lines = [
+    price ? `${name}, Now ${price}` : `Meet ${name}`,
+    discount ? `${discount} Off ${name}` : `Made for Every Day`,
+    endDate ? `Hurry, Ends ${endDate}` : 'Find Your New Favourite',
+    `Discover ${name}`,
+    'Style That Works Harder',
+    'Fresh Picks Are In'
+  ];
+  const quotes = Array.from({ length: count }, (_, i) => lines[i % lines.length]);
+  quotes.splice(1, 0, MOCK_REJECTED_LINE);
+  return bold ? quotes.map(q => q.toUpperCase()) : quotes;
+}
+
+export function createMockLlmApp({ fail = false, log = true } = {}) {
+  const app = express();
+  app.use(express.json());
+
+  app.post('/v1/chat/completions', (req, res) => {
+    const { model = 'mock', messages = [] } = req.body || {};
+    if (log) console.log(`📨 ${model}: ${messages.length} message(s)`);
+
+    if (fail) {
+      return res.status(500).json({ error: { message: 'Mock failure (MOCK_LLM_FAIL=1)' } });
+    }
+
+    const prompt = messages.filter(m => m.role === 'user').map(m => m.content).join('\n');
+    const content = JSON.stringify({ quotes: mockQuotes(readFacts(prompt)) });
+
+    res.json({
+      id: 'chatcmpl-mock',
+      object: 'chat.completion',
+      created: Math.floor(Date.now() / 1000),
+      model,
+      choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }],
+      usage: { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 }
+    });
+  });
+
+  return app;
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  createMockLlmApp({ fail: process.env.MOCK_LLM_FAIL === '1' }).listen(PORT, () => {
+    console.log(`🧪 Mock LLM listening on http://localhost:${PORT}/v1`);
+  });
+}
@@ -0,0 +1,58 @@
+/**
+ * Seeded Random
+ * Small deterministic PRNG used by the generative engine so that a
+ * creative can be rebuilt exactly from its seed.
+ */
+
+const UINT32_RANGE = 4294967296;
+
+/**
+ * Normalize a user supplied seed (number or string) to an unsigned 32-bit integer.
+ * Returns a fresh random seed when none is given.
+ */
+export function normalizeSeed(seed) {
+  if (seed === undefined || seed === null || seed === '') {
+    return Math.floor(Math.random() * UINT32_RANGE);
+  }
+
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return Math.floor(Math.abs(seed)) % UINT32_RANGE;
+  }
+
+  const text = String(seed).trim();
+  if (/^\d+$/.test(text)) {
+    return Number(text) % UINT32_RANGE;
+  }
+
+  // FNV-1a hash for string seeds such as campaign names
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Derive a stable child seed, e.g. one per variant in a batch
+ */
+export function deriveSeed(seed, index) {
+  let h = (seed ^ Math.imul(index + 1, 0x9e3779b9)) >>> 0;
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+}
+
+/**
+ * Create a Math.random()-compatible generator (mulberry32) from a seed
+ */
+export function createRandom(seed) {
+  let state = normalizeSeed(seed);
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / UINT32_RANGE;
+  };
+}
@@ -3,23 +3,68 @@ import cors from 'cors';
 import multer from 'multer';
 import sharp from 'sharp';
 import axios from 'axios';
-import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { randomUUID } from 'crypto';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { dirname, join, basename, extname, sep } from 'path';
 import fs from 'fs/promises';
 import dotenv from 'dotenv';
 import {
+  generateLayout,
   generateLayoutVariants,
   optimizeForPlatform,
+  layoutCopy,
+  transferLayerEdits,
   getLayoutDescription as getGenLayoutDescription
 } from './generativeDesignEngine.js';
+import { generateQuotes, generateCopy } from './aiQuoteGenerator.js';
+import { getCopyProvider } from './copyProvider.js';
+import { COPY_LANGUAGES, isSupportedLocale } from './copyLocales.js';
+import { lintCopyElements } from './copyLint.js';
+import { normalizeSeed } from './seededRandom.js';
 import {
-  generateQuoteVariations,
-  generateContextualQuote
-} from './aiQuoteGenerator.js';
+  initProjectStore,
+  listProjects,
+  getProject,
+  createProject,
+  updateProject,
+  deleteProject,
+  addAssets,
+  removeAsset,
+  updateAsset,
+  addRender,
+  findAsset
+} from './projectStore.js';
+import {
+  initBrandStore,
+  getBrandFontsDir,
+  listBrands,
+  getBrand,
+  createBrand,
+  updateBrand,
+  deleteBrand,
+  addBrandFont,
+  removeBrandFont,
+  setBrandLogo,
+  LOGO_SLOTS
+} from './brandStore.js';
+import { removeBackgroundLocally } from './backgroundRemoval.js';
+import { createCanvasMeasurer, textOverflowViolation } from './textLayout.js';
+import { buildScene, getTextLayers, withoutGuides } from './sceneGraph.js';
+import { renderSceneWithCanvas, renderSceneWithSharp } from './sceneRenderer.js';
+import { checkRenderedImage } from './complianceEngine.js';
+import { autoFixLayout } from './autoFix.js';
+import { extractPalette, paletteToLayoutColors } from './paletteExtractor.js';
+import { normalizeProductMetadata, resolveProductMetadata } from './productMetadata.js';
+import { getRegistryVersion, getLayoutFormats, listNetworks, getNetwork, getPlacement, resolvePlacementRef } from './platformRegistry.js';
+import { encodeImage, EXPORT_FORMATS, isExportFormat, preferredFormat } from './imageEncoder.js';
+import { normalizeTimeline } from './animation.js';
+import { exportAnimation, ANIMATED_FORMATS } from './animationExport.js';
+import { exportLayered, LAYERED_FORMATS } from './layeredExport.js';
 
 // Canvas is optional - will be loaded dynamically
-let createCanvas, loadImage;
+let createCanvas, loadImage, registerFont;
 let canvasLoaded = false;
+const registeredFontFiles = new Set();
 
 async function loadCanvas() {
   if (canvasLoaded) return;
@@ -28,8 +73,10 @@ async function loadCanvas() {
     const canvasModule = await import('canvas');
     createCanvas = canvasModule.createCanvas;
     loadImage = canvasModule.loadImage;
+    registerFont = canvasModule.registerFont;
     canvasLoaded = true;
     console.log('✅ Canvas module loaded successfully');
+    await registerAllBrandFonts();
   } catch (err) {
     console.warn('⚠️  Canvas module not available. Server-side rendering will be limited.');
     console.warn('   Error:', err.message);
@@ -38,6 +85,29 @@ async function loadCanvas() {
   }
 }
 
+// Make a brand font available to node-canvas under its family name
+function registerBrandFont(font) {
+  if (!registerFont) return;
+  const fontPath = join(getBrandFontsDir(), font.file);
+  if (registeredFontFiles.has(fontPath)) return;
+  try {
+    registerFont(fontPath, { family: font.family, weight: font.weight, style: font.style });
+    registeredFontFiles.add(fontPath);
+  } catch (err) {
+    console.warn(`⚠️  Could not register font ${font.family}:`, err.message);
+  }
+}
+
+async function registerAllBrandFonts() {
+  try {
+    for (const brand of await listBrands()) {
+      brand.fonts.forEach(registerBrandFont);
+    }
+  } catch (err) {
+    console.warn('⚠️  Could not register brand fonts:', err.message);
+  }
+}
+
 dotenv.config();
 
 const __filename = fileURLToPath(import.meta.url);
@@ -51,13 +121,21 @@ app.use(cors());
 app.use(express.json());
 
 // Create uploads directory if it doesn't exist
-const uploadsDir = join(__dirname, 'uploads');
-const exportsDir = join(__dirname, 'exports');
+const uploadsDir = process.env.UPLOADS_DIR || join(__dirname, 'uploads');
+const exportsDir = process.env.EXPORTS_DIR || join(__dirname, 'exports');
+const dataDir = process.env.DATA_DIR || join(__dirname, 'data');
+
+// Client-supplied ids (e.g. a variant id) as part of an exported file name: word characters and dashes only
+function fileNamePart(id) {
+  return String(id ?? '').replace(/[^\w-]/g, '').slice(0, 64) || randomUUID();
+}
 
 async function ensureDirectories() {
   try {
     await fs.mkdir(uploadsDir, { recursive: true });
     await fs.mkdir(exportsDir, { recursive: true });
+    await initProjectStore(dataDir);
+    await initBrandStore(dataDir);
     console.log('✅ Directories created/verified');
   } catch (error) {
     console.error('❌ Failed to create directories:', error);
@@ -65,7 +143,7 @@ async function ensureDirectories() {
   }
 }
 // Ensure directories exist before starting server
-ensureDirectories().catch(err => {
+export const ready = ensureDirectories().catch(err => {
   console.error('Fatal: Could not create directories:', err);
   process.exit(1);
 });
@@ -93,6 +171,53 @@ const upload = multer({
   }
 });
 
+// Brand fonts: TrueType/OpenType only, since that is what registerFont loads
+const FONT_EXTENSIONS = ['.ttf', '.otf'];
+
+const fontUpload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      cb(null, getBrandFontsDir());
+    },
+    filename: (req, file, cb) => {
+      cb(null, `${randomUUID()}${extname(file.originalname).toLowerCase()}`);
+    }
+  }),
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (FONT_EXTENSIONS.includes(extname(file.originalname).toLowerCase())) {
+      cb(null, true);
+    } else {
+      cb(new Error('Only .ttf and .otf font files are allowed'), false);
+    }
+  }
+});
+
+// Cut-outs are cached next to the upload they were made from
+function cutoutPathFor(fullPath) {
+  return join(uploadsDir, `cutout-${basename(fullPath, extname(fullPath))}.png`);
+}
+
+// In-flight cut-outs, so parallel renders of the same asset share one background removal
+const cutoutJobs = new Map();
+
+async function getCutoutPath(fullPath) {
+  const cutoutPath = cutoutPathFor(fullPath);
+  try {
+    await fs.access(cutoutPath);
+    return cutoutPath;
+  } catch (err) {
+    if (!cutoutJobs.has(cutoutPath)) {
+      const job = removeBackgroundLocally(fullPath)
+        .then(({ buffer }) => fs.writeFile(cutoutPath, buffer))
+        .then(() => cutoutPath)
+        .finally(() => cutoutJobs.delete(cutoutPath));
+      cutoutJobs.set(cutoutPath, job);
+    }
+    return cutoutJobs.get(cutoutPath);
+  }
+}
+
 // Serve uploaded files
 app.use('/uploads', express.static(uploadsDir));
 app.use('/exports', express.static(exportsDir));
@@ -133,7 +258,7 @@ app.post('/api/upload', (req, res, next) => {
     const uploadedFiles = req.files.map((file, index) => {
       console.log(`Processing file ${index + 1}:`, file.originalname, file.filename);
       return {
-        id: Date.now() + index + Math.random(),
+        id: randomUUID(),
         name: file.originalname,
         src: `/uploads/${file.filename}`,
         type: file.mimetype,
@@ -142,6 +267,14 @@ app.post('/api/upload', (req, res, next) => {
       };
     });
 
+    // Attach to a project when one is given (multipart field `projectId`)
+    if (req.body.projectId) {
+      const project = await addAssets(req.body.projectId, uploadedFiles);
+      if (!project) {
+        return res.status(404).json({ error: 'Project not found' });
+      }
+    }
+
     console.log('Upload successful, returning', uploadedFiles.length, 'files');
     res.json({ files: uploadedFiles });
   } catch (error) {
@@ -191,28 +324,25 @@ app.post('/api/background-remove', upload.single('image'), async (req, res) => {
         });
         return;
       } catch (apiError) {
-        console.warn('remove.bg API error, falling back to simulation:', apiError.message);
-        // Fall through to simulation
+        console.warn('remove.bg API error, falling back to local segmentation:', apiError.message);
+        // Fall through to local segmentation
       }
     }
 
-    // Fallback: Simulated background removal using Sharp
-    // Apply edge detection and transparency to simulate background removal
-    const image = sharp(req.file.path);
-    const metadata = await image.metadata();
-    
-    // Create a simple mask-based approach (simulation)
-    // In production, use the API above
-    await image
-      .png()
-      .toFile(outputPath);
+    // Fallback: on-device segmentation (border colour key + edge-aware matting)
+    const result = await removeBackgroundLocally(req.file.path);
+    await fs.writeFile(outputPath, result.buffer);
 
     res.json({
       success: true,
       imageUrl: `/uploads/${req.file.filename}`,
       processedUrl: `/uploads/${outputPath.split('/').pop()}`,
-      method: 'simulated',
-      note: REMOVE_BG_API_KEY ? 'API failed, using simulation' : 'Set REMOVE_BG_API_KEY in .env for real background removal'
+      method: result.method,
+      confident: result.confident,
+      foregroundRatio: Number(result.foregroundRatio.toFixed(3)),
+      note: result.confident
+        ? (REMOVE_BG_API_KEY ? 'API failed, used local segmentation' : undefined)
+        : 'Background could not be separated reliably; image returned unmasked'
     });
   } catch (error) {
     console.error('Background removal error:', error);
@@ -230,14 +360,44 @@ const layoutTemplates = {
   grid: { mainX: 0.15, mainY: 0.15, mainWidth: 0.7, textX: 0.15, textY: 0.8 }
 };
 
+const VARIANT_COUNT = 6;
+
+function unsupportedLocaleMessage(locale) {
+  return `Unsupported locale "${locale}". Supported languages: ${Object.keys(COPY_LANGUAGES).join(', ')}`;
+}
+
 // Generate layout variants using Generative Design Engine
 app.post('/api/generate-variants', async (req, res) => {
   try {
-    const { assets, tone, objective, format } = req.body;
+    const { assets, tone, objective, format, projectId, brandId, paletteSync, bgRemove, locale } = req.body;
 
     if (!assets || assets.length === 0) {
       return res.status(400).json({ error: 'No assets provided' });
     }
+    if (!isSupportedLocale(locale)) {
+      return res.status(400).json({ error: unsupportedLocaleMessage(locale) });
+    }
+
+    const brand = brandId ? await getBrand(brandId) : null;
+    if (brandId && !brand) {
+      return res.status(404).json({ error: 'Brand not found' });
+    }
+
+    // Palette Sync: tint the layouts with the main asset's colours
+    const palette = paletteSync ? await syncedPalette(assets, bgRemove) : null;
+
+    // Same seed + inputs reproduces the exact same batch of variants
+    const seed = normalizeSeed(req.body.seed);
+
+    // Product facts: the main asset's metadata, overridden by the request's
+    const metadata = resolveProductMetadata(assets, req.body.metadata);
+
+    // With an LLM copy provider configured, fetch the batch's copy up front;
+    // otherwise the engine picks from the template bank itself
+    const copyProvider = getCopyProvider();
+    const copy = copyProvider
+      ? await generateQuotes({ tone, objective, assets, metadata, locale, count: VARIANT_COUNT, seed, provider: copyProvider })
+      : null;
 
     // Use Generative Design Engine to create AI-optimized layouts
     const generatedLayouts = generateLayoutVariants({
@@ -245,10 +405,15 @@ app.post('/api/generate-variants', async (req, res) => {
       objective: objective || 'awareness',
       format: format || 'square',
       assetCount: assets.length,
-      hasLogo: assets.length > 1,
-      count: 6,
+      hasLogo: assets.length > 1 || !!brand?.logos.primary,
+      count: VARIANT_COUNT,
       assets: assets, // Pass assets for AI quote generation
-      metadata: {} // Can be extended with product metadata
+      metadata,
+      quotes: copy?.quotes,
+      locale: locale || null,
+      brand,
+      palette,
+      seed
     });
 
     // Convert generative layouts to variant format compatible with existing system
@@ -259,6 +424,8 @@ app.post('/api/generate-variants', async (req, res) => {
       return {
         id: optimizedLayout.id || `v-${i}-${Date.now()}`,
         layout: i,
+        seed,
+        layoutSeed: optimizedLayout.seed,
         template: 'generative',
         templateConfig: {
           mainX: optimizedLayout.mainAsset.x / optimizedLayout.dimensions.width,
@@ -276,8 +443,15 @@ app.post('/api/generate-variants', async (req, res) => {
       };
     });
 
-    console.log(`✅ Generated ${variants.length} AI-optimized layout variants`);
-    res.json({ variants });
+    if (projectId) {
+      await updateProject(projectId, {
+        brief: { tone, objective, format, locale: locale || null, seed, brandId: brand ? brand.id : null, paletteSync: !!paletteSync },
+        variants
+      });
+    }
+
+    console.log(`✅ Generated ${variants.length} AI-optimized layout variants (seed ${seed})`);
+    res.json({ variants, seed, palette, copySource: copy ? copy.source : 'templates' });
   } catch (error) {
     console.error('Variant generation error:', error);
     res.status(500).json({ error: error.message });
@@ -299,19 +473,43 @@ function getLayoutDescription(templateName, objective) {
 // Generate AI-powered banner quotes
 app.post('/api/generate-quotes', async (req, res) => {
   try {
-    const { tone, objective, assets = [], metadata = {}, count = 5 } = req.body;
+    const { tone, objective, assets = [], count = 5, locale } = req.body;
+    if (!isSupportedLocale(locale)) {
+      return res.status(400).json({ error: unsupportedLocaleMessage(locale) });
+    }
+    const metadata = resolveProductMetadata(assets, req.body.metadata);
 
-    const quotes = generateQuoteVariations({
+    const { quotes, source } = await generateQuotes({
       tone: tone || 'neutral',
       objective: objective || 'awareness',
-      isAIThemed: false, // Can be enhanced with detection
+      assets,
+      metadata,
+      locale,
       count: Math.min(count, 10) // Max 10 quotes
     });
 
+    // Each headline with the subline, CTA and small print that go with it,
+    // and what the copy lint flags in them
+    const copy = quotes.map((headline, i) => {
+      const elements = generateCopy({
+        tone: tone || 'neutral',
+        objective: objective || 'awareness',
+        assets,
+        metadata,
+        variation: i / quotes.length,
+        locale,
+        headline
+      });
+      return { ...elements, lint: lintCopyElements(elements, { tone: tone || 'neutral', metadata }) };
+    });
+
     res.json({ 
       quotes,
+      copy,
+      source,
       tone: tone || 'neutral',
       objective: objective || 'awareness',
+      locale: locale || null,
       count: quotes.length
     });
   } catch (error) {
@@ -320,350 +518,155 @@ app.post('/api/generate-quotes', async (req, res) => {
   }
 });
 
-// Render variant to image using Sharp (fallback when Canvas is not available)
-async function renderVariantWithSharp(variant, assets, bgRemove, tone, objective, format, width, height) {
-  // Background color based on tone
-  const bgColor = tone === 'bold' ? '#0f172a' : tone === 'premium' ? '#111827' : '#ffffff';
-  
-  // Create background
-  let composite = sharp({
-    create: {
-      width,
-      height,
-      channels: 3,
-      background: bgColor
-    }
-  });
+// Map an asset URL (/uploads/..., or absolute) to its file in the uploads directory
+function resolveUploadPath(src) {
+  let assetPath = src;
+  if (assetPath.startsWith('http://') || assetPath.startsWith('https://')) {
+    assetPath = new URL(assetPath).pathname;
+  }
+  const cleanPath = assetPath.replace(/^\/uploads\//, '').replace(/^uploads\//, '');
+  return join(uploadsDir, cleanPath);
+}
 
-  // Load and process main asset
-  let mainAssetPath = variant.mainAsset.src;
-  if (mainAssetPath.startsWith('http://') || mainAssetPath.startsWith('https://')) {
-    const url = new URL(mainAssetPath);
-    mainAssetPath = url.pathname;
+// An uploaded file that no project lists yet (uploaded before a project was opened), or null
+async function findUploadedFile(src) {
+  const filePath = resolveUploadPath(String(src));
+  if (!filePath.startsWith(uploadsDir + sep)) return null;
+  try {
+    return (await fs.stat(filePath)).isFile() ? filePath : null;
+  } catch (err) {
+    return null;
   }
-  const cleanPath = mainAssetPath.replace(/^\/uploads\//, '').replace(/^uploads\//, '');
-  const fullPath = join(uploadsDir, cleanPath);
-  
-  const imgWidth = Math.min(width * 0.8, 800);
-  const x = Math.floor(width * 0.1 + variant.layout * 20);
-  const y = Math.floor(height * 0.1 + variant.layout * 30);
-  
-  // Resize main image
-  const mainImage = sharp(fullPath)
-    .resize(Math.floor(imgWidth), null, { withoutEnlargement: true });
-  
-  const mainImageBuffer = await mainImage.png().toBuffer();
-  const mainImageMeta = await mainImage.metadata();
-  const actualHeight = Math.floor(imgWidth * (mainImageMeta.height / mainImageMeta.width));
-  
-  // Prepare composite layers
-  const layers = [{
-    input: mainImageBuffer,
-    left: x,
-    top: y
-  }];
-
-  // Add logo if available
-  if (assets[1]) {
-    try {
-      let logoPath = assets[1].src;
-      if (logoPath.startsWith('http://') || logoPath.startsWith('https://')) {
-        const url = new URL(logoPath);
-        logoPath = url.pathname;
-      }
-      const cleanLogoPath = logoPath.replace(/^\/uploads\//, '').replace(/^uploads\//, '');
-      const fullLogoPath = join(uploadsDir, cleanLogoPath);
-      const logo = sharp(fullLogoPath).resize(140, null, { withoutEnlargement: true });
-      const logoBuffer = await logo.png().toBuffer();
-      layers.push({
-        input: logoBuffer,
-        left: 30,
-        top: 30
-      });
-    } catch (err) {
-      console.error('Error loading logo:', err);
-    }
+}
+
+// Resolve image sources; the cut-out replaces the product shot when bgRemove is on
+async function resolveSceneSources(variant, assets, bgRemove) {
+  const mainAssetPath = resolveUploadPath(variant.mainAsset.src);
+  return {
+    mainAsset: bgRemove ? await getCutoutPath(mainAssetPath) : mainAssetPath,
+    logo: await resolveLogoSource(variant, assets)
+  };
+}
+
+// Brand kit logo (in the lockup the layout picked), else the second uploaded asset
+async function resolveLogoSource(variant, assets) {
+  const genLayout = variant.generativeLayout;
+  if (genLayout?.brandId) {
+    const brand = await getBrand(genLayout.brandId);
+    const logo = brand && (brand.logos[genLayout.logo?.lockup] || brand.logos.primary);
+    if (logo) return resolveUploadPath(logo.src);
   }
+  return assets[1] ? resolveUploadPath(assets[1].src) : null;
+}
 
-  // Add text overlay using SVG with AI-generated quote
-  let text = 'New Arrival';
-  
-  // Use AI-generated quote if variant has generative layout
-  if (variant.generativeLayout && variant.generativeLayout.textOverlay) {
-    text = variant.generativeLayout.textOverlay.quote || variant.generativeLayout.textOverlay.text || text;
-  } else {
-    // Fallback to objective-based text
-    if (objective === 'conversion') {
-      text = 'Shop Now →';
-    } else if (objective === 'sales') {
-      text = '₹999 • Limited Offer';
-    }
+// Draw a scene with Canvas, or Sharp when Canvas is unavailable
+async function renderScene(scene, options = {}) {
+  await loadCanvas();
+  if (createCanvas && loadImage) {
+    return renderSceneWithCanvas(scene, { createCanvas, loadImage, ...options });
+  }
+  return renderSceneWithSharp(scene, options);
+}
+
+// Text measurer matching the active renderer (undefined = width estimates for Sharp).
+// Defaults to the headline font; layoutText passes each box's own weight and family.
+async function createSceneMeasurer(variant) {
+  await loadCanvas();
+  if (!createCanvas) return undefined;
+  const measureCtx = createCanvas(1, 1).getContext('2d');
+  const overlay = variant.generativeLayout?.textOverlay;
+  return createCanvasMeasurer(measureCtx, overlay?.fontWeight || 'bold', overlay?.fontFamily);
+}
+
+// Build the scene for a variant and render it; `guides: false` for files that are delivered as they are
+async function renderVariantScene({ variant, sources, tone, objective, format, guides = true }) {
+  const measure = await createSceneMeasurer(variant);
+  if (!measure) {
+    console.log('Using Sharp for rendering (Canvas not available)');
   }
 
-  const textSvg = `
-    <svg width="${width}" height="${height}">
-      <rect x="${width - 420}" y="${height - 200}" width="380" height="120" fill="rgba(0,0,0,0.6)" rx="4"/>
-      <text x="${width - 360}" y="${height - 140}" font-family="Arial, sans-serif" font-size="34" font-weight="700" fill="white">${text}</text>
-    </svg>
-  `;
-  
-  layers.push({
-    input: Buffer.from(textSvg),
-    left: 0,
-    top: 0
+  const built = buildScene({ variant, sources, tone, objective, format, measure });
+  const scene = guides ? built : withoutGuides(built);
+  const { buffer } = await renderScene(scene);
+  return { buffer, scene, measure };
+}
+
+// Compliance for a rendered scene: the final PNG plus a glyph-free backdrop render,
+// text that doesn't fit its box, and the copy's claims (`copy`: { tone, metadata }).
+// An export `placement` (platform registry) replaces the format's limits.
+async function checkSceneCompliance(scene, buffer, { format, placement, copy }) {
+  const backdrop = await renderScene(scene, { skipText: true });
+  const { violations, metrics } = await checkRenderedImage({
+    image: buffer,
+    backdropImage: backdrop.buffer,
+    scene,
+    format,
+    placement,
+    copy
   });
 
-  // Composite all layers
-  const output = await composite
-    .composite(layers)
-    .png()
-    .toBuffer();
+  for (const textLayer of getTextLayers(scene)) {
+    const overflow = textOverflowViolation(textLayer.layout, textLayer);
+    if (overflow) {
+      violations.push({ ...overflow, layer: textLayer.id });
+    }
+  }
 
-  return output;
+  return { violations, metrics };
 }
 
 // Render variant to image with Generative Design Engine support
 app.post('/api/render-variant', async (req, res) => {
   try {
-    const { variant, assets, bgRemove, tone, objective, format } = req.body;
+    const { variant, assets, bgRemove, tone, objective, format, platform, projectId } = req.body;
 
     if (!variant || !assets || assets.length === 0) {
       return res.status(400).json({ error: 'Missing required data' });
     }
-
-    // Use generative layout if available, otherwise use format defaults
-    let width, height;
-    let genLayout = variant.generativeLayout;
-    
-    if (genLayout && genLayout.dimensions) {
-      width = genLayout.dimensions.width;
-      height = genLayout.dimensions.height;
-    } else {
-      // Fallback to format-based dimensions
-      if (format === 'square') {
-        width = height = 800;
-      } else if (format === 'story') {
-        width = 1080;
-        height = 1920;
-      } else {
-        width = 1200;
-        height = 628;
-      }
+    const placement = platform ? resolvePlacementRef(platform) : null;
+    if (platform && !placement) {
+      return res.status(400).json({ error: `Unknown platform placement: ${platform} (expected "network/placement")` });
     }
 
-    let outputBuffer;
-    let canvas = null;
-    let ctx = null;
-
-    // Try to use Canvas if available, otherwise use Sharp
-    await loadCanvas();
-    if (createCanvas && loadImage) {
-      // Use Canvas for rendering
-      canvas = createCanvas(width, height);
-      ctx = canvas.getContext('2d');
-
-      // Background color from generative layout or tone-based fallback
-      let bgColor = '#ffffff';
-      if (genLayout && genLayout.background) {
-        bgColor = genLayout.background.color;
-      } else {
-        bgColor = tone === 'bold' ? '#0f172a' : tone === 'premium' ? '#111827' : '#ffffff';
-      }
-      
-      // Apply background gradient if available
-      if (genLayout && genLayout.background && genLayout.background.gradient) {
-        const gradient = genLayout.background.gradient;
-        if (gradient.type === 'linear' && gradient.direction === 'vertical') {
-          const bgGradient = ctx.createLinearGradient(0, 0, 0, height);
-          bgGradient.addColorStop(0, gradient.colors[0]);
-          bgGradient.addColorStop(1, gradient.colors[1]);
-          ctx.fillStyle = bgGradient;
-        } else {
-          ctx.fillStyle = bgColor;
-        }
-      } else {
-        ctx.fillStyle = bgColor;
-      }
-      ctx.fillRect(0, 0, width, height);
-
-      // Load and draw main asset using generative layout positioning
-      let mainAssetPath = variant.mainAsset.src;
-      if (mainAssetPath.startsWith('http://') || mainAssetPath.startsWith('https://')) {
-        const url = new URL(mainAssetPath);
-        mainAssetPath = url.pathname;
-      }
-      const cleanPath = mainAssetPath.replace(/^\/uploads\//, '').replace(/^uploads\//, '');
-      const fullPath = join(uploadsDir, cleanPath);
-      const mainImage = await loadImage(fullPath);
-      
-      let imgWidth, imgHeight, x, y;
-      
-      if (genLayout && genLayout.mainAsset) {
-        // Use generative layout positioning
-        x = genLayout.mainAsset.x;
-        y = genLayout.mainAsset.y;
-        imgWidth = genLayout.mainAsset.width;
-        imgHeight = genLayout.mainAsset.height;
-        
-        // Maintain aspect ratio
-        const aspectRatio = mainImage.height / mainImage.width;
-        if (imgHeight / imgWidth > aspectRatio) {
-          imgHeight = imgWidth * aspectRatio;
-        } else {
-          imgWidth = imgHeight / aspectRatio;
-        }
-      } else {
-        // Fallback to template-based positioning
-        imgWidth = Math.min(width * 0.8, mainImage.width);
-        imgHeight = imgWidth * (mainImage.height / mainImage.width);
-        x = width * 0.1 + variant.layout * 20;
-        y = height * 0.1 + variant.layout * 30;
-      }
-
-      if (bgRemove) {
-        ctx.save();
-        ctx.beginPath();
-        ctx.ellipse(x + imgWidth / 2, y + imgHeight / 2, imgWidth / 2, imgHeight / 2, 0, 0, Math.PI * 2);
-        ctx.clip();
-        ctx.drawImage(mainImage, x, y, imgWidth, imgHeight);
-        ctx.restore();
-      } else {
-        ctx.drawImage(mainImage, x, y, imgWidth, imgHeight);
-      }
-
-      // Draw text overlay using generative layout styling with AI-generated quotes
-      let text = 'New Arrival';
-      
-      // Use AI-generated quote if available, otherwise fallback to objective-based text
-      if (genLayout && genLayout.textOverlay && genLayout.textOverlay.quote) {
-        text = genLayout.textOverlay.quote;
-      } else if (genLayout && genLayout.textOverlay && genLayout.textOverlay.text) {
-        text = genLayout.textOverlay.text;
-      } else {
-        // Fallback to objective-based text
-        if (objective === 'conversion') {
-          text = 'Shop Now →';
-        } else if (objective === 'sales') {
-          text = '₹999 • Limited Offer';
-        }
-      }
-
-      if (genLayout && genLayout.textOverlay) {
-        const textOverlay = genLayout.textOverlay;
-        
-        // Measure text to ensure it fits
-        ctx.font = `${textOverlay.fontWeight || 'bold'} ${textOverlay.fontSize || 36}px Arial`;
-        const metrics = ctx.measureText(text);
-        const padding = textOverlay.padding || 18;
-        const boxWidth = Math.max(textOverlay.width, metrics.width + padding * 2);
-        const boxHeight = textOverlay.height;
-        const textX = textOverlay.x + boxWidth / 2;
-        const textY = textOverlay.y + boxHeight / 2;
-
-        // Background for text
-        ctx.fillStyle = textOverlay.backgroundColor || 'rgba(0,0,0,0.6)';
-        ctx.fillRect(textOverlay.x, textOverlay.y, boxWidth, boxHeight);
-
-        // Text styling
-        ctx.font = `${textOverlay.fontWeight || 'bold'} ${textOverlay.fontSize || 36}px Arial`;
-        ctx.fillStyle = textOverlay.textColor || '#ffffff';
-        ctx.textAlign = textOverlay.alignment || 'center';
-        ctx.textBaseline = 'middle';
-        ctx.fillText(text, textX, textY);
-      } else {
-        // Fallback to default text overlay
-        ctx.fillStyle = '#ffffff';
-        ctx.font = 'bold 42px Arial';
-        const metrics = ctx.measureText(text);
-        const padding = 18;
-        const boxWidth = metrics.width + padding * 2;
-        const boxHeight = 56;
-        const textX = width - 360;
-        const textY = height - 140;
-
-        ctx.fillStyle = 'rgba(0,0,0,0.6)';
-        ctx.fillRect(textX - padding, textY - boxHeight / 2, boxWidth, boxHeight);
-        ctx.fillStyle = '#fff';
-        ctx.fillText(text, textX, textY);
-      }
-
-      // Draw logo if available using generative layout positioning
-      if (assets[1]) {
-        try {
-          let logoPath = assets[1].src;
-          if (logoPath.startsWith('http://') || logoPath.startsWith('https://')) {
-            const url = new URL(logoPath);
-            logoPath = url.pathname;
-          }
-          const cleanLogoPath = logoPath.replace(/^\/uploads\//, '').replace(/^uploads\//, '');
-          const fullLogoPath = join(uploadsDir, cleanLogoPath);
-          const logoImage = await loadImage(fullLogoPath);
-          
-          let logoWidth, logoHeight, logoX, logoY;
-          
-          if (genLayout && genLayout.logo) {
-            logoX = genLayout.logo.x;
-            logoY = genLayout.logo.y;
-            logoWidth = genLayout.logo.width;
-            logoHeight = genLayout.logo.height;
-            
-            // Maintain aspect ratio
-            const logoAspectRatio = logoImage.height / logoImage.width;
-            if (logoHeight / logoWidth > logoAspectRatio) {
-              logoHeight = logoWidth * logoAspectRatio;
-            } else {
-              logoWidth = logoHeight / logoAspectRatio;
-            }
-            
-            // Apply opacity if specified
-            if (genLayout.logo.opacity) {
-              ctx.globalAlpha = genLayout.logo.opacity;
-            }
-          } else {
-            logoWidth = 140;
-            logoHeight = (logoImage.height / logoImage.width) * logoWidth;
-            logoX = 30;
-            logoY = 30;
-          }
-          
-          ctx.drawImage(logoImage, logoX, logoY, logoWidth, logoHeight);
-          ctx.globalAlpha = 1.0; // Reset opacity
-        } catch (err) {
-          console.error('Error loading logo:', err);
-        }
-      }
-
-      // Draw safe area guideline
-      const safeZone = (genLayout && genLayout.compliance && genLayout.compliance.safeZone) || 40;
-      ctx.strokeStyle = 'rgba(255,255,255,0.2)';
-      ctx.lineWidth = 2;
-      ctx.strokeRect(safeZone, safeZone, width - safeZone * 2, height - safeZone * 2);
-
-      outputBuffer = canvas.toBuffer('image/png');
-    } else {
-      // Fallback to Sharp rendering
-      console.log('Using Sharp for rendering (Canvas not available)');
-      outputBuffer = await renderVariantWithSharp(variant, assets, bgRemove, tone, objective, format, width, height);
-    }
+    const sources = await resolveSceneSources(variant, assets, bgRemove);
+    const { buffer: outputBuffer, scene } = await renderVariantScene({
+      variant,
+      sources,
+      tone,
+      objective,
+      format
+    });
 
     // Save rendered image
     const outputFilename = `rendered-${Date.now()}.png`;
     const outputPath = join(exportsDir, outputFilename);
     await fs.writeFile(outputPath, outputBuffer);
 
-    // Run compliance checks (simplified for Sharp - skip if canvas not available)
-    let violations = [];
-    if (canvas) {
-      violations = await runComplianceChecks(canvas, assets, format);
-    } else {
-      // Basic compliance check without canvas
-      violations = [];
+    // Compliance runs on the decoded PNG, so it is identical for both renderers
+    const { violations, metrics } = await checkSceneCompliance(scene, outputBuffer, {
+      format: variant.generativeLayout?.format || format,
+      placement,
+      copy: {
+        tone: variant.generativeLayout?.tone || tone,
+        metadata: resolveProductMetadata(assets, req.body.metadata)
+      }
+    });
+
+    if (projectId) {
+      await addRender(projectId, {
+        variantId: variant.id,
+        imageUrl: `/exports/${outputFilename}`,
+        bgRemove: !!bgRemove,
+        violations
+      });
     }
 
     res.json({
       success: true,
       imageUrl: `/exports/${outputFilename}`,
-      violations
+      dimensions: { width: scene.width, height: scene.height },
+      violations,
+      metrics
     });
   } catch (error) {
     console.error('Render error:', error);
@@ -671,285 +674,396 @@ app.post('/api/render-variant', async (req, res) => {
   }
 });
 
-// Enhanced compliance checks with brand guidelines
-async function runComplianceChecks(canvas, assets, format = 'square') {
-  const violations = [];
-  const ctx = canvas.getContext('2d');
-  const width = canvas.width;
-  const height = canvas.height;
-
-  // Brand guideline thresholds
-  const MIN_CONTRAST_RATIO = 4.5; // WCAG AA standard
-  const MIN_SAFE_ZONE = 40; // pixels from edge
-  const MIN_TEXT_SIZE = 24; // minimum readable text size
-  const MAX_TEXT_COVERAGE = 0.3; // max 30% of image covered by text
+// Low-res preview for the variant gallery: no compliance, nothing written to disk
+const PREVIEW_WIDTH = 320;
 
+app.post('/api/render-preview', async (req, res) => {
   try {
-    // 1. Contrast Check (WCAG AA compliance)
-    const sampleX = Math.floor(width - 300);
-    const sampleY = Math.floor(height - 140);
-    const imageData = ctx.getImageData(sampleX, sampleY, 1, 1);
-    const [r, g, b] = imageData.data;
-    
-    const bgLum = luminance(r, g, b);
-    const textLum = luminance(255, 255, 255);
-    const ratio = contrastRatio(bgLum, textLum);
-    
-    if (ratio < MIN_CONTRAST_RATIO) {
-      violations.push({
-        type: 'low-contrast',
-        severity: 'high',
-        message: `Text contrast too low (ratio ${ratio.toFixed(1)}, minimum ${MIN_CONTRAST_RATIO} required)`,
-        standard: 'WCAG AA',
-        fixable: true
-      });
-    }
+    const { variant, assets, bgRemove, tone, objective, format } = req.body;
 
-    // 2. Logo Safe Zone Check
-    if (assets && assets[1]) {
-      const logoRect = { x: 30, y: 30, w: 140, h: 50 };
-      if (logoRect.x < MIN_SAFE_ZONE || logoRect.y < MIN_SAFE_ZONE) {
-        violations.push({
-          type: 'logo-safe-zone',
-          severity: 'medium',
-          message: `Logo too close to edge. Minimum ${MIN_SAFE_ZONE}px safe zone required.`,
-          fixable: true
-        });
-      }
+    if (!variant || !assets || assets.length === 0) {
+      return res.status(400).json({ error: 'Missing required data' });
     }
 
-    // 3. Platform-specific checks
-    const platformChecks = getPlatformRequirements(format);
-    platformChecks.forEach(check => {
-      if (!check.passed) {
-        violations.push({
-          type: 'platform-compliance',
-          severity: check.severity || 'medium',
-          message: check.message,
-          platform: check.platform,
-          fixable: check.fixable || false
-        });
-      }
-    });
+    const sources = await resolveSceneSources(variant, assets, bgRemove);
+    const measure = await createSceneMeasurer(variant);
+    const scene = buildScene({ variant, sources, tone, objective, format, measure });
+    // Drawn at preview size rather than rendered in full and shrunk
+    const { buffer } = await renderScene(scene, { scale: Math.min(1, PREVIEW_WIDTH / scene.width) });
+    const preview = await sharp(buffer).jpeg({ quality: 70 }).toBuffer();
 
-    // 4. Text Readability Check
-    // Sample multiple text areas
-    const textAreas = [
-      { x: width - 360, y: height - 140 },
-      { x: width - 200, y: height - 100 }
-    ];
-    
-    let lowContrastCount = 0;
-    textAreas.forEach(area => {
-      try {
-        const areaData = ctx.getImageData(area.x, area.y, 10, 10);
-        const avgR = Array.from(areaData.data.filter((_, i) => i % 4 === 0)).reduce((a, b) => a + b) / (areaData.data.length / 4);
-        const avgG = Array.from(areaData.data.filter((_, i) => i % 4 === 1)).reduce((a, b) => a + b) / (areaData.data.length / 4);
-        const avgB = Array.from(areaData.data.filter((_, i) => i % 4 === 2)).reduce((a, b) => a + b) / (areaData.data.length / 4);
-        const areaLum = luminance(avgR, avgG, avgB);
-        const areaRatio = contrastRatio(areaLum, textLum);
-        if (areaRatio < MIN_CONTRAST_RATIO) lowContrastCount++;
-      } catch (e) {
-        // Skip if can't sample
-      }
+    res.json({
+      success: true,
+      variantId: variant.id,
+      image: `data:image/jpeg;base64,${preview.toString('base64')}`,
+      dimensions: { width: scene.width, height: scene.height }
     });
+  } catch (error) {
+    console.error('Preview error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    if (lowContrastCount > 0) {
-      violations.push({
-        type: 'text-readability',
-        severity: 'high',
-        message: `${lowContrastCount} text area(s) have poor readability`,
-        fixable: true
-      });
+// Auto-fix: repair violations in the variant's layout, then re-render and re-check
+const MAX_AUTO_FIX_PASSES = 3;
+
+app.post('/api/auto-fix', async (req, res) => {
+  try {
+    const { variant, assets, bgRemove, tone, objective, format, platform, projectId } = req.body;
+
+    if (!variant || !assets || assets.length === 0) {
+      return res.status(400).json({ error: 'Missing required data' });
+    }
+    const placement = platform ? resolvePlacementRef(platform) : null;
+    if (platform && !placement) {
+      return res.status(400).json({ error: `Unknown platform placement: ${platform} (expected "network/placement")` });
     }
 
-  } catch (e) {
-    console.error('Compliance check error:', e);
-  }
+    const sources = await resolveSceneSources(variant, assets, bgRemove);
+    const complianceFormat = variant.generativeLayout?.format || format;
+    const copy = {
+      tone: variant.generativeLayout?.tone || tone,
+      metadata: resolveProductMetadata(assets, req.body.metadata)
+    };
+    const renderAndCheck = async (candidate) => {
+      const rendered = await renderVariantScene({ variant: candidate, sources, tone, objective, format });
+      const compliance = await checkSceneCompliance(rendered.scene, rendered.buffer, {
+        format: complianceFormat,
+        placement,
+        copy
+      });
+      return { ...rendered, ...compliance };
+    };
 
-  return violations;
-}
+    let fixedVariant = variant;
+    let result = await renderAndCheck(fixedVariant);
+    const changes = [];
+
+    // Fixes can interact (smaller text changes the contrast requirement), so re-check a few times
+    for (let pass = 1; pass <= MAX_AUTO_FIX_PASSES; pass++) {
+      if (!result.violations.some(v => v.fixable)) break;
+
+      const fix = autoFixLayout({
+        variant: fixedVariant,
+        scene: result.scene,
+        violations: result.violations,
+        tone,
+        format,
+        placement,
+        measure: result.measure
+      });
+      if (fix.changes.length === 0) break;
 
-// Platform-specific requirements
-function getPlatformRequirements(format) {
-  const checks = [];
-  
-  // Meta (Facebook/Instagram) requirements
-  if (format === 'square' || format === 'story') {
-    checks.push({
-      platform: 'Meta',
-      passed: true, // Assume passed for now
-      message: 'Meta requires 20% text coverage maximum',
-      severity: 'high',
-      fixable: true
-    });
-  }
+      fixedVariant = fix.variant;
+      changes.push(...fix.changes.map(change => ({ ...change, pass })));
+      result = await renderAndCheck(fixedVariant);
+    }
 
-  // Google Ads requirements
-  if (format === 'banner') {
-    checks.push({
-      platform: 'Google',
-      passed: true,
-      message: 'Google Ads requires clear call-to-action',
-      severity: 'medium',
-      fixable: true
+    const outputFilename = `fixed-${Date.now()}.png`;
+    await fs.writeFile(join(exportsDir, outputFilename), result.buffer);
+
+    if (projectId && changes.length > 0) {
+      const project = await getProject(projectId);
+      if (project) {
+        await updateProject(projectId, {
+          variants: project.variants.map(v => (v.id === fixedVariant.id ? fixedVariant : v))
+        });
+      }
+    }
+    if (projectId) {
+      await addRender(projectId, {
+        variantId: fixedVariant.id,
+        imageUrl: `/exports/${outputFilename}`,
+        bgRemove: !!bgRemove,
+        violations: result.violations
+      });
+    }
+
+    res.json({
+      success: true,
+      imageUrl: `/exports/${outputFilename}`,
+      dimensions: { width: result.scene.width, height: result.scene.height },
+      variant: fixedVariant,
+      changes,
+      violations: result.violations,
+      metrics: result.metrics
     });
+  } catch (error) {
+    console.error('Auto-fix error:', error);
+    res.status(500).json({ error: error.message });
   }
+});
 
-  // Amazon requirements
-  checks.push({
-    platform: 'Amazon',
-    passed: true,
-    message: 'Amazon requires product image to cover at least 85% of creative',
-    severity: 'high',
-    fixable: false
-  });
+// Platform spec registry (backend/platforms): networks, their placements and limits
+app.get('/api/platforms', (req, res) => {
+  res.json({ version: getRegistryVersion(), formats: getLayoutFormats(), networks: listNetworks() });
+});
 
-  return checks;
-}
+app.get('/api/platforms/:network', (req, res) => {
+  const network = getNetwork(req.params.network);
+  if (!network) {
+    return res.status(404).json({ error: 'Platform not found' });
+  }
+  res.json({ version: getRegistryVersion(), ...network });
+});
 
-function luminance(r, g, b) {
-  const [rs, gs, bs] = [r, g, b].map(v => {
-    v /= 255;
-    return v <= 0.03928 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
-  });
-  return 0.2126 * rs + 0.7152 * gs + 0.0722 * bs;
-}
+// The variant's creative composed for another canvas size: same seed, copy,
+// brand kit, palette and animation timeline, with the boxes moved or resized in
+// the layer editor (or by auto-fix) moved and resized the same way. A variant
+// already at that size keeps its (edited) layout.
+async function layoutForSize(variant, assets, { width, height, safeZone, textMaxCoverage }, { bgRemove, metadata }) {
+  const genLayout = variant.generativeLayout;
+  if (genLayout.dimensions.width === width && genLayout.dimensions.height === height) {
+    return genLayout;
+  }
 
-function contrastRatio(l1, l2) {
-  const L1 = Math.max(l1, l2);
-  const L2 = Math.min(l1, l2);
-  return (L1 + 0.05) / (L2 + 0.05);
+  const brand = genLayout.brandId ? await getBrand(genLayout.brandId) : null;
+  const params = {
+    tone: genLayout.tone,
+    objective: genLayout.objective,
+    format: genLayout.format,
+    hasLogo: !!genLayout.logo,
+    assets,
+    metadata,
+    variation: (variant.layout || 0) / VARIANT_COUNT,
+    brand,
+    palette: genLayout.paletteSync ? await syncedPalette(assets, bgRemove) : null,
+    copy: layoutCopy(genLayout),
+    locale: genLayout.locale,
+    seed: genLayout.seed
+  };
+  const layout = generateLayout({ ...params, dimensions: { width, height }, safeZone });
+  if (genLayout.timeline) layout.timeline = genLayout.timeline;
+
+  // The variant as generated, before any edits, tells which boxes were changed by hand
+  const pristine = optimizeForPlatform(generateLayout(params), genLayout.format);
+  transferLayerEdits(layout, genLayout, pristine);
+  // Only some platforms limit text coverage (Meta's 20% rule); null means no limit
+  return optimizeForPlatform(layout, layout.format, { textMaxCoverage });
 }
 
-// Auto-fix contrast
-app.post('/api/auto-fix', async (req, res) => {
+// Platform-specific export: the variant re-laid-out and rendered at a placement's size,
+// encoded in the placement's preferred file format (or `outputFormat`) within its file size cap
+app.post('/api/export-platform', async (req, res) => {
   try {
-    await loadCanvas();
-    if (!createCanvas || !loadImage) {
-      return res.status(503).json({ 
-        error: 'Canvas module not available. Please rebuild canvas: npm rebuild canvas' 
-      });
-    }
+    const { variant, assets, bgRemove, platform, placement: placementId, outputFormat } = req.body;
 
-    const { imageUrl } = req.body;
-    
-    if (!imageUrl) {
-      return res.status(400).json({ error: 'No image URL provided' });
+    if (!variant?.generativeLayout || !assets || assets.length === 0) {
+      return res.status(400).json({ error: 'Missing required data' });
     }
 
-    // Load the image
-    let imagePath = imageUrl;
-    if (imagePath.startsWith('http://') || imagePath.startsWith('https://')) {
-      const url = new URL(imagePath);
-      imagePath = url.pathname;
+    const networkKey = String(platform || '').toLowerCase();
+    const placement = getPlacement(networkKey, placementId);
+    if (!placement) {
+      const network = getNetwork(networkKey);
+      return res.status(400).json({
+        error: `Unsupported platform/placement combination: ${platform}/${placementId}`,
+        available: network ? network.placements.map(p => p.id) : listNetworks().map(n => n.id)
+      });
+    }
+    // The placement's `fileFormats` only pick the default; an explicit still format is
+    // encoded for any placement (the registry lists few networks' WebP/AVIF support)
+    const format = outputFormat ? String(outputFormat).toLowerCase() : preferredFormat(placement.fileFormats);
+    if (!isExportFormat(format)) {
+      return res.status(400).json({ error: `Unsupported output format: ${outputFormat}`, available: EXPORT_FORMATS });
     }
-    const cleanPath = imagePath.replace(/^\/exports\//, '').replace(/^exports\//, '');
-    const fullPath = join(exportsDir, cleanPath);
-    const image = await loadImage(fullPath);
-    
-    const canvas = createCanvas(image.width, image.height);
-    const ctx = canvas.getContext('2d');
-    ctx.drawImage(image, 0, 0);
 
-    // Apply contrast fix: overlay semi-transparent dark band
-    ctx.fillStyle = 'rgba(0,0,0,0.35)';
-    ctx.fillRect(canvas.width - 420, canvas.height - 200, 380, 120);
+    const metadata = resolveProductMetadata(assets, req.body.metadata);
+    const layout = await layoutForSize(variant, assets, placement, { bgRemove, metadata });
+    const exportVariant = { ...variant, generativeLayout: layout };
+
+    const sources = await resolveSceneSources(exportVariant, assets, bgRemove);
+    const { buffer, scene } = await renderVariantScene({
+      variant: exportVariant,
+      sources,
+      tone: layout.tone,
+      objective: layout.objective,
+      format: layout.format,
+      guides: false
+    });
 
-    // Save fixed image
-    const outputFilename = `fixed-${Date.now()}.png`;
-    const outputPath = join(exportsDir, outputFilename);
-    const buffer = canvas.toBuffer('image/png');
-    await fs.writeFile(outputPath, buffer);
+    const encoded = await encodeImage(buffer, {
+      format,
+      maxBytes: placement.maxFileSizeKB ? placement.maxFileSizeKB * 1024 : null
+    });
+    const outputFilename = `export-${placement.network}-${placement.id}-${Date.now()}.${encoded.extension}`;
+    await fs.writeFile(join(exportsDir, outputFilename), encoded.buffer);
 
-    // Re-run compliance checks
-    const violations = await runComplianceChecks(canvas, [], 'square');
+    const { violations } = await checkSceneCompliance(scene, buffer, {
+      format: layout.format,
+      placement,
+      copy: { tone: layout.tone, metadata }
+    });
+    if (!encoded.withinBudget) {
+      violations.push({
+        type: 'file-size',
+        severity: 'high',
+        message: `File is ${Math.ceil(encoded.size / 1024)}KB even at the lowest quality; ${placement.networkName} allows at most ${placement.maxFileSizeKB}KB for ${placement.name}`,
+        fixable: false
+      });
+    }
 
     res.json({
       success: true,
       imageUrl: `/exports/${outputFilename}`,
+      platform: placement.network,
+      placement: placement.id,
+      dimensions: { width: placement.width, height: placement.height },
+      outputFormat: encoded.format,
+      quality: encoded.quality,
+      fileSize: encoded.size,
+      requirements: placement,
+      registryVersion: getRegistryVersion(),
       violations
     });
   } catch (error) {
-    console.error('Auto-fix error:', error);
+    console.error('Platform export error:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Platform-specific export formats
-app.post('/api/export-platform', async (req, res) => {
+// Animated banner export (GIF, MP4, WebM or an HTML5 zip) from the layout's timeline,
+// at a placement's size when `platform`/`placement` are given, else at the variant's own size
+app.post('/api/export-animated', async (req, res) => {
   try {
-    const { imageUrl, platform, format } = req.body;
+    const { variant, assets, bgRemove, platform, placement: placementId, outputFormat, fps, clickTag = '' } = req.body;
 
-    if (!imageUrl) {
-      return res.status(400).json({ error: 'No image URL provided' });
+    if (!variant?.generativeLayout || !assets || assets.length === 0) {
+      return res.status(400).json({ error: 'Missing required data' });
+    }
+    const format = String(outputFormat || '').toLowerCase();
+    if (!ANIMATED_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Unsupported animation format: ${outputFormat}`, available: ANIMATED_FORMATS });
+    }
+    if (clickTag && !/^https?:\/\//i.test(clickTag)) {
+      return res.status(400).json({ error: 'clickTag must be an http(s) URL' });
     }
 
-    // Load the source image
-    let imagePath = imageUrl;
-    if (imagePath.startsWith('http://') || imagePath.startsWith('https://')) {
-      const url = new URL(imagePath);
-      imagePath = url.pathname;
+    const placement = platform ? getPlacement(String(platform).toLowerCase(), placementId) : null;
+    if (platform && !placement) {
+      return res.status(400).json({ error: `Unsupported platform/placement combination: ${platform}/${placementId}` });
+    }
+    // Networks list video as mp4; WebM is accepted wherever MP4 is
+    if (placement && !placement.fileFormats?.includes(format === 'webm' ? 'mp4' : format)) {
+      return res.status(400).json({
+        error: `${placement.networkName} ${placement.name} does not accept ${format}`,
+        available: placement.fileFormats.filter(f => ANIMATED_FORMATS.includes(f))
+      });
     }
-    const cleanPath = imagePath.replace(/^\/exports\//, '').replace(/^exports\//, '');
-    const fullPath = join(exportsDir, cleanPath);
 
-    // Platform-specific dimensions and requirements
-    const platformSpecs = {
-      meta: {
-        square: { width: 1080, height: 1080, maxTextCoverage: 0.2 },
-        story: { width: 1080, height: 1920, maxTextCoverage: 0.2 },
-        feed: { width: 1200, height: 628, maxTextCoverage: 0.2 }
-      },
-      google: {
-        display: { width: 300, height: 250 },
-        banner: { width: 728, height: 90 },
-        square: { width: 250, height: 250 }
-      },
-      amazon: {
-        main: { width: 1000, height: 1000, minProductCoverage: 0.85 },
-        thumbnail: { width: 75, height: 75 },
-        zoom: { width: 2000, height: 2000 }
-      }
-    };
+    const metadata = resolveProductMetadata(assets, req.body.metadata);
+    const layout = placement
+      ? await layoutForSize(variant, assets, placement, { bgRemove, metadata })
+      : variant.generativeLayout;
+    const exportVariant = { ...variant, generativeLayout: layout };
+    const timeline = normalizeTimeline(layout.timeline);
+
+    const sources = await resolveSceneSources(exportVariant, assets, bgRemove);
+    const measure = await createSceneMeasurer(exportVariant);
+    const scene = withoutGuides(buildScene({
+      variant: exportVariant,
+      sources,
+      tone: layout.tone,
+      objective: layout.objective,
+      format: layout.format,
+      measure
+    }));
+
+    const animation = await exportAnimation({
+      scene,
+      timeline,
+      render: async (frameScene) => (await renderScene(frameScene)).buffer,
+      format,
+      fps,
+      clickTag,
+      title: layout.textOverlay?.quote || layout.textOverlay?.text || 'Banner'
+    });
 
-    const platformKey = platform.toLowerCase();
-    const formatKey = format || 'square';
-    
-    if (!platformSpecs[platformKey] || !platformSpecs[platformKey][formatKey]) {
-      return res.status(400).json({ 
-        error: `Unsupported platform/format combination: ${platform}/${format}`,
-        available: Object.keys(platformSpecs)
+    const name = placement ? `${placement.network}-${placement.id}` : fileNamePart(variant.id);
+    const outputFilename = `animated-${name}-${Date.now()}.${animation.extension}`;
+    await fs.writeFile(join(exportsDir, outputFilename), animation.buffer);
+
+    const violations = [];
+    if (placement?.maxFileSizeKB && animation.buffer.length > placement.maxFileSizeKB * 1024) {
+      violations.push({
+        type: 'file-size',
+        severity: 'high',
+        message: `File is ${Math.ceil(animation.buffer.length / 1024)}KB; ${placement.networkName} allows at most ${placement.maxFileSizeKB}KB for ${placement.name}`,
+        fixable: false
       });
     }
 
-    const specs = platformSpecs[platformKey][formatKey];
-    const outputFilename = `export-${platformKey}-${formatKey}-${Date.now()}.png`;
-    const outputPath = join(exportsDir, outputFilename);
+    res.json({
+      success: true,
+      imageUrl: `/exports/${outputFilename}`,
+      platform: placement?.network || null,
+      placement: placement?.id || null,
+      outputFormat: format,
+      extension: animation.extension,
+      dimensions: { width: scene.width, height: scene.height },
+      frames: animation.frames,
+      fps: animation.fps,
+      timeline,
+      fileSize: animation.buffer.length,
+      violations
+    });
+  } catch (error) {
+    console.error('Animated export error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Layered export for designers: an SVG with embedded images and live text, or an
+// OpenRaster (.ora) zip with one PNG per layout element plus a manifest.json
+app.post('/api/export-layered', async (req, res) => {
+  try {
+    const { variant, assets, bgRemove, tone, objective, format, outputFormat } = req.body;
 
-    // Resize and optimize for platform
-    await sharp(fullPath)
-      .resize(specs.width, specs.height, {
-        fit: 'contain',
-        background: { r: 255, g: 255, b: 255, alpha: 1 }
-      })
-      .png({ quality: 90, compressionLevel: 9 })
-      .toFile(outputPath);
+    if (!variant || !assets || assets.length === 0) {
+      return res.status(400).json({ error: 'Missing required data' });
+    }
+    const layeredFormat = String(outputFormat || '').toLowerCase();
+    if (!LAYERED_FORMATS.includes(layeredFormat)) {
+      return res.status(400).json({ error: `Unsupported layered format: ${outputFormat}`, available: LAYERED_FORMATS });
+    }
 
-    // Get file size
-    const stats = await fs.stat(outputPath);
+    const layout = variant.generativeLayout;
+    const sources = await resolveSceneSources(variant, assets, bgRemove);
+    const measure = await createSceneMeasurer(variant);
+    const scene = buildScene({
+      variant,
+      sources,
+      tone: layout?.tone || tone,
+      objective: layout?.objective || objective,
+      format: layout?.format || format,
+      measure
+    });
+
+    const layered = await exportLayered({
+      scene,
+      render: async (layerScene) => (await renderScene(layerScene)).buffer,
+      format: layeredFormat,
+      meta: {
+        variantId: variant.id,
+        layout: layout ? { format: layout.format, tone: layout.tone, objective: layout.objective, seed: layout.seed } : null
+      }
+    });
+
+    const outputFilename = `layered-${fileNamePart(variant.id)}-${Date.now()}.${layered.extension}`;
+    await fs.writeFile(join(exportsDir, outputFilename), layered.buffer);
 
     res.json({
       success: true,
       imageUrl: `/exports/${outputFilename}`,
-      platform: platformKey,
-      format: formatKey,
-      dimensions: { width: specs.width, height: specs.height },
-      fileSize: stats.size,
-      requirements: specs
+      outputFormat: layeredFormat,
+      extension: layered.extension,
+      mimeType: layered.mimeType,
+      dimensions: { width: scene.width, height: scene.height },
+      layers: scene.layers.map(layer => layer.id),
+      fileSize: layered.buffer.length
     });
   } catch (error) {
-    console.error('Platform export error:', error);
+    console.error('Layered export error:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -957,26 +1071,32 @@ app.post('/api/export-platform', async (req, res) => {
 // Batch export for multiple platforms
 app.post('/api/export-batch', async (req, res) => {
   try {
-    const { imageUrl, platforms } = req.body;
+    const { variant, assets, bgRemove, metadata, platforms, clickTag } = req.body;
 
-    if (!imageUrl || !platforms || !Array.isArray(platforms)) {
-      return res.status(400).json({ error: 'imageUrl and platforms array required' });
+    if (!variant || !platforms || !Array.isArray(platforms)) {
+      return res.status(400).json({ error: 'variant and platforms array required' });
     }
 
     const exports = [];
     for (const platformConfig of platforms) {
-      const { platform, format } = platformConfig;
+      const { platform, placement, outputFormat } = platformConfig;
+      const route = ANIMATED_FORMATS.includes(outputFormat) ? 'export-animated' : 'export-platform';
       try {
-        const result = await axios.post(`${req.protocol}://${req.get('host')}/api/export-platform`, {
-          imageUrl,
+        const result = await axios.post(`${req.protocol}://${req.get('host')}/api/${route}`, {
+          variant,
+          assets,
+          bgRemove,
+          metadata,
           platform,
-          format
+          placement,
+          outputFormat,
+          clickTag
         });
         exports.push(result.data);
       } catch (err) {
         exports.push({
           platform,
-          format,
+          placement,
           error: err.response?.data?.error || err.message,
           success: false
         });
@@ -995,6 +1115,48 @@ app.post('/api/export-batch', async (req, res) => {
   }
 });
 
+// Layout colours from the main asset's palette (Palette Sync), or null when it has no opaque pixels
+async function syncedPalette(assets, bgRemove) {
+  const extracted = await extractAssetPalette(assets[0].src, { cutout: !!bgRemove });
+  if (!extracted) return null;
+  return {
+    ...paletteToLayoutColors(extracted),
+    dominant: extracted.dominant,
+    complementary: extracted.complementary
+  };
+}
+
+// Palette of an uploaded image; with a cut-out only the product's own colours count
+async function extractAssetPalette(src, { cutout = false, k } = {}) {
+  const assetPath = resolveUploadPath(src);
+  return extractPalette(cutout ? await getCutoutPath(assetPath) : assetPath, { k });
+}
+
+// Dominant, complementary and clustered colours of an asset (`?cutout=true`, `?k=5`).
+// Assets no project lists yet are found by their upload path (`?src=/uploads/...`).
+app.get('/api/assets/:id/palette', async (req, res) => {
+  try {
+    let asset = await findAsset(req.params.id);
+    if (!asset && req.query.src && await findUploadedFile(req.query.src)) {
+      asset = { id: req.params.id, src: String(req.query.src) };
+    }
+    if (!asset) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+
+    const k = req.query.k ? Math.min(Math.max(parseInt(req.query.k, 10) || 5, 1), 12) : undefined;
+    const palette = await extractAssetPalette(asset.src, { cutout: req.query.cutout === 'true', k });
+    if (!palette) {
+      return res.status(422).json({ error: 'Image has no opaque pixels to sample' });
+    }
+
+    res.json({ assetId: asset.id, ...palette });
+  } catch (error) {
+    console.error('Palette extraction error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Delete asset
 app.delete('/api/assets/:filename', async (req, res) => {
   try {
@@ -1004,6 +1166,10 @@ app.delete('/api/assets/:filename', async (req, res) => {
     
     try {
       await fs.unlink(filePath);
+      await fs.rm(cutoutPathFor(filePath), { force: true });
+      if (req.query.projectId) {
+        await removeAsset(req.query.projectId, asset => asset.src === `/uploads/${filename}`);
+      }
       res.json({ success: true, message: 'Asset deleted' });
     } catch (err) {
       if (err.code === 'ENOENT') {
@@ -1018,6 +1184,251 @@ app.delete('/api/assets/:filename', async (req, res) => {
   }
 });
 
+// Projects: persisted assets, brief, variants and render history
+app.get('/api/projects', async (req, res) => {
+  try {
+    res.json({ projects: await listProjects() });
+  } catch (error) {
+    console.error('List projects error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/projects', async (req, res) => {
+  try {
+    const { name, brief } = req.body;
+    const project = await createProject({ name, brief });
+    res.status(201).json({ project });
+  } catch (error) {
+    console.error('Create project error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/projects/:id', async (req, res) => {
+  try {
+    const project = await getProject(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    res.json({ project });
+  } catch (error) {
+    console.error('Get project error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/projects/:id', async (req, res) => {
+  try {
+    const project = await updateProject(req.params.id, req.body);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    res.json({ project });
+  } catch (error) {
+    console.error('Update project error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Attach product metadata (title, price, tags...) to an uploaded asset
+app.put('/api/projects/:id/assets/:assetId', async (req, res) => {
+  try {
+    const project = await getProject(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    if (!project.assets.some(a => String(a.id) === req.params.assetId)) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+
+    const metadata = normalizeProductMetadata(req.body.metadata);
+    const updated = await updateAsset(req.params.id, req.params.assetId, { metadata });
+    res.json({ asset: updated.assets.find(a => String(a.id) === req.params.assetId) });
+  } catch (error) {
+    console.error('Update asset error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/projects/:id', async (req, res) => {
+  try {
+    const deleted = await deleteProject(req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    res.json({ success: true, message: 'Project deleted' });
+  } catch (error) {
+    console.error('Delete project error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Brand kits: palette, fonts, logo lockups and preferred tones per brand
+app.get('/api/brands', async (req, res) => {
+  try {
+    res.json({ brands: await listBrands() });
+  } catch (error) {
+    console.error('List brands error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/brands', async (req, res) => {
+  try {
+    const { name, palette, tones } = req.body;
+    const brand = await createBrand({ name, palette, tones });
+    res.status(201).json({ brand });
+  } catch (error) {
+    console.error('Create brand error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/api/brands/:id', async (req, res) => {
+  try {
+    const brand = await getBrand(req.params.id);
+    if (!brand) {
+      return res.status(404).json({ error: 'Brand not found' });
+    }
+    res.json({ brand });
+  } catch (error) {
+    console.error('Get brand error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.put('/api/brands/:id', async (req, res) => {
+  try {
+    const brand = await updateBrand(req.params.id, req.body);
+    if (!brand) {
+      return res.status(404).json({ error: 'Brand not found' });
+    }
+    res.json({ brand });
+  } catch (error) {
+    console.error('Update brand error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/brands/:id', async (req, res) => {
+  try {
+    const brand = await deleteBrand(req.params.id);
+    if (!brand) {
+      return res.status(404).json({ error: 'Brand not found' });
+    }
+
+    // Remove the kit's font files and logos
+    const files = [
+      ...brand.fonts.map(font => join(getBrandFontsDir(), font.file)),
+      ...Object.values(brand.logos).filter(Boolean).map(logo => resolveUploadPath(logo.src))
+    ];
+    await Promise.all(files.map(file => fs.unlink(file).catch(() => {})));
+
+    res.json({ success: true, message: 'Brand deleted' });
+  } catch (error) {
+    console.error('Delete brand error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Upload a font (multipart field `font`, plus `family`, `weight`, `style`, `role`)
+app.post('/api/brands/:id/fonts', fontUpload.single('font'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No font file uploaded' });
+    }
+
+    const font = {
+      family: req.body.family || basename(req.file.originalname, extname(req.file.originalname)),
+      weight: req.body.weight,
+      style: req.body.style,
+      role: req.body.role,
+      file: req.file.filename,
+      originalName: req.file.originalname
+    };
+    const brand = await addBrandFont(req.params.id, font);
+    if (!brand) {
+      await fs.unlink(req.file.path).catch(() => {});
+      return res.status(404).json({ error: 'Brand not found' });
+    }
+
+    await loadCanvas();
+    registerBrandFont(brand.fonts[brand.fonts.length - 1]);
+
+    res.status(201).json({ brand });
+  } catch (error) {
+    console.error('Font upload error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/brands/:id/fonts/:fontId', async (req, res) => {
+  try {
+    const { brand, font } = await removeBrandFont(req.params.id, req.params.fontId);
+    if (!brand || !font) {
+      return res.status(404).json({ error: 'Font not found' });
+    }
+    // Already registered faces stay available to canvas until restart
+    await fs.unlink(join(getBrandFontsDir(), font.file)).catch(() => {});
+    res.json({ brand });
+  } catch (error) {
+    console.error('Delete font error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Upload the primary or secondary logo lockup (multipart field `logo`)
+app.post('/api/brands/:id/logos/:slot', upload.single('logo'), async (req, res) => {
+  try {
+    if (!LOGO_SLOTS.includes(req.params.slot)) {
+      if (req.file) await fs.unlink(req.file.path).catch(() => {});
+      return res.status(400).json({ error: `Logo slot must be one of: ${LOGO_SLOTS.join(', ')}` });
+    }
+    if (!req.file) {
+      return res.status(400).json({ error: 'No logo uploaded' });
+    }
+
+    const { brand, previous } = await setBrandLogo(req.params.id, req.params.slot, {
+      id: randomUUID(),
+      name: req.file.originalname,
+      src: `/uploads/${req.file.filename}`,
+      type: req.file.mimetype
+    });
+    if (!brand) {
+      await fs.unlink(req.file.path).catch(() => {});
+      return res.status(404).json({ error: 'Brand not found' });
+    }
+    if (previous) {
+      await fs.unlink(resolveUploadPath(previous.src)).catch(() => {});
+    }
+
+    res.status(201).json({ brand });
+  } catch (error) {
+    console.error('Logo upload error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/api/brands/:id/logos/:slot', async (req, res) => {
+  try {
+    if (!LOGO_SLOTS.includes(req.params.slot)) {
+      return res.status(400).json({ error: `Logo slot must be one of: ${LOGO_SLOTS.join(', ')}` });
+    }
+    const { brand, previous } = await setBrandLogo(req.params.id, req.params.slot, null);
+    if (!brand) {
+      return res.status(404).json({ error: 'Brand not found' });
+    }
+    if (previous) {
+      await fs.unlink(resolveUploadPath(previous.src)).catch(() => {});
+    }
+    res.json({ brand });
+  } catch (error) {
+    console.error('Delete logo error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 // Error handling middleware for multer errors (must be after routes)
 app.use((error, req, res, next) => {
   if (error instanceof multer.MulterError) {
@@ -1036,9 +1447,15 @@ app.use((error, req, res, next) => {
   next();
 });
 
-app.listen(PORT, () => {
-  console.log(`🚀 Backend server running on http://localhost:${PORT}`);
-  console.log(`📁 Uploads directory: ${uploadsDir}`);
-  console.log(`📁 Exports directory: ${exportsDir}`);
-});
+// Listen when run as the server; tests import the app and listen themselves
+if (import.meta.url === pathToFileURL(process.argv[1]).href) {
+  app.listen(PORT, () => {
+    console.log(`🚀 Backend server running on http://localhost:${PORT}`);
+    console.log(`📁 Uploads directory: ${uploadsDir}`);
+    console.log(`📁 Exports directory: ${exportsDir}`);
+    console.log(`📁 Data directory: ${dataDir}`);
+  });
+}
+
+export default app;
 
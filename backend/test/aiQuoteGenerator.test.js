@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateQuote, generateCopy } from '../aiQuoteGenerator.js';
+import { normalizeProductMetadata } from '../productMetadata.js';
+import { lintCopy } from '../copyLint.js';
+
+const TONES = ['neutral', 'bold', 'playful', 'premium'];
+const OBJECTIVES = ['awareness', 'conversion', 'sales'];
+const VARIATIONS = Array.from({ length: 12 }, (_, i) => i / 12);
+
+const PRODUCTS = {
+  'no product data': normalizeProductMetadata({}),
+  'a price': normalizeProductMetadata({ title: 'Oat Milk', price: 1.5 }),
+  'a discount and end date': normalizeProductMetadata({ title: 'Oat Milk', discount: 20, endDate: '2026-11-01' })
+};
+
+for (const [label, metadata] of Object.entries(PRODUCTS)) {
+  test(`template copy passes the copy lint with ${label}`, () => {
+    for (const tone of TONES) {
+      for (const objective of OBJECTIVES) {
+        for (const isAIThemed of [false, true]) {
+          for (const variation of VARIATIONS) {
+            const headline = generateQuote({ tone, objective, isAIThemed, variation, metadata });
+            const copy = generateCopy({ tone, objective, variation, metadata, headline });
+            for (const text of Object.values(copy).filter(Boolean)) {
+              assert.deepEqual(lintCopy(text, { tone, metadata }), [], `${tone}/${objective}: "${text}"`);
+            }
+          }
+        }
+      }
+    }
+  });
+}
+
+test('every bank offers a choice of lines without product data', () => {
+  for (const tone of TONES) {
+    for (const objective of OBJECTIVES) {
+      for (const isAIThemed of [false, true]) {
+        const lines = new Set(VARIATIONS.map(variation => generateQuote({ tone, objective, isAIThemed, variation })));
+        assert.ok(lines.size >= 3, `${tone}/${objective}${isAIThemed ? ' (AI)' : ''}: only ${[...lines].join(', ')}`);
+      }
+    }
+  }
+});
+
+test('sale lines are used once the product data backs them', () => {
+  const metadata = PRODUCTS['a discount and end date'];
+  const lines = VARIATIONS.map(variation => generateQuote({ tone: 'neutral', objective: 'sales', variation, metadata }));
+  assert.ok(lines.some(line => line.includes('20%')), lines.join(', '));
+  assert.ok(lines.includes('Limited Time Offer'), lines.join(', '));
+  const plain = VARIATIONS.map(variation => generateQuote({ tone: 'neutral', objective: 'sales', variation }));
+  assert.ok(!plain.includes('Limited Time Offer'));
+});
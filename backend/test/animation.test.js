@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { defaultTimeline, normalizeTimeline, layerStateAt, sceneAtTime, frameTimes } from '../animation.js';
+
+const canvas = { width: 1000, height: 500 };
+
+test('the default timeline holds the creative after the last entrance', () => {
+  const timeline = defaultTimeline();
+  const lastEnd = Math.max(...Object.values(timeline.layers).map(entry => entry.delay + entry.duration));
+  assert.equal(timeline.duration, lastEnd + 2000);
+  assert.equal(timeline.loops, 1);
+  // Fresh copies, so editing one layout can't change another
+  timeline.layers.cta.delay = 0;
+  assert.notEqual(defaultTimeline().layers.cta.delay, 0);
+});
+
+test('client timelines are normalised', () => {
+  const timeline = normalizeTimeline({
+    duration: 999999,
+    loops: 9,
+    layers: {
+      cta: { effect: 'spin', delay: -5, duration: '400' },
+      background: { effect: 'fade', delay: 0, duration: 500 }
+    }
+  });
+  assert.deepEqual(timeline, { duration: 30000, loops: 3, layers: { cta: { effect: 'none', delay: 0, duration: 400 } } });
+  assert.deepEqual(normalizeTimeline(null), defaultTimeline());
+});
+
+test('the duration is stretched to fit the last entrance', () => {
+  const timeline = normalizeTimeline({ duration: 600, layers: { logo: { effect: 'fade', delay: 800, duration: 400 } } });
+  assert.equal(timeline.duration, 1200);
+});
+
+test('a layer eases from its effect start state to rest', () => {
+  const entry = { effect: 'slide-up', delay: 200, duration: 400 };
+  assert.deepEqual(layerStateAt(entry, 0, canvas), { opacity: 0, dx: 0, dy: 75, scale: 1 });
+  assert.deepEqual(layerStateAt(entry, 600, canvas), { opacity: 1, dx: 0, dy: 0, scale: 1 });
+  const middle = layerStateAt(entry, 400, canvas);
+  assert.ok(middle.opacity > 0.5 && middle.opacity < 1, 'ease-out is past half way at half time');
+  assert.ok(middle.dy > 0 && middle.dy < 75 / 2);
+  assert.deepEqual(layerStateAt({ effect: 'none', delay: 0, duration: 500 }, 0, canvas), { opacity: 1, dx: 0, dy: 0, scale: 1 });
+});
+
+test('only animated layers get a transform', () => {
+  const scene = { ...canvas, layers: [{ id: 'background' }, { id: 'cta' }] };
+  const frame = sceneAtTime(scene, { duration: 1000, loops: 1, layers: { cta: { effect: 'scale', delay: 0, duration: 500 } } }, 0);
+  assert.equal(frame.layers[0], scene.layers[0]);
+  assert.deepEqual(frame.layers[1].transform, { opacity: 0, dx: 0, dy: 0, scale: 0.6 });
+  assert.equal(scene.layers[1].transform, undefined);
+});
+
+test('frame times cover one play and end on the finished creative', () => {
+  const times = frameTimes({ duration: 1000 }, 15);
+  assert.equal(times.length, 16);
+  assert.equal(times[0], 0);
+  assert.equal(times[times.length - 1], 1000);
+});
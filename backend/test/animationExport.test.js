@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { missingNativeModule } from './nativeModules.js';
+
+const skip = await missingNativeModule('sharp');
+const { resolveFps } = skip ? {} : await import('../animationExport.js');
+
+const square = { width: 800, height: 800 };
+const story = { width: 1080, height: 1920 };
+
+test('short banners keep the requested or default frame rate', { skip }, () => {
+  assert.equal(resolveFps('gif', undefined, square, { duration: 3500 }), 15);
+  assert.equal(resolveFps('mp4', undefined, square, { duration: 3500 }), 30);
+  assert.equal(resolveFps('gif', 60, square, { duration: 3500 }), 30);
+  assert.equal(resolveFps('gif', 0.2, square, { duration: 3500 }), 1);
+});
+
+test('long or large banners get a lower frame rate that fits the frame budget', { skip }, () => {
+  const fps = resolveFps('gif', 30, story, { duration: 30000 });
+  assert.ok(fps >= 1 && fps < 15);
+  const frames = Math.round(30 * fps) + 1;
+  assert.ok(frames * story.width * story.height <= 80 * 1080 * 1920);
+  assert.ok(resolveFps('mp4', 30, story, { duration: 30000 }) > fps);
+});
+
+test('a size that does not fit even at one frame per second is refused', { skip }, () => {
+  assert.throws(() => resolveFps('gif', 15, { width: 20000, height: 20000 }, { duration: 30000 }), /frame budget/);
+});
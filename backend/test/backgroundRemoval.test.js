@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { missingNativeModule } from './nativeModules.js';
+
+const skip = await missingNativeModule('sharp');
+const { computeForegroundMask, combineAlpha } = skip ? {} : await import('../backgroundRemoval.js');
+
+const SIZE = 40;
+
+// SIZE×SIZE RGBA image: colour(x, y) for every pixel
+function image(colour) {
+  const data = new Uint8Array(SIZE * SIZE * 4);
+  for (let y = 0; y < SIZE; y++) {
+    for (let x = 0; x < SIZE; x++) {
+      data.set([...colour(x, y), 255], (y * SIZE + x) * 4);
+    }
+  }
+  return data;
+}
+
+const inBox = (x, y, left, top, right, bottom) => x >= left && x < right && y >= top && y < bottom;
+const at = (mask, x, y) => mask[y * SIZE + x];
+
+test('a subject on a solid border is kept and the border keyed out', { skip }, () => {
+  const data = image((x, y) => (inBox(x, y, 12, 12, 28, 28) ? [200, 30, 30] : [255, 255, 255]));
+  const { mask, backgroundColors } = computeForegroundMask(data, SIZE, SIZE);
+  assert.equal(backgroundColors.length, 1);
+  assert.equal(at(mask, 0, 0), 0);
+  assert.equal(at(mask, 39, 20), 0);
+  assert.equal(at(mask, 20, 20), 255);
+  assert.equal(mask.filter(alpha => alpha > 127).length, 16 * 16);
+});
+
+test('a gently graded backdrop is keyed out as a whole', { skip }, () => {
+  const data = image((x, y) => {
+    if (inBox(x, y, 12, 12, 28, 28)) return [20, 40, 160];
+    const shade = 225 + Math.round((x / (SIZE - 1)) * 30);
+    return [shade, shade, 255];
+  });
+  const { mask } = computeForegroundMask(data, SIZE, SIZE);
+  assert.equal(at(mask, 0, 0), 0);
+  assert.equal(at(mask, 39, 39), 0);
+  assert.equal(at(mask, 20, 5), 0);
+  assert.equal(at(mask, 20, 20), 255);
+});
+
+test('a subject touching the bottom edge is not taken for background', { skip }, () => {
+  const data = image((x, y) => (inBox(x, y, 12, 16, 28, SIZE) ? [200, 30, 30] : [255, 255, 255]));
+  const { mask } = computeForegroundMask(data, SIZE, SIZE);
+  assert.equal(at(mask, 0, 0), 0);
+  assert.equal(at(mask, 5, 39), 0);
+  assert.equal(at(mask, 20, 39), 255);
+  assert.equal(at(mask, 20, 25), 255);
+});
+
+test('the source alpha is kept where the mask is opaque', { skip }, () => {
+  const pixels = new Uint8Array([9, 9, 9, 0, 9, 9, 9, 255, 9, 9, 9, 128, 9, 9, 9, 255]);
+  const mask = new Uint8Array([255, 255, 255, 0]);
+  assert.deepEqual([...combineAlpha(pixels, mask)], [0, 255, 128, 0]);
+});
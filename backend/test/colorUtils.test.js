@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { luminance, contrastRatio, parseColor, colorContrast, compositeOver, formatRgba } from '../colorUtils.js';
+
+test('colours are parsed from hex and rgb(a)', () => {
+  assert.deepEqual(parseColor('#fff'), { r: 255, g: 255, b: 255, a: 1 });
+  assert.deepEqual(parseColor('#1D4ED8'), { r: 29, g: 78, b: 216, a: 1 });
+  assert.deepEqual(parseColor('rgba(0, 0, 0, 0.4)'), { r: 0, g: 0, b: 0, a: 0.4 });
+  assert.deepEqual(parseColor('rgb(10,20,30)'), { r: 10, g: 20, b: 30, a: 1 });
+});
+
+test('contrast follows WCAG', () => {
+  assert.equal(luminance(0, 0, 0), 0);
+  assert.equal(luminance(255, 255, 255), 1);
+  assert.equal(contrastRatio(1, 0), 21);
+  assert.equal(contrastRatio(0, 1), 21);
+  // #777 on white is just under AA for normal text
+  const grey = colorContrast(parseColor('#777777'), parseColor('#ffffff'));
+  assert.ok(grey > 4.4 && grey < 4.5, `${grey}`);
+});
+
+test('translucent colours are composited over the backdrop', () => {
+  const overlay = compositeOver(parseColor('rgba(0,0,0,0.5)'), { r: 255, g: 255, b: 255 });
+  assert.deepEqual(overlay, { r: 127.5, g: 127.5, b: 127.5 });
+  assert.equal(formatRgba({ ...overlay, a: 1 }), 'rgba(128,128,128,1)');
+});
@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { layoutText } from '../textLayout.js';
+import { missingNativeModule } from './nativeModules.js';
+
+const skip = await missingNativeModule('sharp');
+const { runComplianceChecks } = skip ? {} : await import('../complianceEngine.js');
+
+const WIDTH = 400;
+const HEIGHT = 200;
+
+// Solid RGBA canvas
+function solid(r, g, b) {
+  const pixels = new Uint8Array(WIDTH * HEIGHT * 4);
+  for (let i = 0; i < pixels.length; i += 4) {
+    pixels.set([r, g, b, 255], i);
+  }
+  return pixels;
+}
+
+function sceneWithText(text, color) {
+  const box = { x: 40, y: 40, width: 320, height: 120, fontSize: 32, fontWeight: 'bold' };
+  return {
+    width: WIDTH,
+    height: HEIGHT,
+    layers: [{ id: 'textOverlay', type: 'text', ...box, text, color, layout: layoutText(text, box) }]
+  };
+}
+
+test('text with enough contrast passes', { skip }, () => {
+  const scene = sceneWithText('Fresh bread daily', '#000000');
+  const { violations, metrics } = runComplianceChecks({ pixels: solid(255, 255, 255), backdropPixels: solid(255, 255, 255), scene });
+  assert.deepEqual(violations, []);
+  assert.equal(metrics.minContrast, 21);
+});
+
+test('low contrast is flagged per glyph with a box', { skip }, () => {
+  const scene = sceneWithText('Fresh bread daily', '#dddddd');
+  const { violations } = runComplianceChecks({ pixels: solid(255, 255, 255), backdropPixels: solid(255, 255, 255), scene });
+  const [contrast] = violations;
+  assert.equal(contrast.type, 'low-contrast');
+  assert.equal(contrast.layer, 'textOverlay');
+  assert.equal(contrast.required, 3);
+  assert.ok(contrast.bbox.width > 0 && contrast.bbox.height > 0);
+});
+
+test('copy claims are reported when the brief is given', { skip }, () => {
+  const scene = sceneWithText('Our best bread', '#000000');
+  const pixels = solid(255, 255, 255);
+  assert.deepEqual(runComplianceChecks({ pixels, backdropPixels: pixels, scene }).violations, []);
+  const { violations } = runComplianceChecks({ pixels, backdropPixels: pixels, scene, copy: { tone: 'neutral', metadata: {} } });
+  assert.deepEqual(violations.map(v => [v.type, v.fixable]), [['copy-superlative', false]]);
+  assert.match(violations[0].message, /^Text: "best"/);
+});
+
+test('product coverage counts only the visible part of a padded cut-out', { skip }, () => {
+  const placed = { x: 0, y: 0, width: WIDTH, height: HEIGHT };
+  // The cut-out's subject fills the middle half of its image; the rest is transparent
+  const content = { x: WIDTH / 4, y: HEIGHT / 4, width: WIDTH / 2, height: HEIGHT / 2 };
+  const scene = {
+    width: WIDTH,
+    height: HEIGHT,
+    layers: [{ id: 'mainAsset', type: 'image', ...placed, placed, content }]
+  };
+  const placement = { networkName: 'Amazon', name: 'Main image', minProductCoverage: 0.85, safeZone: 0, textMaxCoverage: null };
+  const pixels = solid(255, 255, 255);
+  const { violations, metrics } = runComplianceChecks({ pixels, backdropPixels: pixels, scene, placement });
+  assert.equal(metrics.productCoverage, 0.25);
+  assert.deepEqual(violations.map(v => v.type), ['platform-compliance']);
+  assert.deepEqual(violations[0].bbox, { x: 100, y: 50, width: 200, height: 100 });
+});
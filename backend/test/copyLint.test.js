@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { lintCopy, lintCopyElements } from '../copyLint.js';
+
+const rules = (text, options) => lintCopy(text, options).map(finding => finding.rule);
+
+test('plain copy passes', () => {
+  assert.deepEqual(lintCopy('Fresh bread, baked in store every morning'), []);
+});
+
+test('superlatives and unbacked claims are flagged', () => {
+  assert.deepEqual(rules('The best coffee in town'), ['superlative']);
+  assert.deepEqual(rules('Try it risk-free'), ['unsupported-claim']);
+  assert.deepEqual(rules('Trusted by thousands of happy customers'), ['unsupported-claim']);
+  assert.deepEqual(rules('Low stock, selling fast'), ['scarcity']);
+});
+
+test('one finding per rule, with the matched words', () => {
+  const findings = lintCopy('Best price, cheapest in town');
+  assert.equal(findings.length, 1);
+  assert.deepEqual(findings[0], {
+    type: 'copy-superlative',
+    rule: 'superlative',
+    severity: 'medium',
+    message: '"Best" is a superlative claim that has to be substantiated',
+    match: 'Best'
+  });
+});
+
+test('urgency needs a promotion end date', () => {
+  assert.deepEqual(rules("Don't miss out"), ['urgency']);
+  assert.deepEqual(rules("Don't miss out", { metadata: { endDate: '2026-11-01' } }), []);
+});
+
+test('price claims need a price or discount', () => {
+  assert.deepEqual(rules('Weekend sale'), ['price-claim']);
+  assert.deepEqual(rules('Weekend sale', { metadata: { price: 4.99 } }), []);
+  assert.deepEqual(rules('Weekend sale', { metadata: { discount: 20 } }), []);
+});
+
+test('percentages must match the product discount', () => {
+  assert.deepEqual(rules('20% off', { metadata: { discount: 20 } }), []);
+  const [finding] = lintCopy('30% off', { metadata: { discount: 20 } });
+  assert.equal(finding.rule, 'price-claim');
+  assert.equal(finding.message, '"30%" doesn\'t match the product\'s 20% discount');
+  assert.deepEqual(rules('Now 15 % cheaper'), ['price-claim']);
+});
+
+test('caps are only for the bold tone, emoji not for premium', () => {
+  assert.deepEqual(rules('FRESH FROM THE FARM'), ['caps']);
+  assert.deepEqual(rules('FRESH FROM THE FARM', { tone: 'bold' }), []);
+  assert.deepEqual(rules('Fresh from the farm 🌿', { tone: 'premium' }), ['emoji']);
+  assert.deepEqual(rules('Fresh from the farm 🌿', { tone: 'playful' }), []);
+});
+
+test('findings name the copy element', () => {
+  const findings = lintCopyElements({ headline: 'Fresh bread', subline: 'The best loaf', cta: 'Shop now', legal: '' });
+  assert.deepEqual(findings.map(({ element, rule }) => ({ element, rule })), [{ element: 'subline', rule: 'superlative' }]);
+});
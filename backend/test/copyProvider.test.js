@@ -0,0 +1,86 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCopyResponse, validateCopy, createChatCompletionsProvider } from '../copyProvider.js';
+import { generateQuotes, generateQuoteVariations, buildTemplateSlots } from '../aiQuoteGenerator.js';
+import { normalizeProductMetadata } from '../productMetadata.js';
+import { createMockLlmApp, mockQuotes, MOCK_REJECTED_LINE } from '../scripts/mockLlmServer.js';
+
+const metadata = normalizeProductMetadata({ title: 'Oat Milk', price: 1.5, discount: 20, endDate: '2026-11-01' });
+const slots = buildTemplateSlots(metadata);
+const brief = { tone: 'neutral', objective: 'sales', metadata, count: 3 };
+
+// Mock endpoints on free ports: one answering, one failing every request
+const servers = {};
+async function listen(name, app) {
+  servers[name] = await new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => resolve(server));
+  });
+  return `http://127.0.0.1:${servers[name].address().port}/v1`;
+}
+const urls = {};
+
+before(async () => {
+  urls.ok = await listen('ok', createMockLlmApp({ log: false }));
+  urls.failing = await listen('failing', createMockLlmApp({ fail: true, log: false }));
+});
+
+after(() => {
+  for (const server of Object.values(servers)) server.close();
+});
+
+test('replies are parsed from JSON or plain lines', () => {
+  assert.deepEqual(parseCopyResponse('Sure! {"quotes": ["One", "Two", 3]}'), ['One', 'Two']);
+  assert.deepEqual(parseCopyResponse('["One", "Two"]'), ['One', 'Two']);
+  assert.deepEqual(parseCopyResponse('1. One\n- Two\n\n* Three'), ['One', 'Two', 'Three']);
+});
+
+test("the mock's bad line is rejected for a banned word and a made-up discount", () => {
+  const result = validateCopy(MOCK_REJECTED_LINE, { tone: 'neutral', slots });
+  assert.equal(result.valid, false);
+  assert.deepEqual(result.errors, ['banned words: guaranteed', 'numbers not in the product data: 90']);
+});
+
+test("the mock's other lines pass", () => {
+  const lines = mockQuotes({ product: 'Oat Milk', price: slots.price, discount: slots.discount, count: 3 });
+  for (const line of lines.filter(line => line !== MOCK_REJECTED_LINE)) {
+    assert.deepEqual(validateCopy(line, { tone: 'neutral', slots }).errors, [], line);
+  }
+});
+
+test('length, emoji and quote rules', () => {
+  assert.equal(validateCopy('"Fresh Oat Milk"', { slots }).text, 'Fresh Oat Milk');
+  assert.deepEqual(validateCopy('A very long headline that keeps going on and on', { slots }).errors,
+    ['longer than 40 characters', 'more than 7 words']);
+  assert.deepEqual(validateCopy('Fresh Oat Milk 🥛', { tone: 'premium', slots }).errors, ['emoji not allowed for this tone']);
+  assert.equal(validateCopy('Fresh Oat Milk 🥛', { tone: 'playful', slots }).valid, true);
+  assert.equal(validateCopy(`Now ${slots.price}`, { slots }).valid, true);
+});
+
+test('provider copy replaces templates, minus the rejected line', async () => {
+  const provider = createChatCompletionsProvider({ baseUrl: urls.ok, model: 'mock' });
+  const result = await generateQuotes({ ...brief, provider });
+  assert.equal(result.source, 'llm:mock');
+  assert.equal(result.quotes.length, 3);
+  assert.ok(!result.quotes.includes(MOCK_REJECTED_LINE));
+  assert.deepEqual(result.rejected.map(r => r.text), [MOCK_REJECTED_LINE]);
+});
+
+test('a failing provider falls back to the templates', async () => {
+  const provider = createChatCompletionsProvider({ baseUrl: urls.failing, model: 'mock' });
+  const result = await generateQuotes({ ...brief, provider });
+  assert.equal(result.source, 'templates');
+  assert.deepEqual(result.quotes, generateQuoteVariations({ ...brief, isAIThemed: false }));
+});
+
+test('a provider whose lines are all rejected falls back to the templates', async () => {
+  const provider = { name: 'llm:stub', generate: async () => JSON.stringify({ quotes: [MOCK_REJECTED_LINE, 'Miracle Cure 50% Off'] }) };
+  const result = await generateQuotes({ ...brief, provider });
+  assert.equal(result.source, 'templates');
+  assert.equal(result.rejected.length, 2);
+  assert.deepEqual(result.quotes, generateQuoteVariations({ ...brief, isAIThemed: false }));
+});
+
+test('without a provider the templates are used', async () => {
+  const result = await generateQuotes({ ...brief, provider: null });
+  assert.deepEqual(result, { quotes: generateQuoteVariations({ ...brief, isAIThemed: false }), source: 'templates', rejected: [] });
+});
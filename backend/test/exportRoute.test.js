@@ -0,0 +1,61 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+import { join } from 'path';
+import { missingNativeModule } from './nativeModules.js';
+import { startTestServer } from './testServer.js';
+
+const skip = await missingNativeModule('sharp');
+const { default: sharp } = skip ? {} : await import('sharp');
+
+let api;
+let variant;
+const assets = [{ id: 'product', name: 'product.png', src: '/uploads/product.png', type: 'image' }];
+
+const post = (path, body) => fetch(`${api.baseUrl}${path}`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+before(async () => {
+  if (skip) return;
+  api = await startTestServer();
+  await sharp({ create: { width: 64, height: 64, channels: 4, background: '#2060d0' } })
+    .png()
+    .toFile(join(api.uploadsDir, 'product.png'));
+  const response = await post('/api/generate-variants', { assets, tone: 'bold', format: 'square', seed: 'export' });
+  [variant] = (await response.json()).variants;
+});
+
+after(() => api?.close());
+
+test('an explicit AVIF export is encoded for a placement whose fileFormats do not list it', { skip }, async () => {
+  const response = await post('/api/export-platform', {
+    variant, assets, platform: 'meta', placement: 'square', outputFormat: 'avif'
+  });
+  assert.equal(response.status, 200);
+  const body = await response.json();
+  assert.equal(body.outputFormat, 'avif');
+  assert.match(body.imageUrl, /\.avif$/);
+
+  const file = await readFile(join(api.exportsDir, body.imageUrl.replace('/exports/', '')));
+  const { format, width, height } = await sharp(file).metadata();
+  assert.equal(format, 'heif');
+  assert.deepEqual({ width, height }, { width: 1080, height: 1080 });
+});
+
+test('without outputFormat the placement\'s preferred format is used', { skip }, async () => {
+  const response = await post('/api/export-platform', { variant, assets, platform: 'meta', placement: 'square' });
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).outputFormat, 'jpg');
+});
+
+test('an output format the encoder cannot produce is rejected', { skip }, async () => {
+  const response = await post('/api/export-platform', {
+    variant, assets, platform: 'meta', placement: 'square', outputFormat: 'bmp'
+  });
+  assert.equal(response.status, 400);
+  const body = await response.json();
+  assert.deepEqual(body.available, ['jpg', 'webp', 'avif', 'png']);
+});
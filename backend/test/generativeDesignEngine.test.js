@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateLayout, optimizeForPlatform, layoutCopy, transferLayerEdits } from '../generativeDesignEngine.js';
+
+const params = { tone: 'bold', objective: 'sales', format: 'square', hasLogo: true, seed: 'edits' };
+const story = { width: 1080, height: 1920 };
+
+function approved() {
+  return optimizeForPlatform(generateLayout(params), 'square');
+}
+
+function forSize(layout, dimensions) {
+  return generateLayout({ ...params, copy: layoutCopy(layout), dimensions });
+}
+
+test('an unedited layout is exported as generated for the target size', () => {
+  const layout = approved();
+  const target = transferLayerEdits(forSize(layout, story), layout, approved());
+  assert.deepEqual(target, forSize(layout, story));
+});
+
+test('a moved and resized product is moved and resized the same way at the target size', () => {
+  const edited = approved();
+  const { mainAsset } = edited;
+  // 20% smaller, its centre moved left by 5% of the canvas width
+  const width = mainAsset.width * 0.8;
+  const centre = mainAsset.x + mainAsset.width / 2 - edited.dimensions.width * 0.05;
+  edited.mainAsset = { ...mainAsset, x: centre - width / 2, width };
+
+  const fresh = forSize(edited, story);
+  const target = transferLayerEdits(forSize(edited, story), edited, approved());
+  assert.equal(target.mainAsset.width, Math.round(fresh.mainAsset.width * 0.8));
+  assert.equal(target.mainAsset.height, fresh.mainAsset.height);
+  const expectedCentre = fresh.mainAsset.x + fresh.mainAsset.width / 2 - story.width * 0.05;
+  assert.ok(Math.abs(target.mainAsset.x + target.mainAsset.width / 2 - expectedCentre) <= 1);
+  assert.deepEqual(target.logo, fresh.logo);
+  assert.deepEqual(target.textOverlay, fresh.textOverlay);
+});
+
+test('the background follows the target size, not the variant format', () => {
+  assert.equal(generateLayout(params).background.gradient, null);
+  assert.equal(forSize(approved(), story).background.gradient?.direction, 'vertical');
+});
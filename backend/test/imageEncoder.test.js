@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { missingNativeModule } from './nativeModules.js';
+
+const skip = await missingNativeModule('sharp');
+const { searchQuality, preferredFormat, isExportFormat } = skip ? {} : await import('../imageEncoder.js');
+
+// Stand-in encoder: 1KB per quality point
+function fakeEncoder() {
+  const tried = [];
+  const encode = async (quality) => {
+    tried.push(quality);
+    return { buffer: Buffer.alloc(quality * 1024), quality };
+  };
+  return { encode, tried };
+}
+
+test('the highest quality under the byte cap is chosen', { skip }, async () => {
+  const { encode, tried } = fakeEncoder();
+  const result = await searchQuality(encode, 70 * 1024 + 500);
+  assert.equal(result.quality, 70);
+  assert.equal(result.withinBudget, true);
+  assert.ok(result.buffer.length <= 70 * 1024 + 500);
+  assert.ok(tried.length <= 6, `binary search, not a scan (${tried.length} encodes)`);
+});
+
+test('a generous cap keeps the maximum quality', { skip }, async () => {
+  const result = await searchQuality(fakeEncoder().encode, 1024 * 1024);
+  assert.equal(result.quality, 95);
+  assert.equal(result.withinBudget, true);
+});
+
+test('the smallest encoding is returned when nothing fits', { skip }, async () => {
+  const result = await searchQuality(fakeEncoder().encode, 1024);
+  assert.equal(result.quality, 40);
+  assert.equal(result.withinBudget, false);
+});
+
+test('the first encodable registry format is preferred', { skip }, () => {
+  assert.equal(preferredFormat(['gif', 'html5', 'webp', 'jpg']), 'webp');
+  assert.equal(preferredFormat(['gif']), 'png');
+  assert.equal(preferredFormat(undefined), 'png');
+  assert.equal(isExportFormat('avif'), true);
+  assert.equal(isExportFormat('gif'), false);
+});
@@ -0,0 +1,14 @@
+/**
+ * Native modules (sharp, canvas) need a build for the host platform. Tests
+ * that depend on one pass `{ skip: await missingNativeModule('sharp') }` so a
+ * failed install shows up as a skipped test with the reason, not a pass.
+ */
+export async function missingNativeModule(name) {
+  try {
+    await import(name);
+    return false;
+  } catch (err) {
+    const reason = err.message.split('\n').map(line => line.trim()).find(Boolean);
+    return `${name} is not available: ${reason}`;
+  }
+}
@@ -0,0 +1,37 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { join } from 'path';
+import { missingNativeModule } from './nativeModules.js';
+import { startTestServer } from './testServer.js';
+
+const skip = await missingNativeModule('sharp');
+const { default: sharp } = skip ? {} : await import('sharp');
+
+let api;
+
+before(async () => {
+  if (skip) return;
+  api = await startTestServer();
+  await sharp({ create: { width: 16, height: 16, channels: 3, background: '#d02020' } })
+    .png()
+    .toFile(join(api.uploadsDir, 'red.png'));
+});
+
+after(() => api?.close());
+
+const palette = (id, query = '') => fetch(`${api.baseUrl}/api/assets/${id}/palette${query}`);
+
+test('an upload no project lists is found by its path', { skip }, async () => {
+  const response = await palette('unsaved-asset', '?src=/uploads/red.png');
+  assert.equal(response.status, 200);
+  const body = await response.json();
+  assert.equal(body.assetId, 'unsaved-asset');
+  assert.match(body.dominant, /^#[0-9a-f]{6}$/i);
+  assert.equal(parseInt(body.dominant.slice(1, 3), 16) > 180, true);
+});
+
+test('unknown assets and paths outside the uploads are not found', { skip }, async () => {
+  assert.equal((await palette('missing')).status, 404);
+  assert.equal((await palette('missing', '?src=/uploads/nothing.png')).status, 404);
+  assert.equal((await palette('missing', `?src=${encodeURIComponent('/uploads/../server.js')}`)).status, 404);
+});
@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getRegistryVersion, getLayoutFormats, listNetworks, getNetwork, getPlacement, resolvePlacementRef } from '../platformRegistry.js';
+
+test('the registry is versioned and has the layout formats', () => {
+  assert.match(getRegistryVersion(), /^\d{4}\.\d+\.\d+$/);
+  assert.deepEqual(Object.keys(getLayoutFormats()).sort(), ['banner', 'square', 'story']);
+});
+
+test('every placement is resolved with its network defaults', () => {
+  const networks = listNetworks();
+  assert.ok(networks.length > 0);
+  for (const network of networks) {
+    assert.ok(network.placements.length > 0, `${network.id} has no placements`);
+    for (const placement of network.placements) {
+      assert.equal(placement.ref, `${network.id}/${placement.id}`);
+      assert.ok(placement.width > 0 && placement.height > 0, placement.ref);
+      assert.ok(Number.isInteger(placement.safeZone), placement.ref);
+      assert.ok(Array.isArray(placement.fileFormats) && placement.fileFormats.length > 0, placement.ref);
+    }
+  }
+});
+
+test('placements inherit defaults and derive the safe zone', () => {
+  const leaderboard = getPlacement('google', 'leaderboard');
+  assert.equal(leaderboard.networkName, getNetwork('google').name);
+  assert.equal(leaderboard.width, 728);
+  assert.equal(leaderboard.height, 90);
+  assert.equal(leaderboard.maxFileSizeKB, 150);
+  assert.equal(leaderboard.textMaxCoverage, null);
+  assert.equal(leaderboard.safeZone, Math.round(90 * leaderboard.safeZoneRatio));
+});
+
+test('placement overrides win over network defaults', () => {
+  assert.equal(getPlacement('amazon', 'main').minProductCoverage, 0.85);
+  assert.equal(getPlacement('google', 'leaderboard').minProductCoverage, null);
+});
+
+test('references resolve as "network/placement"', () => {
+  assert.deepEqual(resolvePlacementRef('google/leaderboard'), getPlacement('google', 'leaderboard'));
+  assert.equal(resolvePlacementRef('google/unknown'), null);
+  assert.equal(resolvePlacementRef('unknown/leaderboard'), null);
+  assert.equal(resolvePlacementRef('google'), null);
+  assert.equal(resolvePlacementRef(null), null);
+  assert.equal(getNetwork('unknown'), null);
+});
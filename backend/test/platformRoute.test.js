@@ -0,0 +1,24 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { missingNativeModule } from './nativeModules.js';
+import { startTestServer } from './testServer.js';
+
+const skip = await missingNativeModule('sharp');
+
+let api;
+
+before(async () => {
+  if (!skip) api = await startTestServer();
+});
+
+after(() => api?.close());
+
+test('the registry route serves the layout formats the preview canvas is sized from', { skip }, async () => {
+  const response = await fetch(`${api.baseUrl}/api/platforms`);
+  assert.equal(response.status, 200);
+  const body = await response.json();
+  assert.deepEqual(body.formats.square.dimensions, { width: 1080, height: 1080 });
+  assert.deepEqual(body.formats.story.dimensions, { width: 1080, height: 1920 });
+  assert.deepEqual(body.formats.banner.dimensions, { width: 1200, height: 628 });
+  assert.ok(body.networks.length > 0);
+});
@@ -0,0 +1,27 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { initProjectStore, createProject, updateProject, getProject } from '../projectStore.js';
+
+let dataDir;
+
+before(async () => {
+  dataDir = await mkdtemp(join(tmpdir(), 'project-store-'));
+  await initProjectStore(dataDir);
+});
+
+after(() => rm(dataDir, { recursive: true, force: true }));
+
+const command = label => ({ type: 'setting', label, before: { tone: 'neutral' }, after: { tone: 'bold' } });
+
+test('saved undo history is kept and null clears it', async () => {
+  const { id } = await createProject({ name: 'History' });
+  await updateProject(id, { history: { past: [command('Tone: bold')], future: [command('Tone: playful')] } });
+  assert.equal((await getProject(id)).history.past.length, 1);
+  assert.equal((await getProject(id)).history.future.length, 1);
+
+  await updateProject(id, { history: null });
+  assert.deepEqual((await getProject(id)).history, { past: [], future: [] });
+});
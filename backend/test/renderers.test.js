@@ -0,0 +1,115 @@
+/**
+ * Renderer parity
+ * Renders the same scenes with the Canvas and Sharp/SVG backends and compares
+ * the results pixel by pixel, within a tolerance for anti-aliasing.
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import fs from 'fs/promises';
+import { join } from 'path';
+import { generateLayout } from '../generativeDesignEngine.js';
+import { buildScene } from '../sceneGraph.js';
+import { missingNativeModule } from './nativeModules.js';
+
+const skip = (await missingNativeModule('sharp')) || (await missingNativeModule('canvas'));
+
+// Average per-channel difference (0-255) allowed across the whole image
+const MAX_MEAN_DIFF = 4;
+// Share of pixels allowed to differ noticeably (mostly glyph anti-aliasing)
+const MAX_DIFF_PIXEL_RATIO = 0.02;
+const PIXEL_DIFF_THRESHOLD = 48;
+
+const CASES = [
+  { tone: 'neutral', objective: 'awareness', format: 'square' },
+  { tone: 'bold', objective: 'conversion', format: 'square' },
+  { tone: 'playful', objective: 'sales', format: 'banner' },
+  { tone: 'premium', objective: 'awareness', format: 'story' }
+];
+
+let sharp;
+let canvasModule;
+let renderers;
+let dir;
+let sources;
+
+async function createFixtures() {
+  const product = join(dir, 'product.png');
+  const logo = join(dir, 'logo.png');
+
+  await sharp(Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="600" height="400">
+      <rect width="600" height="400" fill="#f4f4f4"/>
+      <circle cx="300" cy="200" r="150" fill="#d62828"/>
+      <rect x="240" y="150" width="120" height="100" fill="#ffffff"/>
+    </svg>`
+  )).png().toFile(product);
+
+  await sharp(Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="280" height="100">
+      <rect width="280" height="100" rx="12" fill="#1d4ed8"/>
+      <rect x="20" y="30" width="240" height="40" fill="#facc15"/>
+    </svg>`
+  )).png().toFile(logo);
+
+  return { mainAsset: product, logo };
+}
+
+async function toRaw(buffer) {
+  return sharp(buffer).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+}
+
+function compare(a, b) {
+  let total = 0;
+  let differing = 0;
+  const pixels = a.info.width * a.info.height;
+
+  for (let p = 0; p < pixels; p++) {
+    let pixelMax = 0;
+    for (let c = 0; c < 4; c++) {
+      const diff = Math.abs(a.data[p * 4 + c] - b.data[p * 4 + c]);
+      total += diff;
+      pixelMax = Math.max(pixelMax, diff);
+    }
+    if (pixelMax > PIXEL_DIFF_THRESHOLD) differing++;
+  }
+
+  return {
+    meanDiff: total / (pixels * 4),
+    diffRatio: differing / pixels
+  };
+}
+
+before(async () => {
+  if (skip) return;
+  sharp = (await import('sharp')).default;
+  canvasModule = await import('canvas');
+  renderers = await import('../sceneRenderer.js');
+  dir = await fs.mkdtemp(join(os.tmpdir(), 'renderer-parity-'));
+  sources = await createFixtures();
+});
+
+after(async () => {
+  if (dir) await fs.rm(dir, { recursive: true, force: true });
+});
+
+for (const testCase of CASES) {
+  test(`canvas and SVG match for ${testCase.tone}/${testCase.objective}/${testCase.format}`, { skip }, async () => {
+    const layout = generateLayout({ ...testCase, hasLogo: true, seed: 'renderer-parity' });
+    const variant = { layout: 0, generativeLayout: layout };
+    // Same text layout for both backends, so differences come from rasterisation only
+    const scene = buildScene({ variant, sources, ...testCase });
+
+    const canvasResult = await renderers.renderSceneWithCanvas(scene, canvasModule);
+    const sharpResult = await renderers.renderSceneWithSharp(scene);
+    const { meanDiff, diffRatio } = compare(
+      await toRaw(canvasResult.buffer),
+      await toRaw(sharpResult.buffer)
+    );
+
+    assert.ok(meanDiff <= MAX_MEAN_DIFF, `mean diff ${meanDiff.toFixed(2)} exceeds ${MAX_MEAN_DIFF}`);
+    assert.ok(diffRatio <= MAX_DIFF_PIXEL_RATIO,
+      `${(diffRatio * 100).toFixed(2)}% of pixels differ (at most ${MAX_DIFF_PIXEL_RATIO * 100}% allowed)`);
+  });
+}
@@ -0,0 +1,15 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { generateLayout } from '../generativeDesignEngine.js';
+import { buildScene, withoutGuides } from '../sceneGraph.js';
+
+test('exported scenes leave out the safe-zone guide and nothing else', () => {
+  const layout = generateLayout({ tone: 'bold', objective: 'conversion', format: 'banner', quote: 'Fresh bread daily', seed: 'guides' });
+  const scene = buildScene({ variant: { generativeLayout: layout }, format: 'banner' });
+  assert.ok(scene.layers.some(layer => layer.id === 'safeZone'));
+
+  const exported = withoutGuides(scene);
+  assert.deepEqual(exported.layers.map(layer => layer.id), scene.layers.map(layer => layer.id).filter(id => id !== 'safeZone'));
+  assert.equal(exported.width, scene.width);
+  assert.equal(exported.height, scene.height);
+});
@@ -0,0 +1,110 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { generateLayout } from '../generativeDesignEngine.js';
+import { buildScene } from '../sceneGraph.js';
+import { missingNativeModule } from './nativeModules.js';
+
+const skip = await missingNativeModule('sharp');
+const { sceneToSvg, alphaBounds } = skip ? {} : await import('../sceneRenderer.js');
+const { default: sharp } = skip ? {} : await import('sharp');
+
+// A scene without image layers, so no files are read
+function textScene() {
+  const layout = generateLayout({ tone: 'neutral', objective: 'conversion', format: 'square', quote: 'Fresh bread daily', seed: 'svg' });
+  const scene = buildScene({ variant: { generativeLayout: layout }, format: 'square' });
+  return { ...scene, layers: scene.layers.filter(layer => layer.type !== 'image') };
+}
+
+test('previews are drawn at a smaller size in scene coordinates', { skip }, async () => {
+  const scene = textScene();
+  const svg = await sceneToSvg(scene, { scale: 0.25 });
+  assert.match(svg, new RegExp(`^<svg [^>]*width="${Math.round(scene.width / 4)}" height="${Math.round(scene.height / 4)}" viewBox="0 0 ${scene.width} ${scene.height}"`));
+  assert.equal(svg.replace(/^<svg[^>]*>/, ''), (await sceneToSvg(scene)).replace(/^<svg[^>]*>/, ''));
+});
+
+test('colours from the request cannot break out of their attributes', { skip }, async () => {
+  const payload = '#fff"/><script>alert(1)</script><rect fill="#000';
+  const scene = textScene();
+  const layers = scene.layers.map(layer => {
+    if (layer.type === 'rect') return { ...layer, fill: payload };
+    if (layer.type === 'text' || layer.type === 'button') return { ...layer, color: payload, background: payload };
+    if (layer.type === 'guide') return { ...layer, stroke: payload };
+    if (layer.type === 'gradient') return { ...layer, stops: layer.stops.map(stop => ({ ...stop, color: payload })) };
+    return layer;
+  });
+  const svg = await sceneToSvg({ ...scene, layers });
+  assert.doesNotMatch(svg, /<script/);
+  assert.match(svg, /fill="#fff&quot;\/&gt;&lt;script&gt;/);
+});
+
+// Tags balance and every attribute is a plain name="value" pair
+function assertWellFormed(svg) {
+  const open = [];
+  for (const [, closing, name, attributes, selfClosing] of svg.matchAll(/<(\/?)([\w:-]+)([^>]*?)(\/?)>/g)) {
+    assert.match(attributes, /^(\s+[\w:-]+="[^"<>]*")*\s*$/, `<${name}${attributes}>`);
+    if (closing) assert.equal(open.pop(), name);
+    else if (!selfClosing) open.push(name);
+  }
+  assert.deepEqual(open, []);
+  assert.equal(svg.replace(/<[^>]*>/g, '').includes('<'), false);
+}
+
+test('a hostile layout cannot add attributes or elements to the SVG', { skip }, async () => {
+  const attack = '1" onload="alert(1)';
+  const scene = textScene();
+  const layers = scene.layers.map(layer => ({
+    ...layer,
+    id: '"><script>alert(1)</script>',
+    x: attack,
+    y: attack,
+    width: attack,
+    height: 'NaN',
+    radius: attack,
+    opacity: attack,
+    lineWidth: attack,
+    transform: { opacity: attack, dx: attack, dy: Infinity, scale: attack },
+    stops: layer.stops?.map(stop => ({ ...stop, offset: attack })),
+    layout: layer.layout && {
+      ...layer.layout,
+      fontSize: attack,
+      textAlign: attack,
+      lines: layer.layout.lines.map(line => ({ ...line, x: attack, y: attack }))
+    }
+  }));
+  const svg = await sceneToSvg({ ...scene, width: attack, layers });
+
+  assertWellFormed(svg);
+  assert.doesNotMatch(svg, /onload|<script|NaN|Infinity/);
+  assert.match(svg, /<g id="--[\w-]*"/);
+});
+
+test('the visible bounds of an image ignore its transparent margins', { skip }, () => {
+  const width = 8;
+  const height = 4;
+  const pixels = new Uint8Array(width * height * 4);
+  for (const [x, y] of [[2, 1], [5, 2]]) pixels[(y * width + x) * 4 + 3] = 255;
+  assert.deepEqual(alphaBounds(pixels, width, height), { left: 0.25, top: 0.25, right: 0.75, bottom: 0.75 });
+  assert.equal(alphaBounds(new Uint8Array(width * height * 4), width, height), null);
+});
+
+test('image layers report the rect their visible pixels cover', { skip }, async () => {
+  const dir = await mkdtemp(join(tmpdir(), 'scene-renderer-'));
+  try {
+    // 100×100 PNG with an opaque 50×50 subject in the middle
+    const src = join(dir, 'cutout.png');
+    const subject = await sharp({ create: { width: 50, height: 50, channels: 4, background: '#c03030' } }).png().toBuffer();
+    await sharp({ create: { width: 100, height: 100, channels: 4, background: { r: 0, g: 0, b: 0, alpha: 0 } } })
+      .composite([{ input: subject, left: 25, top: 25 }])
+      .png()
+      .toFile(src);
+    const layer = { id: 'mainAsset', type: 'image', src, x: 0, y: 0, width: 200, height: 200, fit: 'contain' };
+    await sceneToSvg({ width: 200, height: 200, layers: [layer] });
+    assert.deepEqual(layer.placed, { x: 0, y: 0, width: 200, height: 200 });
+    assert.deepEqual(layer.content, { x: 50, y: 50, width: 100, height: 100 });
+  } finally {
+    await rm(dir, { recursive: true, force: true });
+  }
+});
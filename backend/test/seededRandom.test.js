@@ -0,0 +1,55 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeSeed, deriveSeed, createRandom } from '../seededRandom.js';
+import { generateLayout, generateLayoutVariants } from '../generativeDesignEngine.js';
+
+const draw = (random, count) => Array.from({ length: count }, () => random());
+
+test('the same seed gives the same sequence', () => {
+  assert.deepEqual(draw(createRandom(42), 10), draw(createRandom(42), 10));
+  assert.notDeepEqual(draw(createRandom(42), 10), draw(createRandom(43), 10));
+});
+
+test('numbers are in [0, 1)', () => {
+  for (const value of draw(createRandom('range'), 1000)) {
+    assert.ok(value >= 0 && value < 1, `${value} out of range`);
+  }
+});
+
+test('seeds are normalised to unsigned 32-bit integers', () => {
+  assert.equal(normalizeSeed(7), 7);
+  assert.equal(normalizeSeed('7'), 7);
+  assert.equal(normalizeSeed(-7.9), 7);
+  assert.equal(normalizeSeed(4294967296 + 5), 5);
+  assert.equal(normalizeSeed('spring-campaign'), normalizeSeed('  spring-campaign '));
+  assert.notEqual(normalizeSeed('spring-campaign'), normalizeSeed('summer-campaign'));
+  assert.ok(Number.isInteger(normalizeSeed()) && normalizeSeed() >= 0);
+});
+
+test('derived seeds are stable and differ per index', () => {
+  assert.equal(deriveSeed(123, 0), deriveSeed(123, 0));
+  const seeds = new Set(Array.from({ length: 6 }, (_, i) => deriveSeed(123, i)));
+  assert.equal(seeds.size, 6);
+});
+
+test('the same seed gives the same layout', () => {
+  const params = { tone: 'bold', objective: 'conversion', format: 'story', hasLogo: true, quote: 'Fresh every day', seed: 'spring' };
+  const layout = generateLayout(params);
+  assert.deepEqual(generateLayout(params), layout);
+  assert.equal(layout.seed, normalizeSeed('spring'));
+  assert.notDeepEqual(generateLayout({ ...params, seed: 'autumn' }), layout);
+});
+
+test('a batch seed rebuilds every variant', () => {
+  const params = { tone: 'playful', format: 'square', hasLogo: true, count: 4, seed: 2026 };
+  const variants = generateLayoutVariants(params);
+  assert.equal(variants.length, 4);
+  assert.deepEqual(generateLayoutVariants(params), variants);
+  // Each variant can be rebuilt on its own from its derived seed
+  const { batchSeed, ...variant } = variants[2];
+  assert.equal(batchSeed, normalizeSeed(2026));
+  assert.deepEqual(
+    generateLayout({ tone: 'playful', format: 'square', hasLogo: true, variation: 2 / 4, seed: variant.seed }),
+    variant
+  );
+});
@@ -0,0 +1,30 @@
+import { mkdtemp, rm } from 'fs/promises';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+/**
+ * Start the API on a free port with its uploads, exports and data in a temp
+ * directory. Import once per test file (each file runs in its own process).
+ */
+export async function startTestServer() {
+  const root = await mkdtemp(join(tmpdir(), 'creative-api-'));
+  process.env.UPLOADS_DIR = join(root, 'uploads');
+  process.env.EXPORTS_DIR = join(root, 'exports');
+  process.env.DATA_DIR = join(root, 'data');
+
+  const { default: app, ready } = await import('../server.js');
+  await ready;
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    uploadsDir: process.env.UPLOADS_DIR,
+    exportsDir: process.env.EXPORTS_DIR,
+    async close() {
+      await new Promise(resolve => server.close(resolve));
+      await rm(root, { recursive: true, force: true });
+    }
+  };
+}
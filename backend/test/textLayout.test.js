@@ -0,0 +1,89 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { layoutText, fontStack, textOverflowViolation } from '../textLayout.js';
+
+// Every character is half the font size wide
+const measure = (text, fontSize) => text.length * fontSize * 0.5;
+const box = { x: 100, y: 50, width: 400, height: 200, fontSize: 40, padding: 20 };
+
+test('short copy stays on one line at its font size', () => {
+  const layout = layoutText('Fresh bread', box, { measure });
+  assert.deepEqual(layout.lines.map(line => line.text), ['Fresh bread']);
+  assert.equal(layout.fontSize, 40);
+  assert.equal(layout.overflow, false);
+  assert.equal(layout.shrunk, false);
+  assert.equal(textOverflowViolation(layout, box), null);
+});
+
+test('lines wrap within the inner width', () => {
+  const layout = layoutText('Fresh bread baked every morning in store', box, { measure });
+  assert.ok(layout.lines.length > 1);
+  for (const line of layout.lines) {
+    assert.ok(measure(line.text, layout.fontSize) <= box.width - box.padding * 2, `"${line.text}" is too wide`);
+  }
+  assert.equal(layout.lines.map(line => line.text).join(' '), 'Fresh bread baked every morning in store');
+});
+
+test('copy that does not fit is shrunk before it overflows', () => {
+  const text = 'Fresh bread baked every morning in store with flour from local mills';
+  const layout = layoutText(text, { ...box, height: 120 }, { measure });
+  assert.ok(layout.fontSize < 40);
+  assert.equal(layout.shrunk, true);
+  assert.equal(layout.overflow, false);
+  assert.ok(layout.lines.length * layout.lineHeight <= 120 - box.padding * 2);
+});
+
+test('overflow is reported at the minimum font size', () => {
+  const text = 'word '.repeat(60).trim();
+  const tight = { ...box, height: 60 };
+  const layout = layoutText(text, tight, { measure, minFontSize: 16 });
+  assert.equal(layout.fontSize, 16);
+  assert.equal(layout.overflow, true);
+  const violation = textOverflowViolation(layout, tight);
+  assert.equal(violation.type, 'text-overflow');
+  assert.deepEqual(violation.bbox, layout.bounds);
+});
+
+test('long words are broken to fit the line', () => {
+  const layout = layoutText('Supercalifragilisticexpialidocious', { ...box, width: 200, height: 300 }, { measure, minFontSize: 40 });
+  assert.ok(layout.lines.length > 1);
+  assert.equal(layout.lines.map(line => line.text).join(''), 'Supercalifragilisticexpialidocious');
+});
+
+test('lines are anchored by alignment', () => {
+  const left = layoutText('Sale', { ...box, alignment: 'left' }, { measure });
+  const center = layoutText('Sale', box, { measure });
+  const right = layoutText('Sale', { ...box, alignment: 'right' }, { measure });
+  assert.equal(left.textAlign, 'left');
+  assert.equal(left.lines[0].x, box.x + box.padding);
+  assert.equal(center.lines[0].x, box.x + box.width / 2);
+  assert.equal(right.lines[0].x, box.x + box.width - box.padding);
+  assert.equal(right.bounds.x + right.bounds.width, box.x + box.width - box.padding);
+});
+
+test('right-to-left copy keeps its direction', () => {
+  const layout = layoutText('عرض خاص', { ...box, direction: 'rtl' }, { measure });
+  assert.equal(layout.direction, 'rtl');
+  assert.match(layout.fontFamily, /Noto Sans Arabic/);
+});
+
+test('script fonts are added ahead of the generic family', () => {
+  assert.equal(fontStack('Arial, sans-serif', 'Fresh'), 'Arial, sans-serif');
+  assert.equal(
+    fontStack('"Brand Sans", Arial, sans-serif', 'ताज़ा'),
+    '"Brand Sans", Arial, "Noto Sans Devanagari", "Mangal", "Nirmala UI", sans-serif'
+  );
+});
+
+test('sizes that are not positive numbers fall back to the defaults', () => {
+  const area = { x: 0, y: 0, width: 300, height: 100 };
+  const expected = layoutText('Hello world, fresh bread', { ...area, fontSize: 36 }).fontSize;
+  assert.equal(layoutText('Hello world, fresh bread', { ...area, fontSize: 'big' }).fontSize, expected);
+  assert.equal(layoutText('Hello world, fresh bread', { ...area, fontSize: 36 }, { fontStep: 0 }).fontSize, expected);
+  assert.equal(layoutText('Hello world, fresh bread', { ...area, fontSize: 36 }, { fontStep: -2, minFontSize: 'small' }).fontSize, expected);
+});
+
+test('auto-fit gives up after a bounded number of steps', () => {
+  const layout = layoutText('Hello world', { x: 0, y: 0, width: 300, height: 100, fontSize: 1e12 });
+  assert.equal(layout.fontSize, 16);
+});
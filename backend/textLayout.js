@@ -0,0 +1,298 @@
+/**
+ * Text Layout Engine
+ * Shared by the Canvas and Sharp renderers so both wrap, size and align
+ * overlay copy identically:
+ * - Word wrap to the overlay box (long words are broken by character)
+ * - Auto-fit: shrink the font until the text fits, down to a minimum size
+ * - Line balancing so wrapped lines have similar widths
+ * - Horizontal alignment (left, center, right)
+ * - Overflow reporting when the text cannot fit even at the minimum size
+ * - Right-to-left copy: lines keep their logical order and the layout reports
+ *   `direction` so renderers can run bidi shaping; alignment stays physical
+ * - Font fallback: Devanagari and Arabic text gets script fonts appended to
+ *   the family list, ahead of the generic family
+ */
+
+const DEFAULT_OPTIONS = {
+  fontFamily: 'Arial, sans-serif',
+  minFontSize: 16,
+  lineHeight: 1.2,
+  fontStep: 2
+};
+const DEFAULT_FONT_SIZE = 36;
+const MAX_FIT_STEPS = 100; // font sizes tried before settling for the smallest
+
+// Sizes arrive from request bodies: anything but a finite positive number gets the default
+function positive(value, fallback) {
+  const number = Number(value);
+  return Number.isFinite(number) && number > 0 ? number : fallback;
+}
+
+// Approximate Arial advance widths (in ems) for renderers without font metrics
+const CHAR_WIDTHS = {
+  narrow: { chars: "iljtf.,:;'!|()[] ", width: 0.3 },
+  wide: { chars: 'mwMW@%', width: 0.86 },
+  upper: { width: 0.68 },
+  digit: { width: 0.56 },
+  lower: { width: 0.52 },
+  script: { width: 0.6 }, // Letters without case: Devanagari, Arabic, ...
+  mark: { width: 0 }, // Combining vowel signs and diacritics
+  other: { width: 1.0 } // Emoji, arrows and other symbols
+};
+
+// Fonts tried for scripts Arial doesn't cover, in order
+const SCRIPT_FONTS = [
+  { pattern: /[\u0900-\u097F]/, fonts: ['Noto Sans Devanagari', 'Mangal', 'Nirmala UI'] },
+  { pattern: /[\u0600-\u06FF\u0750-\u077F\uFB50-\uFDFF\uFE70-\uFEFF]/, fonts: ['Noto Sans Arabic', 'Noto Naskh Arabic', 'Geeza Pro', 'Tahoma'] }
+];
+
+const GENERIC_FAMILIES = ['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui'];
+
+const graphemes = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+const FONT_WEIGHTS = {
+  normal: 400,
+  medium: 500,
+  semibold: 600,
+  bold: 700
+};
+
+/**
+ * Map layout weights ('medium', 'bold', ...) to numeric CSS font weights
+ */
+export function cssFontWeight(weight) {
+  if (typeof weight === 'number') return weight;
+  return FONT_WEIGHTS[weight] || FONT_WEIGHTS.normal;
+}
+
+export function fontString(fontSize, fontWeight, fontFamily = DEFAULT_OPTIONS.fontFamily) {
+  return `${cssFontWeight(fontWeight)} ${fontSize}px ${fontFamily}`;
+}
+
+/**
+ * Font family list for a piece of text: the given families plus fallbacks for
+ * any Devanagari or Arabic it contains, e.g. '"Brand Sans", Arial, sans-serif'
+ * → '"Brand Sans", Arial, "Noto Sans Arabic", ..., sans-serif'
+ */
+export function fontStack(fontFamily = DEFAULT_OPTIONS.fontFamily, text = '') {
+  const fallbacks = SCRIPT_FONTS
+    .filter(({ pattern }) => pattern.test(text))
+    .flatMap(({ fonts }) => fonts)
+    .filter(font => !fontFamily.includes(font))
+    .map(font => `"${font}"`);
+  if (fallbacks.length === 0) return fontFamily;
+
+  const families = fontFamily.split(',').map(family => family.trim()).filter(Boolean);
+  const generic = GENERIC_FAMILIES.includes(families[families.length - 1]) ? families.pop() : 'sans-serif';
+  return [...families, ...fallbacks, generic].join(', ');
+}
+
+/**
+ * Estimate the rendered width of a string without a canvas
+ */
+export function estimateTextWidth(text, fontSize, fontWeight = 'normal') {
+  let ems = 0;
+  for (const char of text) {
+    if (CHAR_WIDTHS.narrow.chars.includes(char)) ems += CHAR_WIDTHS.narrow.width;
+    else if (CHAR_WIDTHS.wide.chars.includes(char)) ems += CHAR_WIDTHS.wide.width;
+    else if (/\p{Lu}/u.test(char)) ems += CHAR_WIDTHS.upper.width;
+    else if (/\p{Nd}/u.test(char)) ems += CHAR_WIDTHS.digit.width;
+    else if (/\p{Ll}/u.test(char)) ems += CHAR_WIDTHS.lower.width;
+    else if (/\p{Lo}/u.test(char)) ems += CHAR_WIDTHS.script.width;
+    else if (/[\p{M}\p{Cf}]/u.test(char)) ems += CHAR_WIDTHS.mark.width;
+    else ems += CHAR_WIDTHS.other.width;
+  }
+  const weightFactor = cssFontWeight(fontWeight) >= 600 ? 1.07 : 1;
+  return ems * fontSize * weightFactor;
+}
+
+/**
+ * Build a measure(text, fontSize, font) function backed by a canvas 2D context.
+ * layoutText passes the box's { fontWeight, fontFamily } as `font`; the
+ * weight and family given here are the defaults.
+ */
+export function createCanvasMeasurer(ctx, fontWeight, fontFamily) {
+  return (text, fontSize, font = {}) => {
+    ctx.font = fontString(fontSize, font.fontWeight || fontWeight, font.fontFamily || fontFamily);
+    return ctx.measureText(text).width;
+  };
+}
+
+export function createEstimatingMeasurer(fontWeight) {
+  return (text, fontSize) => estimateTextWidth(text, fontSize, fontWeight);
+}
+
+/**
+ * Split a word that is wider than the line into character chunks.
+ * Splits between grapheme clusters so a Devanagari consonant keeps its vowel sign.
+ */
+function breakWord(word, maxWidth, measure, fontSize) {
+  const parts = [];
+  let current = '';
+  for (const { segment: char } of graphemes.segment(word)) {
+    if (current && measure(current + char, fontSize) > maxWidth) {
+      parts.push(current);
+      current = char;
+    } else {
+      current += char;
+    }
+  }
+  if (current) parts.push(current);
+  return parts;
+}
+
+/**
+ * Greedy word wrap
+ */
+function wrapWords(words, maxWidth, measure, fontSize) {
+  const lines = [];
+  let current = '';
+
+  for (const word of words) {
+    const pieces = measure(word, fontSize) > maxWidth
+      ? breakWord(word, maxWidth, measure, fontSize)
+      : [word];
+
+    for (const piece of pieces) {
+      const candidate = current ? `${current} ${piece}` : piece;
+      if (current && measure(candidate, fontSize) > maxWidth) {
+        lines.push(current);
+        current = piece;
+      } else {
+        current = candidate;
+      }
+    }
+  }
+  if (current) lines.push(current);
+  return lines;
+}
+
+/**
+ * Narrow the wrap width as far as possible without adding a line,
+ * so "Best Deal of the / Season" becomes "Best Deal / of the Season"
+ */
+function balanceLines(words, maxWidth, measure, fontSize, lineCount) {
+  let low = maxWidth / lineCount;
+  let high = maxWidth;
+  let best = wrapWords(words, maxWidth, measure, fontSize);
+
+  for (let i = 0; i < 12 && high - low > 1; i++) {
+    const mid = (low + high) / 2;
+    const lines = wrapWords(words, mid, measure, fontSize);
+    if (lines.length <= lineCount) {
+      best = lines;
+      high = mid;
+    } else {
+      low = mid;
+    }
+  }
+  return best;
+}
+
+/**
+ * Lay out text inside a box.
+ *
+ * @param {string} text
+ * @param {{x, y, width, height, fontSize, fontWeight, padding, alignment, direction}} box
+ *   Usually a generativeLayout.textOverlay
+ * @param {object} options
+ * @param {function} options.measure - (text, fontSize, { fontWeight, fontFamily }) => width in px
+ * @returns {{lines, fontSize, lineHeight, font, textAlign, direction, overflow, bounds}}
+ */
+export function layoutText(text, box, options = {}) {
+  const minFontSize = positive(options.minFontSize, DEFAULT_OPTIONS.minFontSize);
+  const lineHeight = positive(options.lineHeight, DEFAULT_OPTIONS.lineHeight);
+  const fontStep = positive(options.fontStep, DEFAULT_OPTIONS.fontStep);
+  const fontFamily = fontStack(options.fontFamily || DEFAULT_OPTIONS.fontFamily, String(text || ''));
+  const fontWeight = box.fontWeight || 'bold';
+  const measure = options.measure
+    ? (line, size) => options.measure(line, size, { fontWeight, fontFamily })
+    : createEstimatingMeasurer(fontWeight);
+  const padding = box.padding ?? 18;
+  const alignment = box.alignment || 'center';
+  const innerWidth = Math.max(1, box.width - padding * 2);
+  const innerHeight = Math.max(1, box.height - padding * 2);
+  const words = String(text || '').trim().split(/\s+/).filter(Boolean);
+
+  const startSize = Math.max(positive(box.fontSize, DEFAULT_FONT_SIZE), minFontSize);
+  let fontSize = startSize;
+  let lines = [];
+  let fits = false;
+
+  // Shrink until the wrapped block fits the box; the last step lands on minFontSize
+  for (let step = 0; step <= MAX_FIT_STEPS; step++) {
+    lines = wrapWords(words, innerWidth, measure, fontSize);
+    const blockHeight = lines.length * fontSize * lineHeight;
+    fits = blockHeight <= innerHeight &&
+      lines.every(line => measure(line, fontSize) <= innerWidth);
+    if (fits || fontSize <= minFontSize) break;
+    fontSize = step === MAX_FIT_STEPS - 1 ? minFontSize : Math.max(minFontSize, fontSize - fontStep);
+  }
+
+  if (lines.length > 1) {
+    lines = balanceLines(words, innerWidth, measure, fontSize, lines.length);
+  }
+
+  const lineHeightPx = fontSize * lineHeight;
+  const blockHeight = lines.length * lineHeightPx;
+  const blockTop = box.y + padding + (innerHeight - blockHeight) / 2;
+
+  let anchorX;
+  if (alignment === 'left') {
+    anchorX = box.x + padding;
+  } else if (alignment === 'right') {
+    anchorX = box.x + box.width - padding;
+  } else {
+    anchorX = box.x + box.width / 2;
+  }
+
+  const laidOut = lines.map((line, i) => {
+    const width = measure(line, fontSize);
+    let left = anchorX;
+    if (alignment === 'center') left = anchorX - width / 2;
+    else if (alignment === 'right') left = anchorX - width;
+    return {
+      text: line,
+      x: anchorX,
+      y: blockTop + lineHeightPx * (i + 0.5), // Middle baseline
+      width,
+      left
+    };
+  });
+
+  const blockWidth = laidOut.reduce((max, line) => Math.max(max, line.width), 0);
+  const blockLeft = laidOut.reduce((min, line) => Math.min(min, line.left), Infinity);
+
+  return {
+    lines: laidOut,
+    fontSize,
+    lineHeight: lineHeightPx,
+    font: fontString(fontSize, fontWeight, fontFamily),
+    fontFamily,
+    fontWeight: cssFontWeight(fontWeight),
+    textAlign: alignment === 'left' ? 'left' : alignment === 'right' ? 'right' : 'center',
+    direction: box.direction === 'rtl' ? 'rtl' : 'ltr',
+    overflow: !fits,
+    shrunk: fontSize < startSize,
+    bounds: {
+      x: Math.floor(laidOut.length ? blockLeft : anchorX),
+      y: Math.floor(blockTop),
+      width: Math.ceil(blockWidth),
+      height: Math.ceil(blockHeight)
+    }
+  };
+}
+
+/**
+ * Compliance violation for text that does not fit its overlay box
+ */
+export function textOverflowViolation(textLayout, box) {
+  if (!textLayout.overflow) return null;
+  return {
+    type: 'text-overflow',
+    severity: 'high',
+    message: `Text does not fit its ${Math.round(box.width)}×${Math.round(box.height)}px box even at ${textLayout.fontSize}px. Shorten the copy or enlarge the text area.`,
+    fixable: true,
+    bbox: textLayout.bounds
+  };
+}
@@ -0,0 +1,2 @@
+// Use relative URLs in development (via Vite proxy) or full URL in production
+export const API_BASE_URL = import.meta.env.VITE_API_URL || (import.meta.env.DEV ? '' : 'http://localhost:3001');
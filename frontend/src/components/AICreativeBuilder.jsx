@@ -1,23 +1,201 @@
 import React, { useRef, useState, useEffect } from 'react';
 import axios from 'axios';
+import { API_BASE_URL } from '../api';
+import { createHistory, pushCommand, undo, redo, trimToSize, variantChange, applyVariantChanges } from '../history';
+import BrandKitPanel from './BrandKitPanel';
+import ProductDetailsForm from './ProductDetailsForm';
+import CopyEditor from './CopyEditor';
+import LayerEditor from './LayerEditor';
+import VariantGallery, { COMPARE_LIMIT } from './VariantGallery';
+import PlatformExportPanel, { ANIMATED_FORMATS } from './PlatformExportPanel';
+import TimelineEditor from './TimelineEditor';
 
-// Use relative URLs in development (via Vite proxy) or full URL in production
-const API_BASE_URL = import.meta.env.VITE_API_URL || (import.meta.env.DEV ? '' : 'http://localhost:3001');
+const LAST_PROJECT_KEY = 'aiCreativeBuilder.lastProjectId';
+const EDIT_RENDER_DELAY_MS = 600; // pause in typing or dragging before an edited variant re-renders
+
+// Server returns relative URLs; the UI works with absolute ones
+function withFullSrc(asset) {
+  return {
+    ...asset,
+    src: asset.src.startsWith('http') ? asset.src : `${API_BASE_URL}${asset.src}`
+  };
+}
 
 export default function AICreativeBuilder() {
-  const [assets, setAssets] = useState([]); // {id, name, src, type}
+  const [assets, setAssets] = useState([]); // {id, name, src, type, metadata}
   const [selectedAssetId, setSelectedAssetId] = useState(null);
   const [paletteSync, setPaletteSync] = useState(true);
+  const [assetPalette, setAssetPalette] = useState(null); // colours extracted from the main asset
   const [bgRemove, setBgRemove] = useState(false);
   const [tone, setTone] = useState('neutral'); // neutral | bold | playful | premium
   const [objective, setObjective] = useState('awareness'); // awareness|conversion|sales
+  const [locale, setLocale] = useState('en'); // en | hi | es | ar (copy language)
   const [variants, setVariants] = useState([]);
+  const [selectedVariantId, setSelectedVariantId] = useState(null); // what render, export and auto-fix act on
+  const [previews, setPreviews] = useState({}); // variant id -> low-res preview (or full render) URL
+  const [compareIds, setCompareIds] = useState([]); // variants shown side by side
+  const [history, setHistory] = useState(createHistory()); // undo/redo commands (see history.js)
   const [violations, setViolations] = useState([]);
   const [currentRenderedImage, setCurrentRenderedImage] = useState(null);
   const [currentQuote, setCurrentQuote] = useState(null);
+  const [currentVariant, setCurrentVariant] = useState(null); // variant behind currentRenderedImage
+  const [renderSize, setRenderSize] = useState(null); // {width, height} of the rendered creative
+  const [hoveredViolation, setHoveredViolation] = useState(null);
+  const [fixChanges, setFixChanges] = useState([]); // layout edits made by the last auto-fix
   const [loading, setLoading] = useState(false);
+  const [editRendering, setEditRendering] = useState(false); // re-render after a copy or layout edit
+  const [layoutEditing, setLayoutEditing] = useState(false); // drag/resize boxes on the live canvas
   const canvasRef = useRef(null);
+  const renderSeqRef = useRef(0); // only the latest render request updates the preview
+  const pendingEditRef = useRef(null); // pending copy or layout edit: { timer, variants }
+  const previewSeqRef = useRef(0); // previews from an older batch are dropped
   const [format, setFormat] = useState('square');
+  const [layoutFormats, setLayoutFormats] = useState(null); // registry layout formats (/api/platforms)
+  const [seed, setSeed] = useState(''); // optional; reuse to reproduce a batch
+  const [brandId, setBrandId] = useState(null); // brand kit used instead of tone colours
+  const [lastSeed, setLastSeed] = useState(null);
+  const [projects, setProjects] = useState([]);
+  const [projectId, setProjectId] = useState(null);
+  const [saveError, setSaveError] = useState(null); // last failed project save, shown under the picker
+  const restoringRef = useRef(null);
+
+  async function refreshProjects() {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/projects`);
+      setProjects(response.data.projects);
+    } catch (error) {
+      console.error('Project list error:', error);
+    }
+  }
+
+  // Reopen a saved project where it was left off
+  async function openProject(id) {
+    setLoading(true);
+    try {
+      const { project } = (await axios.get(`${API_BASE_URL}/api/projects/${id}`)).data;
+      const lastRender = project.renders[project.renders.length - 1];
+      const lastVariant = project.variants.find(v => v.id === project.state.selectedVariantId) ||
+        project.variants.find(v => v.id === lastRender?.variantId) || project.variants[0];
+
+      restoringRef.current = { ...project.brief, bgRemove };
+      setProjectId(project.id);
+      setAssets(project.assets.map(withFullSrc));
+      setSelectedAssetId(project.state.selectedAssetId || project.assets[0]?.id || null);
+      setTone(project.brief.tone);
+      setObjective(project.brief.objective);
+      setLocale(project.brief.locale || 'en');
+      setFormat(project.brief.format);
+      setBrandId(project.brief.brandId || null);
+      setPaletteSync(project.brief.paletteSync ?? true);
+      setLastSeed(project.brief.seed);
+      setVariants(project.variants);
+      setSelectedVariantId(lastVariant?.id || null);
+      setHistory(trimToSize(project.history || createHistory()));
+      setCurrentRenderedImage(lastRender ? `${API_BASE_URL}${lastRender.imageUrl}` : null);
+      setViolations(lastRender?.violations || []);
+      setFixChanges([]);
+      setCurrentVariant(lastRender ? lastVariant : null);
+      setRenderSize(lastVariant?.generativeLayout?.dimensions || null);
+      setCurrentQuote(lastVariant?.generativeLayout?.textOverlay?.quote || null);
+      localStorage.setItem(LAST_PROJECT_KEY, project.id);
+    } catch (error) {
+      console.error('Open project error:', error);
+      localStorage.removeItem(LAST_PROJECT_KEY);
+      alert('Failed to open project: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function newProject() {
+    const name = prompt('Project name', 'Untitled project');
+    if (name === null) return;
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/projects`, {
+        name,
+        brief: { tone, objective, format, brandId }
+      });
+      const project = response.data.project;
+      setProjectId(project.id);
+      setAssets([]);
+      setSelectedAssetId(null);
+      setVariants([]);
+      setHistory(createHistory());
+      setCurrentRenderedImage(null);
+      setViolations([]);
+      setFixChanges([]);
+      setCurrentQuote(null);
+      setLastSeed(null);
+      localStorage.setItem(LAST_PROJECT_KEY, project.id);
+      await refreshProjects();
+      return project.id;
+    } catch (error) {
+      console.error('Create project error:', error);
+      alert('Failed to create project: ' + (error.response?.data?.error || error.message));
+    }
+  }
+
+  // Uploads always belong to a project; create one on first upload
+  async function ensureProject() {
+    if (projectId) return projectId;
+    const response = await axios.post(`${API_BASE_URL}/api/projects`, {
+      name: 'Untitled project',
+      brief: { tone, objective, format, brandId }
+    });
+    const id = response.data.project.id;
+    setProjectId(id);
+    localStorage.setItem(LAST_PROJECT_KEY, id);
+    refreshProjects();
+    return id;
+  }
+
+  useEffect(() => {
+    axios.get(`${API_BASE_URL}/api/platforms`)
+      .then(response => setLayoutFormats(response.data.formats || null))
+      .catch(error => console.error('Platform registry error:', error));
+  }, []);
+
+  useEffect(() => {
+    refreshProjects();
+    const lastProjectId = localStorage.getItem(LAST_PROJECT_KEY);
+    if (lastProjectId) {
+      openProject(lastProjectId);
+    }
+  }, []);
+
+  // Persist brief, selection and undo history (debounced)
+  useEffect(() => {
+    if (!projectId) return;
+    const timer = setTimeout(() => {
+      axios.put(`${API_BASE_URL}/api/projects/${projectId}`, {
+        brief: { tone, objective, format, locale, brandId, paletteSync },
+        state: { selectedAssetId, selectedVariantId },
+        history
+      })
+        .then(() => setSaveError(null))
+        .catch(error => reportSaveError('Project save error:', error));
+    }, 800);
+    return () => clearTimeout(timer);
+  }, [projectId, tone, objective, format, locale, brandId, paletteSync, selectedAssetId, selectedVariantId, history]);
+
+  // Palette Sync samples the main asset (the cut-out when background removal is on)
+  const mainAssetId = assets[0]?.id;
+  const mainAssetSrc = assets[0]?.src;
+  useEffect(() => {
+    if (!paletteSync || !mainAssetId) {
+      setAssetPalette(null);
+      return;
+    }
+    let cancelled = false;
+    // `src` finds the upload when no project lists it yet
+    axios.get(`${API_BASE_URL}/api/assets/${mainAssetId}/palette`, { params: { cutout: bgRemove, src: mainAssetSrc } })
+      .then(response => { if (!cancelled) setAssetPalette(response.data); })
+      .catch(error => {
+        console.error('Palette error:', error);
+        if (!cancelled) setAssetPalette(null);
+      });
+    return () => { cancelled = true; };
+  }, [paletteSync, mainAssetId, mainAssetSrc, bgRemove]);
 
   // Upload files to backend
   async function handleFiles(e) {
@@ -25,18 +203,16 @@ export default function AICreativeBuilder() {
     if (files.length === 0) return;
 
     setLoading(true);
-    const formData = new FormData();
-    files.forEach(file => formData.append('files', file));
-
     try {
+      const formData = new FormData();
+      formData.append('projectId', await ensureProject());
+      files.forEach(file => formData.append('files', file));
+
       const response = await axios.post(`${API_BASE_URL}/api/upload`, formData, {
         headers: { 'Content-Type': 'multipart/form-data' }
       });
       
-      const uploadedFiles = response.data.files.map(file => ({
-        ...file,
-        src: file.src.startsWith('http') ? file.src : `${API_BASE_URL}${file.src}` // Full URL
-      }));
+      const uploadedFiles = response.data.files.map(withFullSrc);
 
       setAssets((prev) => [...uploadedFiles, ...prev]);
       if (!selectedAssetId && uploadedFiles.length) {
@@ -63,13 +239,20 @@ export default function AICreativeBuilder() {
         assets,
         tone,
         objective,
-        format
+        format,
+        locale,
+        seed: seed.trim() || undefined,
+        brandId,
+        paletteSync,
+        bgRemove,
+        projectId
       });
 
       const newVariants = response.data.variants;
       setVariants(newVariants);
+      setLastSeed(response.data.seed);
       
-      // Render first variant
+      // Select and render the first variant
       if (newVariants.length > 0) {
         await renderVariantToCanvas(newVariants[0]);
       }
@@ -81,11 +264,133 @@ export default function AICreativeBuilder() {
     }
   }
 
-  // Render variant to canvas via backend
-  async function renderVariantToCanvas(variant) {
+  function saveVariants(nextVariants) {
+    if (!projectId) return;
+    axios.put(`${API_BASE_URL}/api/projects/${projectId}`, { variants: nextVariants })
+      .then(() => setSaveError(null))
+      .catch(error => reportSaveError('Variant save error:', error));
+  }
+
+  function reportSaveError(context, error) {
+    console.error(context, error);
+    setSaveError(error.response?.status === 413
+      ? 'the project is too large to save'
+      : error.response?.data?.error || error.message);
+  }
+
+  // Copy and layout edits update the variant at once; the re-render and save wait for a pause.
+  // `command` ({ type, label, mergeKey }) describes the edit for undo/redo.
+  function editVariant(updated, command) {
+    const previous = variants.find(v => v.id === updated.id);
+    if (previous && command) {
+      recordCommand({ ...command, ...variantChange(previous, updated) });
+    }
+    const nextVariants = variants.map(v => (v.id === updated.id ? updated : v));
+    setVariants(nextVariants);
+    setCurrentVariant(updated);
+    setCurrentQuote(updated.generativeLayout.textOverlay.quote || null);
+
+    clearTimeout(pendingEditRef.current?.timer);
+    pendingEditRef.current = {
+      variants: nextVariants,
+      timer: setTimeout(() => {
+        pendingEditRef.current = null;
+        saveVariants(nextVariants);
+        renderVariantToCanvas(updated, { quiet: true });
+      }, EDIT_RENDER_DELAY_MS)
+    };
+  }
+
+  useEffect(() => () => clearTimeout(pendingEditRef.current?.timer), []);
+
+  function recordCommand(command) {
+    setHistory(prev => pushCommand(prev, command));
+  }
+
+  // Tone, objective, format and asset selection made by the user (undoable)
+  const settingSetters = { tone: setTone, objective: setObjective, format: setFormat, selectedAssetId: setSelectedAssetId };
+  const settings = { tone, objective, format, selectedAssetId };
+
+  function changeSetting(key, value) {
+    if (settings[key] === value) return;
+    const label = key === 'selectedAssetId'
+      ? 'Select asset'
+      : `${key[0].toUpperCase()}${key.slice(1)}: ${value}`;
+    recordCommand({ type: 'setting', label, before: { [key]: settings[key] }, after: { [key]: value } });
+    settingSetters[key](value);
+  }
+
+  // Restore a command snapshot; a changed variant is saved and, if it is on the canvas, re-rendered
+  function applySnapshot(snapshot) {
+    for (const [key, setter] of Object.entries(settingSetters)) {
+      if (key in snapshot) setter(snapshot[key]);
+    }
+
+    const existing = snapshot.variant?.changes && variants.find(v => v.id === snapshot.variant.id);
+    if (!existing) return; // variants were regenerated since
+    const variant = { ...applyVariantChanges(existing, snapshot.variant.changes), favourite: existing.favourite };
+    const nextVariants = variants.map(v => (v.id === variant.id ? variant : v));
+
+    clearTimeout(pendingEditRef.current?.timer);
+    pendingEditRef.current = null;
+    setVariants(nextVariants);
+    saveVariants(nextVariants);
+    if (currentVariant?.id === variant.id) {
+      setCurrentVariant(variant);
+      renderVariantToCanvas(variant, { quiet: true });
+    }
+  }
+
+  function undoCommand() {
+    const step = undo(history);
+    if (!step) return;
+    setHistory(step.history);
+    applySnapshot(step.command.before);
+  }
+
+  function redoCommand() {
+    const step = redo(history);
+    if (!step) return;
+    setHistory(step.history);
+    applySnapshot(step.command.after);
+  }
+
+  // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes; text fields keep their own undo
+  const historyKeysRef = useRef(null);
+  historyKeysRef.current = { undo: undoCommand, redo: redoCommand };
+  useEffect(() => {
+    function onKeyDown(event) {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+      if (event.target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+      const key = event.key.toLowerCase();
+      if (key === 'z' && !event.shiftKey) historyKeysRef.current.undo();
+      else if ((key === 'z' && event.shiftKey) || key === 'y') historyKeysRef.current.redo();
+      else return;
+      event.preventDefault();
+    }
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+
+  // Render variant to canvas via backend.
+  // `quiet` renders (copy and layout edits) keep the controls enabled so typing isn't interrupted.
+  async function renderVariantToCanvas(variant, { quiet = false } = {}) {
     if (!variant) return;
 
-    setLoading(true);
+    // Rendering another variant: save the pending edit instead of re-rendering it
+    const pendingEdit = pendingEditRef.current;
+    if (!quiet && pendingEdit) {
+      clearTimeout(pendingEdit.timer);
+      pendingEditRef.current = null;
+      saveVariants(pendingEdit.variants);
+    }
+
+    const seq = ++renderSeqRef.current;
+    if (quiet) setEditRendering(true);
+    else {
+      setLoading(true);
+      setSelectedVariantId(variant.id);
+    }
     try {
       const response = await axios.post(`${API_BASE_URL}/api/render-variant`, {
         variant,
@@ -93,12 +398,19 @@ export default function AICreativeBuilder() {
         bgRemove,
         tone,
         objective,
-        format
+        format,
+        projectId
       });
+      // A newer render has started (e.g. another edit); let it win
+      if (seq !== renderSeqRef.current) return;
 
       const imageUrl = `${API_BASE_URL}${response.data.imageUrl}`;
       setCurrentRenderedImage(imageUrl);
+      setCurrentVariant(variant);
+      setPreviews(prev => ({ ...prev, [variant.id]: imageUrl }));
+      setRenderSize(response.data.dimensions || null);
       setViolations(response.data.violations || []);
+      setFixChanges([]);
       
       // Extract quote from variant if available
       if (variant.generativeLayout?.textOverlay?.quote) {
@@ -117,17 +429,10 @@ export default function AICreativeBuilder() {
           const canvas = canvasRef.current;
           const ctx = canvas.getContext('2d');
           
-          // Set canvas size based on format
-          let width, height;
-          if (format === 'square') {
-            width = height = 800;
-          } else if (format === 'story') {
-            width = 1080;
-            height = 1920;
-          } else {
-            width = 1200;
-            height = 628;
-          }
+          // Canvas size from the registry's layout format (the render's own size until it loads)
+          const size = layoutFormats?.[format]?.dimensions || response.data.dimensions;
+          const width = size?.width || img.width;
+          const height = size?.height || img.height;
           
           canvas.width = width;
           canvas.height = height;
@@ -147,25 +452,76 @@ export default function AICreativeBuilder() {
       console.error('Render error:', error);
       alert('Failed to render variant: ' + (error.response?.data?.error || error.message));
     } finally {
-      setLoading(false);
+      if (!quiet) setLoading(false);
+      if (seq === renderSeqRef.current) setEditRendering(false);
+    }
+  }
+
+  // Low-res previews for the gallery, requested in parallel; each shows up as it arrives
+  function renderPreviews(list) {
+    const seq = ++previewSeqRef.current;
+    setPreviews({});
+    for (const variant of list) {
+      axios.post(`${API_BASE_URL}/api/render-preview`, {
+        variant,
+        assets,
+        bgRemove,
+        tone,
+        objective,
+        format
+      })
+        .then(response => {
+          if (seq !== previewSeqRef.current) return;
+          setPreviews(prev => ({ ...prev, [variant.id]: response.data.image }));
+        })
+        .catch(error => console.error('Preview error:', error));
+    }
+  }
+
+  function toggleFavourite(id) {
+    const nextVariants = variants.map(v => (v.id === id ? { ...v, favourite: !v.favourite } : v));
+    setVariants(nextVariants);
+    if (currentVariant?.id === id) {
+      setCurrentVariant(nextVariants.find(v => v.id === id));
     }
+    saveVariants(nextVariants);
+  }
+
+  function toggleCompare(id) {
+    setCompareIds(prev => {
+      if (prev.includes(id)) return prev.filter(other => other !== id);
+      return prev.length < COMPARE_LIMIT ? [...prev, id] : prev;
+    });
   }
 
-  // Auto-fix contrast via backend
-  async function autoFixContrast() {
-    if (!currentRenderedImage) return;
+  // Auto-fix violations via backend: the layout is repaired and re-rendered
+  async function autoFixViolations() {
+    if (!currentVariant) return;
 
     setLoading(true);
     try {
-      // Extract the path from the full URL
-      const imagePath = currentRenderedImage.replace(API_BASE_URL, '');
       const response = await axios.post(`${API_BASE_URL}/api/auto-fix`, {
-        imageUrl: imagePath
+        variant: currentVariant,
+        assets,
+        bgRemove,
+        tone,
+        objective,
+        format,
+        projectId
       });
 
       const fixedImageUrl = `${API_BASE_URL}${response.data.imageUrl}`;
+      const fixedVariant = response.data.variant;
       setCurrentRenderedImage(fixedImageUrl);
+      setRenderSize(response.data.dimensions || renderSize);
       setViolations(response.data.violations || []);
+      setFixChanges(response.data.changes || []);
+      if (fixedVariant) {
+        recordCommand({ type: 'auto-fix', label: 'Auto-fix', ...variantChange(currentVariant, fixedVariant) });
+        setCurrentVariant(fixedVariant);
+        setVariants((prev) => prev.map(v => (v.id === fixedVariant.id ? fixedVariant : v)));
+        setPreviews(prev => ({ ...prev, [fixedVariant.id]: fixedImageUrl }));
+      }
 
       // Update canvas
       if (canvasRef.current) {
@@ -208,27 +564,73 @@ export default function AICreativeBuilder() {
     link.click();
   }
 
-  // Export for specific platform
-  async function exportForPlatform(platform, format) {
-    if (!currentRenderedImage) {
+  // Layered export for designers: SVG (embedded images, live text) or an
+  // OpenRaster zip with one PNG per layout element and a manifest.json
+  async function exportLayered(outputFormat) {
+    if (!currentRenderedImage || !currentVariant) {
+      alert('No image to export. Please generate and render a variant first.');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/export-layered`, {
+        variant: currentVariant,
+        assets,
+        bgRemove,
+        tone,
+        objective,
+        format,
+        outputFormat
+      });
+
+      const link = document.createElement('a');
+      link.download = `creative-${Date.now()}.${response.data.extension}`;
+      link.href = `${API_BASE_URL}${response.data.imageUrl}`;
+      link.click();
+    } catch (error) {
+      console.error('Layered export error:', error);
+      alert('Failed to export: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // Export for a platform placement: the selected variant is re-laid-out at the placement's size
+  // and encoded in the placement's file format (or `outputFormat`) within its size cap.
+  // Animated formats (GIF, MP4, WebM, HTML5 zip) play the layout's timeline.
+  async function exportForPlatform(platform, placement, outputFormat, clickTag) {
+    if (!currentRenderedImage || !currentVariant?.generativeLayout) {
       alert('No image to export. Please generate and render a variant first.');
       return;
     }
 
     setLoading(true);
     try {
-      const imagePath = currentRenderedImage.replace(API_BASE_URL, '');
-      const response = await axios.post(`${API_BASE_URL}/api/export-platform`, {
-        imageUrl: imagePath,
+      const route = ANIMATED_FORMATS.includes(outputFormat) ? 'export-animated' : 'export-platform';
+      const response = await axios.post(`${API_BASE_URL}/api/${route}`, {
+        variant: currentVariant,
+        assets,
+        bgRemove,
         platform,
-        format
+        placement,
+        outputFormat,
+        clickTag
       });
 
       // Download the platform-optimized image
       const link = document.createElement('a');
-      link.download = `${platform}-${format}-${Date.now()}.png`;
+      link.download = `${platform}-${placement}-${Date.now()}.${response.data.extension || response.data.outputFormat}`;
       link.href = `${API_BASE_URL}${response.data.imageUrl}`;
       link.click();
+
+      // The layout at this size is new, so it is checked again
+      const issues = response.data.violations || [];
+      if (issues.length) {
+        alert(`Exported with ${issues.length} compliance ${issues.length === 1 ? 'issue' : 'issues'} at ${platform} ${placement}:\n` +
+          issues.map(v => `- ${v.message}`).join('\n'));
+      }
+      return response.data;
     } catch (error) {
       console.error('Platform export error:', error);
       alert('Failed to export: ' + (error.response?.data?.error || error.message));
@@ -237,26 +639,21 @@ export default function AICreativeBuilder() {
     }
   }
 
-  // Batch export for multiple platforms
-  async function batchExport() {
-    if (!currentRenderedImage) {
+  // Batch export for the placements ticked in the platform panel
+  async function batchExport(platforms, clickTag) {
+    if (!currentRenderedImage || !currentVariant?.generativeLayout) {
       alert('No image to export. Please generate and render a variant first.');
       return;
     }
 
     setLoading(true);
     try {
-      const imagePath = currentRenderedImage.replace(API_BASE_URL, '');
-      const platforms = [
-        { platform: 'meta', format: 'square' },
-        { platform: 'meta', format: 'story' },
-        { platform: 'google', format: 'banner' },
-        { platform: 'amazon', format: 'main' }
-      ];
-
       const response = await axios.post(`${API_BASE_URL}/api/export-batch`, {
-        imageUrl: imagePath,
-        platforms
+        variant: currentVariant,
+        assets,
+        bgRemove,
+        platforms,
+        clickTag
       });
 
       // Download all exported images
@@ -264,14 +661,16 @@ export default function AICreativeBuilder() {
         if (exportItem.success !== false && exportItem.imageUrl) {
           setTimeout(() => {
             const link = document.createElement('a');
-            link.download = `${exportItem.platform}-${exportItem.format}-${Date.now()}.png`;
+            link.download = `${exportItem.platform}-${exportItem.placement}-${Date.now()}.${exportItem.extension || exportItem.outputFormat}`;
             link.href = `${API_BASE_URL}${exportItem.imageUrl}`;
             link.click();
           }, index * 500); // Stagger downloads
         }
       });
 
-      alert(`Exported ${response.data.successful} of ${response.data.total} formats successfully`);
+      const flagged = response.data.exports.filter(e => e.violations?.length).map(e => `${e.platform} ${e.placement}`);
+      alert(`Exported ${response.data.successful} of ${response.data.total} placements successfully` +
+        (flagged.length ? `\nCompliance issues in: ${flagged.join(', ')}` : ''));
     } catch (error) {
       console.error('Batch export error:', error);
       alert('Failed to batch export: ' + (error.response?.data?.error || error.message));
@@ -285,7 +684,9 @@ export default function AICreativeBuilder() {
     try {
       // Extract filename from path
       const filename = asset.src.split('/').pop();
-      await axios.delete(`${API_BASE_URL}/api/assets/${filename}`);
+      await axios.delete(`${API_BASE_URL}/api/assets/${filename}`, {
+        params: { projectId }
+      });
       
       setAssets((prev) => prev.filter(a => a.id !== asset.id));
       if (selectedAssetId === asset.id) {
@@ -301,13 +702,39 @@ export default function AICreativeBuilder() {
     }
   }
 
+  // Switching brand kits applies its preferred tone; regenerate to use its palette
+  function selectBrand(brand) {
+    setBrandId(brand ? brand.id : null);
+    if (brand && brand.tones.length > 0 && !brand.tones.includes(tone)) {
+      setTone(brand.tones[0]);
+    }
+  }
+
+  const selectedVariant = variants.find(v => v.id === selectedVariantId) || variants[0];
+
   // Re-render when controls change
   useEffect(() => {
-    if (variants.length > 0) {
-      renderVariantToCanvas(variants[0]);
+    // Opening a project restores its last render; don't replace it
+    const restored = restoringRef.current;
+    restoringRef.current = null;
+    if (restored && restored.tone === tone && restored.objective === objective &&
+        restored.format === format && restored.bgRemove === bgRemove) {
+      return;
+    }
+    if (selectedVariant) {
+      renderVariantToCanvas(selectedVariant);
     }
   }, [bgRemove, tone, objective, format]);
 
+  // New variants (or render settings) invalidate every preview
+  const variantIds = variants.map(v => v.id).join(',');
+  useEffect(() => {
+    setCompareIds(prev => prev.filter(id => variants.some(v => v.id === id)));
+    if (variants.length > 0 && assets.length > 0) {
+      renderPreviews(variants);
+    }
+  }, [variantIds, bgRemove, tone, objective, format]);
+
   return (
     <div className="min-h-screen p-6 bg-slate-50 text-slate-900">
       {loading && (
@@ -329,6 +756,36 @@ export default function AICreativeBuilder() {
             </p>
           </div>
 
+          <div className="mb-4">
+            <label className="block mb-1 text-sm font-medium">Project</label>
+            <div className="flex gap-2">
+              <select
+                value={projectId || ''}
+                onChange={(e) => e.target.value && openProject(e.target.value)}
+                onFocus={refreshProjects}
+                className="p-2 rounded border flex-1 text-sm min-w-0"
+                disabled={loading}
+              >
+                <option value="">{projectId ? 'Unsaved project' : 'No project open'}</option>
+                {projects.map(p => (
+                  <option key={p.id} value={p.id}>{p.name}</option>
+                ))}
+              </select>
+              <button
+                className="text-xs px-2 py-1 rounded bg-slate-100 hover:bg-slate-200"
+                onClick={newProject}
+                disabled={loading}
+              >
+                New
+              </button>
+            </div>
+            {saveError && (
+              <p className="text-xs text-red-600 mt-1">Changes not saved: {saveError}</p>
+            )}
+          </div>
+
+          <BrandKitPanel brandId={brandId} onSelect={selectBrand} disabled={loading} />
+
           <label className="block mb-2 text-sm font-medium">Upload Assets</label>
           <input 
             type="file" 
@@ -354,7 +811,7 @@ export default function AICreativeBuilder() {
                   <div className="flex items-center gap-2">
                     <button 
                       className="text-xs px-2 py-1 rounded bg-slate-100 hover:bg-slate-200" 
-                      onClick={() => setSelectedAssetId(a.id)}
+                      onClick={() => changeSetting('selectedAssetId', a.id)}
                       disabled={loading}
                     >
                       Use
@@ -391,8 +848,29 @@ export default function AICreativeBuilder() {
                 onChange={(e) => setPaletteSync(e.target.checked)}
                 disabled={loading}
               />
-              <span className="text-sm">Palette Sync (preview only)</span>
+              <span className="text-sm">Palette Sync</span>
             </label>
+            {paletteSync && assetPalette && (
+              <div className="mt-1 ml-6 flex items-center gap-1" title="Layouts are tinted with these colours on the next Generate">
+                {[assetPalette.dominant, assetPalette.complementary].map((color, i) => (
+                  <span
+                    key={i}
+                    className="w-5 h-5 rounded border border-slate-300"
+                    style={{ backgroundColor: color }}
+                    title={`${i === 0 ? 'Dominant' : 'Complementary'} ${color}`}
+                  />
+                ))}
+                <span className="mx-1 text-slate-300">|</span>
+                {assetPalette.colors.map(c => (
+                  <span
+                    key={c.color}
+                    className="w-3 h-5 rounded-sm"
+                    style={{ backgroundColor: c.color }}
+                    title={`${c.color} (${Math.round(c.share * 100)}%)`}
+                  />
+                ))}
+              </div>
+            )}
           </div>
 
           <div className="mb-4">
@@ -403,7 +881,7 @@ export default function AICreativeBuilder() {
                 <label className="text-xs text-slate-600 mb-1 block">Brand Tone</label>
                 <select 
                   value={tone} 
-                  onChange={(e)=>setTone(e.target.value)} 
+                  onChange={(e)=>changeSetting('tone', e.target.value)} 
                   className="p-2 rounded border w-full text-sm"
                   disabled={loading}
                 >
@@ -417,7 +895,7 @@ export default function AICreativeBuilder() {
                 <label className="text-xs text-slate-600 mb-1 block">Objective</label>
                 <select 
                   value={objective} 
-                  onChange={(e)=>setObjective(e.target.value)} 
+                  onChange={(e)=>changeSetting('objective', e.target.value)} 
                   className="p-2 rounded border w-full text-sm"
                   disabled={loading}
                 >
@@ -426,27 +904,42 @@ export default function AICreativeBuilder() {
                   <option value="sales">Sales</option>
                 </select>
               </div>
+              <div className="col-span-2">
+                <label className="text-xs text-slate-600 mb-1 block">Copy Language</label>
+                <select 
+                  value={locale} 
+                  onChange={(e)=>setLocale(e.target.value)} 
+                  className="p-2 rounded border w-full text-sm"
+                  disabled={loading}
+                  title="Applies on the next Generate; Arabic layouts are mirrored"
+                >
+                  <option value="en">English</option>
+                  <option value="hi">हिन्दी (Hindi)</option>
+                  <option value="es">Español (Spanish)</option>
+                  <option value="ar">العربية (Arabic, right-to-left)</option>
+                </select>
+              </div>
             </div>
 
             <div className="mt-3">
               <label className="text-xs">Format</label>
               <div className="flex gap-2 mt-1">
                 <button 
-                  onClick={()=>setFormat('square')} 
+                  onClick={()=>changeSetting('format', 'square')} 
                   className={`px-2 py-1 rounded text-sm ${format==='square'?'bg-indigo-600 text-white':'bg-slate-100'}`}
                   disabled={loading}
                 >
                   Square
                 </button>
                 <button 
-                  onClick={()=>setFormat('story')} 
+                  onClick={()=>changeSetting('format', 'story')} 
                   className={`px-2 py-1 rounded text-sm ${format==='story'?'bg-indigo-600 text-white':'bg-slate-100'}`}
                   disabled={loading}
                 >
                   Story
                 </button>
                 <button 
-                  onClick={()=>setFormat('banner')} 
+                  onClick={()=>changeSetting('format', 'banner')} 
                   className={`px-2 py-1 rounded text-sm ${format==='banner'?'bg-indigo-600 text-white':'bg-slate-100'}`}
                   disabled={loading}
                 >
@@ -454,6 +947,30 @@ export default function AICreativeBuilder() {
                 </button>
               </div>
             </div>
+
+            <div className="mt-3">
+              <label className="text-xs">Seed (optional)</label>
+              <input
+                type="text"
+                value={seed}
+                onChange={(e) => setSeed(e.target.value)}
+                placeholder="Random"
+                className="mt-1 p-2 rounded border w-full text-sm"
+                disabled={loading}
+              />
+              {lastSeed !== null && (
+                <div className="mt-1 text-xs text-slate-500 flex items-center gap-2">
+                  <span>Last batch seed: <code>{lastSeed}</code></span>
+                  <button
+                    className="text-indigo-600 hover:underline"
+                    onClick={() => setSeed(String(lastSeed))}
+                    disabled={loading}
+                  >
+                    Reuse
+                  </button>
+                </div>
+              )}
+            </div>
           </div>
 
           <div className="space-y-2">
@@ -469,7 +986,7 @@ export default function AICreativeBuilder() {
             </button>
             <button 
               className="w-full px-4 py-2 rounded bg-slate-100 hover:bg-slate-200 disabled:opacity-50" 
-              onClick={() => renderVariantToCanvas(variants[0])}
+              onClick={() => renderVariantToCanvas(selectedVariant)}
               disabled={loading || variants.length === 0}
             >
               Render Selected
@@ -491,22 +1008,42 @@ export default function AICreativeBuilder() {
               ) : (
                 <ul className="space-y-1 text-xs text-red-600">
                   {violations.map((v, idx) => (
-                    <li key={idx}>• {v.message}</li>
+                    <li
+                      key={idx}
+                      onMouseEnter={() => setHoveredViolation(idx)}
+                      onMouseLeave={() => setHoveredViolation(null)}
+                      className={v.bbox ? 'cursor-default hover:bg-red-50 rounded px-1' : 'px-1'}
+                    >
+                      • {v.message}
+                    </li>
                   ))}
                 </ul>
               )}
 
-              {violations.length>0 && violations.some(v => v.type === 'low-contrast') && (
+              {violations.some(v => v.fixable) && (
                 <div className="mt-2">
                   <button 
-                    onClick={autoFixContrast} 
+                    onClick={autoFixViolations} 
                     className="px-2 py-1 rounded bg-indigo-600 text-white text-xs hover:bg-indigo-700"
-                    disabled={loading}
+                    disabled={loading || !currentVariant}
                   >
-                    Auto-fix contrast
+                    Auto-fix issues
                   </button>
                 </div>
               )}
+
+              {fixChanges.length > 0 && (
+                <div className="mt-3">
+                  <div className="text-xs font-medium text-slate-600">Auto-fix changes</div>
+                  <ul className="mt-1 space-y-1 text-xs text-emerald-700">
+                    {fixChanges.map((change, idx) => (
+                      <li key={idx} title={`${change.path}: ${JSON.stringify(change.from)} → ${JSON.stringify(change.to)}`}>
+                        ✓ {change.description}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
             </div>
           </div>
         </div>
@@ -515,25 +1052,80 @@ export default function AICreativeBuilder() {
         <div className="col-span-5 bg-white rounded-2xl p-4 shadow flex flex-col items-center justify-center">
           <div className="w-full flex items-center justify-between mb-3">
             <div className="text-sm font-medium">Live Canvas</div>
-            <div className="text-xs text-slate-500">Server-side rendering</div>
+            <div className="flex items-center gap-3 text-xs text-slate-500">
+              {editRendering && <span>Updating preview...</span>}
+              <div className="flex gap-1">
+                <button
+                  className="px-2 py-1 rounded bg-slate-100 hover:bg-slate-200 text-slate-700 disabled:opacity-40"
+                  onClick={undoCommand}
+                  disabled={loading || history.past.length === 0}
+                  title={history.past.length ? `Undo ${history.past[history.past.length - 1].label} (Ctrl+Z)` : 'Nothing to undo'}
+                >
+                  Undo
+                </button>
+                <button
+                  className="px-2 py-1 rounded bg-slate-100 hover:bg-slate-200 text-slate-700 disabled:opacity-40"
+                  onClick={redoCommand}
+                  disabled={loading || history.future.length === 0}
+                  title={history.future.length ? `Redo ${history.future[history.future.length - 1].label} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+                >
+                  Redo
+                </button>
+              </div>
+              {currentVariant?.generativeLayout ? (
+                <button
+                  className={`px-2 py-1 rounded ${layoutEditing ? 'bg-indigo-600 text-white' : 'bg-slate-100 hover:bg-slate-200 text-slate-700'}`}
+                  onClick={() => setLayoutEditing(!layoutEditing)}
+                >
+                  {layoutEditing ? 'Done editing' : 'Edit layout'}
+                </button>
+              ) : (
+                <span>Server-side rendering</span>
+              )}
+            </div>
           </div>
           <div className="w-full flex items-center justify-center">
             <div className="border rounded-lg bg-gray-100 p-3 relative">
               {currentRenderedImage ? (
                 <>
-                  <img 
-                    src={currentRenderedImage} 
-                    alt="Rendered creative" 
-                    className="rounded-lg shadow-md max-w-full h-auto"
-                    style={{ maxHeight: '600px' }}
-                  />
-                  {currentQuote && (
+                  <div className="relative">
+                    <img 
+                      src={currentRenderedImage} 
+                      alt="Rendered creative" 
+                      className="rounded-lg shadow-md max-w-full h-auto block"
+                      style={{ maxHeight: '600px' }}
+                    />
+                    {layoutEditing && currentVariant?.generativeLayout && (
+                      <LayerEditor
+                        layout={currentVariant.generativeLayout}
+                        onCommit={(layout) => editVariant(
+                          { ...currentVariant, generativeLayout: layout },
+                          { type: 'layout', label: 'Edit layout' }
+                        )}
+                      />
+                    )}
+                    {/* Highlight the area each violation refers to */}
+                    {!layoutEditing && renderSize && violations.map((v, idx) => v.bbox && (
+                      <div
+                        key={idx}
+                        className={`absolute pointer-events-none border-2 rounded ${hoveredViolation === idx ? 'border-red-500 bg-red-500/20' : 'border-red-400/60'}`}
+                        style={{
+                          left: `${(v.bbox.x / renderSize.width) * 100}%`,
+                          top: `${(v.bbox.y / renderSize.height) * 100}%`,
+                          width: `${(v.bbox.width / renderSize.width) * 100}%`,
+                          height: `${(v.bbox.height / renderSize.height) * 100}%`
+                        }}
+                        title={v.message}
+                      />
+                    ))}
+                  </div>
+                  {currentQuote && !layoutEditing && (
                     <div className="absolute bottom-4 left-4 right-4 bg-black bg-opacity-75 text-white px-4 py-2 rounded-lg text-sm font-medium">
                       <div className="flex items-center gap-2">
                         <svg className="w-4 h-4 text-indigo-300" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9.663 17h4.673M12 3v1m6.364 1.636l-.707.707M21 12h-1M4 12H3m3.343-5.657l-.707-.707m2.828 9.9a5 5 0 117.072 0l-.548.547A3.374 3.374 0 0014 18.469V19a2 2 0 11-4 0v-.531c0-.895-.356-1.754-.988-2.386l-.548-.547z" />
                         </svg>
-                        <span className="flex-1">{currentQuote}</span>
+                        <span dir="auto" className="flex-1">{currentQuote}</span>
                       </div>
                     </div>
                   )}
@@ -559,33 +1151,18 @@ export default function AICreativeBuilder() {
                 </span>
               )}
             </div>
-            <div className="mt-2 flex gap-2 flex-wrap">
-              {variants.length ? variants.map(v => {
-                const quote = v.generativeLayout?.textOverlay?.quote || v.generativeLayout?.textOverlay?.text;
-                return (
-                  <button 
-                    key={v.id} 
-                    onClick={() => renderVariantToCanvas(v)} 
-                    className="px-3 py-1 rounded bg-slate-100 hover:bg-slate-200 text-xs disabled:opacity-50 flex flex-col items-start"
-                    disabled={loading}
-                    title={v.description}
-                  >
-                    <span>Layout {v.layout+1}</span>
-                    {quote && (
-                      <span className="text-[10px] text-indigo-600 mt-0.5 max-w-[120px] truncate font-medium">
-                        "{quote}"
-                      </span>
-                    )}
-                    {v.description && !quote && (
-                      <span className="text-[10px] text-slate-500 mt-0.5 max-w-[120px] truncate">
-                        {v.description}
-                      </span>
-                    )}
-                  </button>
-                );
-              }) : (
-                <div className="text-xs text-slate-400">No layouts. Click Generate AI Layouts.</div>
-              )}
+            <div className="mt-2">
+              <VariantGallery
+                variants={variants}
+                previews={previews}
+                selectedId={selectedVariant?.id}
+                compareIds={compareIds}
+                onSelect={renderVariantToCanvas}
+                onToggleFavourite={toggleFavourite}
+                onToggleCompare={toggleCompare}
+                onClearCompare={() => setCompareIds([])}
+                disabled={loading}
+              />
             </div>
           </div>
         </div>
@@ -599,17 +1176,46 @@ export default function AICreativeBuilder() {
               const sel = assets.find(a=>a.id===selectedAssetId);
               if (!sel) return <div className="text-xs text-slate-400">Select an asset in the left panel.</div>;
               return (
-                <div className="flex items-center gap-3">
-                  <img src={sel.src} alt={sel.name} className="w-20 h-20 object-cover rounded" />
-                  <div>
-                    <div className="font-medium text-sm truncate max-w-[100px]">{sel.name}</div>
-                    <div className="text-xs text-slate-500">{sel.type}</div>
+                <>
+                  <div className="flex items-center gap-3">
+                    <img src={sel.src} alt={sel.name} className="w-20 h-20 object-cover rounded" />
+                    <div>
+                      <div className="font-medium text-sm truncate max-w-[100px]">{sel.name}</div>
+                      <div className="text-xs text-slate-500">{sel.type}</div>
+                    </div>
                   </div>
-                </div>
+                  <ProductDetailsForm
+                    projectId={projectId}
+                    asset={sel}
+                    onSaved={(metadata) => setAssets(prev => prev.map(a => (a.id === sel.id ? { ...a, metadata } : a)))}
+                    disabled={loading}
+                  />
+                </>
               )
             })() : <div className="text-xs text-slate-400">None selected.</div>}
           </div>
 
+          <div className="mb-4">
+            <h4 className="font-medium mb-2">Copy</h4>
+            <CopyEditor
+              variant={currentVariant}
+              tone={tone}
+              objective={objective}
+              locale={locale}
+              assets={assets}
+              onChange={(updated) => editVariant(updated, { type: 'copy', label: 'Edit copy', mergeKey: `copy:${updated.id}` })}
+              rendering={editRendering}
+            />
+          </div>
+
+          <div className="mb-4">
+            <h4 className="font-medium mb-2">Animation</h4>
+            <TimelineEditor
+              variant={currentVariant}
+              onChange={(updated) => editVariant(updated, { type: 'timeline', label: 'Edit animation', mergeKey: `timeline:${updated.id}` })}
+            />
+          </div>
+
           <div>
             <h4 className="font-medium">Preview Controls</h4>
             <div className="mt-2 text-xs text-slate-500">Toggle features to see changes.</div>
@@ -645,51 +1251,33 @@ export default function AICreativeBuilder() {
               >
                 Download PNG (Original)
               </button>
+              <div className="grid grid-cols-2 gap-2">
+                <button
+                  onClick={() => exportLayered('svg')}
+                  className="px-3 py-2 rounded bg-slate-100 hover:bg-slate-200 text-sm disabled:opacity-50"
+                  disabled={loading || !currentRenderedImage}
+                  title="Vector file with embedded images and editable text"
+                >
+                  Download SVG
+                </button>
+                <button
+                  onClick={() => exportLayered('ora')}
+                  className="px-3 py-2 rounded bg-slate-100 hover:bg-slate-200 text-sm disabled:opacity-50"
+                  disabled={loading || !currentRenderedImage}
+                  title="OpenRaster file (GIMP, Krita, Photopea) with one layer per element and a manifest.json"
+                >
+                  Download Layers (ORA)
+                </button>
+              </div>
 
               <div className="border-t pt-2 mt-2">
                 <div className="text-xs font-medium mb-2 text-slate-600">Platform Exports</div>
                 
-                <div className="space-y-1">
-                  <button 
-                    onClick={() => exportForPlatform('meta', 'square')} 
-                    className="w-full px-2 py-1.5 rounded bg-blue-500 text-white hover:bg-blue-600 disabled:opacity-50 text-xs"
-                    disabled={loading || !currentRenderedImage}
-                  >
-                    Meta Square (1080x1080)
-                  </button>
-                  
-                  <button 
-                    onClick={() => exportForPlatform('meta', 'story')} 
-                    className="w-full px-2 py-1.5 rounded bg-blue-500 text-white hover:bg-blue-600 disabled:opacity-50 text-xs"
-                    disabled={loading || !currentRenderedImage}
-                  >
-                    Meta Story (1080x1920)
-                  </button>
-                  
-                  <button 
-                    onClick={() => exportForPlatform('google', 'banner')} 
-                    className="w-full px-2 py-1.5 rounded bg-green-500 text-white hover:bg-green-600 disabled:opacity-50 text-xs"
-                    disabled={loading || !currentRenderedImage}
-                  >
-                    Google Banner (728x90)
-                  </button>
-                  
-                  <button 
-                    onClick={() => exportForPlatform('amazon', 'main')} 
-                    className="w-full px-2 py-1.5 rounded bg-orange-500 text-white hover:bg-orange-600 disabled:opacity-50 text-xs"
-                    disabled={loading || !currentRenderedImage}
-                  >
-                    Amazon Main (1000x1000)
-                  </button>
-                  
-                  <button 
-                    onClick={batchExport} 
-                    className="w-full px-2 py-1.5 rounded bg-purple-500 text-white hover:bg-purple-600 disabled:opacity-50 text-xs font-medium"
-                    disabled={loading || !currentRenderedImage}
-                  >
-                    Batch Export All
-                  </button>
-                </div>
+                <PlatformExportPanel
+                  onExport={exportForPlatform}
+                  onBatchExport={batchExport}
+                  disabled={loading || !currentRenderedImage}
+                />
               </div>
             </div>
           </div>
@@ -699,7 +1287,7 @@ export default function AICreativeBuilder() {
       <div className="max-w-7xl mx-auto mt-6">
         <div className="bg-white rounded p-4 shadow text-sm">
           <strong>Notes:</strong> This is a full-stack application with backend API for image processing.
-          Background removal uses simulated logic — integrate with remove.bg API or similar service for production.
+          Background removal uses remove.bg when an API key is configured, otherwise an on-device segmentation fallback.
           Layout generation and compliance checks run on the server.
         </div>
       </div>
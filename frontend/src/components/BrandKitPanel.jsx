@@ -0,0 +1,305 @@
+import React, { useEffect, useRef, useState } from 'react';
+import axios from 'axios';
+import { API_BASE_URL } from '../api';
+
+const PALETTE_ROLES = [
+  { key: 'background', label: 'Background' },
+  { key: 'accent', label: 'Accent' },
+  { key: 'text', label: 'Text' }
+];
+const TONES = ['neutral', 'bold', 'playful', 'premium'];
+const LOGO_SLOTS = ['primary', 'secondary'];
+
+// <input type="color"> only accepts #rrggbb
+function toColorInputValue(color) {
+  if (color.length === 4) {
+    return `#${color[1]}${color[1]}${color[2]}${color[2]}${color[3]}${color[3]}`;
+  }
+  return color;
+}
+
+// Brand kit picker and editor: palette, preferred tones, logo lockups and fonts
+export default function BrandKitPanel({ brandId, onSelect, disabled }) {
+  const [brands, setBrands] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [fontFamily, setFontFamily] = useState('');
+  const [fontRole, setFontRole] = useState('heading');
+  const saveTimer = useRef(null);
+
+  const brand = brands.find(b => b.id === brandId) || null;
+
+  async function refreshBrands() {
+    try {
+      const response = await axios.get(`${API_BASE_URL}/api/brands`);
+      setBrands(response.data.brands);
+    } catch (error) {
+      console.error('Brand list error:', error);
+    }
+  }
+
+  useEffect(() => {
+    refreshBrands();
+    return () => clearTimeout(saveTimer.current);
+  }, []);
+
+  function replaceBrand(updated) {
+    setBrands(prev => prev.map(b => (b.id === updated.id ? updated : b)));
+  }
+
+  async function newBrand() {
+    const name = prompt('Brand name', 'New brand');
+    if (name === null) return;
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/brands`, { name });
+      setBrands(prev => [...prev, response.data.brand]);
+      onSelect(response.data.brand);
+    } catch (error) {
+      console.error('Create brand error:', error);
+      alert('Failed to create brand: ' + (error.response?.data?.error || error.message));
+    }
+  }
+
+  async function removeBrand() {
+    if (!brand || !confirm(`Delete brand kit "${brand.name}"?`)) return;
+    try {
+      await axios.delete(`${API_BASE_URL}/api/brands/${brand.id}`);
+      setBrands(prev => prev.filter(b => b.id !== brand.id));
+      onSelect(null);
+    } catch (error) {
+      console.error('Delete brand error:', error);
+      alert('Failed to delete brand: ' + (error.response?.data?.error || error.message));
+    }
+  }
+
+  // Palette and tone edits are saved shortly after the last change
+  function editBrand(patch) {
+    const updated = { ...brand, ...patch };
+    replaceBrand(updated);
+    clearTimeout(saveTimer.current);
+    saveTimer.current = setTimeout(() => {
+      axios.put(`${API_BASE_URL}/api/brands/${updated.id}`, {
+        palette: updated.palette,
+        tones: updated.tones
+      }).catch(error => console.error('Brand save error:', error));
+    }, 600);
+  }
+
+  function setColor(role, index, color) {
+    const colors = [...brand.palette[role]];
+    if (color === null) colors.splice(index, 1);
+    else colors[index] = color;
+    editBrand({ palette: { ...brand.palette, [role]: colors } });
+  }
+
+  function toggleTone(tone) {
+    const tones = brand.tones.includes(tone)
+      ? brand.tones.filter(t => t !== tone)
+      : [...brand.tones, tone];
+    editBrand({ tones });
+  }
+
+  async function uploadFile(url, field, file, extra = {}) {
+    setBusy(true);
+    try {
+      const formData = new FormData();
+      formData.append(field, file);
+      Object.entries(extra).forEach(([key, value]) => formData.append(key, value));
+      const response = await axios.post(url, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      replaceBrand(response.data.brand);
+    } catch (error) {
+      console.error('Brand upload error:', error);
+      alert('Upload failed: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function deleteAndReplace(url) {
+    try {
+      const response = await axios.delete(url);
+      replaceBrand(response.data.brand);
+    } catch (error) {
+      console.error('Brand update error:', error);
+      alert('Failed to update brand: ' + (error.response?.data?.error || error.message));
+    }
+  }
+
+  function handleLogo(slot, e) {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (file) uploadFile(`${API_BASE_URL}/api/brands/${brand.id}/logos/${slot}`, 'logo', file);
+  }
+
+  function handleFont(e) {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    uploadFile(`${API_BASE_URL}/api/brands/${brand.id}/fonts`, 'font', file, {
+      family: fontFamily.trim(),
+      role: fontRole
+    });
+    setFontFamily('');
+  }
+
+  const locked = disabled || busy;
+
+  return (
+    <div className="mb-4">
+      <label className="block mb-1 text-sm font-medium">Brand Kit</label>
+      <div className="flex gap-2">
+        <select
+          value={brandId || ''}
+          onChange={(e) => onSelect(brands.find(b => b.id === e.target.value) || null)}
+          onFocus={refreshBrands}
+          className="p-2 rounded border flex-1 text-sm min-w-0"
+          disabled={locked}
+        >
+          <option value="">No brand (tone defaults)</option>
+          {brands.map(b => (
+            <option key={b.id} value={b.id}>{b.name}</option>
+          ))}
+        </select>
+        <button
+          className="text-xs px-2 py-1 rounded bg-slate-100 hover:bg-slate-200"
+          onClick={newBrand}
+          disabled={locked}
+        >
+          New
+        </button>
+      </div>
+
+      {brand && (
+        <div className="mt-2 p-2 rounded border border-slate-200 space-y-3 text-xs">
+          <div>
+            <div className="text-slate-600 mb-1">Palette</div>
+            {PALETTE_ROLES.map(({ key, label }) => (
+              <div key={key} className="flex items-center gap-1 mb-1">
+                <span className="w-20 text-slate-500">{label}</span>
+                {brand.palette[key].map((color, i) => (
+                  <span key={i} className="relative group">
+                    <input
+                      type="color"
+                      value={toColorInputValue(color)}
+                      onChange={(e) => setColor(key, i, e.target.value)}
+                      className="w-6 h-6 p-0 border rounded cursor-pointer"
+                      disabled={locked}
+                      title={color}
+                    />
+                    <button
+                      className="absolute -top-1 -right-1 hidden group-hover:block w-3 h-3 leading-3 rounded-full bg-slate-700 text-white text-[8px]"
+                      onClick={() => setColor(key, i, null)}
+                      disabled={locked}
+                      title="Remove colour"
+                    >
+                      ×
+                    </button>
+                  </span>
+                ))}
+                {brand.palette[key].length < 5 && (
+                  <button
+                    className="w-6 h-6 rounded border border-dashed text-slate-400 hover:text-slate-600"
+                    onClick={() => setColor(key, brand.palette[key].length, '#888888')}
+                    disabled={locked}
+                    title={`Add ${label.toLowerCase()} colour`}
+                  >
+                    +
+                  </button>
+                )}
+              </div>
+            ))}
+          </div>
+
+          <div>
+            <div className="text-slate-600 mb-1">Preferred tones</div>
+            <div className="flex gap-1 flex-wrap">
+              {TONES.map(tone => (
+                <button
+                  key={tone}
+                  onClick={() => toggleTone(tone)}
+                  className={`px-2 py-0.5 rounded-full capitalize ${brand.tones.includes(tone) ? 'bg-indigo-600 text-white' : 'bg-slate-100'}`}
+                  disabled={locked}
+                >
+                  {tone}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <div className="text-slate-600 mb-1">Logos</div>
+            <div className="grid grid-cols-2 gap-2">
+              {LOGO_SLOTS.map(slot => {
+                const logo = brand.logos[slot];
+                return (
+                  <div key={slot} className="flex flex-col items-center gap-1 p-1 rounded bg-slate-50">
+                    <span className="capitalize text-slate-500">{slot}</span>
+                    {logo ? (
+                      <img src={`${API_BASE_URL}${logo.src}`} alt={`${slot} logo`} className="h-8 max-w-full object-contain" />
+                    ) : (
+                      <span className="h-8 flex items-center text-slate-400">None</span>
+                    )}
+                    <div className="flex gap-1">
+                      <label className={`px-2 py-0.5 rounded bg-slate-100 hover:bg-slate-200 ${locked ? 'opacity-50' : 'cursor-pointer'}`}>
+                        Upload
+                        <input type="file" accept="image/*" className="hidden" onChange={(e) => handleLogo(slot, e)} disabled={locked} />
+                      </label>
+                      {logo && (
+                        <button
+                          className="px-2 py-0.5 rounded bg-red-50 text-red-600 hover:bg-red-100"
+                          onClick={() => deleteAndReplace(`${API_BASE_URL}/api/brands/${brand.id}/logos/${slot}`)}
+                          disabled={locked}
+                        >
+                          Remove
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+
+          <div>
+            <div className="text-slate-600 mb-1">Fonts</div>
+            {brand.fonts.map(font => (
+              <div key={font.id} className="flex items-center justify-between">
+                <span className="truncate">{font.family} <span className="text-slate-400">({font.role})</span></span>
+                <button
+                  className="text-red-600 hover:underline"
+                  onClick={() => deleteAndReplace(`${API_BASE_URL}/api/brands/${brand.id}/fonts/${font.id}`)}
+                  disabled={locked}
+                >
+                  Remove
+                </button>
+              </div>
+            ))}
+            <div className="flex gap-1 mt-1">
+              <input
+                type="text"
+                value={fontFamily}
+                onChange={(e) => setFontFamily(e.target.value)}
+                placeholder="Family (optional)"
+                className="p-1 rounded border flex-1 min-w-0"
+                disabled={locked}
+              />
+              <select value={fontRole} onChange={(e) => setFontRole(e.target.value)} className="p-1 rounded border" disabled={locked}>
+                <option value="heading">Heading</option>
+                <option value="body">Body</option>
+              </select>
+              <label className={`px-2 py-1 rounded bg-slate-100 hover:bg-slate-200 ${locked ? 'opacity-50' : 'cursor-pointer'}`}>
+                .ttf/.otf
+                <input type="file" accept=".ttf,.otf" className="hidden" onChange={handleFont} disabled={locked} />
+              </label>
+            </div>
+          </div>
+
+          <button className="text-red-600 hover:underline" onClick={removeBrand} disabled={locked}>
+            Delete brand kit
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
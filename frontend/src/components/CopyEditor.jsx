@@ -0,0 +1,131 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { API_BASE_URL } from '../api';
+
+// Editable copy boxes of a generative layout, in stacking order
+const COPY_FIELDS = [
+  { key: 'textOverlay', label: 'Headline' },
+  { key: 'subline', label: 'Subline' },
+  { key: 'cta', label: 'Button' },
+  { key: 'legal', label: 'Legal' }
+];
+
+// Suggestion fields from /api/generate-quotes, by layout box
+const SUGGESTION_FIELDS = {
+  textOverlay: 'headline',
+  subline: 'subline',
+  cta: 'cta',
+  legal: 'legal'
+};
+
+function boxText(key, box) {
+  if (key === 'textOverlay') return box.quote ?? box.text ?? '';
+  return box.text ?? '';
+}
+
+// Variant with new text in some of its copy boxes; the headline keeps `quote` and `text` in sync
+function withCopy(variant, texts) {
+  const layout = { ...variant.generativeLayout };
+  for (const [key, text] of Object.entries(texts)) {
+    if (!layout[key] || typeof text !== 'string') continue;
+    layout[key] = key === 'textOverlay'
+      ? { ...layout[key], quote: text, text, edited: true }
+      : { ...layout[key], text, edited: true };
+  }
+  return { ...variant, generativeLayout: layout };
+}
+
+// Inline editor for the current variant's copy, with generated alternatives to pick from
+export default function CopyEditor({ variant, tone, objective, locale, assets, onChange, rendering }) {
+  const [suggestions, setSuggestions] = useState([]);
+  const [suggesting, setSuggesting] = useState(false);
+
+  useEffect(() => {
+    setSuggestions([]);
+  }, [variant?.id]);
+
+  const layout = variant?.generativeLayout;
+  if (!layout?.textOverlay) {
+    return <div className="text-xs text-slate-400">Render an AI-generated layout to edit its copy.</div>;
+  }
+  const fields = COPY_FIELDS.filter(field => layout[field.key]);
+
+  async function suggest() {
+    setSuggesting(true);
+    try {
+      const response = await axios.post(`${API_BASE_URL}/api/generate-quotes`, {
+        tone,
+        objective,
+        locale,
+        assets,
+        count: 5
+      });
+      setSuggestions(response.data.copy || []);
+    } catch (error) {
+      console.error('Copy suggestion error:', error);
+      alert('Failed to fetch suggestions: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setSuggesting(false);
+    }
+  }
+
+  function applySuggestion(suggestion) {
+    const texts = {};
+    for (const { key } of fields) {
+      const value = suggestion[SUGGESTION_FIELDS[key]];
+      if (value) texts[key] = value;
+    }
+    onChange(withCopy(variant, texts));
+  }
+
+  return (
+    <div className="space-y-2 text-xs">
+      {fields.map(({ key, label }) => (
+        <div key={key}>
+          <label className="text-slate-600 mb-0.5 block">{label}</label>
+          <input
+            type="text"
+            dir="auto"
+            value={boxText(key, layout[key])}
+            onChange={(e) => onChange(withCopy(variant, { [key]: e.target.value }))}
+            placeholder={key === 'textOverlay' ? 'Headline' : `${label} (leave empty to hide)`}
+            className="p-1 rounded border w-full min-w-0"
+          />
+        </div>
+      ))}
+
+      <div className="flex items-center justify-between">
+        <button
+          className="px-2 py-1 rounded bg-slate-100 hover:bg-slate-200 disabled:opacity-50"
+          onClick={suggest}
+          disabled={suggesting}
+        >
+          {suggesting ? 'Generating...' : 'Suggest alternatives'}
+        </button>
+        {rendering && <span className="text-slate-400">Updating preview...</span>}
+      </div>
+
+      {suggestions.length > 0 && (
+        <ul className="space-y-1">
+          {suggestions.map((suggestion, idx) => (
+            <li key={idx}>
+              <button
+                className="w-full text-left p-1.5 rounded border hover:bg-indigo-50"
+                onClick={() => applySuggestion(suggestion)}
+                title={suggestion.lint?.map(finding => finding.message).join('\n') || 'Use this copy'}
+              >
+                <div dir="auto" className="font-medium text-slate-700">{suggestion.headline}</div>
+                {suggestion.subline && <div dir="auto" className="text-slate-500">{suggestion.subline}</div>}
+                {suggestion.lint?.length > 0 && (
+                  <div className="text-amber-600 mt-0.5">
+                    {suggestion.lint.length} copy {suggestion.lint.length === 1 ? 'flag' : 'flags'}
+                  </div>
+                )}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,232 @@
+import React, { useEffect, useRef, useState } from 'react';
+
+// Boxes that can be moved and resized; subline, button and legal line follow the headline
+const EDITABLE_LAYERS = [
+  { key: 'mainAsset', label: 'Product', color: 'border-sky-500' },
+  { key: 'logo', label: 'Logo', color: 'border-amber-500' },
+  { key: 'textOverlay', label: 'Copy', color: 'border-fuchsia-500' }
+];
+const COPY_STACK = ['subline', 'cta', 'legal'];
+
+const SNAP_DISTANCE_PX = 8; // on screen
+const MIN_BOX_SIZE = 24; // in layout pixels
+
+// Guide lines: safe zone edges, rule of thirds and the centre lines
+function buildGuides(layout) {
+  const { width, height } = layout.dimensions;
+  const safe = layout.compliance?.safeZone ?? 0;
+  return {
+    x: [
+      { value: safe, kind: 'safe' },
+      { value: width - safe, kind: 'safe' },
+      { value: width / 3, kind: 'thirds' },
+      { value: (width * 2) / 3, kind: 'thirds' },
+      { value: width / 2, kind: 'center' }
+    ],
+    y: [
+      { value: safe, kind: 'safe' },
+      { value: height - safe, kind: 'safe' },
+      { value: height / 3, kind: 'thirds' },
+      { value: (height * 2) / 3, kind: 'thirds' },
+      { value: height / 2, kind: 'center' }
+    ]
+  };
+}
+
+// Closest guide to any of the given edges, within `threshold`; returns the shift to apply
+function snapAxis(edges, guides, threshold) {
+  let best = null;
+  for (const edge of edges) {
+    for (const guide of guides) {
+      const distance = guide.value - edge;
+      if (Math.abs(distance) <= threshold && (!best || Math.abs(distance) < Math.abs(best.shift))) {
+        best = { shift: distance, guide };
+      }
+    }
+  }
+  return best;
+}
+
+function clamp(value, min, max) {
+  return Math.max(min, Math.min(max, value));
+}
+
+// Keep the copy stack attached to the headline after it moved or was resized
+function followHeadline(layout, before) {
+  const headline = layout.textOverlay;
+  const dx = headline.x - before.x;
+  const dy = headline.y + headline.height - (before.y + before.height);
+  const next = { ...layout };
+
+  for (const key of COPY_STACK) {
+    const box = layout[key];
+    if (!box) continue;
+    const moved = { ...box, y: Math.round(box.y + dy) };
+    if (key === 'cta') {
+      moved.width = Math.min(box.width, headline.width);
+      if (headline.alignment === 'left') moved.x = headline.x;
+      else if (headline.alignment === 'right') moved.x = headline.x + headline.width - moved.width;
+      else moved.x = Math.round(headline.x + (headline.width - moved.width) / 2);
+    } else if (headline.width !== before.width) {
+      moved.x = headline.x;
+      moved.width = headline.width;
+    } else {
+      moved.x = Math.round(box.x + dx);
+    }
+    next[key] = moved;
+  }
+  return next;
+}
+
+/**
+ * Drag/resize overlay for a generative layout, drawn on top of the rendered
+ * image. Boxes snap to the safe zone, rule-of-thirds and centre guides.
+ * `onCommit(layout)` is called once per drag, when the pointer is released.
+ */
+export default function LayerEditor({ layout, onCommit }) {
+  const containerRef = useRef(null);
+  const dragRef = useRef(null);
+  const [draft, setDraft] = useState(layout);
+  const [activeGuides, setActiveGuides] = useState([]);
+
+  useEffect(() => {
+    if (!dragRef.current) setDraft(layout);
+  }, [layout]);
+
+  const { width, height } = draft.dimensions;
+  const guides = buildGuides(draft);
+
+  function startDrag(event, key, mode) {
+    event.preventDefault();
+    event.stopPropagation();
+    event.currentTarget.setPointerCapture(event.pointerId);
+    const scale = containerRef.current.getBoundingClientRect().width / width;
+    dragRef.current = {
+      key,
+      mode,
+      scale,
+      startX: event.clientX,
+      startY: event.clientY,
+      box: { ...draft[key] },
+      layout: draft
+    };
+  }
+
+  function moveDrag(event) {
+    const drag = dragRef.current;
+    if (!drag) return;
+    const dx = (event.clientX - drag.startX) / drag.scale;
+    const dy = (event.clientY - drag.startY) / drag.scale;
+    const threshold = SNAP_DISTANCE_PX / drag.scale;
+    const box = { ...drag.box };
+    const snapped = [];
+
+    if (drag.mode === 'move') {
+      box.x = clamp(drag.box.x + dx, 0, width - box.width);
+      box.y = clamp(drag.box.y + dy, 0, height - box.height);
+      const snapX = snapAxis([box.x, box.x + box.width / 2, box.x + box.width], guides.x, threshold);
+      const snapY = snapAxis([box.y, box.y + box.height / 2, box.y + box.height], guides.y, threshold);
+      if (snapX) { box.x += snapX.shift; snapped.push({ axis: 'x', ...snapX.guide }); }
+      if (snapY) { box.y += snapY.shift; snapped.push({ axis: 'y', ...snapY.guide }); }
+    } else {
+      // Resize from the bottom-right corner
+      let right = clamp(drag.box.x + drag.box.width + dx, drag.box.x + MIN_BOX_SIZE, width);
+      let bottom = clamp(drag.box.y + drag.box.height + dy, drag.box.y + MIN_BOX_SIZE, height);
+      const snapX = snapAxis([right], guides.x, threshold);
+      const snapY = snapAxis([bottom], guides.y, threshold);
+      if (snapX) { right += snapX.shift; snapped.push({ axis: 'x', ...snapX.guide }); }
+      if (snapY) { bottom += snapY.shift; snapped.push({ axis: 'y', ...snapY.guide }); }
+      box.width = right - box.x;
+      box.height = bottom - box.y;
+    }
+
+    box.x = Math.round(box.x);
+    box.y = Math.round(box.y);
+    box.width = Math.round(box.width);
+    box.height = Math.round(box.height);
+
+    let next = { ...drag.layout, [drag.key]: box };
+    if (drag.key === 'textOverlay') {
+      next = followHeadline(next, drag.box);
+    }
+    setDraft(next);
+    setActiveGuides(snapped);
+  }
+
+  function endDrag() {
+    const drag = dragRef.current;
+    if (!drag) return;
+    dragRef.current = null;
+    setActiveGuides([]);
+    if (draft !== drag.layout) {
+      onCommit(draft);
+    }
+  }
+
+  const percent = (value, total) => `${(value / total) * 100}%`;
+
+  return (
+    <div
+      ref={containerRef}
+      className="absolute inset-0 select-none touch-none"
+      onPointerMove={moveDrag}
+      onPointerUp={endDrag}
+      onPointerCancel={endDrag}
+    >
+      {[...guides.x.map(g => ({ ...g, axis: 'x' })), ...guides.y.map(g => ({ ...g, axis: 'y' }))].map((guide, idx) => {
+        const active = activeGuides.some(a => a.axis === guide.axis && a.value === guide.value);
+        const style = guide.axis === 'x'
+          ? { left: percent(guide.value, width), top: 0, bottom: 0, width: 0 }
+          : { top: percent(guide.value, height), left: 0, right: 0, height: 0 };
+        return (
+          <div
+            key={idx}
+            className={`absolute pointer-events-none border-dashed ${guide.axis === 'x' ? 'border-l' : 'border-t'} ${
+              active ? 'border-rose-500' : guide.kind === 'safe' ? 'border-emerald-400/50' : 'border-white/30'
+            }`}
+            style={style}
+          />
+        );
+      })}
+
+      {EDITABLE_LAYERS.filter(({ key }) => draft[key]).map(({ key, label, color }) => {
+        const box = draft[key];
+        return (
+          <div
+            key={key}
+            className={`absolute border-2 ${color} bg-white/5 cursor-move`}
+            style={{
+              left: percent(box.x, width),
+              top: percent(box.y, height),
+              width: percent(box.width, width),
+              height: percent(box.height, height)
+            }}
+            onPointerDown={(e) => startDrag(e, key, 'move')}
+          >
+            <span className="absolute -top-5 left-0 text-[10px] px-1 rounded bg-slate-900/70 text-white">{label}</span>
+            <div
+              className="absolute -right-1.5 -bottom-1.5 w-3 h-3 rounded-sm bg-white border-2 border-slate-700 cursor-se-resize"
+              onPointerDown={(e) => startDrag(e, key, 'resize')}
+            />
+          </div>
+        );
+      })}
+
+      {COPY_STACK.filter(key => draft[key]).map(key => {
+        const box = draft[key];
+        return (
+          <div
+            key={key}
+            className="absolute pointer-events-none border border-dashed border-fuchsia-400"
+            style={{
+              left: percent(box.x, width),
+              top: percent(box.y, height),
+              width: percent(box.width, width),
+              height: percent(box.height, height)
+            }}
+          />
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,177 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { API_BASE_URL } from '../api';
+
+// Output formats the backend can encode ('' = the placement's preferred still format)
+const OUTPUT_FORMATS = [
+  { value: '', label: 'Auto' },
+  { value: 'jpg', label: 'JPG' },
+  { value: 'png', label: 'PNG' },
+  { value: 'webp', label: 'WebP' },
+  { value: 'avif', label: 'AVIF' },
+  { value: 'gif', label: 'GIF (animated)' },
+  { value: 'mp4', label: 'MP4' },
+  { value: 'webm', label: 'WebM' },
+  { value: 'html5', label: 'HTML5 (zip)' }
+];
+
+// Formats that play the layout's animation timeline (/api/export-animated)
+export const ANIMATED_FORMATS = ['gif', 'mp4', 'webm', 'html5'];
+
+// Placement limits as a tooltip, e.g. "Max 150KB · JPG, PNG, GIF · sRGB"
+function placementDetails(placement) {
+  return [
+    placement.maxFileSizeKB && `Max ${placement.maxFileSizeKB}KB`,
+    placement.textMaxCoverage != null && `Text ≤ ${Math.round(placement.textMaxCoverage * 100)}%`,
+    placement.minProductCoverage && `Product ≥ ${Math.round(placement.minProductCoverage * 100)}%`,
+    placement.fileFormats?.map(f => f.toUpperCase()).join(', '),
+    placement.colorProfile
+  ].filter(Boolean).join(' · ');
+}
+
+/**
+ * Platform export picker, read from the platform spec registry (/api/platforms).
+ * Each placement can be exported on its own, or ticked for a batch export;
+ * the tick list can span networks. Placements are passed as {platform, placement},
+ * with `outputFormat` when a format other than Auto is picked. HTML5 banners
+ * get the click-through URL as their clickTag.
+ */
+export default function PlatformExportPanel({ onExport, onBatchExport, disabled }) {
+  const [networks, setNetworks] = useState([]);
+  const [version, setVersion] = useState(null);
+  const [networkId, setNetworkId] = useState('');
+  const [selected, setSelected] = useState([]); // "network/placement" references
+  const [outputFormat, setOutputFormat] = useState('');
+  const [lastExport, setLastExport] = useState(null);
+  const [clickTag, setClickTag] = useState('');
+
+  useEffect(() => {
+    async function loadPlatforms() {
+      try {
+        const response = await axios.get(`${API_BASE_URL}/api/platforms`);
+        setNetworks(response.data.networks);
+        setVersion(response.data.version);
+        setNetworkId(prev => prev || response.data.networks[0]?.id || '');
+      } catch (error) {
+        console.error('Platform registry error:', error);
+      }
+    }
+    loadPlatforms();
+  }, []);
+
+  if (!networks.length) {
+    return <div className="text-xs text-slate-400">Loading platforms...</div>;
+  }
+
+  const network = networks.find(n => n.id === networkId) || networks[0];
+
+  // Still formats are encoded for any placement (its fileFormats only pick Auto's format);
+  // animated ones need the placement to list them. WebM is offered wherever MP4 is
+  const accepts = (placement) => !ANIMATED_FORMATS.includes(outputFormat) ||
+    placement.fileFormats?.includes(outputFormat === 'webm' ? 'mp4' : outputFormat);
+
+  async function exportOne(placement) {
+    const result = await onExport(placement.network, placement.id, outputFormat || undefined, clickTag || undefined);
+    if (result) setLastExport({ ...result, name: placement.name });
+  }
+
+  function toggle(ref) {
+    setSelected(prev => (prev.includes(ref) ? prev.filter(r => r !== ref) : [...prev, ref]));
+  }
+
+  // Ticked placements that accept the chosen output format
+  const batch = networks.flatMap(n => n.placements).filter(p => selected.includes(p.ref) && accepts(p));
+
+  function exportSelected() {
+    onBatchExport(batch.map(placement => ({
+      platform: placement.network,
+      placement: placement.id,
+      outputFormat: outputFormat || undefined
+    })), clickTag || undefined);
+  }
+
+  return (
+    <div className="space-y-2 text-xs">
+      <div className="flex items-center gap-2">
+        <select
+          value={network.id}
+          onChange={(e) => setNetworkId(e.target.value)}
+          className="p-1 rounded border flex-1 min-w-0"
+        >
+          {networks.map(n => (
+            <option key={n.id} value={n.id}>{n.name}</option>
+          ))}
+        </select>
+        <select
+          value={outputFormat}
+          onChange={(e) => setOutputFormat(e.target.value)}
+          className="p-1 rounded border"
+          title="Output format (Auto: the placement's preferred format)"
+        >
+          {OUTPUT_FORMATS.map(f => (
+            <option key={f.value} value={f.value}>{f.label}</option>
+          ))}
+        </select>
+        {version && <span className="text-slate-400" title="Platform spec registry version">v{version}</span>}
+      </div>
+
+      {outputFormat === 'html5' && (
+        <input
+          type="url"
+          value={clickTag}
+          onChange={(e) => setClickTag(e.target.value)}
+          placeholder="Click-through URL (clickTag)"
+          className="p-1 rounded border w-full"
+        />
+      )}
+
+      <ul className="max-h-56 overflow-y-auto border rounded divide-y">
+        {network.placements.map(placement => (
+          <li
+            key={placement.ref}
+            className={`flex items-center gap-2 px-2 py-1 ${accepts(placement) ? '' : 'opacity-50'}`}
+            title={accepts(placement) ? placementDetails(placement) : `Doesn't accept ${outputFormat.toUpperCase()}`}
+          >
+            <input
+              type="checkbox"
+              checked={selected.includes(placement.ref)}
+              onChange={() => toggle(placement.ref)}
+              disabled={!accepts(placement)}
+            />
+            <span className="flex-1 min-w-0 truncate">{placement.name}</span>
+            <span className="text-slate-400">{placement.width}x{placement.height}</span>
+            <button
+              className="px-2 py-0.5 rounded bg-blue-500 text-white hover:bg-blue-600 disabled:opacity-50"
+              onClick={() => exportOne(placement)}
+              disabled={disabled || !accepts(placement)}
+            >
+              Export
+            </button>
+          </li>
+        ))}
+      </ul>
+
+      {lastExport && (
+        <div className="text-slate-500">
+          {lastExport.name}: {lastExport.outputFormat.toUpperCase()}
+          {lastExport.quality != null && ` at quality ${lastExport.quality}`}
+          {lastExport.frames && `, ${lastExport.frames} frames`}, {Math.ceil(lastExport.fileSize / 1024)}KB
+          {lastExport.requirements?.maxFileSizeKB && ` of ${lastExport.requirements.maxFileSizeKB}KB`}
+        </div>
+      )}
+
+      <div className="flex items-center gap-2">
+        <button
+          onClick={exportSelected}
+          className="flex-1 px-2 py-1.5 rounded bg-purple-500 text-white hover:bg-purple-600 disabled:opacity-50 font-medium"
+          disabled={disabled || !batch.length}
+        >
+          Export {batch.length} selected
+        </button>
+        {selected.length > 0 && (
+          <button className="text-slate-500 hover:text-slate-700" onClick={() => setSelected([])}>Clear</button>
+        )}
+      </div>
+    </div>
+  );
+}
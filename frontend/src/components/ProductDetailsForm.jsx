@@ -0,0 +1,156 @@
+import React, { useEffect, useState } from 'react';
+import axios from 'axios';
+import { API_BASE_URL } from '../api';
+
+const CURRENCIES = ['INR', 'GBP', 'EUR', 'USD', 'AED'];
+
+function toFormValues(metadata = {}) {
+  return {
+    title: metadata.title || '',
+    description: metadata.description || '',
+    price: metadata.price ?? '',
+    currency: metadata.currency || 'INR',
+    discount: metadata.discount ?? '',
+    endDate: metadata.endDate || '',
+    tags: (metadata.tags || []).join(', '),
+    category: metadata.category || '',
+    sku: metadata.sku || ''
+  };
+}
+
+// Product metadata for one asset; used for copy generation on the next Generate
+export default function ProductDetailsForm({ projectId, asset, onSaved, disabled }) {
+  const [values, setValues] = useState(() => toFormValues(asset.metadata));
+  const [saving, setSaving] = useState(false);
+  const [dirty, setDirty] = useState(false);
+
+  useEffect(() => {
+    setValues(toFormValues(asset.metadata));
+    setDirty(false);
+  }, [asset.id, asset.metadata]);
+
+  function setField(field, value) {
+    setValues(prev => ({ ...prev, [field]: value }));
+    setDirty(true);
+  }
+
+  async function save() {
+    setSaving(true);
+    try {
+      const response = await axios.put(`${API_BASE_URL}/api/projects/${projectId}/assets/${asset.id}`, {
+        metadata: {
+          ...values,
+          tags: values.tags.split(',')
+        }
+      });
+      onSaved(response.data.asset.metadata);
+      setDirty(false);
+    } catch (error) {
+      console.error('Product details save error:', error);
+      alert('Failed to save product details: ' + (error.response?.data?.error || error.message));
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  const locked = disabled || saving || !projectId;
+  const inputClass = 'p-1 rounded border w-full min-w-0';
+
+  return (
+    <div className="mt-3 space-y-2 text-xs">
+      <div className="text-slate-600">Product Details</div>
+      <input
+        type="text"
+        value={values.title}
+        onChange={(e) => setField('title', e.target.value)}
+        placeholder="Title"
+        className={inputClass}
+        disabled={locked}
+      />
+      <textarea
+        value={values.description}
+        onChange={(e) => setField('description', e.target.value)}
+        placeholder="Description"
+        rows={2}
+        className={inputClass}
+        disabled={locked}
+      />
+      <div className="flex gap-1">
+        <input
+          type="number"
+          min="0"
+          step="0.01"
+          value={values.price}
+          onChange={(e) => setField('price', e.target.value)}
+          placeholder="Price"
+          className={inputClass}
+          disabled={locked}
+        />
+        <select
+          value={values.currency}
+          onChange={(e) => setField('currency', e.target.value)}
+          className="p-1 rounded border"
+          disabled={locked}
+        >
+          {CURRENCIES.map(code => (
+            <option key={code} value={code}>{code}</option>
+          ))}
+        </select>
+      </div>
+      <div className="flex items-center gap-1">
+        <input
+          type="number"
+          min="0"
+          max="100"
+          value={values.discount}
+          onChange={(e) => setField('discount', e.target.value)}
+          placeholder="Discount"
+          className={inputClass}
+          disabled={locked}
+        />
+        <span className="text-slate-500 whitespace-nowrap">% off until</span>
+        <input
+          type="date"
+          value={values.endDate}
+          onChange={(e) => setField('endDate', e.target.value)}
+          className={inputClass}
+          disabled={locked}
+          title="Last day of the promotion"
+        />
+      </div>
+      <input
+        type="text"
+        value={values.tags}
+        onChange={(e) => setField('tags', e.target.value)}
+        placeholder="Tags (comma-separated)"
+        className={inputClass}
+        disabled={locked}
+      />
+      <div className="flex gap-1">
+        <input
+          type="text"
+          value={values.category}
+          onChange={(e) => setField('category', e.target.value)}
+          placeholder="Category"
+          className={inputClass}
+          disabled={locked}
+        />
+        <input
+          type="text"
+          value={values.sku}
+          onChange={(e) => setField('sku', e.target.value)}
+          placeholder="SKU"
+          className={inputClass}
+          disabled={locked}
+        />
+      </div>
+      <button
+        className="w-full px-3 py-1.5 rounded bg-indigo-600 text-white hover:bg-indigo-700 disabled:opacity-50"
+        onClick={save}
+        disabled={locked || !dirty}
+      >
+        {saving ? 'Saving...' : dirty ? 'Save details' : 'Saved'}
+      </button>
+    </div>
+  );
+}
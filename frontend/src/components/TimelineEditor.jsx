@@ -0,0 +1,128 @@
+import React from 'react';
+
+// Entrance effects, as in backend/animation.js
+const EFFECTS = [
+  { value: 'none', label: 'None' },
+  { value: 'fade', label: 'Fade' },
+  { value: 'slide-up', label: 'Slide up' },
+  { value: 'slide-down', label: 'Slide down' },
+  { value: 'slide-left', label: 'Slide left' },
+  { value: 'slide-right', label: 'Slide right' },
+  { value: 'scale', label: 'Scale' }
+];
+
+// Animated layers, in stacking order
+const TIMELINE_LAYERS = [
+  { key: 'mainAsset', label: 'Product' },
+  { key: 'textOverlay', label: 'Headline' },
+  { key: 'subline', label: 'Subline' },
+  { key: 'cta', label: 'Button' },
+  { key: 'legal', label: 'Legal' },
+  { key: 'logo', label: 'Logo' }
+];
+
+const MAX_DURATION_MS = 30000; // ad networks stop animations after 30 seconds
+const MAX_LOOPS = 3;
+
+/**
+ * Entrance animations of the current variant (`generativeLayout.timeline`):
+ * an effect, delay and duration per layer, the total length and the number
+ * of plays. Animated exports (GIF, MP4, HTML5) play this timeline.
+ */
+export default function TimelineEditor({ variant, onChange }) {
+  const layout = variant?.generativeLayout;
+  if (!layout?.textOverlay) {
+    return <div className="text-xs text-slate-400">Render an AI-generated layout to animate it.</div>;
+  }
+  const timeline = layout.timeline;
+  if (!timeline) {
+    return <div className="text-xs text-slate-400">This layout has no timeline; generate the layouts again to animate it.</div>;
+  }
+
+  function update(patch) {
+    onChange({ ...variant, generativeLayout: { ...layout, timeline: { ...timeline, ...patch } } });
+  }
+
+  function updateLayer(key, patch) {
+    const entry = timeline.layers[key] || { effect: 'none', delay: 0, duration: 500 };
+    update({ layers: { ...timeline.layers, [key]: { ...entry, ...patch } } });
+  }
+
+  const layers = TIMELINE_LAYERS.filter(({ key }) => key === 'mainAsset' || layout[key]);
+  const lastEnd = Math.max(0, ...Object.values(timeline.layers).map(e => e.delay + e.duration));
+
+  return (
+    <div className="space-y-2 text-xs">
+      <div className="grid grid-cols-[4rem_1fr_3.5rem_3.5rem] gap-1 items-center text-slate-500">
+        <span />
+        <span>Effect</span>
+        <span title="Delay (ms)">Delay</span>
+        <span title="Duration (ms)">Length</span>
+        {layers.map(({ key, label }) => {
+          const entry = timeline.layers[key] || { effect: 'none', delay: 0, duration: 500 };
+          return (
+            <React.Fragment key={key}>
+              <span className="text-slate-600">{label}</span>
+              <select
+                value={entry.effect}
+                onChange={(e) => updateLayer(key, { effect: e.target.value })}
+                className="p-1 rounded border min-w-0"
+              >
+                {EFFECTS.map(effect => (
+                  <option key={effect.value} value={effect.value}>{effect.label}</option>
+                ))}
+              </select>
+              <input
+                type="number"
+                min="0"
+                step="100"
+                value={entry.delay}
+                onChange={(e) => updateLayer(key, { delay: Math.max(0, Number(e.target.value) || 0) })}
+                disabled={entry.effect === 'none'}
+                className="p-1 rounded border min-w-0"
+              />
+              <input
+                type="number"
+                min="0"
+                step="100"
+                value={entry.duration}
+                onChange={(e) => updateLayer(key, { duration: Math.max(0, Number(e.target.value) || 0) })}
+                disabled={entry.effect === 'none'}
+                className="p-1 rounded border min-w-0"
+              />
+            </React.Fragment>
+          );
+        })}
+      </div>
+
+      <div className="flex items-center gap-2">
+        <label className="flex items-center gap-1">
+          Total
+          <input
+            type="number"
+            min={Math.ceil(lastEnd / 100) / 10}
+            max={MAX_DURATION_MS / 1000}
+            step="0.5"
+            value={timeline.duration / 1000}
+            onChange={(e) => update({ duration: Math.min(MAX_DURATION_MS, Math.max(lastEnd, Math.round(Number(e.target.value) * 1000) || 0)) })}
+            className="p-1 rounded border w-16"
+          />
+          s
+        </label>
+        <label className="flex items-center gap-1">
+          Plays
+          <select
+            value={timeline.loops}
+            onChange={(e) => update({ loops: Number(e.target.value) })}
+            className="p-1 rounded border"
+          >
+            {Array.from({ length: MAX_LOOPS }, (_, i) => i + 1).map(n => (
+              <option key={n} value={n}>{n}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+      <div className="text-slate-400">Export it as GIF, MP4 or HTML5 under Platform Exports.</div>
+    </div>
+  );
+}
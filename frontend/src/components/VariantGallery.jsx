@@ -0,0 +1,145 @@
+import React, { useState } from 'react';
+
+export const COMPARE_LIMIT = 3; // variants shown side by side
+
+function variantCopy(variant) {
+  const layout = variant.generativeLayout;
+  return {
+    headline: layout?.textOverlay?.quote || layout?.textOverlay?.text,
+    subline: layout?.subline?.text,
+    cta: layout?.cta?.text
+  };
+}
+
+function Preview({ variant, preview, className }) {
+  const { width, height } = variant.generativeLayout?.dimensions || { width: 1, height: 1 };
+  return (
+    <div className={`relative bg-slate-200 rounded overflow-hidden ${className}`} style={{ aspectRatio: `${width} / ${height}` }}>
+      {preview ? (
+        <img src={preview} alt={`Layout ${variant.layout + 1}`} className="absolute inset-0 w-full h-full object-contain" />
+      ) : (
+        <div className="absolute inset-0 animate-pulse bg-slate-200" />
+      )}
+    </div>
+  );
+}
+
+/**
+ * Thumbnail grid of the generated variants. Clicking a thumbnail selects it
+ * (the Live Canvas, export and auto-fix act on the selected variant); the star
+ * marks a favourite and the checkbox adds it to the side-by-side comparison.
+ */
+export default function VariantGallery({
+  variants,
+  previews,
+  selectedId,
+  compareIds,
+  onSelect,
+  onToggleFavourite,
+  onToggleCompare,
+  onClearCompare,
+  disabled
+}) {
+  const [favouritesOnly, setFavouritesOnly] = useState(false);
+
+  if (!variants.length) {
+    return <div className="text-xs text-slate-400">No layouts. Click Generate AI Layouts.</div>;
+  }
+
+  const shown = favouritesOnly ? variants.filter(v => v.favourite) : variants;
+  const comparing = compareIds.map(id => variants.find(v => v.id === id)).filter(Boolean);
+
+  const favouriteButton = (v) => (
+    <button
+      className={`text-sm leading-none ${v.favourite ? 'text-amber-500' : 'text-slate-300 hover:text-amber-400'}`}
+      onClick={(e) => { e.stopPropagation(); onToggleFavourite(v.id); }}
+      title={v.favourite ? 'Remove from favourites' : 'Add to favourites'}
+    >
+      ★
+    </button>
+  );
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between text-xs text-slate-500">
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={favouritesOnly} onChange={(e) => setFavouritesOnly(e.target.checked)} />
+          Favourites only
+        </label>
+        <span>Tick up to {COMPARE_LIMIT} layouts to compare</span>
+      </div>
+
+      <div className="grid grid-cols-3 gap-2">
+        {shown.map(v => {
+          const { headline, cta } = variantCopy(v);
+          const inCompare = compareIds.includes(v.id);
+          return (
+            <div
+              key={v.id}
+              className={`p-1.5 rounded border text-xs cursor-pointer ${
+                v.id === selectedId ? 'ring-2 ring-indigo-400 border-indigo-300' : 'hover:border-slate-400'
+              } ${disabled ? 'opacity-50 pointer-events-none' : ''}`}
+              onClick={() => onSelect(v)}
+              title={v.description}
+            >
+              <Preview variant={v} preview={previews[v.id]} />
+              <div className="flex items-center justify-between mt-1">
+                <span className="font-medium">Layout {v.layout + 1}</span>
+                <span className="flex items-center gap-1.5">
+                  {favouriteButton(v)}
+                  <input
+                    type="checkbox"
+                    checked={inCompare}
+                    disabled={!inCompare && compareIds.length >= COMPARE_LIMIT}
+                    onClick={(e) => e.stopPropagation()}
+                    onChange={() => onToggleCompare(v.id)}
+                    title="Compare"
+                  />
+                </span>
+              </div>
+              {headline && (
+                <div dir="auto" className="text-[10px] text-indigo-600 truncate font-medium">"{headline}"</div>
+              )}
+              {cta && <div className="text-[10px] text-slate-500 truncate">Button: {cta}</div>}
+            </div>
+          );
+        })}
+        {!shown.length && <div className="col-span-3 text-xs text-slate-400">No favourites yet.</div>}
+      </div>
+
+      {comparing.length >= 2 && (
+        <div className="border rounded-lg p-2">
+          <div className="flex items-center justify-between mb-2 text-xs">
+            <span className="font-medium">Compare</span>
+            <button className="text-slate-500 hover:text-slate-700" onClick={onClearCompare}>Close</button>
+          </div>
+          <div className="grid gap-3" style={{ gridTemplateColumns: `repeat(${comparing.length}, minmax(0, 1fr))` }}>
+            {comparing.map(v => {
+              const { headline, subline, cta } = variantCopy(v);
+              return (
+                <div key={v.id} className="text-xs space-y-1">
+                  <Preview variant={v} preview={previews[v.id]} />
+                  <div className="flex items-center justify-between">
+                    <span className="font-medium">Layout {v.layout + 1}</span>
+                    {favouriteButton(v)}
+                  </div>
+                  {v.description && <div className="text-slate-500">{v.description}</div>}
+                  {headline && <div dir="auto" className="text-indigo-600 font-medium">"{headline}"</div>}
+                  {subline && <div dir="auto" className="text-slate-600">{subline}</div>}
+                  {cta && <div dir="auto" className="text-slate-500">Button: {cta}</div>}
+                  <button
+                    className={`w-full px-2 py-1 rounded ${v.id === selectedId ? 'bg-indigo-600 text-white' : 'bg-slate-100 hover:bg-slate-200'}`}
+                    onClick={() => onSelect(v)}
+                    disabled={disabled || v.id === selectedId}
+                  >
+                    {v.id === selectedId ? 'Selected' : 'Select'}
+                  </button>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,131 @@
+// Command-based undo/redo history, saved with the project.
+//
+// A command records the state it changed as two snapshots, e.g.
+//   { type: 'setting', label: 'Tone: bold', before: { tone: 'neutral' }, after: { tone: 'bold' } }
+// Snapshot keys are the builder's tracked state: `tone`, `objective`, `format`,
+// `selectedAssetId` and `variant`. A variant snapshot holds only what the edit
+// changed, as `{ id, changes }` with `changes` keyed by path ('timeline' or
+// 'generativeLayout.cta', see variantChange). Undo applies `before`, redo
+// applies `after`. Both stacks keep the most recent command last.
+
+export const HISTORY_LIMIT = 100; // same bound as the project store
+export const HISTORY_MAX_BYTES = 64 * 1024; // UTF-8 size of both stacks, well under the API's 100kb body limit
+const MERGE_WINDOW_MS = 1500; // keystrokes in the same field become one command
+
+export function createHistory() {
+  return { past: [], future: [] };
+}
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * The before/after snapshots of a variant edit. Top-level fields are compared
+ * and, when both sides are objects (e.g. `generativeLayout`), so are their
+ * fields; only values that differ are kept. A value missing on one side is
+ * stored as null.
+ */
+export function variantChange(previous, updated) {
+  const before = {};
+  const after = {};
+  const compare = (from = {}, to = {}, prefix = '') => {
+    for (const key of new Set([...Object.keys(from), ...Object.keys(to)])) {
+      const path = prefix + key;
+      if (sameValue(from[key], to[key])) continue;
+      if (!prefix && isPlainObject(from[key]) && isPlainObject(to[key])) {
+        compare(from[key], to[key], `${key}.`);
+        continue;
+      }
+      before[path] = from[key] ?? null;
+      after[path] = to[key] ?? null;
+    }
+  };
+  compare(previous, updated);
+  return {
+    before: { variant: { id: updated.id, changes: before } },
+    after: { variant: { id: updated.id, changes: after } }
+  };
+}
+
+// The variant with a snapshot's changes applied
+export function applyVariantChanges(variant, changes) {
+  const next = { ...variant };
+  for (const [path, value] of Object.entries(changes)) {
+    const [key, field] = path.split('.');
+    if (field) {
+      next[key] = { ...next[key], [field]: value };
+    } else {
+      next[key] = value;
+    }
+  }
+  return next;
+}
+
+// `over` wins for the keys both snapshots set; variant changes are combined path by path
+function mergeSnapshots(base, over) {
+  const merged = { ...base, ...over };
+  if (base.variant && over.variant && base.variant.id === over.variant.id) {
+    merged.variant = { id: over.variant.id, changes: { ...base.variant.changes, ...over.variant.changes } };
+  }
+  return merged;
+}
+
+const encoder = new TextEncoder();
+const byteSize = value => encoder.encode(JSON.stringify(value)).length;
+
+/**
+ * Drop commands until both stacks fit HISTORY_MAX_BYTES as saved: the oldest
+ * undo commands first, then the furthest redo commands. The newest undo
+ * command is always kept.
+ */
+export function trimToSize(history) {
+  const pastSizes = history.past.map(byteSize);
+  const futureSizes = history.future.map(byteSize);
+  let size = byteSize({ past: [], future: [] }) + [...pastSizes, ...futureSizes].reduce((total, bytes) => total + bytes + 1, 0);
+  let pastStart = 0;
+  let futureStart = 0;
+  while (size > HISTORY_MAX_BYTES && pastStart < history.past.length - 1) {
+    size -= pastSizes[pastStart++] + 1;
+  }
+  while (size > HISTORY_MAX_BYTES && futureStart < history.future.length) {
+    size -= futureSizes[futureStart++] + 1;
+  }
+  if (!pastStart && !futureStart) return history;
+  return { past: history.past.slice(pastStart), future: history.future.slice(futureStart) };
+}
+
+/**
+ * Add a command and drop the redo stack. Commands with the same `mergeKey`
+ * that follow each other within MERGE_WINDOW_MS are merged, keeping the
+ * earliest `before` and the latest `after` of every value they touched.
+ * The undo stack is bounded by HISTORY_LIMIT and HISTORY_MAX_BYTES.
+ */
+export function pushCommand(history, command) {
+  const entry = { ...command, at: Date.now() };
+  const last = history.past[history.past.length - 1];
+  if (last && entry.mergeKey && last.mergeKey === entry.mergeKey && entry.at - last.at < MERGE_WINDOW_MS) {
+    const merged = { ...entry, before: mergeSnapshots(entry.before, last.before), after: mergeSnapshots(last.after, entry.after) };
+    return trimToSize({ past: [...history.past.slice(0, -1), merged], future: [] });
+  }
+  return trimToSize({ past: [...history.past, entry].slice(-HISTORY_LIMIT), future: [] });
+}
+
+// Returns the command to revert (apply its `before`) and the new history, or null
+export function undo(history) {
+  const command = history.past[history.past.length - 1];
+  if (!command) return null;
+  return {
+    command,
+    history: { past: history.past.slice(0, -1), future: [...history.future, command] }
+  };
+}
+
+// Returns the command to re-apply (apply its `after`) and the new history, or null
+export function redo(history) {
+  const command = history.future[history.future.length - 1];
+  if (!command) return null;
+  return {
+    command,
+    history: { past: [...history.past, command], future: history.future.slice(0, -1) }
+  };
+}
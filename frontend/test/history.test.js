@@ -0,0 +1,160 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  createHistory, pushCommand, undo, redo, trimToSize, variantChange, applyVariantChanges, HISTORY_LIMIT, HISTORY_MAX_BYTES
+} from '../src/history.js';
+
+// Commands pushed at controlled times
+function at(time, fn) {
+  const now = mock.method(Date, 'now', () => time);
+  try {
+    return fn();
+  } finally {
+    now.mock.restore();
+  }
+}
+
+const edit = (before, after, mergeKey) => ({ type: 'copy', label: 'Edit headline', before: { headline: before }, after: { headline: after }, mergeKey });
+
+test('undo and redo move a command between the stacks', () => {
+  let history = pushCommand(createHistory(), edit('A', 'B'));
+  const undone = undo(history);
+  assert.deepEqual(undone.command.before, { headline: 'A' });
+  history = undone.history;
+  assert.equal(history.past.length, 0);
+  assert.equal(history.future.length, 1);
+
+  const redone = redo(history);
+  assert.deepEqual(redone.command.after, { headline: 'B' });
+  assert.equal(redone.history.past.length, 1);
+  assert.equal(redone.history.future.length, 0);
+});
+
+test('empty stacks have nothing to undo or redo', () => {
+  assert.equal(undo(createHistory()), null);
+  assert.equal(redo(createHistory()), null);
+});
+
+test('a new command drops the redo stack', () => {
+  let history = pushCommand(createHistory(), edit('A', 'B'));
+  history = undo(history).history;
+  history = pushCommand(history, edit('A', 'C'));
+  assert.equal(history.future.length, 0);
+  assert.equal(redo(history), null);
+});
+
+test('edits with the same key inside the merge window become one command', () => {
+  let history = createHistory();
+  history = at(1000, () => pushCommand(history, edit('A', 'AB', 'headline')));
+  history = at(2000, () => pushCommand(history, edit('AB', 'ABC', 'headline')));
+  assert.equal(history.past.length, 1);
+  assert.deepEqual(history.past[0].before, { headline: 'A' });
+  assert.deepEqual(history.past[0].after, { headline: 'ABC' });
+});
+
+test('edits outside the merge window or with another key stay separate', () => {
+  let history = createHistory();
+  history = at(1000, () => pushCommand(history, edit('A', 'AB', 'headline')));
+  history = at(2600, () => pushCommand(history, edit('AB', 'ABC', 'headline')));
+  history = at(2700, () => pushCommand(history, edit('x', 'y', 'subline')));
+  history = at(2800, () => pushCommand(history, edit('y', 'z')));
+  history = at(2900, () => pushCommand(history, edit('z', 'w')));
+  assert.equal(history.past.length, 5);
+});
+
+test('the undo stack is bounded', () => {
+  let history = createHistory();
+  for (let i = 0; i < HISTORY_LIMIT + 5; i++) {
+    history = pushCommand(history, edit(String(i), String(i + 1)));
+  }
+  assert.equal(history.past.length, HISTORY_LIMIT);
+  assert.deepEqual(history.past[0].before, { headline: '5' });
+});
+
+const variant = {
+  id: 'v1',
+  favourite: false,
+  generativeLayout: {
+    textOverlay: { quote: 'Fresh Bread', x: 10 },
+    cta: { text: 'Shop Now' },
+    background: { color: '#ffffff' }
+  }
+};
+const withQuote = quote => ({
+  ...variant,
+  generativeLayout: { ...variant.generativeLayout, textOverlay: { ...variant.generativeLayout.textOverlay, quote } }
+});
+
+test('a variant edit stores only the fields it changed', () => {
+  const { before, after } = variantChange(variant, withQuote('Warm Bread'));
+  assert.deepEqual(Object.keys(after.variant.changes), ['generativeLayout.textOverlay']);
+  assert.equal(before.variant.id, 'v1');
+  assert.equal(before.variant.changes['generativeLayout.textOverlay'].quote, 'Fresh Bread');
+
+  const edited = applyVariantChanges(variant, after.variant.changes);
+  assert.deepEqual(edited, withQuote('Warm Bread'));
+  assert.deepEqual(applyVariantChanges(edited, before.variant.changes), variant);
+});
+
+test('added and removed fields round-trip through a variant change', () => {
+  const updated = { ...variant, timeline: { duration: 3 } };
+  const { before, after } = variantChange(variant, updated);
+  assert.deepEqual(after.variant.changes, { timeline: { duration: 3 } });
+  assert.deepEqual(before.variant.changes, { timeline: null });
+  assert.deepEqual(applyVariantChanges(variant, after.variant.changes), updated);
+});
+
+test('merged variant edits keep the first value of every field they touched', () => {
+  const first = variantChange(variant, withQuote('Warm Bread'));
+  const movedCta = { ...withQuote('Warm Bread'), generativeLayout: { ...withQuote('Warm Bread').generativeLayout, cta: { text: 'Buy' } } };
+  const second = variantChange(withQuote('Warm Bread'), movedCta);
+
+  let history = createHistory();
+  history = at(1000, () => pushCommand(history, { type: 'copy', label: 'Edit copy', mergeKey: 'copy:v1', ...first }));
+  history = at(1500, () => pushCommand(history, { type: 'copy', label: 'Edit copy', mergeKey: 'copy:v1', ...second }));
+  assert.equal(history.past.length, 1);
+
+  const { command } = undo(history);
+  assert.deepEqual(applyVariantChanges(movedCta, command.before.variant.changes), variant);
+  assert.deepEqual(applyVariantChanges(variant, command.after.variant.changes), movedCta);
+});
+
+const savedBytes = history => new TextEncoder().encode(JSON.stringify(history)).length;
+
+test('the saved history is bounded by size', () => {
+  const big = 'x'.repeat(HISTORY_MAX_BYTES / 4);
+  let history = createHistory();
+  for (let i = 0; i < 10; i++) {
+    history = pushCommand(history, edit(big, String(i)));
+  }
+  assert.ok(savedBytes(history) <= HISTORY_MAX_BYTES);
+  assert.ok(history.past.length < 10);
+  assert.deepEqual(history.past.at(-1).after, { headline: '9' });
+
+  const huge = pushCommand(history, edit('x'.repeat(HISTORY_MAX_BYTES * 2), 'y'));
+  assert.equal(huge.past.length, 1); // the newest command is kept even when it alone is over the cap
+});
+
+test('the size limit counts UTF-8 bytes, so non-Latin copy is not undercounted', () => {
+  const hindi = 'ताज़ा ब्रेड'.repeat(HISTORY_MAX_BYTES / 80); // 3 bytes per character
+  let history = createHistory();
+  for (let i = 0; i < 6; i++) {
+    history = pushCommand(history, edit(hindi, String(i)));
+  }
+  assert.ok(JSON.stringify(history).length < HISTORY_MAX_BYTES);
+  assert.ok(savedBytes(history) <= HISTORY_MAX_BYTES);
+});
+
+test('a long redo stack is trimmed too, furthest redo first', () => {
+  const big = 'x'.repeat(HISTORY_MAX_BYTES / 8);
+  const history = {
+    past: [{ type: 'copy', label: 'Edit headline', before: { headline: 'a' }, after: { headline: 'b' } }],
+    future: Array.from({ length: 12 }, (_, i) => edit(big, String(i)))
+  };
+  const trimmed = trimToSize(history);
+  assert.ok(savedBytes(trimmed) <= HISTORY_MAX_BYTES);
+  assert.equal(trimmed.past.length, 1);
+  assert.ok(trimmed.future.length < 12);
+  assert.deepEqual(trimmed.future.at(-1).after, { headline: '11' }); // the next redo survives
+  assert.equal(trimToSize(createHistory()).past.length, 0);
+});